@@ -7,6 +7,8 @@ import cors from 'cors';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import net from 'net';
+import { formatSSE } from './src/agents/apollo/utils/stream.js';
+import { formatPaperPortfolio } from './src/agents/apollo/utils/formatters.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -30,6 +32,33 @@ const isPortInUse = async (port) => {
   });
 };
 
+// Shared agent instance used by both the CLI and the web routes
+let apollo;
+const CLI_SESSION_ID = 'cli';
+const cliSwapTokens = new Map(); // swapId -> confirmToken of swaps quoted in the CLI
+const SOLANA_ADDRESS_REGEX = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+// Browsers send an Origin header with cross-site requests; only pages served
+// by this server (and non-browser clients) may act on swaps
+const requireSameOrigin = (req, res, next) => {
+  const origin = req.get('origin');
+  if (origin) {
+    let host = null;
+    try {
+      host = new URL(origin).host;
+    } catch (error) {
+      // Opaque origins ("null") never match
+    }
+    if (host !== req.get('host')) {
+      return res.status(403).json({ error: 'Swaps can only be confirmed or cancelled from this server\'s own pages' });
+    }
+  }
+  next();
+};
+
+// HTTP status for a SwapError
+const swapErrorStatus = (error) => ({ not_found: 404, forbidden: 403 })[error.code] || 400;
+
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout
@@ -57,9 +86,393 @@ const startWebServer = async () => {
         res.sendFile(path.join(__dirname, 'background-tasks.html'));
       });
       
+      // Returns the quoted swap with its confirmToken too, so a live swap asked for here can be confirmed
       app.post('/chat', async (req, res) => {
-        const response = await apollo.sendMessage(req.body.message);
-        res.json({ response });
+        let response = '';
+        let pendingSwap = null;
+        for await (const event of apollo.streamMessage(req.body.message, req.body.sessionId)) {
+          if (event.type === 'section' && event.data?.confirmToken) {
+            pendingSwap = event.data;
+          } else if (event.type === 'done') {
+            response = event.response;
+          }
+        }
+        res.json({ response, pendingSwap });
+      });
+
+      // Streaming chat via Server-Sent Events
+      app.get('/chat/stream', async (req, res) => {
+        const message = req.query.message;
+        if (!message) {
+          return res.status(400).json({ error: 'Message is required' });
+        }
+
+        res.writeHead(200, {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'Connection': 'keep-alive'
+        });
+
+        // When the client goes away, abort the model and tool calls still running for it
+        const controller = new AbortController();
+        const stream = apollo.streamMessage(message, req.query.sessionId, { signal: controller.signal });
+        res.on('close', () => {
+          controller.abort();
+          stream.return();
+        });
+
+        for await (const event of stream) {
+          res.write(formatSSE(event.type, event));
+        }
+        res.end();
+      });
+
+      // Swap endpoints - swaps only execute after an explicit confirmation
+      app.get('/swaps/:swapId', (req, res) => {
+        const swap = apollo.getSwap(req.params.swapId);
+        if (!swap) {
+          return res.status(404).json({ error: 'Swap not found' });
+        }
+        res.json({ swap });
+      });
+
+      // Both need the confirmToken the quote was streamed with, body: { "confirmToken": "..." }
+      app.post('/swaps/:swapId/confirm', requireSameOrigin, async (req, res) => {
+        try {
+          const swap = await apollo.confirmSwap(req.params.swapId, req.body?.confirmToken);
+          res.json({ swap });
+        } catch (error) {
+          res.status(swapErrorStatus(error)).json({ error: error.message });
+        }
+      });
+
+      app.post('/swaps/:swapId/cancel', requireSameOrigin, (req, res) => {
+        try {
+          const swap = apollo.cancelSwap(req.params.swapId, req.body?.confirmToken);
+          res.json({ swap });
+        } catch (error) {
+          res.status(swapErrorStatus(error)).json({ error: error.message });
+        }
+      });
+
+      // Paper trading endpoints
+      app.get('/paper/portfolio', async (req, res) => {
+        try {
+          const portfolio = await apollo.getPaperPortfolio();
+          res.json({ portfolio, summary: formatPaperPortfolio(portfolio) });
+        } catch (error) {
+          console.error('Error loading paper portfolio:', error);
+          res.status(500).json({ error: 'Could not load the paper portfolio' });
+        }
+      });
+
+      app.post('/paper/reset', async (req, res) => {
+        try {
+          const portfolio = await apollo.resetPaperPortfolio(req.body?.startingBalance);
+          res.json({ portfolio, summary: formatPaperPortfolio(portfolio) });
+        } catch (error) {
+          res.status(400).json({ error: error.message });
+        }
+      });
+
+      // Token chart image rendered from OHLCV candles (?interval=15m&format=svg|png)
+      app.get('/charts/:tokenAddress', async (req, res) => {
+        try {
+          const chart = await apollo.getTokenChart(req.params.tokenAddress, { interval: req.query.interval });
+          if (!chart) {
+            return res.status(404).json({ error: 'No candles available for this token' });
+          }
+          if (req.query.format === 'png') {
+            res.type('png').send(Buffer.from(chart.png, 'base64'));
+          } else {
+            res.type('svg').send(chart.svg);
+          }
+        } catch (error) {
+          console.error('Error rendering token chart:', error);
+          res.status(500).json({ error: 'Could not render the chart' });
+        }
+      });
+
+      // Wallet trades reconstructed from its swap history
+      app.get('/wallets/:address/history', async (req, res) => {
+        try {
+          res.json(await apollo.getWalletHistory(req.params.address));
+        } catch (error) {
+          console.error('Error fetching wallet history:', error);
+          res.status(502).json({ error: error.message });
+        }
+      });
+
+      // Wallet comparison (?addresses=a,b,c&token=mint to also rank early buyers of a token)
+      app.get('/wallets/compare', async (req, res) => {
+        const addresses = (req.query.addresses || '').split(',').map(a => a.trim()).filter(Boolean);
+        if (addresses.length < 2) {
+          return res.status(400).json({ error: 'Pass at least two wallet addresses in ?addresses=' });
+        }
+        try {
+          res.json(await apollo.compareWallets(addresses, { tokenAddress: req.query.token }));
+        } catch (error) {
+          console.error('Error comparing wallets:', error);
+          res.status(502).json({ error: error.message });
+        }
+      });
+
+      // Smart-money feed (?hours=1&side=buy|sell) and labelled wallets
+      app.get('/smart-money', async (req, res) => {
+        const hours = parseFloat(req.query.hours) || 1;
+        try {
+          res.json(await apollo.getSmartMoneyFeed({ windowMs: hours * 60 * 60 * 1000, side: req.query.side }));
+        } catch (error) {
+          console.error('Error loading smart-money feed:', error);
+          res.status(500).json({ error: 'Could not load the smart-money feed' });
+        }
+      });
+
+      app.get('/smart-money/wallets', async (req, res) => {
+        try {
+          res.json({ wallets: await apollo.listSmartWallets() });
+        } catch (error) {
+          console.error('Error listing smart-money wallets:', error);
+          res.status(500).json({ error: 'Could not list smart-money wallets' });
+        }
+      });
+
+      app.post('/smart-money/wallets', async (req, res) => {
+        const { address, label, category } = req.body || {};
+        if (typeof address !== 'string' || !SOLANA_ADDRESS_REGEX.test(address)) {
+          return res.status(400).json({ error: 'address must be a Solana base58 address' });
+        }
+        try {
+          res.json({ wallet: await apollo.labelSmartWallet(address, { label, category }) });
+        } catch (error) {
+          console.error('Error labelling smart-money wallet:', error);
+          res.status(500).json({ error: 'Could not label the wallet' });
+        }
+      });
+
+      app.delete('/smart-money/wallets/:address', async (req, res) => {
+        try {
+          const removed = await apollo.unlabelSmartWallet(req.params.address);
+          if (!removed) {
+            return res.status(404).json({ error: 'Wallet is not tracked' });
+          }
+          res.json({ success: true });
+        } catch (error) {
+          console.error('Error removing smart-money wallet:', error);
+          res.status(500).json({ error: 'Could not remove the wallet' });
+        }
+      });
+
+      // New pairs found by the discovery scanner (?minutes=30&passed=true)
+      app.get('/discovery/launches', async (req, res) => {
+        const minutes = parseFloat(req.query.minutes) || 60;
+        try {
+          res.json(await apollo.getNewLaunches({ windowMs: minutes * 60 * 1000, passedOnly: req.query.passed === 'true' }));
+        } catch (error) {
+          console.error('Error loading new launches:', error);
+          res.status(500).json({ error: 'Could not load new launches' });
+        }
+      });
+
+      // Token sentiment from social posts and buy/sell pressure
+      app.get('/sentiment/:address', async (req, res) => {
+        const hours = parseFloat(req.query.hours) || 24;
+        try {
+          res.json(await apollo.getTokenSentiment(req.params.address, { windowMs: hours * 60 * 60 * 1000 }));
+        } catch (error) {
+          console.error('Error fetching token sentiment:', error);
+          res.status(502).json({ error: error.message });
+        }
+      });
+
+      // Token categories for wallet holdings breakdowns
+      app.get('/token-categories', async (req, res) => {
+        try {
+          res.json({ categories: await apollo.listTokenCategories() });
+        } catch (error) {
+          console.error('Error listing token categories:', error);
+          res.status(500).json({ error: 'Could not list token categories' });
+        }
+      });
+
+      app.put('/token-categories/:key', async (req, res) => {
+        try {
+          res.json({ category: await apollo.saveTokenCategory(req.params.key, req.body || {}) });
+        } catch (error) {
+          res.status(400).json({ error: error.message });
+        }
+      });
+
+      app.delete('/token-categories/:key', async (req, res) => {
+        try {
+          const deleted = await apollo.deleteTokenCategory(req.params.key);
+          if (!deleted) {
+            return res.status(404).json({ error: 'Category not found' });
+          }
+          res.json({ success: true });
+        } catch (error) {
+          console.error('Error deleting token category:', error);
+          res.status(500).json({ error: 'Could not delete the category' });
+        }
+      });
+
+      app.put('/tokens/:address/category', async (req, res) => {
+        try {
+          res.json(await apollo.setTokenCategory(req.params.address, req.body?.category || null));
+        } catch (error) {
+          res.status(400).json({ error: error.message });
+        }
+      });
+
+      // Price alert and watchlist endpoints (per session)
+      app.get('/alerts', async (req, res) => {
+        try {
+          const alerts = await apollo.listAlerts(req.query.sessionId || 'default');
+          res.json({ alerts });
+        } catch (error) {
+          console.error('Error listing alerts:', error);
+          res.status(500).json({ error: 'Could not list alerts' });
+        }
+      });
+
+      app.post('/alerts', async (req, res) => {
+        try {
+          const { sessionId = 'default', tokenAddress, metric, condition, threshold } = req.body || {};
+          const alert = await apollo.createAlert(sessionId, { tokenAddress, metric, condition, threshold });
+          res.json({ alert });
+        } catch (error) {
+          res.status(400).json({ error: error.message });
+        }
+      });
+
+      app.delete('/alerts/:alertId', async (req, res) => {
+        try {
+          const alert = await apollo.cancelAlert(parseInt(req.params.alertId, 10), req.query.sessionId || 'default');
+          res.json({ alert });
+        } catch (error) {
+          res.status(400).json({ error: error.message });
+        }
+      });
+
+      // Triggered alerts, newest first; pass `since` (a notification id) to poll for new ones
+      app.get('/alerts/notifications', async (req, res) => {
+        try {
+          const notifications = await apollo.getAlertNotifications({
+            sessionId: req.query.sessionId,
+            sinceId: req.query.since ? parseInt(req.query.since, 10) : undefined,
+            limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined
+          });
+          res.json({ notifications });
+        } catch (error) {
+          console.error('Error loading alert notifications:', error);
+          res.status(500).json({ error: 'Could not load alert notifications' });
+        }
+      });
+
+      app.get('/watchlist', async (req, res) => {
+        try {
+          const watchlist = await apollo.getWatchlist(req.query.sessionId || 'default');
+          res.json({ watchlist });
+        } catch (error) {
+          console.error('Error loading watchlist:', error);
+          res.status(502).json({ error: error.message });
+        }
+      });
+
+      app.post('/watchlist', async (req, res) => {
+        try {
+          const { sessionId = 'default', tokenAddress } = req.body || {};
+          await apollo.watchToken(sessionId, tokenAddress);
+          res.json({ watchlist: await apollo.getWatchlist(sessionId) });
+        } catch (error) {
+          res.status(400).json({ error: error.message });
+        }
+      });
+
+      app.delete('/watchlist/:tokenAddress', async (req, res) => {
+        const sessionId = req.query.sessionId || 'default';
+        try {
+          const removed = await apollo.unwatchToken(sessionId, req.params.tokenAddress);
+          if (!removed) {
+            return res.status(404).json({ error: 'Token is not on the watchlist' });
+          }
+          res.json({ watchlist: await apollo.getWatchlist(sessionId) });
+        } catch (error) {
+          console.error('Error removing watched token:', error);
+          res.status(502).json({ error: error.message });
+        }
+      });
+
+      // Session management endpoints
+      app.get('/sessions', async (req, res) => {
+        try {
+          const sessions = await apollo.listSessions();
+          res.json({ sessions });
+        } catch (error) {
+          console.error('Error listing sessions:', error);
+          res.status(500).json({ error: 'Could not list sessions' });
+        }
+      });
+
+      app.post('/sessions', async (req, res) => {
+        try {
+          const session = await apollo.createSession(req.body);
+          res.json({ session });
+        } catch (error) {
+          res.status(400).json({ error: error.message });
+        }
+      });
+
+      app.get('/sessions/:sessionId', async (req, res) => {
+        try {
+          const session = await apollo.getSession(req.params.sessionId);
+          if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+          }
+          res.json({ session });
+        } catch (error) {
+          console.error('Error loading session:', error);
+          res.status(500).json({ error: 'Could not load the session' });
+        }
+      });
+
+      app.get('/sessions/:sessionId/usage', async (req, res) => {
+        const days = parseInt(req.query.days, 10) || 7;
+        try {
+          const usage = await apollo.getSessionUsage(req.params.sessionId, days);
+          if (!usage) {
+            return res.status(404).json({ error: 'Session not found' });
+          }
+          res.json({ days: usage });
+        } catch (error) {
+          console.error('Error loading session usage:', error);
+          res.status(500).json({ error: 'Could not load the session usage' });
+        }
+      });
+
+      app.patch('/sessions/:sessionId', async (req, res) => {
+        try {
+          const session = await apollo.updateSession(req.params.sessionId, req.body);
+          if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+          }
+          res.json({ session });
+        } catch (error) {
+          res.status(400).json({ error: error.message });
+        }
+      });
+
+      app.delete('/sessions/:sessionId', async (req, res) => {
+        try {
+          const deleted = await apollo.deleteSession(req.params.sessionId);
+          if (!deleted) {
+            return res.status(404).json({ error: 'Session not found' });
+          }
+          res.json({ success: true });
+        } catch (error) {
+          console.error('Error deleting session:', error);
+          res.status(500).json({ error: 'Could not delete the session' });
+        }
       });
 
       // Background task management endpoints
@@ -87,6 +500,42 @@ const startWebServer = async () => {
         const result = await apollo.restartBackgroundTasks();
         res.json(result);
       });
+
+      // AI provider health endpoint
+      app.get('/providers/status', (req, res) => {
+        res.json({ providers: apollo.getProviderStatus() });
+      });
+
+      // AI usage and cost endpoints
+      app.get('/usage/daily', async (req, res) => {
+        const days = parseInt(req.query.days, 10) || 7;
+        try {
+          res.json(await apollo.getDailyUsage(days));
+        } catch (error) {
+          console.error('Error loading daily usage:', error);
+          res.status(500).json({ error: 'Could not load the daily usage' });
+        }
+      });
+
+      app.get('/usage/sessions', async (req, res) => {
+        const days = parseInt(req.query.days, 10) || 1;
+        try {
+          res.json({ sessions: await apollo.getUsageBySession(days) });
+        } catch (error) {
+          console.error('Error loading usage by session:', error);
+          res.status(500).json({ error: 'Could not load the usage by session' });
+        }
+      });
+
+      // API cache endpoints
+      app.get('/cache/stats', (req, res) => {
+        res.json({ stats: apollo.getCacheStats() });
+      });
+
+      app.post('/cache/clear', async (req, res) => {
+        const result = await apollo.clearCache();
+        res.json(result);
+      });
       
       app.listen(port, () => {
         console.log(`Web server running on http://localhost:${port}`);
@@ -140,21 +589,45 @@ const setupHiveAgent = async () => {
   return apollo;
 };
 
+// Describe the outcome of a confirmed swap for the terminal
+const formatSwapResult = (swap) => {
+  switch (swap.status) {
+    case 'confirmed':
+      return `Swap ${swap.id} confirmed on chain: ${swap.signature}`;
+    case 'awaiting_signature':
+      return `Swap ${swap.id} is ready for your wallet (${swap.wallet}). Sign and submit this transaction:\n${swap.transaction}`;
+    default:
+      return `Swap ${swap.id} ${swap.status}${swap.error ? `: ${swap.error}` : ''}`;
+  }
+};
+
 // CLI chat functionality
 async function startChat() {
   // Start the web server in the background
   startWebServer();
   
   // Initialize Apollo agent with HIVE checks
-  const apollo = await setupHiveAgent();
+  apollo = await setupHiveAgent();
+  
+  // The CLI keeps its own session so it doesn't share context with web clients
+  const cliSession = await apollo.getSession(CLI_SESSION_ID) ||
+    await apollo.createSession({ id: CLI_SESSION_ID, name: 'CLI' });
+  let cliPersonality = cliSession.personality;
+  
+  // Print price alerts for the CLI session as they trigger
+  apollo.onAlertNotification((notification) => {
+    if (notification.session_id === CLI_SESSION_ID) {
+      process.stdout.write(`\n${notification.message}\n`);
+    }
+  });
   
-  console.log(`Starting with personality: ${ENV.AI_PERSONALITY}`);
+  console.log(`Starting with personality: ${cliPersonality}`);
   console.log("Available personalities (use /switch to change):");
   Object.entries(PERSONALITIES).forEach(([key, p]) => {
     console.log(`${key}: ${p.description}`);
   });
 
-  console.log(`${PERSONALITIES[ENV.AI_PERSONALITY].name} is ready! Type your message (or 'exit' to quit)`);
+  console.log(`${PERSONALITIES[cliPersonality].name} is ready! Type your message (or 'exit' to quit)`);
 
   const askQuestion = () => {
     rl.question('You: ', async (input) => {
@@ -163,19 +636,60 @@ async function startChat() {
         return;
       }
 
-      if (input.startsWith('/switch ')) {
+      if (input.startsWith('/confirm ') || input.startsWith('/cancel ')) {
+        const [command, swapId] = input.trim().split(/\s+/);
+        try {
+          if (command === '/confirm') {
+            const swap = await apollo.confirmSwap(swapId, cliSwapTokens.get(swapId));
+            console.log(formatSwapResult(swap));
+          } else {
+            apollo.cancelSwap(swapId, cliSwapTokens.get(swapId));
+            console.log(`Swap ${swapId} cancelled.`);
+          }
+          cliSwapTokens.delete(swapId);
+        } catch (error) {
+          console.log(error.message);
+        }
+      } else if (input.trim() === '/portfolio' || input.startsWith('/reset-portfolio')) {
+        try {
+          const portfolio = input.startsWith('/reset-portfolio')
+            ? await apollo.resetPaperPortfolio(input.trim().split(/\s+/)[1])
+            : await apollo.getPaperPortfolio();
+          console.log(`\n${formatPaperPortfolio(portfolio)}\n`);
+        } catch (error) {
+          console.log(error.message);
+        }
+      } else if (input.startsWith('/switch ')) {
         const newPersonality = input.split(' ')[1].toLowerCase();
         if (PERSONALITIES[newPersonality]) {
-          apollo.setPersonality(newPersonality);
-          await apollo.initialize();
+          await apollo.updateSession(CLI_SESSION_ID, { personality: newPersonality });
+          cliPersonality = newPersonality;
           console.log(`Switched to ${PERSONALITIES[newPersonality].name}!`);
         } else {
           console.log('Unknown personality. Available options:', Object.keys(PERSONALITIES).join(', '));
         }
       } else {
         try {
-          const response = await apollo.sendMessage(input);
-          console.log(`\n${apollo.personality.name}: ${response}\n`);
+          let printed = false;
+          process.stdout.write(`\n${PERSONALITIES[cliPersonality].name}: `);
+
+          for await (const event of apollo.streamMessage(input, CLI_SESSION_ID)) {
+            if (event.type === 'token') {
+              printed = true;
+              process.stdout.write(event.content);
+            } else if (event.type === 'section' && event.section !== 'chart') {
+              if (event.data?.confirmToken) {
+                cliSwapTokens.set(event.data.id, event.data.confirmToken);
+              }
+              // Chart sections are base64 images and can't be shown in the terminal
+              printed = true;
+              process.stdout.write(`\n${event.content}\n`);
+            } else if (event.type === 'done' && !printed) {
+              // Fallback when nothing was streamed (e.g. error responses)
+              process.stdout.write(event.response);
+            }
+          }
+          process.stdout.write('\n\n');
         } catch (error) {
           console.error('Error:', error.message);
         }
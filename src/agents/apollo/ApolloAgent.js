@@ -4,13 +4,33 @@ import { database } from './services/database.js';
 import { knowledgeManager } from './services/knowledge.js';
 import { hiveP2P } from './services/hive-p2p.js';
 import { backgroundTaskManager } from './services/background-tasks.js';
+import { sessionManager } from './services/sessions.js';
+import { swapService } from './services/swap.js';
+import { paperTrading } from './services/paper-trading.js';
+import { apiCache } from './services/cache.js';
+import { alertService } from './services/alerts.js';
+import { renderTokenChart } from './services/chart.js';
+import { walletHistory } from './services/wallet-history.js';
+import { compareWallets } from './services/wallet-compare.js';
+import { smartMoney } from './services/smart-money.js';
+import { tokenCategories } from './services/token-categories.js';
+import { discovery } from './services/discovery.js';
+import { sentimentService } from './services/sentiment/index.js';
+import { providerHealth } from './services/provider-health.js';
+import { usageService, BudgetExceeded } from './services/usage.js';
+import { AGENT_TOOLS, getTool } from './tools/index.js';
+import { stripInlineImages } from './utils/formatters.js';
+import { UpstreamUnavailable } from './utils/axios.js';
 import { ENV } from '../../config/env.js';
+import { createEventChannel } from './utils/stream.js';
 import { 
   enhanceWalletQuery,
+  enhanceWalletCompareQuery,
   enhanceTokenQuery,
   enhanceMarketQuery,
   enhanceSentimentQuery,
-  enhanceSwapQuery 
+  enhanceSwapQuery,
+  enhanceAlertQuery
 } from './enhancers/index.js';
 
 export class ApolloAgent {
@@ -28,6 +48,7 @@ export class ApolloAgent {
     if (!PERSONALITIES[personalityKey]) {
       throw new Error(`Unknown personality: ${personalityKey}`);
     }
+    this.personalityKey = personalityKey;
     this.personality = PERSONALITIES[personalityKey];
   }
 
@@ -60,27 +81,31 @@ export class ApolloAgent {
     
     if (this.provider.type === 'openai') {
       // Use OpenAI's assistants API
-      this.assistant = await this.provider.client.beta.assistants.create({
-        name: this.personality.name,
-        instructions: this.personality.instructions,
-        tools: [{ type: "code_interpreter" }],
-        model: "gpt-4-turbo-preview"
-      });
-      this.thread = await this.provider.client.beta.threads.create();
-    } else {
-      // For other providers, just initialize a conversation history
-      this.conversationHistory = [];
+      try {
+        this.assistant = await this.provider.client.beta.assistants.create({
+          name: this.personality.name,
+          instructions: this.personality.instructions,
+          tools: [{ type: "code_interpreter" }],
+          model: this.provider.settings('answer').model
+        });
+        // Threads are created per session on first use
+      } catch (error) {
+        console.error('Could not create the OpenAI assistant, answering through the provider chain instead:', error.message);
+      }
     }
     
     this.initialized = true;
   }
 
-  async analyzeQuery(content) {
+  async analyzeQuery(content, sessionId = null, signal) {
     try {
       const response = await this.provider.generateResponse([{
         role: "system",
         content: `You are a query analyzer. Analyze the user's message and return a JSON object with:
-          - type: The query type (wallet, specific_token, market, sentiment, dex_status, swap, or general)
+          - type: The query type (wallet, wallet_compare, specific_token, market, sentiment, dex_status, swap, alert, or general)
+            Use market for what smart-money wallets, whales or funds are buying or selling, and for new token launches or pairs.
+            Use wallet_compare when comparing two or more wallets, looking for copy-traders, or asking which wallets bought a token first.
+            Use alert for price alerts ("alert me if ... drops 20%") and watchlist requests.
           - address: Any Solana address found (if applicable)
           - solAmount: Amount of SOL to swap (if applicable)
           - tokenAmount: Amount of tokens to swap (if applicable)
@@ -91,7 +116,7 @@ export class ApolloAgent {
       }, {
         role: "user",
         content
-      }]);
+      }], { task: 'analysis', purpose: 'query_analysis', trace: { sessionId }, signal });
 
       try {
         // First try direct JSON parsing
@@ -204,10 +229,12 @@ export class ApolloAgent {
       // Determine relevant categories based on query type
       const categoryMap = {
         'wallet': ['wallets', 'tokens'],
+        'wallet_compare': ['wallets', 'tokens'],
         'specific_token': ['tokens', 'market_events'],
         'market': ['market_events', 'tokens', 'concepts'],
         'sentiment': ['market_events', 'concepts'],
         'swap': ['tokens', 'market_events'],
+        'alert': ['tokens', 'market_events'],
         'general': ['concepts', 'tokens', 'market_events']
       };
       
@@ -275,10 +302,12 @@ export class ApolloAgent {
       // Determine relevant categories based on query type
       const categoryMap = {
         'wallet': ['wallets', 'tokens'],
+        'wallet_compare': ['wallets', 'tokens'],
         'specific_token': ['tokens', 'market_events'],
         'market': ['market_events', 'tokens', 'concepts'],
         'sentiment': ['market_events', 'concepts'],
         'swap': ['tokens', 'market_events'],
+        'alert': ['tokens', 'market_events'],
         'general': ['concepts', 'tokens', 'market_events']
       };
       
@@ -332,12 +361,62 @@ export class ApolloAgent {
     }
   }
 
-  async sendMessage(content) {
+  async sendMessage(content, sessionId) {
+    let response = '';
+    for await (const event of this.streamMessage(content, sessionId)) {
+      if (event.type === 'done') {
+        response = event.response;
+      }
+    }
+    return response;
+  }
+
+  /**
+   * Stream a response to the user's message as a sequence of events:
+   * - { type: 'section', section, content, data } - enhancer output (wallet, token, chart, market...)
+   * - { type: 'token', content } - a chunk of generated text
+   * - { type: 'error', message } - processing failed
+   * - { type: 'done', response, provider } - the complete response and the AI provider that wrote it
+   * @param {String} content - The user's message
+   * @param {String} sessionId - Conversation session (defaults to the shared default session)
+   * @param {Object} options - { signal } an AbortSignal that stops the model and tool calls, e.g. when the client disconnects
+   * @returns {AsyncIterator<Object>} - Stream events
+   */
+  streamMessage(content, sessionId, options = {}) {
+    const channel = createEventChannel();
+
+    this.processMessage(content, sessionId, channel.push, options)
+      .catch((error) => {
+        console.error('Error in streamMessage:', error);
+        channel.push({ type: 'error', message: error.message });
+        channel.push({ type: 'done', response: "I encountered an error processing your request. Please try again." });
+      })
+      .finally(() => channel.end());
+
+    return channel.iterator;
+  }
+
+  /**
+   * Run the full query pipeline, emitting stream events as results become available
+   * @param {String} content - The user's message
+   * @param {String} sessionId - Conversation session
+   * @param {Function} emit - Receives each stream event
+   * @param {Object} options - { signal } once aborted, no further model or tool calls are made and nothing is stored
+   */
+  async processMessage(content, sessionId, emit, options = {}) {
+    const { signal } = options;
     if (!this.initialized) {
       await this.initialize();
     }
 
-    const analysis = await this.analyzeQuery(content);
+    const session = await sessionManager.getOrCreateSession(sessionId, {
+      personality: this.personalityKey
+    });
+    const personality = PERSONALITIES[session.personality] || this.personality;
+
+    // Only the router needs the query classified up front; in tools mode the model picks tools itself
+    const analysis = ENV.AGENT_MODE === 'router' ? await this.analyzeQuery(content, session.id, signal) : { type: 'general' };
+    const trace = { sessionId: session.id }; // receives the provider that answered
     let response;
 
     try {
@@ -361,79 +440,279 @@ export class ApolloAgent {
         }
       }
       
-      switch (analysis.type.toLowerCase()) {
-        case 'wallet':
-          const walletResponse = await enhanceWalletQuery(content);
-          response = walletResponse.response;
-          break;
-        case 'specific_token':
-          const tokenResponse = await enhanceTokenQuery(content);
-          response = tokenResponse.response;
-          if (analysis.address) {
-            await database.updateTokenInteraction(analysis.address, {
-              sentiment: 0.5 // Neutral sentiment by default
-            });
-          }
-          break;
-        case 'market':
-          response = await enhanceMarketQuery(content);
-          break;
-        case 'sentiment':
-          response = await enhanceSentimentQuery(content);
-          break;
-        case 'swap':
-          response = await enhanceSwapQuery(content, analysis);
-          break;
-        default:
-          // Retrieve relevant knowledge to include in the prompt
-          const relevantKnowledge = await this.retrieveRelevantKnowledge(content);
-          const userProfile = await this.getUserProfile();
-          
-          // Combine local knowledge with HIVE knowledge
-          const combinedKnowledge = relevantKnowledge + hiveKnowledge + hiveCollaborativeInsights;
-          
-          if (this.provider.type === 'openai') {
-            // Use OpenAI's threads API
+      const hiveContext = hiveKnowledge + hiveCollaborativeInsights;
+      let queryType = analysis.type;
+      
+      if (ENV.AGENT_MODE === 'router') {
+        response = await this.answerWithRouter(content, analysis, session, personality, hiveContext, emit, trace, signal);
+      } else {
+        const result = await this.answerWithTools(content, session, personality, hiveContext, emit, trace, signal);
+        response = result.response;
+        queryType = result.queryType || queryType;
+      }
+
+      // The client left before the answer was finished: it never saw it, so don't keep it
+      signal?.throwIfAborted();
+
+      // Add the exchange to the session history
+      await sessionManager.addMessage(session.id, 'user', content);
+      await sessionManager.addMessage(session.id, 'assistant', response);
+
+      // Store the conversation and analyze it for knowledge extraction
+      await knowledgeManager.analyzeConversation(content, response, queryType, { provider: trace.provider });
+
+      emit({ type: 'done', response, provider: trace.provider || null });
+
+    } catch (error) {
+      if (signal?.aborted) {
+        console.log(`Stopped answering in session ${session.id}: the client disconnected`);
+        return;
+      }
+      console.error('Error in sendMessage:', error);
+      emit({ type: 'error', message: error.message });
+      emit({
+        type: 'done',
+        // Every AI provider being down or the budget running out is worth telling the user
+        response: error instanceof UpstreamUnavailable || error instanceof BudgetExceeded
+          ? error.message
+          : "I encountered an error processing your request. Please try again."
+      });
+    }
+  }
+
+  /**
+   * Answer using the tool-calling loop: the model decides which enhancers to
+   * call (possibly several, in sequence) before writing its answer
+   * @returns {Object} - { response, queryType }
+   */
+  async answerWithTools(content, session, personality, hiveContext, emit, trace, signal) {
+    const relevantKnowledge = await this.retrieveRelevantKnowledge(content);
+    const userProfile = await this.getUserProfile();
+    
+    const instructions = `${personality.instructions}\n\n${relevantKnowledge}${hiveContext}\n${userProfile}\n\nYou can call tools to fetch live wallet, token, market, sentiment and swap data, to manage the user's price alerts and watchlist, or to search your memory. Call as many tools as the question needs, one after another, before answering. Use the information above if relevant to the user's query, but don't mention that you're using memory or stored knowledge unless specifically asked.`;
+    
+    const messages = [
+      { role: "system", content: instructions },
+      ...sessionManager.getContextHistory(session, 9),
+      { role: "user", content }
+    ];
+    
+    const charts = [];
+    const context = {
+      agent: this,
+      sessionId: session.id,
+      signal,
+      onSection: (section) => {
+        if (section.section === 'chart') {
+          charts.push(section.content);
+        }
+        emit({ type: 'section', ...section });
+      }
+    };
+    
+    let answer = '';
+    const result = await this.provider.runToolLoop(messages, AGENT_TOOLS, {
+      trace,
+      signal,
+      onToken: (token) => {
+        answer += token;
+        emit({ type: 'token', content: token });
+      },
+      executeTool: async (call) => {
+        const tool = getTool(call.name);
+        if (!tool) {
+          return `Unknown tool: ${call.name}`;
+        }
+        
+        emit({ type: 'tool', name: call.name, arguments: call.arguments });
+        
+        try {
+          const output = await tool.execute(call.arguments, context);
+          // Charts were already streamed through onSection
+          emit({ type: 'section', section: tool.queryType, content: stripInlineImages(output.content, ''), data: output.data });
+          // Charts are shown to the user but are useless (and huge) for the model
+          return stripInlineImages(output.content);
+        } catch (error) {
+          console.error(`Error executing tool ${call.name}:`, error);
+          return `Tool ${call.name} failed: ${error.message}`;
+        }
+      }
+    });
+    
+    // Classify the exchange by the first data tool the model used
+    const firstTool = result.toolCalls.map(call => getTool(call.name)).find(Boolean);
+    
+    return {
+      response: [...charts, answer].join('\n\n'),
+      queryType: firstTool?.queryType
+    };
+  }
+
+  /**
+   * Answer by routing on the query type from analyzeQuery (AGENT_MODE=router)
+   * @returns {String} - The response
+   */
+  async answerWithRouter(content, analysis, session, personality, hiveContext, emit, trace, signal) {
+    let response;
+    
+    switch (analysis.type.toLowerCase()) {
+      case 'wallet':
+        const walletResponse = await enhanceWalletQuery(content);
+        response = walletResponse.response;
+        emit({ type: 'section', section: 'wallet', content: response, data: walletResponse.walletMetadata || null });
+        break;
+      case 'wallet_compare':
+        const compareResponse = await enhanceWalletCompareQuery(content);
+        response = compareResponse.response;
+        emit({ type: 'section', section: 'wallet_compare', content: response, data: compareResponse.comparison || null });
+        break;
+      case 'specific_token':
+        const tokenResponse = await enhanceTokenQuery(content, {
+          onSection: (section) => emit({ type: 'section', ...section }),
+          sessionId: session.id,
+          signal
+        });
+        response = tokenResponse.response;
+        emit({ type: 'section', section: 'token', content: stripInlineImages(response, ''), data: tokenResponse.tokenMetadata || null });
+        if (analysis.address) {
+          await database.updateTokenInteraction(analysis.address, {
+            sentiment: 0.5 // Neutral sentiment by default
+          });
+        }
+        if (tokenResponse.tokenMetadata) {
+          await knowledgeManager.recordTokenAnalysis(tokenResponse.tokenMetadata.address, tokenResponse.tokenMetadata);
+        }
+        break;
+      case 'market':
+        response = await enhanceMarketQuery(content, session.id);
+        emit({ type: 'section', section: 'market', content: response, data: null });
+        break;
+      case 'sentiment':
+        response = await enhanceSentimentQuery(content);
+        emit({ type: 'section', section: 'sentiment', content: response, data: null });
+        break;
+      case 'swap':
+        const swapResponse = await enhanceSwapQuery(content, analysis);
+        response = swapResponse.response;
+        emit({ type: 'section', section: 'swap', content: response, data: swapResponse.pendingSwap || swapResponse.paperTrade });
+        break;
+      case 'alert':
+        const alertResponse = await enhanceAlertQuery(content, session.id);
+        response = alertResponse.response;
+        emit({ type: 'section', section: 'alert', content: response, data: alertResponse.data });
+        break;
+      default:
+        // Retrieve relevant knowledge to include in the prompt
+        const relevantKnowledge = await this.retrieveRelevantKnowledge(content);
+        const userProfile = await this.getUserProfile();
+        
+        // Combine local knowledge with HIVE knowledge
+        const combinedKnowledge = relevantKnowledge + hiveContext;
+        
+        let answered = false;
+        
+        // Over budget, the provider chain downgrades or refuses the answer
+        const overBudget = this.assistant && await usageService.checkBudget(session.id);
+        
+        if (this.assistant && !overBudget && providerHealth.allowRequest('openai')) {
+          // Use OpenAI's threads API, one thread per session
+          const started = Date.now();
+          response = '';
+          let reported = null;
+          const recordRun = (success) => usageService.record({
+            sessionId: session.id,
+            provider: 'openai',
+            model: this.provider.settings('answer').model,
+            task: 'answer',
+            purpose: 'answer',
+            promptTokens: reported?.prompt_tokens || 0,
+            completionTokens: reported?.completion_tokens || 0,
+            estimated: false,
+            latencyMs: Date.now() - started,
+            success
+          });
+          try {
+            const threadId = await this.getSessionThreadId(session);
+            
             await this.provider.client.beta.threads.messages.create(
-              this.thread.id,
+              threadId,
               { role: "user", content }
             );
 
             const run = await this.provider.client.beta.threads.runs.create(
-              this.thread.id,
-              { assistant_id: this.assistant.id }
+              threadId,
+              {
+                assistant_id: this.assistant.id,
+                instructions: personality.instructions,
+                stream: true
+              },
+              { signal }
             );
 
-            const messages = await this.waitForCompletion(this.thread.id, run.id);
-            response = messages[0].content[0].text.value;
-          } else {
-            // For other providers, use direct message generation
-            this.conversationHistory.push({ role: "user", content });
-            
-            // Prepare messages with system prompt, knowledge context, and conversation history
-            const enhancedInstructions = `${this.personality.instructions}\n\n${combinedKnowledge}\n${userProfile}\n\nUse the information above if relevant to the user's query, but don't mention that you're using memory or stored knowledge unless specifically asked.`;
-            
-            const messages = [
-              { role: "system", content: enhancedInstructions },
-              ...this.conversationHistory.slice(-10) // Keep last 10 messages
-            ];
-            
-            response = await this.provider.generateResponse(messages);
-            
-            // Add response to history
-            this.conversationHistory.push({ role: "assistant", content: response });
+            for await (const event of run) {
+              if (event.event === 'thread.message.delta') {
+                for (const part of event.data.delta.content || []) {
+                  if (part.type === 'text' && part.text?.value) {
+                    response += part.text.value;
+                    emit({ type: 'token', content: part.text.value });
+                  }
+                }
+              } else if (event.event === 'thread.run.completed') {
+                reported = event.data.usage;
+              } else if (event.event === 'thread.run.failed' || event.event === 'thread.run.cancelled' || event.event === 'thread.run.expired') {
+                throw new Error(`Run ended with status: ${event.data.status}`);
+              }
+            }
+            providerHealth.recordSuccess('openai', Date.now() - started);
+            await recordRun(true);
+            trace.provider = 'openai';
+            answered = true;
+          } catch (error) {
+            await recordRun(false);
+            if (signal?.aborted) {
+              providerHealth.recordCancelled('openai');
+              throw error;
+            }
+            providerHealth.recordFailure('openai', error, Date.now() - started);
+            // Part of the answer has been streamed already
+            if (response) throw error;
+            console.error('OpenAI assistant run failed, answering through the provider chain:', error.message);
           }
-      }
-
-      // Store the conversation and analyze it for knowledge extraction
-      await knowledgeManager.analyzeConversation(content, response, analysis.type);
-
-      return response;
+        }
+        
+        if (!answered) {
+          // For other providers, use direct message generation
+          // Prepare messages with system prompt, knowledge context, and conversation history
+          const enhancedInstructions = `${personality.instructions}\n\n${combinedKnowledge}\n${userProfile}\n\nUse the information above if relevant to the user's query, but don't mention that you're using memory or stored knowledge unless specifically asked.`;
+          
+          const messages = [
+            { role: "system", content: enhancedInstructions },
+            ...sessionManager.getContextHistory(session, 9), // Keep last 10 messages
+            { role: "user", content }
+          ];
+          
+          response = '';
+          for await (const chunk of this.provider.streamResponse(messages, { trace, signal })) {
+            response += chunk;
+            emit({ type: 'token', content: chunk });
+          }
+        }
+    }
+    
+    return response;
+  }
 
-    } catch (error) {
-      console.error('Error in sendMessage:', error);
-      return "I encountered an error processing your request. Please try again.";
+  /**
+   * Get the OpenAI thread for a session, creating it on first use
+   * @param {Object} session - The session
+   * @returns {String} - The thread ID
+   */
+  async getSessionThreadId(session) {
+    if (!session.threadId) {
+      const thread = await this.provider.client.beta.threads.create();
+      await sessionManager.setThreadId(session.id, thread.id);
     }
+    return session.threadId;
   }
 
   async waitForCompletion(threadId, runId) {
@@ -467,6 +746,268 @@ export class ApolloAgent {
     await database.close();
   }
 
+  // Swap management methods
+
+  /**
+   * Get the current state of a swap
+   */
+  getSwap(swapId) {
+    return swapService.getSwap(swapId);
+  }
+
+  /**
+   * Execute a swap the user has explicitly approved
+   * @param {String} confirmToken - The confirmToken the swap's quote was streamed with
+   */
+  async confirmSwap(swapId, confirmToken) {
+    return await swapService.confirmSwap(swapId, confirmToken);
+  }
+
+  /**
+   * Discard a pending swap
+   */
+  cancelSwap(swapId, confirmToken) {
+    return swapService.cancelSwap(swapId, confirmToken);
+  }
+
+  /**
+   * Paper trading portfolio valued at current prices
+   */
+  async getPaperPortfolio() {
+    return await paperTrading.getPortfolio();
+  }
+
+  /**
+   * Clear the paper trade journal and restart with a fresh SOL balance
+   * @param {Number} startingBalance - Optional starting SOL balance
+   */
+  async resetPaperPortfolio(startingBalance) {
+    return await paperTrading.resetPortfolio(startingBalance);
+  }
+
+  /**
+   * Render a token's candlestick chart
+   * @param {String} tokenAddress - Token mint address
+   * @param {Object} options - { interval, limit }
+   * @returns {Object|null} - { svg, png, interval, candles }
+   */
+  async getTokenChart(tokenAddress, options = {}) {
+    return await renderTokenChart(tokenAddress, options);
+  }
+
+  /**
+   * A wallet's trades reconstructed from its stored swap history (fetching only new swaps)
+   * @param {String} address - Wallet address
+   * @returns {Object} - PnL, hold time, best/worst trades and per-token entries/exits
+   */
+  async getWalletHistory(address) {
+    return await walletHistory.analyze(address);
+  }
+
+  /**
+   * Compare wallets' holdings and entry timing, flagging probable copy-traders and bots
+   * @param {Array} addresses - Wallet addresses
+   * @param {Object} options - { tokenAddress } to rank the wallets by when they bought it
+   */
+  async compareWallets(addresses, options = {}) {
+    return await compareWallets(addresses, options);
+  }
+
+  // Smart-money tracking methods
+
+  /**
+   * Recent buys and sells of labelled smart-money wallets
+   * @param {Object} options - { windowMs, side }
+   */
+  async getSmartMoneyFeed(options = {}) {
+    return await smartMoney.getFeed(options);
+  }
+
+  async listSmartWallets() {
+    return await knowledgeManager.getSmartWallets();
+  }
+
+  /**
+   * Track a wallet as smart money
+   * @param {String} address - Wallet address
+   * @param {Object} label - { label, category } e.g. whale, fund or insider
+   */
+  async labelSmartWallet(address, label = {}) {
+    return await knowledgeManager.labelWallet(address, label);
+  }
+
+  async unlabelSmartWallet(address) {
+    return await knowledgeManager.unlabelWallet(address);
+  }
+
+  /**
+   * New pairs found by the discovery scanner
+   * @param {Object} options - { windowMs, passedOnly }
+   * @returns {Object} - { since, filters, launches, passed, failed }
+   */
+  async getNewLaunches(options = {}) {
+    return await discovery.getLaunches(options);
+  }
+
+  /**
+   * Sentiment score, series and trend for a token
+   * @param {Object} options - { windowMs } how far back the series goes
+   */
+  async getTokenSentiment(address, options = {}) {
+    return await sentimentService.analyzeToken(address, options);
+  }
+
+  // Token category registry methods (used for wallet holdings breakdowns)
+
+  async listTokenCategories() {
+    return await tokenCategories.listCategories();
+  }
+
+  /**
+   * Create or replace a token category
+   * @param {String} key - e.g. 'ai'
+   * @param {Object} definition - { label, order, addresses, symbols, keywords }
+   */
+  async saveTokenCategory(key, definition) {
+    return await tokenCategories.saveCategory(key, definition);
+  }
+
+  async deleteTokenCategory(key) {
+    return await tokenCategories.deleteCategory(key);
+  }
+
+  /**
+   * Pin a token to a category, or pass null to classify it by heuristics again
+   */
+  async setTokenCategory(address, key) {
+    return await tokenCategories.assignToken(address, key);
+  }
+
+  // Price alert and watchlist methods
+
+  /**
+   * Create a price alert for a session
+   * @param {String} sessionId - Session that receives the notification
+   * @param {Object} rule - { tokenAddress, metric, condition, threshold }
+   */
+  async createAlert(sessionId, rule) {
+    return await alertService.createAlert({ sessionId, ...rule });
+  }
+
+  async listAlerts(sessionId) {
+    return await alertService.listAlerts(sessionId);
+  }
+
+  async cancelAlert(alertId, sessionId) {
+    return await alertService.cancelAlert(alertId, sessionId);
+  }
+
+  /**
+   * Triggered alert notifications, newest first
+   * @param {Object} options - { sessionId, sinceId, limit }
+   */
+  async getAlertNotifications(options = {}) {
+    return await alertService.getNotifications(options);
+  }
+
+  /**
+   * Subscribe to alerts as they trigger
+   * @returns {Function} - Unsubscribe
+   */
+  onAlertNotification(listener) {
+    return alertService.onNotification(listener);
+  }
+
+  async watchToken(sessionId, tokenAddress) {
+    return await alertService.watchToken(sessionId, tokenAddress);
+  }
+
+  async unwatchToken(sessionId, tokenAddress) {
+    return await alertService.unwatchToken(sessionId, tokenAddress);
+  }
+
+  async getWatchlist(sessionId) {
+    return await alertService.getWatchlist(sessionId);
+  }
+
+  // Session management methods
+
+  /**
+   * List all conversation sessions
+   */
+  async listSessions() {
+    return await sessionManager.listSessions();
+  }
+
+  /**
+   * Create a new conversation session
+   * @param {Object} options - { id, name, personality }
+   */
+  async createSession(options = {}) {
+    const session = await sessionManager.createSession({
+      id: options.id,
+      name: options.name,
+      personality: options.personality || this.personalityKey
+    });
+    return this.formatSession(session);
+  }
+
+  /**
+   * Get a session with its message history (used to resume a session)
+   */
+  async getSession(sessionId) {
+    const session = await sessionManager.getSession(sessionId);
+    if (!session) return null;
+
+    const messages = await sessionManager.getSessionMessages(sessionId);
+    return { ...this.formatSession(session), messages };
+  }
+
+  /**
+   * Rename a session and/or change its personality
+   * @param {String} sessionId - Session ID
+   * @param {Object} updates - { name, personality }
+   */
+  async updateSession(sessionId, updates = {}) {
+    let session = await sessionManager.getSession(sessionId);
+    if (!session) return null;
+
+    if (updates.name) {
+      session = await sessionManager.renameSession(sessionId, updates.name);
+    }
+    if (updates.personality) {
+      session = await sessionManager.setSessionPersonality(sessionId, updates.personality);
+    }
+    return this.formatSession(session);
+  }
+
+  /**
+   * Delete a session and its history
+   */
+  async deleteSession(sessionId) {
+    return await sessionManager.deleteSession(sessionId);
+  }
+
+  /**
+   * A session's AI usage and estimated cost per UTC day, or null if the session doesn't exist
+   * @param {Number} days - Days back, today included
+   */
+  async getSessionUsage(sessionId, days = 7) {
+    const session = await sessionManager.getSession(sessionId);
+    if (!session) return null;
+    return await usageService.getDailyUsage(days, sessionId);
+  }
+
+  formatSession(session) {
+    return {
+      id: session.id,
+      name: session.name,
+      personality: session.personality,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt
+    };
+  }
+
   // Background task management methods
   
   /**
@@ -513,4 +1054,50 @@ export class ApolloAgent {
     await backgroundTaskManager.start();
     return { success: true, message: 'Restarted all background tasks' };
   }
+
+  // Usage and cost methods
+
+  /**
+   * AI usage and estimated cost per UTC day, with today's spend against the daily budget
+   * @param {Number} days - Days back, today included
+   */
+  async getDailyUsage(days = 7) {
+    return {
+      budget: await usageService.getBudgetStatus(),
+      days: await usageService.getDailyUsage(days)
+    };
+  }
+
+  /**
+   * Sessions by AI cost over the last days
+   */
+  async getUsageBySession(days = 1, limit = 20) {
+    return await usageService.getSessionUsage(days, limit);
+  }
+
+  // AI provider methods
+
+  /**
+   * AI providers in fallback order with their circuit state, latency and error stats
+   */
+  getProviderStatus() {
+    return this.provider.getStatus();
+  }
+
+  // API cache methods
+
+  /**
+   * API cache hit/miss statistics
+   */
+  getCacheStats() {
+    return apiCache.getSummary();
+  }
+
+  /**
+   * Drop all cached API responses
+   */
+  async clearCache() {
+    await apiCache.clear();
+    return { success: true, message: 'API cache cleared' };
+  }
 }
@@ -0,0 +1,88 @@
+/**
+ * Built-in token categories, seeded into the knowledge base the first time the
+ * registry loads. After that the stored categories are the source of truth and
+ * can be edited through the API.
+ *
+ * Tokens are matched by address first, then by exact symbol, then by whole
+ * words in the name or symbol, trying categories in `order`.
+ */
+export const OTHER_CATEGORY = { key: 'other', label: 'Other Tokens' };
+
+export const DEFAULT_TOKEN_CATEGORIES = [
+  {
+    key: 'stable',
+    label: 'Stablecoins',
+    order: 10,
+    addresses: [
+      'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', // USDC
+      'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', // USDT
+      '2b1kV6DkPAnxd5ixfnxCpjxmKwqjjaYmCZfHsFu24GXo' // PYUSD
+    ],
+    symbols: ['USDC', 'USDT', 'PYUSD', 'USDS', 'USDE', 'USDH', 'UXD', 'DAI', 'EURC'],
+    keywords: ['stablecoin']
+  },
+  {
+    key: 'lst',
+    label: 'Liquid Staking',
+    order: 20,
+    addresses: [
+      'mSoLzYCxHdYgdzU16g5QSh3i5K3z3KZK7ytfqcJm7So', // mSOL
+      'J1toso1uCk3RLmjorhTtrVwY9HJ7X8V9yYac6Y7kGCPn', // JitoSOL
+      'bSo13r4TkiE4KumL71LsHTPpL2euBYLFx6h9HP3piy1', // bSOL
+      'jupSoLaHXQiZZTSfEWMTRRgpnyFm8f6sZdosWBjx93v', // JupSOL
+      '5oVNBeEEQvYi1cX3ir8Dx5n1P7pdxydbGF2X4TxVusJm', // INF
+      '7dHbWXmci3dT8UFYWYZweBLXgycu7Y3iL6trKn1Y7ARj' // stSOL
+    ],
+    symbols: ['MSOL', 'JITOSOL', 'BSOL', 'JUPSOL', 'INF', 'STSOL', 'HSOL', 'VSOL'],
+    keywords: ['staked']
+  },
+  {
+    key: 'defi',
+    label: 'DeFi',
+    order: 30,
+    addresses: [
+      'JUPyiwrYJFskUPiHa7hkeR8VUtAeFoSYbKedZNsDvCN', // JUP
+      '4k3Dyjzvzp8eMZWUXbBCjEvwSkkk59S5iCNLY3QrkX6R', // RAY
+      'orcaEKTdK7LKz57vaAYr9QeNsVEPfiu6QeMU1kektZE', // ORCA
+      'jtojtomepa8beP8AuQc6eXt5FriJwfFMwQx2v2f9mCL', // JTO
+      'DriFtupJYLTosbwoN8koMbEYSx54aFAVLddWsbksjwg7', // DRIFT
+      'KMNo3nJsBXfcpJTVhZcXLW7RmTwTt4GVFE7suUBo9sS', // KMNO
+      'HZ1JovNiVvGrGNiiYvEozEVgZ58xaU3RKwX8eACQBCt3' // PYTH
+    ],
+    symbols: ['JUP', 'RAY', 'ORCA', 'JTO', 'DRIFT', 'KMNO', 'PYTH', 'MNDE'],
+    keywords: ['swap', 'dex', 'finance', 'lend', 'lending', 'yield', 'protocol']
+  },
+  {
+    key: 'ai',
+    label: 'AI Tokens',
+    order: 40,
+    addresses: [
+      'HeLp6NuQkmYB4pYWo2zYs22mESHXPQYzXbB8n4V98jwC' // ai16z
+    ],
+    symbols: ['AI16Z', 'AIXBT', 'GRIFFAIN', 'ZEREBRO'],
+    keywords: ['ai', 'agi', 'agent', 'agents', 'gpt', 'llm', 'neural']
+  },
+  {
+    key: 'gaming',
+    label: 'Gaming',
+    order: 50,
+    addresses: [
+      'ATLASXmbPQxBUYbxPsV97usA3fPQYEqzQBUHgiFCUsXx', // ATLAS
+      'poLisWXnNRwC6oBu1vHiuKQzFjGL4XDSu4g9qjz9qabk' // POLIS
+    ],
+    symbols: ['ATLAS', 'POLIS'],
+    keywords: ['game', 'games', 'gaming', 'play', 'quest', 'arena', 'metaverse']
+  },
+  {
+    key: 'meme',
+    label: 'Memecoins',
+    order: 60,
+    addresses: [
+      'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', // BONK
+      'EKpQGSJtjMFqKZ9KQanSqYXRcF8fBopzLHYxdM65zcjm', // WIF
+      '7GCihgDB8fe6KNjn2MYtkzZcRjQy3t9GHdC8uHYmW2hr' // POPCAT
+    ],
+    symbols: ['BONK', 'WIF', 'POPCAT', 'MEW', 'BOME', 'MYRO'],
+    keywords: ['dog', 'doge', 'cat', 'pepe', 'inu', 'frog', 'shib', 'meme', 'moon']
+  }
+];
@@ -1,3 +1,5 @@
+export const SOL_MINT = 'So11111111111111111111111111111111111111112';
+
 export const BLACKLISTED_TOKENS = {
     addresses: [
       'So11111111111111111111111111111111111111112', // Wrapped SOL
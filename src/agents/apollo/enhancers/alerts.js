@@ -0,0 +1,103 @@
+import { alertService, AlertError, parseAlertRequest, describeAlert } from '../services/alerts.js';
+import { formatTokenPrice } from '../utils/formatters.js';
+import { UpstreamUnavailable } from '../utils/axios.js';
+
+const SOLANA_ADDRESS_REGEX = /[1-9A-HJ-NP-Za-km-z]{32,44}/;
+
+export const formatAlertList = (alerts) => {
+  if (alerts.length === 0) {
+    return 'You have no price alerts. Try "alert me if {token address} drops 20%".';
+  }
+  return `Your price alerts:\n${alerts.map(alert => `- ${describeAlert(alert)}`).join('\n')}`;
+};
+
+export const formatWatchlist = (watchlist) => {
+  if (watchlist.length === 0) {
+    return 'Your watchlist is empty. Try "watch {token address}".';
+  }
+  return `Your watchlist:\n${watchlist.map(token => {
+    const change = token.changePct !== null ? ` (${token.changePct >= 0 ? '+' : ''}${token.changePct.toFixed(2)}% since added)` : '';
+    return `- $${token.symbol}: $${formatTokenPrice(token.lastPrice)}${change} - ${token.tokenAddress}`;
+  }).join('\n')}`;
+};
+
+export const describeCreatedAlert = (alert) =>
+  `Price alert set: ${describeAlert(alert)}. I'll check it every minute and let you know here when it triggers.`;
+
+/**
+ * Handle alert and watchlist requests:
+ * "alert me if {address} drops 20%", "my alerts", "cancel alert 3",
+ * "watch {address}", "unwatch {address}", "show my watchlist"
+ * @param {String} content - User message
+ * @param {String} sessionId - Session that owns the alerts
+ */
+export async function enhanceAlertQuery(content, sessionId) {
+  const result = {
+    response: '',
+    analysis: {
+      type: "alert",
+      confidence: 0.9
+    },
+    data: null
+  };
+
+  try {
+    const text = content.toLowerCase();
+    const address = content.match(SOLANA_ADDRESS_REGEX)?.[0];
+
+    const cancelMatch = text.match(/\b(?:cancel|delete|remove|stop)\s+alert\s*#?(\d+)/);
+    if (cancelMatch) {
+      const alert = await alertService.cancelAlert(parseInt(cancelMatch[1], 10), sessionId);
+      result.data = alert;
+      result.response = `Cancelled price alert #${alert.id}.`;
+      return result;
+    }
+
+    if (address && /\b(unwatch|stop watching|remove .*from (?:my )?watchlist)\b/.test(text)) {
+      const removed = await alertService.unwatchToken(sessionId, address);
+      result.response = removed
+        ? `Removed ${address} from your watchlist.`
+        : `${address} is not on your watchlist.`;
+      return result;
+    }
+
+    if (address && /\b(watch|add .*to (?:my )?watchlist|track)\b/.test(text) && !/\b(alert|notify|tell me)\b/.test(text)) {
+      const metadata = await alertService.watchToken(sessionId, address);
+      result.data = { tokenAddress: address, symbol: metadata.symbol };
+      result.response = `Added ${metadata.name} ($${metadata.symbol}) to your watchlist at $${formatTokenPrice(metadata.priceUsd)}.`;
+      return result;
+    }
+
+    if (/\bwatchlist\b/.test(text)) {
+      const watchlist = await alertService.getWatchlist(sessionId);
+      result.data = watchlist;
+      result.response = formatWatchlist(watchlist);
+      return result;
+    }
+
+    const rule = parseAlertRequest(content);
+    if (!rule) {
+      if (/\balerts?\b/.test(text) && !address) {
+        const alerts = await alertService.listAlerts(sessionId);
+        result.data = alerts;
+        result.response = formatAlertList(alerts);
+        return result;
+      }
+      result.response = `I can set alerts on price, % change, liquidity or volume. Try "alert me if {token address} drops 20%" or "alert me when {token address} liquidity goes below $50k".`;
+      return result;
+    }
+
+    const alert = await alertService.createAlert({ sessionId, ...rule });
+    result.data = alert;
+    result.response = describeCreatedAlert(alert);
+    return result;
+  } catch (error) {
+    if (error instanceof AlertError || error instanceof UpstreamUnavailable) {
+      result.response = error.message;
+      return result;
+    }
+    console.error('Error processing alert request:', error);
+    result.response = `Sorry, I encountered an error while updating your alerts.`;
+    return result;
+  }
+}
@@ -1,13 +1,19 @@
 import { enhanceWalletQuery } from './wallet.js';
+import { enhanceWalletCompareQuery } from './wallet-compare.js';
 import { enhanceTokenQuery } from './token.js';
-import { enhanceMarketQuery } from './market.js';
+import { enhanceMarketQuery, enhanceSmartMoneyQuery, enhanceLaunchQuery } from './market.js';
 import { enhanceSentimentQuery } from './sentiment.js';
 import { enhanceSwapQuery } from './swap.js';
+import { enhanceAlertQuery } from './alerts.js';
 
 export {
   enhanceWalletQuery,
+  enhanceWalletCompareQuery,
   enhanceTokenQuery,
   enhanceMarketQuery,
+  enhanceSmartMoneyQuery,
+  enhanceLaunchQuery,
   enhanceSentimentQuery,
-  enhanceSwapQuery
+  enhanceSwapQuery,
+  enhanceAlertQuery
 };
\ No newline at end of file
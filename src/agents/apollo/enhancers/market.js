@@ -1,8 +1,114 @@
 import { fetchDashboardData, fetchTokenMetadata } from '../services/api.js';
-import { formatNumber } from '../utils/formatters.js';
+import { formatNumber, formatSmartMoneyFeed, formatLaunches, formatCorrelations } from '../utils/formatters.js';
+import { assessTokenRisk } from '../services/risk.js';
+import { analyzeCorrelations } from '../services/correlation.js';
+import { database } from '../services/database.js';
+import { smartMoney } from '../services/smart-money.js';
+import { discovery } from '../services/discovery.js';
+import { rankRiskFactors } from '../utils/risk.js';
 import { BLACKLISTED_TOKENS } from '../constants/tokens.js';
+import { UpstreamUnavailable } from '../utils/axios.js';
+import { ENV } from '../../../config/env.js';
+
+const SMART_MONEY_PATTERN = /smart[\s-]?(money|wallets?)|whales?|insiders?|\bfunds?\b/i;
+
+const LAUNCH_PATTERN = /new (launch(es)?|pairs?|tokens?|listings?)|just launched|fresh launch(es)?/i;
+
+const UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Feed window from phrases like "last hour", "past 30 minutes" or "last 4h"; defaults to one hour
+ */
+export const parseFeedWindow = (content) => {
+  const match = content.match(/(?:last|past)\s+(\d+)?\s*(m|min|minutes?|h|hrs?|hours?|d|days?)\b/i);
+  if (!match) return UNIT_MS.h;
+  return (parseInt(match[1], 10) || 1) * UNIT_MS[match[2][0].toLowerCase()];
+};
+
+/**
+ * What labelled smart-money wallets bought and sold recently, from the feed
+ * recorded by the smartMoneyTracking background task
+ */
+export async function enhanceSmartMoneyQuery(content, windowMs = parseFeedWindow(content)) {
+  try {
+    const feed = await smartMoney.getFeed({ windowMs });
+    const hours = windowMs / (60 * 60 * 1000);
+    const window = hours >= 1 ? `${+hours.toFixed(1)}h` : `${Math.round(windowMs / 60000)}m`;
+
+    return `${content}\n\nSmart Money Activity (last ${window}, ${feed.wallets.length} tracked wallets):\n${formatSmartMoneyFeed(feed)}
+
+      Required Analysis Points:
+      - Say which tokens smart wallets are accumulating and which they are selling
+      - Name the wallets (by label) behind the biggest flows
+      - Note tokens bought by several wallets
+      - Keep response under 80 words
+      - Never use "*" or "**" characters in your response
+    `;
+  } catch (error) {
+    console.error('Error loading smart-money feed:', error);
+    return `${content}\n\nSorry, I couldn't load the smart-money feed at this time.`;
+  }
+}
+
+/**
+ * New launches recorded by the pairDiscovery background task, with how they
+ * fared against the discovery filters
+ */
+export async function enhanceLaunchQuery(content, windowMs = parseFeedWindow(content), options = {}) {
+  try {
+    const passedOnly = options.passedOnly ?? /pass/i.test(content);
+    const result = await discovery.getLaunches({ windowMs, passedOnly });
+    const { filters } = result;
+    const window = windowMs >= 60 * 60 * 1000 ? `${+(windowMs / (60 * 60 * 1000)).toFixed(1)}h` : `${Math.round(windowMs / 60000)}m`;
+
+    return `${content}\n\nNew Launches (last ${window}, ${result.passed} passed / ${result.failed} failed the filters):
+${formatLaunches(result)}
+
+      Filters: liquidity at least $${formatNumber(filters.minLiquidityUsd)}, at least ${filters.minHolders} holders, risk score at most ${filters.maxRiskScore}/100
+
+      Required Analysis Points:
+      - Give symbol (with $ prefix) and address for each launch
+      - Say which launches passed the filters and why others failed
+      - Point out the lowest-risk launches
+      - Keep response under 80 words
+      - Never use "*" or "**" characters in your response
+    `;
+  } catch (error) {
+    console.error('Error loading new launches:', error);
+    return `${content}\n\nSorry, I couldn't load the new launches at this time.`;
+  }
+}
+
+/**
+ * Correlation report over the trending tokens and the session's watched tokens
+ */
+async function correlationReport(trending, sessionId) {
+  try {
+    const watched = sessionId ? await database.getWatchlist(sessionId) : [];
+    const tokens = [
+      ...trending.map(({ address, name, symbol }) => ({ address, name, symbol })),
+      ...watched.map(row => ({ address: row.token_address, name: row.name, symbol: row.symbol, watched: true }))
+    ];
+    const result = await analyzeCorrelations(tokens);
+    return `Price Correlation (${result.interval} returns over ${ENV.CORRELATION_CANDLES} candles):\n${formatCorrelations(result, ENV.CORRELATION_MIN_COEFFICIENT)}`;
+  } catch (error) {
+    console.error('Error computing token correlations:', error);
+    return 'Price Correlation: unavailable right now';
+  }
+}
+
+/**
+ * @param {String} content - User message
+ * @param {String} sessionId - Session whose watched tokens join the correlation analysis
+ */
+export async function enhanceMarketQuery(content, sessionId = null) {
+  if (LAUNCH_PATTERN.test(content)) {
+    return enhanceLaunchQuery(content);
+  }
+  if (SMART_MONEY_PATTERN.test(content)) {
+    return enhanceSmartMoneyQuery(content);
+  }
 
-export async function enhanceMarketQuery(content) {
   try {
     const data = await fetchDashboardData();
     const tokenAnalysis = new Map();
@@ -50,13 +156,17 @@ export async function enhanceMarketQuery(content) {
           const metadata = await fetchTokenMetadata(token.address);
           if (!metadata || !metadata.pairs) return token;
 
+          // Skip the RPC checks here; they're too slow to run for every trending token
+          const risk = await assessTokenRisk(token.address, metadata, { onChain: false });
+
           return {
             ...token,
             price: metadata.priceUsd,
             marketCap: metadata.marketCap,
             volume24h: metadata.volume24h,
             priceChange24h: metadata.priceChange24h,
-            liquidity: metadata.liquidityUsd
+            liquidity: metadata.liquidityUsd,
+            risk
           };
         } catch (error) {
           console.error(`Error fetching metadata for ${token.address}:`, error);
@@ -71,6 +181,8 @@ export async function enhanceMarketQuery(content) {
       .sort((a, b) => b.totalVolume - a.totalVolume)
       .slice(0, 9);
 
+    const correlations = await correlationReport(marketData, sessionId);
+
     const marketContext = `
       Analyze these top trending tokens in the last 24h:
 
@@ -78,6 +190,7 @@ export async function enhanceMarketQuery(content) {
         const volumeToMcapRatio = ((token.volume24h || 0) / (token.marketCap || 1)) * 100;
         const liquidityToMcapRatio = ((token.liquidity || 0) / (token.marketCap || 1)) * 100;
         const ageInHours = (Date.now() - token.firstBuyTime) / (1000 * 60 * 60);
+        const riskDrivers = rankRiskFactors(token.risk, 50).slice(0, 2).map(f => f.detail);
         
         return `
           ${index + 1}. $${token.symbol}
@@ -90,9 +203,12 @@ export async function enhanceMarketQuery(content) {
           Market Cap: $${formatNumber(token.marketCap)}
           24h Volume: $${formatNumber(token.volume24h)}
           Current Price: $${token.price?.toFixed(8) || 'N/A'}
+          Risk Score: ${token.risk.score}/100 (${token.risk.level})${riskDrivers.length > 0 ? ` - ${riskDrivers.join('; ')}` : ''}
         `;
       }).join('\n\n')}
 
+      ${correlations}
+
       Required Analysis Points:
       - Give symbol(with $ prefix) and address for each token
       - State how big the recent buys were
@@ -100,7 +216,8 @@ export async function enhanceMarketQuery(content) {
       - Provide liquidity/mcap ratio analysis
       - Note token age
       - Highlight significant volume changes
-      - Look for correlations between tokens
+      - Flag tokens with a HIGH or EXTREME risk score
+      - Mention the correlated pairs from the price correlation report; don't claim correlations it doesn't show
       - Keep response under 80 words
       - Use space-themed analogies
       - Never use "*" or "**" characters in your response
@@ -109,6 +226,9 @@ export async function enhanceMarketQuery(content) {
     return `${content}\n\nMarket Data:\n${marketContext}`;
   } catch (error) {
     console.error('Error fetching market trends:', error);
+    if (error instanceof UpstreamUnavailable) {
+      return `${content}\n\nI couldn't fetch the latest market data: ${error.message}`;
+    }
     return `${content}\n\nSorry, I couldn't fetch the latest market data at this time.`;
   }
 } 
\ No newline at end of file
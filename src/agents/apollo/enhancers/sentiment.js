@@ -1,4 +1,6 @@
-import { fetchTokenMetadata } from '../services/api.js';
+import { sentimentService } from '../services/sentiment/index.js';
+import { formatSentiment } from '../utils/formatters.js';
+import { UpstreamUnavailable } from '../utils/axios.js';
 
 export async function enhanceSentimentQuery(content) {
   const solanaAddressRegex = /[1-9A-HJ-NP-Za-km-z]{32,44}/;
@@ -6,31 +8,29 @@ export async function enhanceSentimentQuery(content) {
 
   if (addressMatch) {
     try {
-      const metadata = await fetchTokenMetadata(addressMatch[0]);
-      
-      if (!metadata?.pairs?.[0]) {
-        return `${content}\n\nI couldn't find metadata for this token. Please verify the contract address.`;
+      const result = await sentimentService.analyzeToken(addressMatch[0]);
+
+      if (!result.market && result.social.count === 0) {
+        return `${content}\n\nI couldn't find market data or social posts for this token. Please verify the contract address.`;
       }
 
-      const firstPair = metadata.pairs[0];
-      const token = firstPair.baseToken;
-      const priceChange = firstPair.priceChange?.h24 || 0;
-      const volume = firstPair.volume?.h24 || 0;
-      const marketCap = firstPair.fdv || 0;
+      return `${content}\n\nSentiment Analysis:\n${formatSentiment(result)}
 
-      const sentimentContext = `
-        Market Analysis for ${token.name} ($${token.symbol}):
-        - 24h Price Change: ${priceChange.toFixed(2)}%
-        - 24h Volume: $${volume.toLocaleString()}
-        - Market Cap: $${marketCap.toLocaleString()}
+        Required Analysis Points:
+        - Say whether sentiment is bullish, bearish or neutral, and whether it is rising or falling
+        - Say whether social posts and buy/sell pressure agree
+        - Quote a notable post if there is one
+        - Keep response under 80 words
+        - Never use "*" or "**" characters in your response
       `;
-
-      return `${content}\n\nMarket Analysis:\n${sentimentContext}`;
     } catch (error) {
       console.error('Error fetching sentiment data:', error);
-      return `${content}\n\nSorry, I encountered an error while analyzing market data for this token.`;
+      if (error instanceof UpstreamUnavailable) {
+        return `${content}\n\nI couldn't analyze market data for this token: ${error.message}`;
+      }
+      return `${content}\n\nSorry, I encountered an error while analyzing sentiment for this token.`;
     }
   } else {
     return `${content}\n\nTo analyze a token's market sentiment, please provide a valid token address.`;
   }
-} 
\ No newline at end of file
+}
@@ -1,27 +1,124 @@
 import { fetchTokenMetadata } from '../services/api.js';
+import { ENV } from '../../../config/env.js';
+import { swapService, SwapError } from '../services/swap.js';
+import { paperTrading } from '../services/paper-trading.js';
+import { formatNumber, formatSol, formatRiskSummary } from '../utils/formatters.js';
+import { assessTokenRisk } from '../services/risk.js';
+import { rankRiskFactors } from '../utils/risk.js';
+import { UpstreamUnavailable } from '../utils/axios.js';
+
+/**
+ * Describe a simulated fill from the paper trade journal
+ */
+const describePaperTrade = (trade) => {
+  const summary = trade.action === 'buy'
+    ? `- Bought ${formatNumber(trade.tokenAmount)} $${trade.symbol} for ${formatSol(trade.solAmount)} SOL`
+    : `- Sold ${formatNumber(trade.tokenAmount)} $${trade.symbol} for ${formatSol(trade.solAmount)} SOL`;
+  const realized = trade.action === 'sell'
+    ? `\n- Realized PnL: ${trade.realizedPnl >= 0 ? '+' : '-'}${formatSol(Math.abs(trade.realizedPnl))} SOL`
+    : '';
+
+  return `Paper trade filled for ${trade.name} ($${trade.symbol}) - simulated, no real funds were used:
+${summary}
+- Fill price: ${formatSol(trade.fillPrice)} SOL (market ${formatSol(trade.priceSol)} SOL, ${(trade.slippageBps / 100).toFixed(2)}% simulated slippage)
+- Fee: ${formatSol(trade.feeSol)} SOL${realized}
+- Position: ${formatNumber(trade.positionAmount)} $${trade.symbol}
+- Paper SOL balance: ${formatSol(trade.solBalance)} SOL
+
+Type "/portfolio" in the CLI or open the paper portfolio in the web chat to see your positions and PnL.`;
+};
+
+/**
+ * Warning shown with buys of risky tokens, empty for LOW and MODERATE risk
+ */
+const describeRiskWarning = (risk) => {
+  if (risk.score < 55) return '';
+  const reasons = rankRiskFactors(risk, 50).slice(0, 3).map(f => `  - ${f.label}: ${f.detail}`);
+  return `\n\n${formatRiskSummary(risk)} - check the token before buying:\n${reasons.join('\n')}`;
+};
 
 export async function enhanceSwapQuery(content, analysis) {
+  const result = {
+    response: '',
+    analysis: {
+      type: "swap",
+      address: analysis.address,
+      confidence: 0.95
+    },
+    pendingSwap: null,
+    paperTrade: null,
+    risk: null
+  };
+
   try {
     if (!analysis.address || (!analysis.solAmount && !analysis.tokenAmount)) {
-      return `I notice you want to swap, but I need both a token address and amount. Please specify both, like "swap 0.1 SOL for {token address}" or "swap {token amount} {token address} for SOL".`;
+      result.response = `I notice you want to swap, but I need both a token address and amount. Please specify both, like "swap 0.1 SOL for {token address}" or "swap {token amount} {token address} for SOL".`;
+      return result;
     }
 
     const metadata = await fetchTokenMetadata(analysis.address);
     if (!metadata?.pairs?.[0]) {
-      return `I couldn't find that token. Please verify the address.`;
+      result.response = `I couldn't find that token. Please verify the address.`;
+      return result;
     }
 
     const token = metadata.pairs[0].baseToken;
-
+    // Only buys carry the token's risk; selling reduces exposure
     if (analysis.action === 'buy') {
-      return `I've initiated a swap of ${analysis.solAmount} SOL for ${token.name} ($${token.symbol}). Check your wallet to confirm the transaction! 🚀`;
-    } else if (analysis.action === 'sell') {
-      return `I've initiated a swap of ${analysis.tokenAmount} ${token.name} ($${token.symbol}) for SOL. Check your wallet to confirm the transaction! 🚀`;
-    } else {
-      return `Please specify whether you want to buy or sell.`;
+      result.risk = await assessTokenRisk(analysis.address, metadata);
     }
+    const riskWarning = result.risk ? describeRiskWarning(result.risk) : '';
+
+    if (ENV.SWAP_MODE === 'paper') {
+      const trade = await paperTrading.executeSwap({
+        action: analysis.action,
+        tokenAddress: analysis.address,
+        solAmount: analysis.solAmount,
+        tokenAmount: analysis.tokenAmount,
+        metadata
+      });
+
+      result.paperTrade = trade;
+      result.response = describePaperTrade(trade) + riskWarning;
+      return result;
+    }
+
+    const swap = await swapService.prepareSwap({
+      action: analysis.action,
+      tokenAddress: analysis.address,
+      solAmount: analysis.solAmount,
+      tokenAmount: analysis.tokenAmount,
+      slippageBps: analysis.slippageBps
+    });
+
+    const [paySymbol, receiveSymbol] = swap.action === 'buy'
+      ? ['SOL', `$${token.symbol}`]
+      : [`$${token.symbol}`, 'SOL'];
+    const ttlSeconds = Math.round((swap.expiresAt - Date.now()) / 1000);
+
+    result.pendingSwap = swap;
+    result.response = `Swap quote for ${token.name} ($${token.symbol}):
+- You pay: ${formatNumber(swap.inAmount)} ${paySymbol}
+- You receive (est.): ${formatNumber(swap.outAmount)} ${receiveSymbol}
+- Minimum received: ${formatNumber(swap.minOutAmount)} ${receiveSymbol} (${(swap.slippageBps / 100).toFixed(2)}% max slippage)
+- Price impact: ${swap.priceImpactPct.toFixed(2)}%
+- Route: ${swap.route.join(' → ') || swap.aggregator}${riskWarning}
+
+Nothing has been executed yet. To approve swap ${swap.id}, press Confirm in the web chat or type "/confirm ${swap.id}" in the CLI within ${ttlSeconds} seconds ("/cancel ${swap.id}" to discard).`;
+    return result;
   } catch (error) {
+    if (error instanceof SwapError) {
+      result.response = error.message;
+      return result;
+    }
+    if (error instanceof UpstreamUnavailable) {
+      result.response = `I couldn't ${ENV.SWAP_MODE === 'paper' ? 'fill the paper trade' : 'prepare the swap'}: ${error.message}`;
+      return result;
+    }
     console.error('Error processing swap:', error);
-    return `Sorry, I encountered an error while processing the swap request.`;
+    result.response = ENV.SWAP_MODE === 'paper'
+      ? `Sorry, I encountered an error while filling the paper trade.`
+      : `Sorry, I encountered an error while preparing the swap quote.`;
+    return result;
   }
-} 
\ No newline at end of file
+}
@@ -1,18 +1,20 @@
 import { fetchTokenMetadata } from '../services/api.js';
-import { formatNumber } from '../utils/formatters.js';
-import { captureTokenChart } from '../services/chart.js';
+import { formatNumber, formatTechnicalIndicators, formatRiskAssessment, formatContractSafety } from '../utils/formatters.js';
+import { analyzeCandles } from '../utils/indicators.js';
+import { renderTokenChart } from '../services/chart.js';
 import { ENV } from '../../../config/env.js';
 import OpenAI from 'openai';
-import { 
-  getRiskDescription, 
-  getLiquidityEmoji, 
-  getLiquidityDescription,
-  getVolumeEmoji,
-  getVolumeDescription 
-} from '../utils/risk.js';
+import { assessTokenRisk } from '../services/risk.js';
+import { fetchTokenSafety } from '../services/token-safety.js';
 import { createProvider } from '../services/providers.js';
+import { UpstreamUnavailable } from '../utils/axios.js';
 
-export async function enhanceTokenQuery(content) {
+const INTERVAL_REGEX = /\b(1m|5m|15m|1h|4h|1d)\b/i;
+
+export async function enhanceTokenQuery(content, options = {}) {
+  const { onSection, sessionId, signal } = options;
+  // Chart interval from the options, or mentioned in the question ("show the 1h chart")
+  const interval = options.interval || content.match(INTERVAL_REGEX)?.[1].toLowerCase();
   const solanaAddressRegex = /[1-9A-HJ-NP-Za-km-z]{32,44}/;
   const addressMatch = content.match(solanaAddressRegex);
 
@@ -35,58 +37,41 @@ export async function enhanceTokenQuery(content) {
       const ageInHours = (Date.now() - metadata.pairCreatedAt) / (1000 * 60 * 60);
       const ageInDays = Math.floor(ageInHours / 24);
 
-      let riskLevel = '';
-      if (metadata.marketCap < 100000) {
-        riskLevel = "EXTREME RISK";
-      } else if (metadata.marketCap < 1000000) {
-        riskLevel = "HIGH RISK";
-      } else {
-        riskLevel = "MODERATE RISK";
-      }
-
-      // Capture chart screenshot
-      const chartImage = await captureTokenChart(addressMatch[0]);
+      // Render the chart from OHLCV candles while the on-chain checks run
+      const [chart, safety] = await Promise.all([
+        renderTokenChart(addressMatch[0], { interval, symbol: metadata.symbol }),
+        ENV.RISK_ONCHAIN_CHECKS ? fetchTokenSafety(addressMatch[0], { pairAddress: metadata.pairAddress }) : null
+      ]);
+      const risk = await assessTokenRisk(addressMatch[0], metadata, { safety });
+      const chartHtml = chart ? `<img src="data:image/svg+xml;base64,${Buffer.from(chart.svg).toString('base64')}">` : '';
+      // Indicators are computed from the candles, so they work with every provider
+      const indicators = chart ? analyzeCandles(chart.candles) : null;
+      const indicatorSummary = indicators ? formatTechnicalIndicators(indicators, chart.interval) : '';
       let technicalAnalysis = '';
 
-      if (chartImage) {
+      // Let streaming consumers render the chart before technical analysis completes
+      if (chart && onSection) {
+        onSection({
+          section: 'chart',
+          content: chartHtml,
+          data: { address: addressMatch[0], symbol: metadata.symbol, interval: chart.interval }
+        });
+      }
+
+      if (chart) {
         try {
-          // Use whatever provider is configured
+          // The vision model also reads the chart image, with the computed indicators as context
           const provider = createProvider();
-          
-          if (provider.type === 'openai' || provider.type === 'grok') {
-            // For providers that support image analysis via OpenAI-compatible API
-            const completion = await provider.client.chat.completions.create({
-              model: provider.type === 'openai' ? "gpt-4o-mini" : "grok-2-latest",
-              messages: [
-                {
-                  role: "user",
-                  content: [
-                    {
-                      type: "text", 
-                      text: "Analyze this cryptocurrency price chart and provide a brief technical analysis."
-                    },
-                    {
-                      type: "image_url",
-                      image_url: {
-                        url: `data:image/jpeg;base64,${chartImage}`
-                      }
-                    }
-                  ]
-                }
-              ],
-              max_tokens: 300
-            });
-            technicalAnalysis = completion.choices[0].message.content;
-          } else {
-            // For providers that don't support image analysis
-            technicalAnalysis = "Technical analysis unavailable with the current AI provider.";
-          }
+          technicalAnalysis = await provider.analyzeImage(
+            `Analyze this ${chart.interval} candlestick chart (USD price, volume bars, ${ENV.CHART_MA_PERIODS.map(p => `MA${p}`).join('/')}) and provide a brief technical analysis. Computed indicators:\n${indicatorSummary}`,
+            chart.png,
+            { purpose: 'chart_analysis', trace: { sessionId }, signal }
+          ) || '';
         } catch (error) {
-          console.error('Error generating technical analysis:', error);
-          technicalAnalysis = "Technical analysis generation failed.";
+          console.error('Error generating chart analysis:', error);
         }
       } else {
-        console.log('No chart image captured');
+        console.log('No candles available for chart');
       }
 
       const message = `Token Analysis:
@@ -98,16 +83,16 @@ ${metadata.priceUsd ? `- Current Price: $${formatNumber(metadata.priceUsd)}` : '
 - Age: ${ageInDays} days
 - Volume Change: ${metadata.priceChange24h.toFixed(2)}%
 
-${chartImage ? `<img src="data:image/jpeg;base64,${chartImage}">` : ''}
+${chartHtml}
 
-Technical Analysis:
-${technicalAnalysis || "Technical analysis unavailable"}
+Technical Analysis${chart ? ` (${chart.interval})` : ''}:
+${indicatorSummary || "Technical analysis unavailable - no candle data for this token"}
+${technicalAnalysis ? `\nChart read:\n${technicalAnalysis}\n` : ''}
+Contract Safety:
+${safety ? formatContractSafety(safety) : ENV.RISK_ONCHAIN_CHECKS ? "- On-chain checks unavailable - couldn't read the mint from the Solana RPC node" : '- On-chain checks are disabled (RISK_ONCHAIN_CHECKS=false)'}
 
 Risk Assessment:
-- 📊 ${riskLevel}: ${getRiskDescription(metadata.marketCap)}
-- Liquidity/MC Ratio: ${liquidityRatio.toFixed(1)}% (${getLiquidityEmoji(liquidityRatio)} ${getLiquidityDescription(liquidityRatio)})
-- Volume/MC Ratio: ${volumeToMcapRatio.toFixed(1)}% (${getVolumeEmoji(volumeToMcapRatio)} ${getVolumeDescription(volumeToMcapRatio)})
-- Age Factor: Token has been trading for ${ageInDays} days`;
+${formatRiskAssessment(risk)}`;
 
       return {
         response: message,
@@ -125,7 +110,11 @@ Risk Assessment:
           volume24h: metadata.volume24h,
           liquidity: metadata.liquidityUsd,
           priceChange24h: metadata.priceChange24h,
-          riskLevel: riskLevel,
+          riskLevel: `${risk.level} RISK`,
+          riskScore: risk.score,
+          risk,
+          safety,
+          indicators,
           technicalAnalysis: technicalAnalysis || null
         },
       };
@@ -133,6 +122,16 @@ Risk Assessment:
   } catch (error) {
     console.error('Error in token analysis:', error);
     console.error('Error fetching token metadata:', error);
+    if (error instanceof UpstreamUnavailable) {
+      return {
+        response: `I couldn't analyze this token: ${error.message}`,
+        analysis: {
+          type: "specific_token",
+          address: addressMatch[0],
+          confidence: 0.95
+        }
+      };
+    }
   }
 
   return {
@@ -0,0 +1,63 @@
+import { solanaRpc } from '../services/solana-rpc.js';
+import { compareWallets, MAX_COMPARED_WALLETS } from '../services/wallet-compare.js';
+import { formatWalletComparison } from '../utils/formatters.js';
+import { UpstreamUnavailable } from '../utils/axios.js';
+
+/**
+ * Split addresses into wallets and at most one token mint. An address whose
+ * account can't be read is treated as a wallet
+ */
+async function classifyAddresses(addresses) {
+  const mints = await Promise.all(addresses.map(address =>
+    solanaRpc.getMintInfo(address).catch(() => null)
+  ));
+  const tokenAddress = addresses.find((_, i) => mints[i]) || null;
+  return {
+    tokenAddress,
+    wallets: addresses.filter(address => address !== tokenAddress)
+  };
+}
+
+export async function enhanceWalletCompareQuery(content) {
+  const addresses = [...new Set(content.match(/[1-9A-HJ-NP-Za-km-z]{32,44}/g) || [])];
+  const { tokenAddress, wallets } = await classifyAddresses(addresses);
+  const analysis = { type: "wallet_compare", addresses: wallets, tokenAddress, confidence: 0.9 };
+
+  if (wallets.length < 2) {
+    return {
+      response: `${content}\n\nTo compare wallets or see who bought a token first, I need at least two Solana wallet addresses (and optionally the token's address).`,
+      analysis
+    };
+  }
+
+  try {
+    const comparison = await compareWallets(wallets.slice(0, MAX_COMPARED_WALLETS), { tokenAddress });
+
+    const truncated = wallets.length > MAX_COMPARED_WALLETS
+      ? `\n      Only the first ${MAX_COMPARED_WALLETS} wallets were compared.\n`
+      : '';
+
+    const response = `
+      Wallet Comparison (${comparison.wallets.length} wallets):
+      ${truncated}
+      ${formatWalletComparison(comparison)}
+
+      Entries are each wallet's first buy of a token, from its stored swap history.
+      A wallet that keeps entering the same tokens shortly after another is flagged as a probable copy-trader.
+    `;
+
+    return {
+      response,
+      analysis,
+      comparison
+    };
+  } catch (error) {
+    console.error('Error comparing wallets:', error);
+    return {
+      response: error instanceof UpstreamUnavailable
+        ? `${content}\n\nI couldn't compare these wallets: ${error.message}`
+        : `${content}\n\nI encountered an error comparing these wallets. Please verify the addresses and try again.`,
+      analysis
+    };
+  }
+}
@@ -1,5 +1,8 @@
 import { fetchTokenMetadata, fetchPortfolioValue } from '../services/api.js';
-import { formatNumber } from '../utils/formatters.js';
+import { formatNumber, formatTradeHistory } from '../utils/formatters.js';
+import { walletHistory } from '../services/wallet-history.js';
+import { tokenCategories } from '../services/token-categories.js';
+import { UpstreamUnavailable } from '../utils/axios.js';
 
 export async function enhanceWalletQuery(content) {
   const solanaWalletRegex = /[1-9A-HJ-NP-Za-km-z]{32,44}/;
@@ -20,8 +23,14 @@ export async function enhanceWalletQuery(content) {
     const solData = await fetchTokenMetadata('So11111111111111111111111111111111111111112');
     const solPriceUsd = solData?.priceUsd || 0;
     
-    // Fetch portfolio data
-    const portfolioData = await fetchPortfolioValue(walletMatch[0]);
+    // Fetch portfolio data, and reconstruct trades from the swap history alongside it
+    const [portfolioData, history] = await Promise.all([
+      fetchPortfolioValue(walletMatch[0]),
+      walletHistory.analyze(walletMatch[0]).catch(error => {
+        console.error('Error reconstructing wallet trade history:', error);
+        return { error };
+      })
+    ]);
     
     if (!portfolioData) {
       return {
@@ -44,25 +53,10 @@ export async function enhanceWalletQuery(content) {
     const pnl7Day = portfolioData.pnl7Day || 0;
     const realizedProfit7d = portfolioData.realizedProfit7d || 0;
 
-    // Get holdings breakdown
-    const holdings = {
-      SOL: solBalanceUsd,
-      AI: portfolioData.top10Tokens?.reduce((sum, token) => {
-        const isAI = token.name?.toLowerCase().includes('ai') || 
-                    token.symbol?.toLowerCase().includes('ai');
-        return sum + (isAI ? token.value : 0);
-      }, 0) || 0,
-      STABLES: portfolioData.top10Tokens?.reduce((sum, token) => {
-        const isStable = ['usdc', 'usdt'].includes(token.symbol?.toLowerCase());
-        return sum + (isStable ? token.value : 0);
-      }, 0) || 0,
-      MEME: portfolioData.top10Tokens?.reduce((sum, token) => {
-        const isAI = token.name?.toLowerCase().includes('ai') || 
-                    token.symbol?.toLowerCase().includes('ai');
-        const isStable = ['usdc', 'usdt'].includes(token.symbol?.toLowerCase());
-        return sum + (!isAI && !isStable ? token.value : 0);
-      }, 0) || 0
-    };
+    // Get holdings breakdown by category (see the token category registry)
+    const categoryBreakdown = await tokenCategories.breakdown(portfolioData.top10Tokens || []);
+    const holdings = [{ key: 'sol', label: 'SOL', value: solBalanceUsd }, ...categoryBreakdown];
+    const share = (value) => portfolioData.totalValue > 0 ? ((value / portfolioData.totalValue) * 100).toFixed(1) : '0.0';
 
     const walletContext = `
       Wallet Analysis for ${walletMatch[0]}:
@@ -74,15 +68,17 @@ export async function enhanceWalletQuery(content) {
       - 7-Day Realized Profit: $${formatNumber(realizedProfit7d)}
 
       Holdings Breakdown:
-      - SOL: $${formatNumber(holdings.SOL)} (${((holdings.SOL / portfolioData.totalValue) * 100).toFixed(1)}%)
-      - AI Tokens: $${formatNumber(holdings.AI)} (${((holdings.AI / portfolioData.totalValue) * 100).toFixed(1)}%)
-      - Stablecoins: $${formatNumber(holdings.STABLES)} (${((holdings.STABLES / portfolioData.totalValue) * 100).toFixed(1)}%)
-      - Other Tokens: $${formatNumber(holdings.MEME)} (${((holdings.MEME / portfolioData.totalValue) * 100).toFixed(1)}%)
+      ${holdings.map(h => `- ${h.label}: $${formatNumber(h.value)} (${share(h.value)}%)`).join('\n')}
 
       Top Holdings:
       ${portfolioData.top10Tokens?.map(token => 
         `- ${token.name} ($${token.symbol}): $${formatNumber(token.value)}`
       ).join('\n')}
+
+      Trade History${history.error ? '' : ` (reconstructed from ${history.swapCount} swaps)`}:
+      ${history.error
+        ? `- Unavailable: ${history.error instanceof UpstreamUnavailable ? history.error.message : 'the swap history could not be fetched'}`
+        : formatTradeHistory(history)}
     `;
 
     return {
@@ -99,14 +95,19 @@ export async function enhanceWalletQuery(content) {
         winrate: portfolioData.winrate,
         pnl7Day: portfolioData.pnl7Day,
         realizedProfit7d: portfolioData.realizedProfit7d,
-        top10Tokens: portfolioData.top10Tokens
+        top10Tokens: portfolioData.top10Tokens,
+        holdingsBreakdown: holdings,
+        // Per-token entries and exits are available from GET /wallets/:address/history
+        history: history.error ? null : { ...history, tokens: undefined }
       }
     };
 
   } catch (error) {
     console.error('Error fetching wallet data:', error);
     return {
-      response: `${content}\n\nI encountered an error analyzing this wallet. Please verify the address and try again.`,
+      response: error instanceof UpstreamUnavailable
+        ? `${content}\n\nI couldn't analyze this wallet: ${error.message}`
+        : `${content}\n\nI encountered an error analyzing this wallet. Please verify the address and try again.`,
       analysis: {
         type: "wallet",
         address: walletMatch[0],
@@ -0,0 +1,340 @@
+import { ENV } from '../../../config/env.js';
+import { database } from './database.js';
+import { sessionManager } from './sessions.js';
+import { fetchTokenMetadata } from './api.js';
+import { httpPost, UpstreamUnavailable } from '../utils/axios.js';
+import { formatNumber, formatTokenPrice } from '../utils/formatters.js';
+
+const SOLANA_ADDRESS_REGEX = /[1-9A-HJ-NP-Za-km-z]{32,44}/;
+
+export const ALERT_METRICS = {
+  price: 'price',
+  price_change: 'price change',
+  liquidity: 'liquidity',
+  volume: '24h volume'
+};
+
+/**
+ * An alert request that was rejected.
+ * The message is safe to show to the user.
+ */
+export class AlertError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'AlertError';
+    this.code = code;
+  }
+}
+
+const parseAmount = (number, suffix) => {
+  const multipliers = { k: 1e3, m: 1e6, b: 1e9 };
+  return parseFloat(number.replace(/,/g, '')) * (multipliers[suffix?.toLowerCase()] || 1);
+};
+
+/**
+ * Parse a natural language alert request into an alert rule
+ * e.g. "alert me if <address> drops 20%", "tell me when <address> goes above $0.05",
+ * "alert if liquidity of <address> falls below 50k"
+ * @param {String} content - User message
+ * @returns {Object|null} - { tokenAddress, metric, condition, threshold } or null
+ */
+export const parseAlertRequest = (content) => {
+  const addressMatch = content.match(SOLANA_ADDRESS_REGEX);
+  if (!addressMatch) return null;
+
+  // Work on the text without the address so its digits aren't read as numbers
+  const text = content.replace(addressMatch[0], ' ').toLowerCase();
+
+  const percentMatch = text.match(/\b(drops?|dips?|falls?|dumps?|declines?|decreases?|down|rises?|pumps?|gains?|increases?|jumps?|up)\s+(?:by\s+)?(\d+(?:\.\d+)?)\s*%/);
+  if (percentMatch) {
+    const falling = /^(drop|dip|fall|dump|decline|decrease|down)/.test(percentMatch[1]);
+    const percent = parseFloat(percentMatch[2]);
+    return {
+      tokenAddress: addressMatch[0],
+      metric: 'price_change',
+      condition: falling ? 'below' : 'above',
+      threshold: falling ? -percent : percent
+    };
+  }
+
+  const thresholdMatch = text.match(/\b(above|over|exceeds?|higher than|more than|reaches|hits|below|under|lower than|less than|beneath)\s+\$?\s*(\d[\d,]*(?:\.\d+)?)\s*([kmb])?\b/);
+  if (!thresholdMatch) return null;
+
+  const metric = /liquidity/.test(text) ? 'liquidity' : /volume/.test(text) ? 'volume' : 'price';
+  return {
+    tokenAddress: addressMatch[0],
+    metric,
+    condition: /^(below|under|lower than|less than|beneath)$/.test(thresholdMatch[1]) ? 'below' : 'above',
+    threshold: parseAmount(thresholdMatch[2], thresholdMatch[3])
+  };
+};
+
+/**
+ * Current values of every alert metric for a token
+ */
+const takeSnapshot = (metadata) => ({
+  price: metadata.priceUsd,
+  liquidity: metadata.liquidityUsd,
+  volume: metadata.volume24h
+});
+
+const formatMetricValue = (metric, value) => {
+  if (metric === 'price_change') return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+  if (metric === 'price') return `$${formatTokenPrice(value)}`;
+  return `$${formatNumber(value)}`;
+};
+
+/**
+ * One-line description of an alert rule
+ */
+export const describeAlert = (alert) => {
+  const token = alert.symbol ? `$${alert.symbol}` : alert.token_address;
+  const rule = alert.metric === 'price_change'
+    ? `${token} ${alert.threshold < 0 ? 'drops' : 'rises'} ${Math.abs(alert.threshold)}% from $${formatTokenPrice(alert.baseline)}`
+    : `${token} ${ALERT_METRICS[alert.metric]} goes ${alert.condition} ${formatMetricValue(alert.metric, alert.threshold)}`;
+  return `#${alert.id}: ${rule} (${alert.status})`;
+};
+
+/**
+ * Alert Service
+ *
+ * Stores alert rules and watchlists, and checks them from the
+ * tokenPriceMonitoring background task. Triggered alerts are one-shot and
+ * are delivered to the owning chat session, to live listeners (CLI, web
+ * polling via the notifications table) and to ALERT_WEBHOOK_URL if set.
+ */
+class AlertService {
+  constructor() {
+    this.listeners = new Set();
+  }
+
+  /**
+   * Create an alert rule
+   * @param {Object} params - { sessionId, tokenAddress, metric, condition, threshold }
+   *   For price_change the threshold is a percentage from the current price (negative for drops).
+   */
+  async createAlert({ sessionId, tokenAddress, metric, condition, threshold }) {
+    if (!tokenAddress || !SOLANA_ADDRESS_REGEX.test(tokenAddress)) {
+      throw new AlertError('Please provide the token address to set an alert on.', 'invalid_address');
+    }
+    if (!ALERT_METRICS[metric]) {
+      throw new AlertError(`Alerts can watch ${Object.values(ALERT_METRICS).join(', ')}.`, 'invalid_metric');
+    }
+    if (!['above', 'below'].includes(condition)) {
+      throw new AlertError('Please say whether the alert should fire above or below the threshold.', 'invalid_condition');
+    }
+
+    threshold = parseFloat(threshold);
+    if (isNaN(threshold) || (metric !== 'price_change' && threshold <= 0) || threshold === 0) {
+      throw new AlertError('Please give a non-zero threshold for the alert.', 'invalid_threshold');
+    }
+    if (metric === 'price_change') {
+      // "drops 20%" and "below -20%" mean the same thing
+      threshold = condition === 'below' ? -Math.abs(threshold) : Math.abs(threshold);
+    }
+
+    const metadata = await fetchTokenMetadata(tokenAddress);
+    if (!metadata?.pairs?.[0]) {
+      throw new AlertError(`I couldn't find token ${tokenAddress}. Please verify the address.`, 'not_found');
+    }
+
+    const snapshot = takeSnapshot(metadata);
+    if (metric === 'price_change' && !(snapshot.price > 0)) {
+      throw new AlertError(`$${metadata.symbol} has no current price to measure a change from. Try a price alert instead.`, 'no_price');
+    }
+    if (metric !== 'price_change' && this.isCrossed({ metric, condition, threshold }, snapshot[metric])) {
+      throw new AlertError(
+        `$${metadata.symbol} ${ALERT_METRICS[metric]} is already ${condition} ${formatMetricValue(metric, threshold)} (currently ${formatMetricValue(metric, snapshot[metric])}).`,
+        'already_crossed'
+      );
+    }
+
+    return await database.createPriceAlert({
+      sessionId,
+      tokenAddress,
+      symbol: metadata.symbol,
+      metric,
+      condition,
+      threshold,
+      baseline: snapshot.price
+    });
+  }
+
+  async listAlerts(sessionId) {
+    return await database.listPriceAlerts(sessionId);
+  }
+
+  /**
+   * Cancel an active alert
+   * @param {Number} id - Alert id
+   * @param {String} sessionId - Session that owns the alert; other sessions' alerts are not found
+   */
+  async cancelAlert(id, sessionId) {
+    const alert = await database.getPriceAlert(id);
+    if (!alert || alert.session_id !== sessionId) {
+      throw new AlertError(`No alert #${id} found.`, 'not_found');
+    }
+    if (alert.status !== 'active') {
+      throw new AlertError(`Alert #${id} is already ${alert.status}.`, 'invalid_status');
+    }
+
+    await database.setPriceAlertStatus(id, 'cancelled');
+    return { ...alert, status: 'cancelled' };
+  }
+
+  async watchToken(sessionId, tokenAddress) {
+    const metadata = await fetchTokenMetadata(tokenAddress);
+    if (!metadata?.pairs?.[0]) {
+      throw new AlertError(`I couldn't find token ${tokenAddress}. Please verify the address.`, 'not_found');
+    }
+
+    await database.addToWatchlist(sessionId, {
+      address: tokenAddress,
+      symbol: metadata.symbol,
+      name: metadata.name,
+      price: metadata.priceUsd
+    });
+    return metadata;
+  }
+
+  async unwatchToken(sessionId, tokenAddress) {
+    return await database.removeFromWatchlist(sessionId, tokenAddress);
+  }
+
+  /**
+   * Watched tokens with their change since they were added (as of the last check)
+   */
+  async getWatchlist(sessionId) {
+    const rows = await database.getWatchlist(sessionId);
+    return rows.map(row => ({
+      tokenAddress: row.token_address,
+      symbol: row.symbol,
+      name: row.name,
+      addedPrice: row.added_price,
+      lastPrice: row.last_price,
+      lastChecked: row.last_checked,
+      changePct: row.added_price ? ((row.last_price - row.added_price) / row.added_price) * 100 : null
+    }));
+  }
+
+  async getNotifications(options = {}) {
+    return await database.getAlertNotifications(options);
+  }
+
+  /**
+   * Subscribe to triggered alerts as they happen
+   * @param {Function} listener - Called with the stored notification
+   * @returns {Function} - Unsubscribe
+   */
+  onNotification(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  isCrossed(alert, value) {
+    if (value === null || value === undefined || isNaN(value)) return false;
+    return alert.condition === 'above' ? value >= alert.threshold : value <= alert.threshold;
+  }
+
+  /**
+   * Poll prices for every watched token and every token with an active alert,
+   * and fire the alerts whose thresholds were crossed.
+   * Run by the tokenPriceMonitoring background task.
+   */
+  async checkAlerts() {
+    const alerts = await database.getActivePriceAlerts();
+    const watched = await database.getWatchedTokenAddresses();
+    const addresses = [...new Set([...alerts.map(alert => alert.token_address), ...watched])];
+
+    let triggered = 0;
+    for (const address of addresses) {
+      // One token failing is logged and retried on the next run, without holding up the rest
+      try {
+        triggered += await this.checkToken(address, alerts.filter(alert => alert.token_address === address), watched.includes(address));
+      } catch (error) {
+        if (error instanceof UpstreamUnavailable) {
+          console.error(`Skipping price check for ${address}: ${error.message}`);
+        } else {
+          console.error(`Error checking alerts for ${address}:`, error);
+        }
+      }
+    }
+
+    return { checked: addresses.length, triggered };
+  }
+
+  /**
+   * Check one token's alerts against its current price
+   * @returns {Number} - Alerts triggered
+   */
+  async checkToken(address, alerts, isWatched) {
+    const metadata = await fetchTokenMetadata(address);
+    if (!metadata?.pairs?.[0]) return 0;
+
+    const snapshot = takeSnapshot(metadata);
+    if (isWatched) {
+      await database.updateWatchlistPrice(address, snapshot.price);
+    }
+
+    let triggered = 0;
+    for (const alert of alerts) {
+      if (alert.metric === 'price_change' && !(alert.baseline > 0)) {
+        // No price to measure the change from (stored before baselines were required)
+        continue;
+      }
+
+      const value = alert.metric === 'price_change'
+        ? ((snapshot.price - alert.baseline) / alert.baseline) * 100
+        : snapshot[alert.metric];
+
+      if (this.isCrossed(alert, value)) {
+        await this.triggerAlert(alert, value, snapshot);
+        triggered++;
+      }
+    }
+    return triggered;
+  }
+
+  async triggerAlert(alert, value, snapshot) {
+    await database.setPriceAlertStatus(alert.id, 'triggered', value);
+
+    const token = alert.symbol ? `$${alert.symbol}` : alert.token_address;
+    const message = alert.metric === 'price_change'
+      ? `🔔 Price alert #${alert.id}: ${token} is ${formatMetricValue('price_change', value)} since you set the alert (from $${formatTokenPrice(alert.baseline)} to $${formatTokenPrice(snapshot.price)}).`
+      : `🔔 Price alert #${alert.id}: ${token} ${ALERT_METRICS[alert.metric]} is now ${formatMetricValue(alert.metric, value)}, ${alert.condition} your ${formatMetricValue(alert.metric, alert.threshold)} threshold.`;
+
+    const notification = await database.storeAlertNotification(alert.id, alert.session_id, message);
+
+    // Show the alert in the conversation it was created from
+    if (await database.getSession(alert.session_id)) {
+      await sessionManager.addMessage(alert.session_id, 'assistant', message);
+    }
+
+    for (const listener of this.listeners) {
+      try {
+        listener(notification);
+      } catch (error) {
+        console.error('Error in alert listener:', error);
+      }
+    }
+
+    if (ENV.ALERT_WEBHOOK_URL) {
+      try {
+        await httpPost(ENV.ALERT_WEBHOOK_URL, {
+          type: 'price_alert',
+          message,
+          alert: { ...alert, status: 'triggered' },
+          value,
+          tokenAddress: alert.token_address,
+          triggeredAt: notification.created_at
+        }, {}, { source: 'The alert webhook', retries: 2 });
+      } catch (error) {
+        console.error(`Error delivering alert #${alert.id} to webhook:`, error.message);
+      }
+    }
+
+    return notification;
+  }
+}
+
+export const alertService = new AlertService();
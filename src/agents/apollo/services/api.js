@@ -1,49 +1,30 @@
-import axios from 'axios';
-import https from 'https';
-import { axiosInstance, fetchWithRetry } from '../utils/axios.js';
+import { ENV } from '../../../config/env.js';
+import { fetchWithRetry, httpGet, UpstreamUnavailable } from '../utils/axios.js';
 import { transformedTokenImageUrl } from '../utils/formatters.js';
+import { SOL_MINT } from '../constants/tokens.js';
+import { marketData } from './market-data/index.js';
+import { apiCache } from './cache.js';
 
-// Fetch the current Solana price from DexScreener API
+// Dex paid status rarely changes once set
+const DEX_PAID_TTL_MS = 10 * 60 * 1000;
+
+// Fetch the current Solana price (wrapped SOL mint) from the configured market data sources
 async function fetchSolanaPrice() {
-  const url = `https://api.dexscreener.com/latest/dex/tokens/0x570A5D26f7765Ecb712C0924E4De545B89fD43dF`;
   try {
-    const response = await axios.get(url);
-    const priceData = response.data.pairs[0];
-    if (priceData && priceData.priceUsd) {
-      return parseFloat(priceData.priceUsd);
-    } else {
-      throw new Error('Failed to fetch Solana price');
-    }
+    return await apiCache.wrap('solPrice', SOL_MINT, ENV.API_CACHE_PRICE_TTL_MS, () => marketData.getTokenPrice(SOL_MINT));
   } catch (error) {
     console.error('Error fetching Solana price:', error);
     throw error;
   }
 }
 
-// Fetch token balances and metadata from the reliable endpoint
+// Fetch token balances and metadata for a wallet
 async function fetchTokenBalancesAndMetadata(account) {
   try {
-    const url = `https://gmgn.ai/api/v1/wallet_holdings/sol/${account}`;
-    const response = await axios.get(url);
-
-    if (response.data && response.data.code === 0) {
-      const holdings = response.data.data.holdings || [];
-      const processedHoldings = holdings
-        .filter(item => item && item.token && item.token.token_address)
-        .map(item => ({
-          address: item.token.token_address.toLowerCase(),
-          balance: parseFloat(item.balance) / (10 ** (item.token.decimals || 0)),
-          value: parseFloat(item.usd_value || 0),
-          name: item.token.name || 'Unknown',
-          symbol: item.token.symbol || 'Unknown',
-        }));
-
-      return processedHoldings.sort((a, b) => b.value - a.value);
-    } else {
-      throw new Error('Failed to fetch token balances and metadata');
-    }
+    return await apiCache.wrap('walletHoldings', account, ENV.API_CACHE_WALLET_TTL_MS, () => marketData.getWalletHoldings(account));
   } catch (error) {
     console.error('Error fetching token balances and metadata:', error);
+    if (error instanceof UpstreamUnavailable) throw error;
     return [];
   }
 }
@@ -51,46 +32,10 @@ async function fetchTokenBalancesAndMetadata(account) {
 // Fetch 7-day realized and unrealized PnL, winrate, Solana balance, and other details for a trader
 async function fetchTraderDetails(account) {
   try {
-    const url = `https://gmgn.ai/defi/quotation/v1/smartmoney/sol/walletNew/${account}`;
-    const response = await axios.get(url);
-    if (response.data && response.data.code === 0) {
-      const { 
-        pnl_7d: pnl7Day, 
-        pnl_30d: pnl30Day,
-        unrealized_pnl: unrealizedPnL7Day, 
-        realized_profit_7d: realizedProfit7d,
-        unrealized_pnl_30d: unrealizedPnL30Day,
-        winrate, 
-        sol_balance: solBalance,
-        buy_7d: buy7d,
-        buy_30d: buy30Day,
-        sell_7d: sell7d,
-        sell_30d: sell30Day,
-        token_sold_avg_profit: token_sold_avg_profit,
-        token_avg_cost: token_avg_cost,
-      } = response.data.data;
-      
-      const traderType = parseInt(buy7d) > 700 ? 'Bot' : null;
+    const stats = await apiCache.wrap('traderStats', account, ENV.API_CACHE_WALLET_TTL_MS, () => marketData.getTraderStats(account));
+    const traderType = parseInt(stats.buy7d) > 700 ? 'Bot' : null;
 
-      return { 
-        pnl7Day, 
-        pnl30Day,
-        unrealizedPnL7Day, 
-        unrealizedPnL30Day,
-        realizedProfit7d,
-        winrate, 
-        solBalance: parseFloat(solBalance),
-        buy7d,
-        buy30Day,
-        sell7d,
-        sell30Day,
-        token_sold_avg_profit,
-        token_avg_cost,
-        traderType
-      };
-    } else {
-      throw new Error('Failed to fetch trader details');
-    }
+    return { ...stats, traderType };
   } catch (error) {
     console.error('Error fetching trader details:', error);
     throw error;
@@ -128,6 +73,7 @@ async function fetchValue(address) {
     };
   } catch (error) {
     console.error('Error fetching value:', error);
+    if (error instanceof UpstreamUnavailable) throw error;
     return {
       top10Tokens: [],
       totalValue: 0,
@@ -152,65 +98,95 @@ export {
   fetchValue as fetchPortfolioValue,
 };
 
+/**
+ * Share of 24h trades that are buys, and the "ghost buy" share above a 56% buy ratio
+ * @param {Object} txns - Pair txns ({ h24: { buys, sells } })
+ * @returns {Object} - { buyerSellerRatio, ghostPercent }
+ */
+export const summarizeTradeBalance = (txns) => {
+  const buys24h = parseInt(txns?.h24?.buys) || 0;
+  const sells24h = parseInt(txns?.h24?.sells) || 0;
+  const totalTxns = buys24h + sells24h;
+
+  const buyerSellerRatio = totalTxns > 0 ? (buys24h / totalTxns * 100) : 0;
+  let ghostPercent = 0;
+  if (buyerSellerRatio > 56) {
+    ghostPercent = (buyerSellerRatio - 56) * 2;
+  }
+  return { buyerSellerRatio, ghostPercent };
+};
+
 export const fetchTokenMetadata = async (address) => {
   try {
-    const response = await axios.get(`https://api.dexscreener.com/latest/dex/tokens/${address}`);
-    const data = response.data;
-    if (data.pairs && data.pairs.length > 0) {
-      const tokenInfo = data.pairs[0].baseToken;
-      const socials = data.pairs[0].info?.socials || [];
-      const websites = data.pairs[0].info?.websites || [];
-      const buys24h = parseInt(data.pairs[0].txns.h24.buys) || 0;
-      const sells24h = parseInt(data.pairs[0].txns.h24.sells) || 0;
-      const totalTxns = buys24h + sells24h;
-      
-      const totalLiquidity = data.pairs.reduce((total, pair) => {
+    const pairs = await apiCache.wrap('tokenPairs', address, ENV.API_CACHE_TOKEN_TTL_MS, () => marketData.getTokenPairs(address));
+    if (pairs.length > 0) {
+      const tokenInfo = pairs[0].baseToken;
+      const socials = pairs[0].info?.socials || [];
+      const websites = pairs[0].info?.websites || [];
+      const totalLiquidity = pairs.reduce((total, pair) => {
         return total + (parseFloat(pair.liquidity?.usd) || 0);
       }, 0);
       
-      const buyerSellerRatio = totalTxns > 0 ? (buys24h / totalTxns * 100) : 0;
-      let ghostPercent = 0;
-      if (buyerSellerRatio > 56) {
-        ghostPercent = (buyerSellerRatio - 56) * 2;
-      }
+      const { buyerSellerRatio, ghostPercent } = summarizeTradeBalance(pairs[0].txns);
 
       return {
         name: tokenInfo.name,
         symbol: tokenInfo.symbol,
-        image: transformedTokenImageUrl(data.pairs[0].info?.imageUrl || ''),
-        priceUsd: parseFloat(data.pairs[0].priceUsd) || 0,
-        marketCap: parseFloat(data.pairs[0].fdv) || 'N/A',
-        volume: parseFloat(data.pairs[0].volume.h24) || 0,
-        volume5m: parseFloat(data.pairs[0].volume.m5) || 0,
-        volume1h: parseFloat(data.pairs[0].volume.h1) || 0,
-        volume6h: parseFloat(data.pairs[0].volume.h6) || 0,
-        volume24h: parseFloat(data.pairs[0].volume.h24) || 0,
-        priceChange5m: parseFloat(data.pairs[0].priceChange.m5) || 0,
-        priceChange1h: parseFloat(data.pairs[0].priceChange.h1) || 0,
-        priceChange6h: parseFloat(data.pairs[0].priceChange.h6) || 0,
-        priceChange24h: parseFloat(data.pairs[0].priceChange.h24) || 0,
-        pairAddress: data.pairs[0].pairAddress,
+        image: transformedTokenImageUrl(pairs[0].info?.imageUrl || ''),
+        priceUsd: parseFloat(pairs[0].priceUsd) || 0,
+        marketCap: parseFloat(pairs[0].fdv) || 'N/A',
+        volume: parseFloat(pairs[0].volume.h24) || 0,
+        volume5m: parseFloat(pairs[0].volume.m5) || 0,
+        volume1h: parseFloat(pairs[0].volume.h1) || 0,
+        volume6h: parseFloat(pairs[0].volume.h6) || 0,
+        volume24h: parseFloat(pairs[0].volume.h24) || 0,
+        priceChange5m: parseFloat(pairs[0].priceChange.m5) || 0,
+        priceChange1h: parseFloat(pairs[0].priceChange.h1) || 0,
+        priceChange6h: parseFloat(pairs[0].priceChange.h6) || 0,
+        priceChange24h: parseFloat(pairs[0].priceChange.h24) || 0,
+        pairAddress: pairs[0].pairAddress,
         socials: [...websites.map(website => ({ type: 'website', url: website })), ...socials],
-        pairCreatedAt: parseFloat(data.pairs[0].pairCreatedAt) || 0,
+        pairCreatedAt: parseFloat(pairs[0].pairCreatedAt) || 0,
         buyerSellerRatio,
         ghostPercent,
         liquidityUsd: totalLiquidity,
-        pairs: data.pairs,
+        pairs,
       };
     }
     return { pairs: null };
   } catch (error) {
     console.error('Error fetching token metadata:', error);
+    if (error instanceof UpstreamUnavailable) throw error;
     return { pairs: null };
   }
 };
 
+/**
+ * OHLCV candles for a token, oldest first
+ * @param {String} address - Token mint address
+ * @param {String} interval - Candle interval (1m, 5m, 15m, 1h, 4h, 1d)
+ * @param {Number} limit - Maximum number of candles
+ */
+export const fetchTokenCandles = async (address, interval = ENV.CHART_INTERVAL, limit = ENV.CHART_CANDLES) => {
+  try {
+    return await apiCache.wrap('candles', `${address}:${interval}:${limit}`, ENV.API_CACHE_TOKEN_TTL_MS, () =>
+      marketData.getTokenCandles(address, interval, limit)
+    );
+  } catch (error) {
+    console.error('Error fetching token candles:', error);
+    if (error instanceof UpstreamUnavailable) throw error;
+    return [];
+  }
+};
+
 export const fetchDashboardData = async () => {
   try {
-    const response = await axios.get(process.env.DASHBOARD_API_URL);
+    const activities = await apiCache.wrap('dashboard', 'activities', ENV.API_CACHE_TOKEN_TTL_MS, async () => {
+      return await httpGet(process.env.DASHBOARD_API_URL, {}, { source: 'The trending tokens API' });
+    });
     
     // Process the transactions to match the expected format
-    const processedTransactions = response.data.map(activity => ({
+    const processedTransactions = activities.map(activity => ({
       chain: activity.chain,
       tx_hash: activity.tx_hash,
       type: activity.event_type,
@@ -246,6 +222,7 @@ export const fetchDashboardData = async () => {
     };
   } catch (error) {
     console.error('Error fetching dashboard data:', error);
+    if (error instanceof UpstreamUnavailable) throw error;
     return {
       activities: [],
       walletMetrics: [],
@@ -258,7 +235,9 @@ export const fetchDashboardData = async () => {
 
 export const fetchDexPaid = async (tokenAddress) => {   
   try {
-    const data = await fetchWithRetry(`https://api.dexscreener.com/orders/v1/solana/${tokenAddress}`);
+    const data = await apiCache.wrap('dexPaid', tokenAddress, DEX_PAID_TTL_MS, () =>
+      fetchWithRetry(`https://api.dexscreener.com/orders/v1/solana/${tokenAddress}`)
+    );
     // Check if data is an array and has any entries with status 'approved' or 'pending'
     return Array.isArray(data) && data.some(order => 
       order.status === 'approved' || order.status === 'pending'
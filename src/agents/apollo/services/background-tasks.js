@@ -1,7 +1,12 @@
 import { database } from './database.js';
+import { apiCache } from './cache.js';
 import { hiveP2P } from './hive-p2p.js';
-import { ENV } from '../../config/env.js';
-import { BACKGROUND_TASK_CONFIG } from '../../config/background-tasks.js';
+import { alertService } from './alerts.js';
+import { smartMoney } from './smart-money.js';
+import { discovery } from './discovery.js';
+import { sentimentService } from './sentiment/index.js';
+import { ENV } from '../../../config/env.js';
+import { BACKGROUND_TASK_CONFIG } from '../../../config/background-tasks.js';
 
 /**
  * Background Task Manager for Apollo Agent
@@ -9,6 +14,10 @@ import { BACKGROUND_TASK_CONFIG } from '../../config/background-tasks.js';
  * Handles various background operations:
  * - Knowledge base maintenance
  * - Market data monitoring
+ * - Token price alerts and watchlists
+ * - Smart-money wallet activity
+ * - New pair discovery
+ * - Social and on-chain token sentiment
  * - User preference learning
  * - HIVE mind synchronization
  * - Database cleanup and optimization
@@ -26,6 +35,10 @@ class BackgroundTaskManager {
     if (this.taskConfig.hiveSync) {
       this.taskConfig.hiveSync.enabled = ENV.ENABLE_HIVE;
     }
+
+    if (this.taskConfig.pairDiscovery) {
+      this.taskConfig.pairDiscovery.enabled = ENV.DISCOVERY_ENABLED;
+    }
   }
 
   /**
@@ -87,6 +100,42 @@ class BackgroundTaskManager {
       }
     });
 
+    // Token price monitoring - alerts and watchlists
+    this.registerTask('tokenPriceMonitoring', async () => {
+      try {
+        const { checked, triggered } = await alertService.checkAlerts();
+        if (checked > 0) {
+          console.log(`Token price monitoring checked ${checked} tokens, ${triggered} alerts triggered`);
+        }
+      } catch (error) {
+        console.error('Error in token price monitoring:', error);
+      }
+    });
+
+    // Smart-money tracking - labelled wallets' buys and sells
+    this.registerTask('smartMoneyTracking', async () => {
+      try {
+        const { wallets, recorded } = await smartMoney.poll();
+        if (wallets > 0) {
+          console.log(`Smart-money tracking polled ${wallets} wallets, ${recorded} new trades recorded`);
+        }
+      } catch (error) {
+        console.error('Error in smart-money tracking:', error);
+      }
+    });
+
+    // New pair discovery - risk scores fresh launches against the discovery filters
+    this.registerTask('pairDiscovery', async () => {
+      try {
+        const { scanned, evaluated, passed } = await discovery.scan();
+        if (evaluated > 0) {
+          console.log(`Pair discovery scanned ${scanned} new pairs, evaluated ${evaluated}, ${passed} passed the filters`);
+        }
+      } catch (error) {
+        console.error('Error in pair discovery:', error);
+      }
+    });
+
     // User learning
     this.registerTask('userLearning', async () => {
       try {
@@ -143,6 +192,12 @@ class BackgroundTaskManager {
         // Archive old data
         await this.archiveOldData();
         
+        // Drop expired API cache entries
+        await apiCache.pruneExpired();
+        
+        // Drop old social posts and sentiment snapshots
+        await sentimentService.prune();
+        
         console.log('Database cleanup completed');
       } catch (error) {
         console.error('Error in database cleanup:', error);
@@ -154,16 +209,13 @@ class BackgroundTaskManager {
       try {
         console.log('Running sentiment analysis...');
         
-        // Analyze recent conversations
-        await this.analyzeRecentSentiment();
-        
-        // Update token sentiment trends
-        await this.updateSentimentTrends();
+        // Pull in new social posts
+        const { stored } = await sentimentService.ingest();
         
-        // Generate sentiment reports
-        await this.generateSentimentReport();
+        // Extend the sentiment series of watched and discussed tokens
+        const snapshots = await sentimentService.snapshotTrackedTokens();
         
-        console.log('Sentiment analysis completed');
+        console.log(`Sentiment analysis completed: ${stored} new posts, ${snapshots} tokens updated`);
       } catch (error) {
         console.error('Error in sentiment analysis:', error);
       }
@@ -392,26 +444,6 @@ class BackgroundTaskManager {
     // Archive old data (could move to separate tables or files)
     console.log('Archiving old data...');
   }
-
-  async analyzeRecentSentiment() {
-    // Analyze sentiment from recent conversations
-    const recentConversations = await database.db.all(
-      'SELECT * FROM conversations WHERE timestamp > ? ORDER BY timestamp DESC LIMIT 50',
-      [Date.now() - (24 * 60 * 60 * 1000)]
-    );
-    
-    console.log(`Analyzing sentiment for ${recentConversations.length} recent conversations`);
-  }
-
-  async updateSentimentTrends() {
-    // Update sentiment trends
-    console.log('Updating sentiment trends...');
-  }
-
-  async generateSentimentReport() {
-    // Generate sentiment analysis report
-    console.log('Generating sentiment report...');
-  }
 }
 
 export const backgroundTaskManager = new BackgroundTaskManager();
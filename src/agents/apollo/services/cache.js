@@ -0,0 +1,166 @@
+import { ENV } from '../../../config/env.js';
+import { database } from './database.js';
+
+/**
+ * API Cache
+ *
+ * TTL cache for upstream API responses, kept in memory and optionally
+ * persisted to SQLite (API_CACHE_PERSIST) so it survives restarts.
+ * Concurrent requests for the same key share a single in-flight fetch.
+ * Failed fetches are never cached.
+ */
+class ApiCache {
+  constructor() {
+    this.entries = new Map(); // key -> { value, expiresAt }
+    this.inFlight = new Map(); // key -> Promise
+    this.stats = new Map(); // namespace -> counters
+  }
+
+  getStats(namespace) {
+    if (!this.stats.has(namespace)) {
+      this.stats.set(namespace, { hits: 0, misses: 0, coalesced: 0, persistentHits: 0, errors: 0 });
+    }
+    return this.stats.get(namespace);
+  }
+
+  canPersist() {
+    return ENV.API_CACHE_PERSIST && database.db !== null;
+  }
+
+  /**
+   * Return the cached value for a key, or fetch and cache it
+   * @param {String} namespace - Group used for stats, e.g. 'tokenPairs'
+   * @param {String} key - Identifier within the namespace, e.g. a token address
+   * @param {Number} ttlMs - How long a fetched value stays fresh
+   * @param {Function} fetcher - Async function producing the value
+   */
+  async wrap(namespace, key, ttlMs, fetcher) {
+    const cacheKey = `${namespace}:${key}`;
+    const stats = this.getStats(namespace);
+
+    if (ENV.API_CACHE_ENABLED) {
+      const entry = this.entries.get(cacheKey);
+      if (entry && entry.expiresAt > Date.now()) {
+        stats.hits++;
+        return entry.value;
+      }
+    }
+
+    if (this.inFlight.has(cacheKey)) {
+      stats.coalesced++;
+      return await this.inFlight.get(cacheKey);
+    }
+
+    const request = this.load(cacheKey, ttlMs, fetcher, stats);
+    this.inFlight.set(cacheKey, request);
+    try {
+      return await request;
+    } finally {
+      this.inFlight.delete(cacheKey);
+    }
+  }
+
+  async load(cacheKey, ttlMs, fetcher, stats) {
+    if (ENV.API_CACHE_ENABLED && this.canPersist()) {
+      try {
+        const row = await database.getCacheEntry(cacheKey);
+        if (row && row.expires_at > Date.now()) {
+          stats.hits++;
+          stats.persistentHits++;
+          const value = JSON.parse(row.value);
+          this.store(cacheKey, value, row.expires_at);
+          return value;
+        }
+      } catch (error) {
+        console.error(`Error reading cache entry ${cacheKey}:`, error);
+      }
+    }
+
+    stats.misses++;
+    let value;
+    try {
+      value = await fetcher();
+    } catch (error) {
+      stats.errors++;
+      throw error;
+    }
+
+    if (ENV.API_CACHE_ENABLED) {
+      const expiresAt = Date.now() + ttlMs;
+      this.store(cacheKey, value, expiresAt);
+
+      if (this.canPersist()) {
+        database.setCacheEntry(cacheKey, JSON.stringify(value), expiresAt)
+          .catch(error => console.error(`Error persisting cache entry ${cacheKey}:`, error));
+      }
+    }
+
+    return value;
+  }
+
+  store(cacheKey, value, expiresAt) {
+    // Re-inserting moves the key to the end, so the oldest entries are evicted first
+    this.entries.delete(cacheKey);
+    this.entries.set(cacheKey, { value, expiresAt });
+
+    while (this.entries.size > ENV.API_CACHE_MAX_ENTRIES) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Drop expired entries from memory and the persistent store
+   */
+  async pruneExpired() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+    if (this.canPersist()) {
+      await database.deleteExpiredCacheEntries(now);
+    }
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.stats.clear();
+    if (this.canPersist()) {
+      await database.clearCache();
+    }
+  }
+
+  /**
+   * Hit/miss counters per namespace and overall
+   */
+  getSummary() {
+    const namespaces = Object.fromEntries(
+      [...this.stats.entries()].map(([namespace, stats]) => [namespace, { ...stats, hitRate: hitRate(stats) }])
+    );
+    const totals = Object.values(namespaces).reduce((sum, stats) => {
+      for (const counter of ['hits', 'misses', 'coalesced', 'persistentHits', 'errors']) {
+        sum[counter] += stats[counter];
+      }
+      return sum;
+    }, { hits: 0, misses: 0, coalesced: 0, persistentHits: 0, errors: 0 });
+
+    return {
+      enabled: ENV.API_CACHE_ENABLED,
+      persistent: this.canPersist(),
+      entries: this.entries.size,
+      inFlight: this.inFlight.size,
+      totals: { ...totals, hitRate: hitRate(totals) },
+      namespaces
+    };
+  }
+}
+
+// Coalesced requests are served without an upstream call, so they count as hits
+const hitRate = (stats) => {
+  const served = stats.hits + stats.coalesced;
+  const total = served + stats.misses;
+  return total > 0 ? served / total : 0;
+};
+
+export const apiCache = new ApiCache();
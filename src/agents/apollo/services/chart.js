@@ -1,46 +1,198 @@
-import puppeteer from 'puppeteer-extra';
-import StealthPlugin from 'puppeteer-extra-plugin-stealth';
-
-puppeteer.use(StealthPlugin());
-
-const DEXSCREENER_BASE_URL = 'https://dexscreener.com/solana/';
-
-export async function captureTokenChart(tokenAddress) {
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: [
-      '--disable-setuid-sandbox',
-      '--no-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-gpu'
-    ],
+import { ENV } from '../../../config/env.js';
+import { fetchTokenCandles } from './api.js';
+import { CANDLE_INTERVALS } from './market-data/index.js';
+import { Raster } from '../utils/raster.js';
+import { formatTokenPrice } from '../utils/formatters.js';
+import { sma } from '../utils/indicators.js';
+
+const WIDTH = 800;
+const HEIGHT = 450;
+const FONT_SCALE = 2; // PNG text is the 3x5 font at 2x, about 11px like the SVG text
+const FONT_SIZE = 11;
+
+const COLORS = {
+  background: '#131722',
+  grid: '#242832',
+  text: '#b2b5be',
+  up: '#26a69a',
+  down: '#ef5350',
+  upVolume: '#1d4f4b',
+  downVolume: '#5c2b2f',
+  movingAverages: ['#f5c542', '#42a5f5', '#ab47bc']
+};
+
+const formatTime = (time, interval) => {
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  // Charts are drawn in UTC so the same candles always give the same image
+  return interval === '1d' || interval === '4h'
+    ? `${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}`
+    : `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`;
+};
+
+/**
+ * Lay the chart out as a list of shapes, shared by the SVG and PNG renderers:
+ * { type: 'rect', x, y, w, h, fill }, { type: 'line', x1, y1, x2, y2, stroke },
+ * { type: 'polyline', points, stroke, width }, { type: 'text', x, y, text, fill, align }
+ * Text (x, y) is the top-left (or top-right for align 'right') corner.
+ */
+const buildScene = (candles, { title, interval, maPeriods, width, height }) => {
+  const shapes = [];
+  const plot = { left: 10, right: width - 80, top: 32, bottom: height - 24 };
+  const volumeHeight = (plot.bottom - plot.top) * 0.2;
+  const priceBottom = plot.bottom - volumeHeight - 6;
+
+  let low = Math.min(...candles.map(c => c.low));
+  let high = Math.max(...candles.map(c => c.high));
+  const padding = (high - low) * 0.05 || Math.abs(high) * 0.01 || 1;
+  low -= padding;
+  high += padding;
+  const maxVolume = Math.max(...candles.map(c => c.volume)) || 1;
+
+  const step = (plot.right - plot.left) / candles.length;
+  const bodyWidth = Math.max(1, step * 0.7);
+  const x = (i) => plot.left + step * i + step / 2;
+  const y = (price) => plot.top + ((high - price) / (high - low)) * (priceBottom - plot.top);
+
+  // Price grid and axis labels
+  for (let i = 0; i <= 4; i++) {
+    const price = high - ((high - low) * i) / 4;
+    shapes.push({ type: 'line', x1: plot.left, y1: y(price), x2: plot.right, y2: y(price), stroke: COLORS.grid });
+    shapes.push({ type: 'text', x: plot.right + 6, y: y(price) - 5, text: formatTokenPrice(price), fill: COLORS.text, align: 'left' });
+  }
+
+  // Time labels
+  const labelEvery = Math.max(1, Math.ceil(candles.length / 6));
+  for (let i = 0; i < candles.length; i += labelEvery) {
+    shapes.push({ type: 'line', x1: x(i), y1: plot.top, x2: x(i), y2: plot.bottom, stroke: COLORS.grid });
+    shapes.push({ type: 'text', x: Math.max(0, x(i) - 14), y: plot.bottom + 8, text: formatTime(candles[i].time, interval), fill: COLORS.text, align: 'left' });
+  }
+
+  candles.forEach((candle, i) => {
+    const up = candle.close >= candle.open;
+
+    const volumeBar = (candle.volume / maxVolume) * volumeHeight;
+    shapes.push({ type: 'rect', x: x(i) - bodyWidth / 2, y: plot.bottom - volumeBar, w: bodyWidth, h: volumeBar, fill: up ? COLORS.upVolume : COLORS.downVolume });
+
+    shapes.push({ type: 'line', x1: x(i), y1: y(candle.high), x2: x(i), y2: y(candle.low), stroke: up ? COLORS.up : COLORS.down });
+    const top = y(Math.max(candle.open, candle.close));
+    const bodyHeight = Math.max(1, y(Math.min(candle.open, candle.close)) - top);
+    shapes.push({ type: 'rect', x: x(i) - bodyWidth / 2, y: top, w: bodyWidth, h: bodyHeight, fill: up ? COLORS.up : COLORS.down });
+  });
+
+  // Moving averages and their legend
+  const closes = candles.map(c => c.close);
+  let legendX = plot.left + Raster.textWidth(title, FONT_SCALE) + 20;
+  maPeriods.forEach((period, index) => {
+    const color = COLORS.movingAverages[index % COLORS.movingAverages.length];
+    const points = sma(closes, period)
+      .map((value, i) => (value === null ? null : [x(i), y(value)]))
+      .filter(Boolean);
+    if (points.length > 1) {
+      shapes.push({ type: 'polyline', points, stroke: color, width: 2 });
+    }
+
+    const label = `MA${period}`;
+    shapes.push({ type: 'text', x: legendX, y: 10, text: label, fill: color, align: 'left' });
+    legendX += Raster.textWidth(label, FONT_SCALE) + 12;
+  });
+
+  const last = candles[candles.length - 1];
+  shapes.push({ type: 'text', x: plot.left, y: 10, text: title, fill: COLORS.text, align: 'left' });
+  shapes.push({ type: 'text', x: width - 10, y: 10, text: `$${formatTokenPrice(last.close)}`, fill: last.close >= last.open ? COLORS.up : COLORS.down, align: 'right' });
+
+  return shapes;
+};
+
+const escapeXml = (text) => text.replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+
+const sceneToSvg = (shapes, width, height) => {
+  const round = (n) => Math.round(n * 10) / 10;
+  const elements = shapes.map(shape => {
+    switch (shape.type) {
+      case 'rect':
+        return `<rect x="${round(shape.x)}" y="${round(shape.y)}" width="${round(shape.w)}" height="${round(shape.h)}" fill="${shape.fill}"/>`;
+      case 'line':
+        return `<line x1="${round(shape.x1)}" y1="${round(shape.y1)}" x2="${round(shape.x2)}" y2="${round(shape.y2)}" stroke="${shape.stroke}"/>`;
+      case 'polyline':
+        return `<polyline points="${shape.points.map(([px, py]) => `${round(px)},${round(py)}`).join(' ')}" fill="none" stroke="${shape.stroke}" stroke-width="${shape.width || 1}"/>`;
+      case 'text':
+        return `<text x="${round(shape.x)}" y="${round(shape.y + FONT_SIZE - 1)}" fill="${shape.fill}"${shape.align === 'right' ? ' text-anchor="end"' : ''}>${escapeXml(shape.text)}</text>`;
+      default:
+        return '';
+    }
   });
 
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="monospace" font-size="${FONT_SIZE}">` +
+    `<rect width="${width}" height="${height}" fill="${COLORS.background}"/>${elements.join('')}</svg>`;
+};
+
+const sceneToPng = (shapes, width, height) => {
+  const raster = new Raster(width, height, COLORS.background);
+  for (const shape of shapes) {
+    switch (shape.type) {
+      case 'rect':
+        raster.fillRect(shape.x, shape.y, Math.max(1, shape.w), Math.max(1, shape.h), shape.fill);
+        break;
+      case 'line':
+        raster.line(shape.x1, shape.y1, shape.x2, shape.y2, shape.stroke);
+        break;
+      case 'polyline':
+        for (let i = 1; i < shape.points.length; i++) {
+          raster.line(...shape.points[i - 1], ...shape.points[i], shape.stroke, shape.width || 1);
+        }
+        break;
+      case 'text': {
+        const x = shape.align === 'right' ? shape.x - Raster.textWidth(shape.text, FONT_SCALE) : shape.x;
+        raster.text(x, shape.y, shape.text, shape.fill, FONT_SCALE);
+        break;
+      }
+    }
+  }
+  return raster.toPNG();
+};
+
+/**
+ * Render candles as a chart with volume bars and moving averages
+ * @param {Array} candles - [{ time, open, high, low, close, volume }] oldest first
+ * @param {Object} options - { title, interval, maPeriods, width, height }
+ * @returns {Object} - { svg, png } where png is base64
+ */
+export function renderCandleChart(candles, options = {}) {
+  const settings = {
+    title: options.title || '',
+    interval: options.interval || ENV.CHART_INTERVAL,
+    maPeriods: options.maPeriods || ENV.CHART_MA_PERIODS,
+    width: options.width || WIDTH,
+    height: options.height || HEIGHT
+  };
+  const shapes = buildScene(candles, settings);
+
+  return {
+    svg: sceneToSvg(shapes, settings.width, settings.height),
+    png: sceneToPng(shapes, settings.width, settings.height).toString('base64')
+  };
+}
+
+/**
+ * Fetch a token's OHLCV candles and render its chart
+ * @param {String} tokenAddress - Token mint address
+ * @param {Object} options - { interval, limit, symbol }
+ * @returns {Object|null} - { svg, png, interval, candles }, or null when there are no candles
+ */
+export async function renderTokenChart(tokenAddress, options = {}) {
+  const interval = CANDLE_INTERVALS[options.interval] ? options.interval : ENV.CHART_INTERVAL;
+
   try {
-    const page = await browser.newPage();
-    const DEXSCREENER_URL = `${DEXSCREENER_BASE_URL}${tokenAddress}?embed=1&loadChartSettings=0&trades=0&tabs=0&info=0&chartLeftToolbar=0&chartTheme=dark&theme=dark&chartStyle=1&chartType=usd&interval=15`;
-
-    await page.goto(DEXSCREENER_URL, { 
-      waitUntil: 'domcontentloaded',
-      timeout: 60000 // Increase timeout to 60 seconds
-    });
-
-    // Wait using evaluate instead of waitForTimeout
-    await page.evaluate(() => {
-      return new Promise((resolve) => setTimeout(resolve, 2000));
-    });
-
-    // Take screenshot
-    const screenshot = await page.screenshot({
-      encoding: 'base64',
-      fullPage: false
-    });
-
-    await browser.close();
-    return screenshot;
+    const candles = await fetchTokenCandles(tokenAddress, interval, options.limit || ENV.CHART_CANDLES);
+    if (candles.length < 2) {
+      return null;
+    }
+
+    const title = `${options.symbol || tokenAddress.slice(0, 6)} / USD ${interval}`;
+    return { ...renderCandleChart(candles, { title, interval }), interval, candles };
   } catch (error) {
-    console.error('Error capturing chart:', error);
-    await browser.close();
+    console.error('Error rendering chart:', error);
     return null;
   }
-} 
+}
@@ -0,0 +1,38 @@
+import { ENV } from '../../../config/env.js';
+import { fetchTokenCandles } from './api.js';
+import { knowledgeManager } from './knowledge.js';
+import { correlationPairs, MIN_SHARED_RETURNS } from '../utils/correlation.js';
+
+/**
+ * Price correlation across a set of tokens. The strongest pairs are stored as
+ * `correlated_with` relationships between the tokens' knowledge entities.
+ * @param {Array} tokens - [{ address, name, symbol, watched }]; duplicates are dropped
+ * @param {Object} options - { interval, candles }
+ * @returns {Object} - { interval, analyzed (tokens with enough candles), pairs (all, strongest first), strongest (stored) }
+ */
+export const analyzeCorrelations = async (tokens, options = {}) => {
+  const { interval = ENV.CORRELATION_INTERVAL, candles = ENV.CORRELATION_CANDLES } = options;
+
+  const unique = [...new Map(tokens.map(token => [token.address, token])).values()]
+    .slice(0, ENV.CORRELATION_MAX_TOKENS);
+  const series = await Promise.all(unique.map(async (token) => ({
+    ...token,
+    candles: await fetchTokenCandles(token.address, interval, candles).catch(() => [])
+  })));
+  const usable = series.filter(token => token.candles.length > MIN_SHARED_RETURNS);
+
+  const pairs = correlationPairs(usable);
+  const strongest = pairs
+    .filter(pair => Math.abs(pair.coefficient) >= ENV.CORRELATION_MIN_COEFFICIENT)
+    .slice(0, ENV.CORRELATION_TOP_PAIRS);
+
+  for (const pair of strongest) {
+    try {
+      await knowledgeManager.recordTokenCorrelation(pair.a, pair.b, pair.coefficient);
+    } catch (error) {
+      console.error(`Error storing correlation between ${pair.a.address} and ${pair.b.address}:`, error);
+    }
+  }
+
+  return { interval, analyzed: usable.length, pairs, strongest };
+};
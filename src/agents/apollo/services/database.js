@@ -1,5 +1,6 @@
 import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
+import { ENV } from '../../../config/env.js';
 
 class Database {
   constructor() {
@@ -8,7 +9,7 @@ class Database {
 
   async initialize() {
     this.db = await open({
-      filename: './apollo_memory.db',
+      filename: ENV.DB_PATH,
       driver: sqlite3.Database
     });
 
@@ -22,7 +23,8 @@ class Database {
         timestamp INTEGER,
         sentiment REAL,
         importance_score INTEGER DEFAULT 0,
-        tags TEXT
+        tags TEXT,
+        provider TEXT
       );
 
       CREATE TABLE IF NOT EXISTS token_interactions (
@@ -79,15 +81,188 @@ class Database {
         importance REAL DEFAULT 1.0,
         UNIQUE(source_type, source_id, term)
       );
+      
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        personality TEXT,
+        thread_id TEXT,
+        created_at INTEGER,
+        updated_at INTEGER
+      );
+      
+      CREATE TABLE IF NOT EXISTS session_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT NOT NULL,
+        role TEXT NOT NULL,
+        content TEXT,
+        timestamp INTEGER,
+        FOREIGN KEY(session_id) REFERENCES sessions(id)
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_session_messages_session ON session_messages(session_id, id);
+      
+      CREATE TABLE IF NOT EXISTS paper_account (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        sol_balance REAL NOT NULL,
+        starting_balance REAL NOT NULL,
+        reset_at INTEGER
+      );
+      
+      CREATE TABLE IF NOT EXISTS paper_positions (
+        token_address TEXT PRIMARY KEY,
+        name TEXT,
+        symbol TEXT,
+        amount REAL NOT NULL DEFAULT 0,
+        cost_basis REAL NOT NULL DEFAULT 0,
+        realized_pnl REAL NOT NULL DEFAULT 0,
+        opened_at INTEGER,
+        updated_at INTEGER
+      );
+      
+      CREATE TABLE IF NOT EXISTS paper_trades (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_address TEXT NOT NULL,
+        symbol TEXT,
+        action TEXT NOT NULL,
+        sol_amount REAL NOT NULL,
+        token_amount REAL NOT NULL,
+        price_sol REAL NOT NULL,
+        price_usd REAL,
+        fee_sol REAL NOT NULL DEFAULT 0,
+        slippage_bps INTEGER,
+        realized_pnl REAL NOT NULL DEFAULT 0,
+        timestamp INTEGER
+      );
+      
+      CREATE TABLE IF NOT EXISTS price_alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT NOT NULL,
+        token_address TEXT NOT NULL,
+        symbol TEXT,
+        metric TEXT NOT NULL,
+        condition TEXT NOT NULL,
+        threshold REAL NOT NULL,
+        baseline REAL,
+        status TEXT NOT NULL DEFAULT 'active',
+        created_at INTEGER,
+        triggered_at INTEGER,
+        triggered_value REAL
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_price_alerts_status ON price_alerts(status, token_address);
+      
+      CREATE TABLE IF NOT EXISTS watchlist (
+        session_id TEXT NOT NULL,
+        token_address TEXT NOT NULL,
+        symbol TEXT,
+        name TEXT,
+        added_price REAL,
+        last_price REAL,
+        last_checked INTEGER,
+        added_at INTEGER,
+        PRIMARY KEY(session_id, token_address)
+      );
+      
+      CREATE TABLE IF NOT EXISTS alert_notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        alert_id INTEGER NOT NULL,
+        session_id TEXT NOT NULL,
+        message TEXT NOT NULL,
+        created_at INTEGER,
+        FOREIGN KEY(alert_id) REFERENCES price_alerts(id)
+      );
+      
+      CREATE TABLE IF NOT EXISTS wallet_swaps (
+        wallet TEXT NOT NULL,
+        signature TEXT NOT NULL,
+        token_address TEXT NOT NULL,
+        symbol TEXT,
+        name TEXT,
+        side TEXT NOT NULL,
+        token_amount REAL NOT NULL,
+        usd_value REAL NOT NULL,
+        price_usd REAL,
+        timestamp INTEGER NOT NULL,
+        PRIMARY KEY(wallet, signature, token_address, side)
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_wallet_swaps_time ON wallet_swaps(wallet, timestamp);
+      
+      CREATE TABLE IF NOT EXISTS wallet_sync (
+        wallet TEXT PRIMARY KEY,
+        last_swap_at INTEGER,
+        synced_at INTEGER
+      );
+      
+      CREATE TABLE IF NOT EXISTS social_posts (
+        source TEXT NOT NULL,
+        post_id TEXT NOT NULL,
+        token_address TEXT NOT NULL,
+        author TEXT,
+        text TEXT NOT NULL,
+        url TEXT,
+        posted_at INTEGER NOT NULL,
+        lexicon_score REAL NOT NULL,
+        llm_score REAL,
+        PRIMARY KEY(source, post_id, token_address)
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_social_posts_token ON social_posts(token_address, posted_at);
+      
+      CREATE TABLE IF NOT EXISTS token_sentiment (
+        token_address TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        social_score REAL,
+        post_count INTEGER NOT NULL,
+        buy_pressure REAL,
+        score REAL,
+        PRIMARY KEY(token_address, timestamp)
+      );
+      
+      CREATE TABLE IF NOT EXISTS llm_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        timestamp INTEGER NOT NULL,
+        session_id TEXT,
+        provider TEXT NOT NULL,
+        model TEXT,
+        task TEXT NOT NULL,
+        purpose TEXT,
+        prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0,
+        estimated INTEGER NOT NULL DEFAULT 0,
+        cost_usd REAL,
+        latency_ms INTEGER,
+        success INTEGER NOT NULL
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_llm_usage_time ON llm_usage(timestamp);
+      CREATE INDEX IF NOT EXISTS idx_llm_usage_session ON llm_usage(session_id, timestamp);
+      
+      CREATE TABLE IF NOT EXISTS api_cache (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        expires_at INTEGER NOT NULL
+      );
     `);
+
+    // Columns added after the table was first created
+    await this.addColumnIfMissing('conversations', 'provider', 'TEXT');
+  }
+
+  async addColumnIfMissing(table, column, definition) {
+    const columns = await this.db.all(`PRAGMA table_info(${table})`);
+    if (!columns.some(c => c.name === column)) {
+      await this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
   }
 
   async storeConversation(input, response, queryType, options = {}) {
-    const { sentiment = 0, importance = 0, tags = '' } = options;
+    const { sentiment = 0, importance = 0, tags = '', provider = null } = options;
     
     const result = await this.db.run(
-      'INSERT INTO conversations (input, response, query_type, timestamp, sentiment, importance_score, tags) VALUES (?, ?, ?, ?, ?, ?, ?)',
-      [input, response, queryType, Date.now(), sentiment, importance, tags]
+      'INSERT INTO conversations (input, response, query_type, timestamp, sentiment, importance_score, tags, provider) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+      [input, response, queryType, Date.now(), sentiment, importance, tags, provider]
     );
     
     // Extract and store key terms for semantic search
@@ -260,6 +435,36 @@ class Database {
     `, [entity.id, limit]);
   }
   
+  async getEntitiesByType(entityType) {
+    return await this.db.all(
+      'SELECT * FROM knowledge_entities WHERE entity_type = ? ORDER BY updated_at DESC',
+      [entityType]
+    );
+  }
+
+  /**
+   * Delete an entity and its relationships
+   * @returns {Boolean} - Whether the entity existed
+   */
+  async deleteEntity(entityType, entityValue) {
+    const entity = await this.db.get('SELECT id FROM knowledge_entities WHERE entity_type = ? AND entity_value = ?', [entityType, entityValue]);
+    if (!entity) return false;
+    await this.db.run('DELETE FROM entity_relationships WHERE source_entity_id = ? OR target_entity_id = ?', [entity.id, entity.id]);
+    await this.db.run('DELETE FROM knowledge_entities WHERE id = ?', [entity.id]);
+    return true;
+  }
+
+  /**
+   * Market event entities whose value starts with a prefix, newest first
+   * (compared literally: LIKE would read `_` in the prefix as a wildcard)
+   */
+  async getMarketEventEntities(prefix, since) {
+    return await this.db.all(
+      "SELECT * FROM knowledge_entities WHERE entity_type = 'market_event' AND substr(entity_value, 1, length(?)) = ? AND created_at >= ? ORDER BY created_at DESC",
+      [prefix, prefix, since]
+    );
+  }
+
   async getRecentMarketEvents(limit = 10) {
     return await this.db.all(
       'SELECT * FROM market_events ORDER BY timestamp DESC LIMIT ?',
@@ -267,6 +472,463 @@ class Database {
     );
   }
 
+  async createSession(id, name, personality) {
+    const now = Date.now();
+    await this.db.run(
+      'INSERT INTO sessions (id, name, personality, thread_id, created_at, updated_at) VALUES (?, ?, ?, NULL, ?, ?)',
+      [id, name, personality, now, now]
+    );
+    return this.getSession(id);
+  }
+
+  /**
+   * Create the session unless it already exists, e.g. created by a concurrent request
+   * @returns {Object} - The stored row
+   */
+  async getOrCreateSession(id, name, personality) {
+    const now = Date.now();
+    await this.db.run(
+      'INSERT OR IGNORE INTO sessions (id, name, personality, thread_id, created_at, updated_at) VALUES (?, ?, ?, NULL, ?, ?)',
+      [id, name, personality, now, now]
+    );
+    return this.getSession(id);
+  }
+
+  async getSession(id) {
+    return await this.db.get('SELECT * FROM sessions WHERE id = ?', [id]);
+  }
+
+  async listSessions(limit = 50) {
+    return await this.db.all(`
+      SELECT s.*, COUNT(m.id) as message_count
+      FROM sessions s
+      LEFT JOIN session_messages m ON m.session_id = s.id
+      GROUP BY s.id
+      ORDER BY s.updated_at DESC
+      LIMIT ?
+    `, [limit]);
+  }
+
+  async updateSession(id, fields = {}) {
+    const columns = { name: 'name', personality: 'personality', threadId: 'thread_id' };
+    const updates = Object.entries(fields).filter(([key, value]) => columns[key] && value !== undefined);
+    
+    if (updates.length === 0) return;
+    
+    const assignments = updates.map(([key]) => `${columns[key]} = ?`).join(', ');
+    await this.db.run(
+      `UPDATE sessions SET ${assignments}, updated_at = ? WHERE id = ?`,
+      [...updates.map(([, value]) => value), Date.now(), id]
+    );
+  }
+
+  async deleteSession(id) {
+    await this.db.run('DELETE FROM session_messages WHERE session_id = ?', [id]);
+    await this.db.run("UPDATE price_alerts SET status = 'cancelled' WHERE session_id = ? AND status = 'active'", [id]);
+    await this.db.run('DELETE FROM watchlist WHERE session_id = ?', [id]);
+    const result = await this.db.run('DELETE FROM sessions WHERE id = ?', [id]);
+    return result.changes > 0;
+  }
+
+  async storeSessionMessage(sessionId, role, content) {
+    const now = Date.now();
+    await this.db.run(
+      'INSERT INTO session_messages (session_id, role, content, timestamp) VALUES (?, ?, ?, ?)',
+      [sessionId, role, content, now]
+    );
+    await this.db.run('UPDATE sessions SET updated_at = ? WHERE id = ?', [now, sessionId]);
+  }
+
+  async getSessionMessages(sessionId, limit = 100) {
+    // Most recent messages, returned in chronological order
+    const rows = await this.db.all(
+      'SELECT role, content, timestamp FROM session_messages WHERE session_id = ? ORDER BY id DESC LIMIT ?',
+      [sessionId, limit]
+    );
+    return rows.reverse();
+  }
+
+  async getPaperAccount() {
+    return await this.db.get('SELECT * FROM paper_account WHERE id = 1');
+  }
+
+  /**
+   * Create the paper account unless it exists (concurrent first trades create it once)
+   */
+  async ensurePaperAccount(startingBalance) {
+    await this.db.run(
+      'INSERT OR IGNORE INTO paper_account (id, sol_balance, starting_balance, reset_at) VALUES (1, ?, ?, ?)',
+      [startingBalance, startingBalance, Date.now()]
+    );
+  }
+
+  /**
+   * Take SOL from the paper balance in one statement, so concurrent trades can't overspend it
+   * @returns {Boolean} - false if the balance is too low
+   */
+  async debitPaperBalance(solAmount) {
+    const result = await this.db.run(
+      'UPDATE paper_account SET sol_balance = sol_balance - ? WHERE id = 1 AND sol_balance >= ?',
+      [solAmount, solAmount]
+    );
+    return result.changes > 0;
+  }
+
+  async creditPaperBalance(solAmount) {
+    await this.db.run('UPDATE paper_account SET sol_balance = sol_balance + ? WHERE id = 1', [solAmount]);
+  }
+
+  async getPaperPosition(tokenAddress) {
+    return await this.db.get('SELECT * FROM paper_positions WHERE token_address = ?', [tokenAddress]);
+  }
+
+  async getPaperPositions() {
+    return await this.db.all('SELECT * FROM paper_positions ORDER BY opened_at ASC');
+  }
+
+  /**
+   * Add a buy to a position, relative to whatever is stored
+   * @returns {Object} - The updated position
+   */
+  async addToPaperPosition({ token_address, name, symbol }, tokenAmount, costSol) {
+    const now = Date.now();
+    return await this.db.get(`
+      INSERT INTO paper_positions (token_address, name, symbol, amount, cost_basis, realized_pnl, opened_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, 0, ?, ?)
+      ON CONFLICT(token_address) DO UPDATE SET
+        amount = amount + excluded.amount,
+        cost_basis = cost_basis + excluded.cost_basis,
+        updated_at = excluded.updated_at
+      RETURNING *
+    `, [token_address, name, symbol, tokenAmount, costSol, now, now]);
+  }
+
+  /**
+   * Write a sell over a position only if it is still as it was read
+   * @param {Object} read - The position the sell was computed from
+   * @param {Object} updated - { amount, cost_basis, realized_pnl } after the sell
+   * @returns {Boolean} - false if another trade changed the position first
+   */
+  async replacePaperPosition(read, updated) {
+    const result = await this.db.run(`
+      UPDATE paper_positions SET amount = ?, cost_basis = ?, realized_pnl = ?, updated_at = ?
+      WHERE token_address = ? AND amount = ? AND cost_basis = ? AND realized_pnl = ?
+    `, [
+      updated.amount,
+      updated.cost_basis,
+      updated.realized_pnl,
+      Date.now(),
+      read.token_address,
+      read.amount,
+      read.cost_basis,
+      read.realized_pnl
+    ]);
+    return result.changes > 0;
+  }
+
+  async recordPaperTrade(trade) {
+    const result = await this.db.run(`
+      INSERT INTO paper_trades (token_address, symbol, action, sol_amount, token_amount, price_sol, price_usd, fee_sol, slippage_bps, realized_pnl, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      trade.tokenAddress,
+      trade.symbol,
+      trade.action,
+      trade.solAmount,
+      trade.tokenAmount,
+      trade.priceSol,
+      trade.priceUsd,
+      trade.feeSol,
+      trade.slippageBps,
+      trade.realizedPnl,
+      Date.now()
+    ]);
+    return result.lastID;
+  }
+
+  async getPaperTrades(limit = 50) {
+    return await this.db.all('SELECT * FROM paper_trades ORDER BY id DESC LIMIT ?', [limit]);
+  }
+
+  /**
+   * Wipe the paper journal and start over with a fresh SOL balance
+   */
+  async resetPaperPortfolio(startingBalance) {
+    await this.db.run('DELETE FROM paper_trades');
+    await this.db.run('DELETE FROM paper_positions');
+    await this.db.run(`
+      INSERT INTO paper_account (id, sol_balance, starting_balance, reset_at) VALUES (1, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        sol_balance = excluded.sol_balance,
+        starting_balance = excluded.starting_balance,
+        reset_at = excluded.reset_at
+    `, [startingBalance, startingBalance, Date.now()]);
+  }
+
+  async createPriceAlert(alert) {
+    const result = await this.db.run(`
+      INSERT INTO price_alerts (session_id, token_address, symbol, metric, condition, threshold, baseline, status, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, 'active', ?)
+    `, [
+      alert.sessionId,
+      alert.tokenAddress,
+      alert.symbol,
+      alert.metric,
+      alert.condition,
+      alert.threshold,
+      alert.baseline,
+      Date.now()
+    ]);
+    return this.getPriceAlert(result.lastID);
+  }
+
+  async getPriceAlert(id) {
+    return await this.db.get('SELECT * FROM price_alerts WHERE id = ?', [id]);
+  }
+
+  async getActivePriceAlerts() {
+    return await this.db.all("SELECT * FROM price_alerts WHERE status = 'active' ORDER BY id ASC");
+  }
+
+  async listPriceAlerts(sessionId, limit = 50) {
+    return await this.db.all(
+      'SELECT * FROM price_alerts WHERE session_id = ? ORDER BY id DESC LIMIT ?',
+      [sessionId, limit]
+    );
+  }
+
+  async setPriceAlertStatus(id, status, triggeredValue = null) {
+    await this.db.run(
+      'UPDATE price_alerts SET status = ?, triggered_at = ?, triggered_value = ? WHERE id = ?',
+      [status, status === 'triggered' ? Date.now() : null, triggeredValue, id]
+    );
+  }
+
+  async addToWatchlist(sessionId, token) {
+    const now = Date.now();
+    await this.db.run(`
+      INSERT INTO watchlist (session_id, token_address, symbol, name, added_price, last_price, last_checked, added_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(session_id, token_address) DO NOTHING
+    `, [sessionId, token.address, token.symbol, token.name, token.price, token.price, now, now]);
+  }
+
+  async removeFromWatchlist(sessionId, tokenAddress) {
+    const result = await this.db.run(
+      'DELETE FROM watchlist WHERE session_id = ? AND token_address = ?',
+      [sessionId, tokenAddress]
+    );
+    return result.changes > 0;
+  }
+
+  async getWatchlist(sessionId) {
+    return await this.db.all('SELECT * FROM watchlist WHERE session_id = ? ORDER BY added_at ASC', [sessionId]);
+  }
+
+  async getWatchedTokenAddresses() {
+    const rows = await this.db.all('SELECT DISTINCT token_address FROM watchlist');
+    return rows.map(row => row.token_address);
+  }
+
+  async updateWatchlistPrice(tokenAddress, price) {
+    await this.db.run(
+      'UPDATE watchlist SET last_price = ?, last_checked = ? WHERE token_address = ?',
+      [price, Date.now(), tokenAddress]
+    );
+  }
+
+  async storeAlertNotification(alertId, sessionId, message) {
+    const result = await this.db.run(
+      'INSERT INTO alert_notifications (alert_id, session_id, message, created_at) VALUES (?, ?, ?, ?)',
+      [alertId, sessionId, message, Date.now()]
+    );
+    return await this.db.get('SELECT * FROM alert_notifications WHERE id = ?', [result.lastID]);
+  }
+
+  /**
+   * Alert notifications newest first, optionally for one session and only those after sinceId
+   */
+  async getAlertNotifications({ sessionId = null, sinceId = 0, limit = 50 } = {}) {
+    if (sessionId) {
+      return await this.db.all(
+        'SELECT * FROM alert_notifications WHERE session_id = ? AND id > ? ORDER BY id DESC LIMIT ?',
+        [sessionId, sinceId, limit]
+      );
+    }
+    return await this.db.all(
+      'SELECT * FROM alert_notifications WHERE id > ? ORDER BY id DESC LIMIT ?',
+      [sinceId, limit]
+    );
+  }
+
+  async getWalletSyncState(wallet) {
+    return await this.db.get('SELECT * FROM wallet_sync WHERE wallet = ?', [wallet]);
+  }
+
+  /**
+   * Store swaps for a wallet, ignoring ones already stored
+   * @returns {Number} - How many swaps were new
+   */
+  async storeWalletSwaps(wallet, swaps) {
+    let added = 0;
+    for (const swap of swaps) {
+      const result = await this.db.run(`
+        INSERT OR IGNORE INTO wallet_swaps (wallet, signature, token_address, symbol, name, side, token_amount, usd_value, price_usd, timestamp)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [wallet, swap.signature, swap.tokenAddress, swap.symbol, swap.name, swap.side, swap.tokenAmount, swap.usdValue, swap.priceUsd, swap.time]);
+      added += result.changes;
+    }
+    return added;
+  }
+
+  async updateWalletSyncState(wallet, lastSwapAt) {
+    await this.db.run(`
+      INSERT INTO wallet_sync (wallet, last_swap_at, synced_at) VALUES (?, ?, ?)
+      ON CONFLICT(wallet) DO UPDATE SET last_swap_at = MAX(COALESCE(last_swap_at, 0), excluded.last_swap_at), synced_at = excluded.synced_at
+    `, [wallet, lastSwapAt, Date.now()]);
+  }
+
+  /**
+   * All stored swaps for a wallet, oldest first
+   */
+  async getWalletSwaps(wallet) {
+    return await this.db.all('SELECT * FROM wallet_swaps WHERE wallet = ? ORDER BY timestamp ASC, rowid ASC', [wallet]);
+  }
+
+  /**
+   * Store scored posts, one row per post and token, ignoring ones already stored
+   * @returns {Number} - How many rows were new
+   */
+  async storeSocialPosts(posts) {
+    let added = 0;
+    for (const post of posts) {
+      const result = await this.db.run(`
+        INSERT OR IGNORE INTO social_posts (source, post_id, token_address, author, text, url, posted_at, lexicon_score, llm_score)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [post.source, post.id, post.tokenAddress, post.author, post.text, post.url, post.time, post.lexiconScore, post.llmScore]);
+      added += result.changes;
+    }
+    return added;
+  }
+
+  /**
+   * Posts about a token since a time, newest first
+   */
+  async getSocialPosts(tokenAddress, since) {
+    return await this.db.all(
+      'SELECT * FROM social_posts WHERE token_address = ? AND posted_at >= ? ORDER BY posted_at DESC',
+      [tokenAddress, since]
+    );
+  }
+
+  /**
+   * Tokens with posts since a time, most mentioned first
+   */
+  async getMentionedTokenAddresses(since, limit) {
+    const rows = await this.db.all(
+      'SELECT token_address, COUNT(*) AS mentions FROM social_posts WHERE posted_at >= ? GROUP BY token_address ORDER BY mentions DESC LIMIT ?',
+      [since, limit]
+    );
+    return rows.map(row => row.token_address);
+  }
+
+  async storeSentimentSnapshot(snapshot) {
+    await this.db.run(
+      'INSERT OR REPLACE INTO token_sentiment (token_address, timestamp, social_score, post_count, buy_pressure, score) VALUES (?, ?, ?, ?, ?, ?)',
+      [snapshot.address, snapshot.time, snapshot.social.score, snapshot.social.count, snapshot.pressure?.pressure ?? null, snapshot.score]
+    );
+  }
+
+  /**
+   * A token's sentiment snapshots since a time, oldest first
+   */
+  async getSentimentSnapshots(tokenAddress, since) {
+    return await this.db.all(
+      'SELECT * FROM token_sentiment WHERE token_address = ? AND timestamp >= ? ORDER BY timestamp ASC',
+      [tokenAddress, since]
+    );
+  }
+
+  async deleteSentimentDataBefore(cutoff) {
+    await this.db.run('DELETE FROM social_posts WHERE posted_at < ?', [cutoff]);
+    await this.db.run('DELETE FROM token_sentiment WHERE timestamp < ?', [cutoff]);
+  }
+
+  async recordLlmUsage(call) {
+    await this.db.run(
+      `INSERT INTO llm_usage (timestamp, session_id, provider, model, task, purpose, prompt_tokens, completion_tokens, estimated, cost_usd, latency_ms, success)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        call.timestamp, call.sessionId || null, call.provider, call.model || null, call.task, call.purpose || null,
+        call.promptTokens, call.completionTokens, call.estimated ? 1 : 0, call.costUsd, call.latencyMs, call.success ? 1 : 0
+      ]
+    );
+  }
+
+  /**
+   * Estimated spend since a time, for one session or overall
+   */
+  async getLlmCost(since, sessionId = null) {
+    const row = await this.db.get(
+      `SELECT COALESCE(SUM(cost_usd), 0) AS cost FROM llm_usage WHERE timestamp >= ?${sessionId ? ' AND session_id = ?' : ''}`,
+      sessionId ? [since, sessionId] : [since]
+    );
+    return row.cost;
+  }
+
+  /**
+   * Usage totals per UTC day and model since a time, for one session or overall
+   */
+  async getLlmUsageByDay(since, sessionId = null) {
+    return await this.db.all(`
+      SELECT date(timestamp / 1000, 'unixepoch') AS day, provider, model,
+        COUNT(*) AS calls, SUM(success = 0) AS failures, SUM(estimated) AS estimated_calls,
+        SUM(prompt_tokens) AS prompt_tokens, SUM(completion_tokens) AS completion_tokens,
+        COALESCE(SUM(cost_usd), 0) AS cost_usd, AVG(latency_ms) AS avg_latency_ms
+      FROM llm_usage
+      WHERE timestamp >= ?${sessionId ? ' AND session_id = ?' : ''}
+      GROUP BY day, provider, model
+      ORDER BY day DESC, cost_usd DESC
+    `, sessionId ? [since, sessionId] : [since]);
+  }
+
+  /**
+   * Usage totals per session since a time, most expensive first
+   */
+  async getLlmUsageBySession(since, limit = 20) {
+    return await this.db.all(`
+      SELECT u.session_id, s.name AS session_name,
+        COUNT(*) AS calls, SUM(u.success = 0) AS failures,
+        SUM(u.prompt_tokens) AS prompt_tokens, SUM(u.completion_tokens) AS completion_tokens,
+        COALESCE(SUM(u.cost_usd), 0) AS cost_usd, MAX(u.timestamp) AS last_call
+      FROM llm_usage u
+      LEFT JOIN sessions s ON s.id = u.session_id
+      WHERE u.timestamp >= ? AND u.session_id IS NOT NULL
+      GROUP BY u.session_id
+      ORDER BY cost_usd DESC
+      LIMIT ?
+    `, [since, limit]);
+  }
+
+  async getCacheEntry(key) {
+    return await this.db.get('SELECT value, expires_at FROM api_cache WHERE key = ?', [key]);
+  }
+
+  async setCacheEntry(key, value, expiresAt) {
+    await this.db.run(
+      'INSERT OR REPLACE INTO api_cache (key, value, expires_at) VALUES (?, ?, ?)',
+      [key, value, expiresAt]
+    );
+  }
+
+  async deleteExpiredCacheEntries(now = Date.now()) {
+    await this.db.run('DELETE FROM api_cache WHERE expires_at <= ?', [now]);
+  }
+
+  async clearCache() {
+    await this.db.run('DELETE FROM api_cache');
+  }
+
   async close() {
     if (this.db) {
       await this.db.close();
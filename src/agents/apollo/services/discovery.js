@@ -0,0 +1,184 @@
+import { ENV } from '../../../config/env.js';
+import { database } from './database.js';
+import { knowledgeManager } from './knowledge.js';
+import { marketData } from './market-data/index.js';
+import { summarizeTradeBalance } from './api.js';
+import { assessTokenRisk } from './risk.js';
+import { fetchTokenSafety } from './token-safety.js';
+import { BLACKLISTED_TOKENS } from '../constants/tokens.js';
+import { formatNumber } from '../utils/formatters.js';
+
+const EVENT_PREFIX = 'new_pair_';
+
+/**
+ * Risk model inputs for a pair straight from the new pairs feed. Socials are
+ * left unknown because the feed doesn't carry them
+ */
+const pairMetadata = (pair) => ({
+  name: pair.baseToken.name,
+  symbol: pair.baseToken.symbol,
+  priceUsd: parseFloat(pair.priceUsd) || 0,
+  marketCap: parseFloat(pair.fdv) || 0,
+  volume24h: parseFloat(pair.volume?.h24) || 0,
+  liquidityUsd: parseFloat(pair.liquidity?.usd) || 0,
+  pairCreatedAt: pair.pairCreatedAt,
+  pairAddress: pair.pairAddress,
+  ...summarizeTradeBalance(pair.txns)
+});
+
+/**
+ * Reasons a launch fails the holder and risk filters
+ */
+const failedFilters = (holders, risk, filters) => {
+  const failed = [];
+  if (holders !== null && holders < filters.minHolders) {
+    failed.push(`${holders} holders (min ${filters.minHolders})`);
+  }
+  if (risk.score > filters.maxRiskScore) {
+    failed.push(`risk ${risk.score}/100 (max ${filters.maxRiskScore})`);
+  }
+  return failed;
+};
+
+/**
+ * Pair Discovery Service
+ *
+ * Watches the market data sources for newly created pairs. Pairs with enough
+ * liquidity are risk scored and checked against the holder and risk filters;
+ * each one is stored as a `token` entity with a `new_pair` market event that
+ * records whether it passed. Pairs below the liquidity floor are looked at
+ * again on later scans until they are too old.
+ */
+class DiscoveryService {
+  constructor() {
+    this.evaluated = new Map(); // pair address -> pair creation time
+  }
+
+  getFilters() {
+    return {
+      minLiquidityUsd: ENV.DISCOVERY_MIN_LIQUIDITY_USD,
+      maxAgeMs: ENV.DISCOVERY_MAX_AGE_MS,
+      minHolders: ENV.DISCOVERY_MIN_HOLDERS,
+      maxRiskScore: ENV.DISCOVERY_MAX_RISK_SCORE
+    };
+  }
+
+  /**
+   * Score a new pair and record it
+   * @returns {Object} - The recorded launch
+   */
+  async evaluatePair(pair, filters) {
+    const address = pair.baseToken.address;
+    const metadata = pairMetadata(pair);
+
+    const [holders, safety] = await Promise.all([
+      marketData.getHolderCount(address).catch(() => null),
+      ENV.RISK_ONCHAIN_CHECKS ? fetchTokenSafety(address, { pairAddress: pair.pairAddress }) : null
+    ]);
+    const risk = await assessTokenRisk(address, metadata, { safety });
+    const failed = failedFilters(holders, risk, filters);
+
+    const launch = {
+      id: pair.pairAddress,
+      tokenAddress: address,
+      name: metadata.name,
+      symbol: metadata.symbol,
+      dex: pair.dexId,
+      pairAddress: pair.pairAddress,
+      pairCreatedAt: pair.pairCreatedAt,
+      liquidityUsd: metadata.liquidityUsd,
+      marketCap: metadata.marketCap,
+      holders,
+      riskScore: risk.score,
+      riskLevel: risk.level,
+      passed: failed.length === 0,
+      failed,
+      time: pair.pairCreatedAt
+    };
+
+    await knowledgeManager.recordTokenAnalysis(address, {
+      name: metadata.name,
+      symbol: metadata.symbol,
+      riskScore: risk.score,
+      riskLevel: `${risk.level} RISK`,
+      safety
+    });
+
+    const verdict = launch.passed ? 'passed the launch filters' : `failed the launch filters: ${failed.join(', ')}`;
+    const description = `New ${pair.dexId} pair for $${metadata.symbol} with $${formatNumber(metadata.liquidityUsd)} liquidity, risk ${risk.score}/100, ${verdict}`;
+    await knowledgeManager.recordMarketEvent('new_pair', address, description, launch.passed ? 5 : 2, launch);
+
+    return launch;
+  }
+
+  /**
+   * Look for new pairs and evaluate up to DISCOVERY_MAX_CANDIDATES of them
+   * @returns {Object} - { scanned, evaluated, passed }
+   */
+  async scan() {
+    const filters = this.getFilters();
+    const since = Date.now() - filters.maxAgeMs;
+
+    // Forget pairs that are too old to come back in the feed
+    for (const [pairAddress, createdAt] of this.evaluated) {
+      if (createdAt < since) this.evaluated.delete(pairAddress);
+    }
+
+    const pairs = await marketData.getNewPairs({ since });
+    const candidates = [];
+    for (const pair of pairs) {
+      const address = pair.baseToken?.address;
+      if (!address || !pair.pairAddress || BLACKLISTED_TOKENS.addresses.includes(address)) continue;
+      if (this.evaluated.has(pair.pairAddress) || (parseFloat(pair.liquidity?.usd) || 0) < filters.minLiquidityUsd) continue;
+
+      // Already recorded before a restart
+      if (await knowledgeManager.getEntityByTypeAndValue(knowledgeManager.entityTypes.MARKET_EVENT, `${EVENT_PREFIX}${pair.pairAddress}`)) {
+        this.evaluated.set(pair.pairAddress, pair.pairCreatedAt);
+        continue;
+      }
+      candidates.push(pair);
+    }
+
+    let passed = 0;
+    const batch = candidates.slice(0, ENV.DISCOVERY_MAX_CANDIDATES);
+    for (const pair of batch) {
+      try {
+        const launch = await this.evaluatePair(pair, filters);
+        this.evaluated.set(pair.pairAddress, pair.pairCreatedAt);
+        if (launch.passed) passed++;
+      } catch (error) {
+        console.error(`Error evaluating new pair ${pair.pairAddress}:`, error);
+      }
+    }
+
+    return { scanned: pairs.length, evaluated: batch.length, passed };
+  }
+
+  /**
+   * Launches recorded by the scans
+   * @param {Object} options - { windowMs (default DISCOVERY_MAX_AGE_MS), passedOnly }
+   * @returns {Object} - { since, filters, launches (newest first), passed, failed }
+   */
+  async getLaunches(options = {}) {
+    const { windowMs = ENV.DISCOVERY_MAX_AGE_MS, passedOnly = false } = options;
+    const since = Date.now() - windowMs;
+
+    // Launches are recorded after the pair was created, so their entities can't be older than the window
+    const rows = await database.getMarketEventEntities(EVENT_PREFIX, since);
+    const all = rows
+      .map(row => JSON.parse(row.metadata || '{}').details)
+      .filter(launch => launch && launch.pairCreatedAt >= since)
+      .sort((a, b) => b.pairCreatedAt - a.pairCreatedAt);
+    const passed = all.filter(launch => launch.passed).length;
+
+    return {
+      since,
+      filters: this.getFilters(),
+      launches: passedOnly ? all.filter(launch => launch.passed) : all,
+      passed,
+      failed: all.length - passed
+    };
+  }
+}
+
+export const discovery = new DiscoveryService();
@@ -1,4 +1,6 @@
 import { database } from './database.js';
+import { summarizeTokenSafety } from './token-safety.js';
+import { scoreText } from '../utils/sentiment.js';
 
 class KnowledgeManager {
   constructor() {
@@ -120,9 +122,10 @@ class KnowledgeManager {
    * @param {string} input - User input
    * @param {string} response - Agent response
    * @param {string} queryType - Type of query
+   * @param {object} options - { provider } the AI provider that answered
    * @returns {object} - Analysis results
    */
-  async analyzeConversation(input, response, queryType) {
+  async analyzeConversation(input, response, queryType, options = {}) {
     // A more advanced implementation would use NLP for entity extraction
     // This is a simple rule-based implementation
     
@@ -174,7 +177,8 @@ class KnowledgeManager {
     const conversationId = await database.storeConversation(input, response, queryType, {
       sentiment: sentimentScore,
       importance: importanceScore,
-      tags: tags.join(',')
+      tags: tags.join(','),
+      provider: options.provider
     });
     
     // Store entities and create relationships
@@ -226,23 +230,10 @@ class KnowledgeManager {
   }
   
   /**
-   * Very basic sentiment analysis
-   * A real implementation would use a more sophisticated approach
+   * Lexicon sentiment score of a conversation, -1 to 1
    */
   analyzeSentiment(text) {
-    const positiveWords = ['bullish', 'green', 'pumping', 'moon', 'profit', 'gain', 'good', 'great', 'excellent', 'up', 'increase', 'growth'];
-    const negativeWords = ['bearish', 'red', 'dumping', 'crash', 'loss', 'bad', 'terrible', 'poor', 'down', 'decrease', 'drop', 'falling'];
-    
-    let score = 0;
-    const words = text.toLowerCase().split(/\s+/);
-    
-    for (const word of words) {
-      if (positiveWords.includes(word)) score += 0.1;
-      if (negativeWords.includes(word)) score -= 0.1;
-    }
-    
-    // Clamp between -1 and 1
-    return Math.max(-1, Math.min(1, score));
+    return scoreText(text);
   }
   
   /**
@@ -295,7 +286,7 @@ class KnowledgeManager {
     score += Math.abs(sentiment) * 2;
     
     // Certain query types are more important
-    if (['wallet', 'market', 'swap'].includes(queryType)) {
+    if (['wallet', 'wallet_compare', 'market', 'swap'].includes(queryType)) {
       score += 1;
     }
     
@@ -413,17 +404,129 @@ class KnowledgeManager {
     );
   }
   
+  /**
+   * Store a token analysis on the token's knowledge entity, including the
+   * on-chain safety checks, and share it with HIVE peers
+   * @param {String} address - Token mint address
+   * @param {Object} tokenMetadata - tokenMetadata from enhanceTokenQuery
+   */
+  async recordTokenAnalysis(address, tokenMetadata) {
+    const existing = await this.getEntityByTypeAndValue(this.entityTypes.TOKEN, address);
+    const metadata = {
+      ...JSON.parse(existing?.metadata || '{}'),
+      name: tokenMetadata.name,
+      symbol: tokenMetadata.symbol,
+      riskScore: tokenMetadata.riskScore,
+      riskLevel: tokenMetadata.riskLevel,
+      analyzedAt: Date.now()
+    };
+    if (tokenMetadata.safety) {
+      metadata.safety = summarizeTokenSafety(tokenMetadata.safety);
+    }
+
+    const id = await database.storeEntity(this.entityTypes.TOKEN, address, metadata);
+    if (!existing) {
+      const category = this.entityTypeToCategory(this.entityTypes.TOKEN);
+      this.entityCountByCategory[category] = (this.entityCountByCategory[category] || 0) + 1;
+    }
+
+    if (this.onNewEntity) {
+      await this.onNewEntity({ id, type: this.entityTypes.TOKEN, value: address, metadata });
+    }
+    return id;
+  }
+
+  /**
+   * Store a price correlation between two tokens as a `correlated_with`
+   * relationship each way, with the coefficient (-1 to 1) as its strength
+   * @param {Object} tokenA - { address, name, symbol }
+   * @param {Object} tokenB - { address, name, symbol }
+   * @param {Number} coefficient - Correlation of their returns
+   */
+  async recordTokenCorrelation(tokenA, tokenB, coefficient) {
+    const ids = [];
+    for (const token of [tokenA, tokenB]) {
+      const existing = await this.getEntityByTypeAndValue(this.entityTypes.TOKEN, token.address);
+      if (existing) {
+        ids.push(existing.id);
+        continue;
+      }
+      ids.push(await database.storeEntity(this.entityTypes.TOKEN, token.address, { name: token.name, symbol: token.symbol }));
+      const category = this.entityTypeToCategory(this.entityTypes.TOKEN);
+      this.entityCountByCategory[category] = (this.entityCountByCategory[category] || 0) + 1;
+    }
+
+    const strength = Math.round(coefficient * 100) / 100;
+    await database.createRelationship(ids[0], this.relationTypes.CORRELATED_WITH, ids[1], strength);
+    await database.createRelationship(ids[1], this.relationTypes.CORRELATED_WITH, ids[0], strength);
+  }
+
+  /**
+   * Label a wallet as smart money (whale, fund, insider...)
+   * @param {String} address - Wallet address
+   * @param {Object} label - { label, category }
+   */
+  async labelWallet(address, { label, category = 'whale' }) {
+    const existing = await this.getEntityByTypeAndValue(this.entityTypes.WALLET, address);
+    const metadata = {
+      ...JSON.parse(existing?.metadata || '{}'),
+      label: label || address.substring(0, 8),
+      category,
+      smartMoney: true,
+      labelledAt: Date.now()
+    };
+
+    const id = await database.storeEntity(this.entityTypes.WALLET, address, metadata);
+    if (!existing) {
+      const category = this.entityTypeToCategory(this.entityTypes.WALLET);
+      this.entityCountByCategory[category] = (this.entityCountByCategory[category] || 0) + 1;
+    }
+
+    if (this.onNewEntity) {
+      await this.onNewEntity({ id, type: this.entityTypes.WALLET, value: address, metadata });
+    }
+    return { address, ...metadata };
+  }
+
+  /**
+   * Stop tracking a wallet as smart money; the entity and its label are kept
+   * @returns {Boolean} - Whether the wallet was being tracked
+   */
+  async unlabelWallet(address) {
+    const existing = await this.getEntityByTypeAndValue(this.entityTypes.WALLET, address);
+    const metadata = JSON.parse(existing?.metadata || '{}');
+    if (!metadata.smartMoney) {
+      return false;
+    }
+    await database.storeEntity(this.entityTypes.WALLET, address, { ...metadata, smartMoney: false });
+    return true;
+  }
+
+  /**
+   * Wallets labelled as smart money
+   * @returns {Array} - [{ address, label, category, labelledAt }]
+   */
+  async getSmartWallets() {
+    const rows = await database.getEntitiesByType(this.entityTypes.WALLET);
+    return rows
+      .map(row => ({ address: row.entity_value, ...JSON.parse(row.metadata || '{}') }))
+      .filter(wallet => wallet.smartMoney)
+      .map(({ address, label, category, labelledAt }) => ({ address, label, category, labelledAt }));
+  }
+
   /**
    * Records a market event and its relationships to relevant entities
+   * @param {Object} details - Optional structured data kept in the event entity's metadata;
+   *   details.id names the entity, so the same event recorded twice stays one entity
    */
-  async recordMarketEvent(eventType, relatedToken, description, impactScore = 3) {
+  async recordMarketEvent(eventType, relatedToken, description, impactScore = 3, details = null) {
     await database.recordMarketEvent(eventType, relatedToken, description, impactScore);
     
     // Also store as an entity for knowledge graph connections
     const eventEntity = {
       type: this.entityTypes.MARKET_EVENT,
-      value: `${eventType}_${Date.now()}`,
-      metadata: { description, impact_score: impactScore, token: relatedToken }
+      value: `${eventType}_${details?.id ?? Date.now()}`,
+      metadata: { description, impact_score: impactScore, token: relatedToken, ...(details && { details }) }
     };
     
     const eventId = await database.storeEntity(
@@ -603,10 +706,12 @@ class KnowledgeManager {
         
         const ourSize = Object.keys(ourMetadata).length;
         const theirSize = Object.keys(theirMetadata).length;
+        // On-chain safety checks go stale, so a fresher check wins
+        const fresherSafety = (theirMetadata.safety?.checkedAt || 0) > (ourMetadata.safety?.checkedAt || 0);
         
         // Simple heuristic: more fields = better data
-        if (theirSize > ourSize) {
-          await this.updateEntityMetadata(existingEntity.id, theirMetadata);
+        if (theirSize > ourSize || fresherSafety) {
+          await this.updateEntityMetadata(existingEntity.id, theirSize > ourSize ? theirMetadata : { ...ourMetadata, ...theirMetadata });
           
           // Track that this entity was updated from a peer
           await this.trackPeerEntity(existingEntity.id, sourcePeerId);
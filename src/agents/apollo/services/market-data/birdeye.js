@@ -0,0 +1,128 @@
+import { httpGet } from '../../utils/axios.js';
+import { MarketDataSource, MarketDataError, CANDLE_INTERVALS } from './source.js';
+
+/**
+ * Birdeye-style API: token overview, prices, OHLCV candles and wallet portfolios.
+ * Birdeye reports per-token aggregates rather than individual pairs, so a
+ * token is exposed as a single synthetic pair.
+ */
+export class BirdeyeSource extends MarketDataSource {
+  constructor(options = {}) {
+    super('birdeye', 'Birdeye');
+    this.baseUrl = (options.baseUrl || 'https://public-api.birdeye.so').replace(/\/$/, '');
+    this.apiKey = options.apiKey || '';
+  }
+
+  async request(path, params, operation) {
+    if (!this.apiKey) {
+      throw new MarketDataError('birdeye requires BIRDEYE_API_KEY', 'unsupported', { source: this.name });
+    }
+
+    let body;
+    try {
+      body = await httpGet(`${this.baseUrl}${path}`, {
+        params,
+        headers: { 'X-API-KEY': this.apiKey, 'x-chain': 'solana' }
+      }, { source: this.displayName });
+    } catch (error) {
+      throw this.wrapError(error, operation);
+    }
+
+    if (!body?.success) {
+      throw new MarketDataError(`birdeye ${operation} failed: ${body?.message || 'unknown error'}`, 'upstream_error', { source: this.name });
+    }
+    return body.data;
+  }
+
+  async getTokenPairs(address) {
+    const token = await this.request('/defi/token_overview', { address }, 'getTokenPairs');
+    if (!token || !token.symbol) return [];
+
+    const extensions = token.extensions || {};
+    const socials = ['twitter', 'telegram', 'discord']
+      .filter(type => extensions[type])
+      .map(type => ({ type, url: extensions[type] }));
+
+    return [{
+      chainId: 'solana',
+      dexId: 'birdeye',
+      pairAddress: null,
+      baseToken: { address, name: token.name, symbol: token.symbol },
+      quoteToken: { address: null, name: 'US Dollar', symbol: 'USD' },
+      priceUsd: token.price?.toString() || '0',
+      priceNative: null,
+      fdv: token.fdv ?? token.mc,
+      txns: { h24: { buys: token.buy24h || 0, sells: token.sell24h || 0 } },
+      volume: {
+        m5: 0,
+        h1: token.v1hUSD || 0,
+        h6: 0,
+        h24: token.v24hUSD || 0
+      },
+      priceChange: {
+        m5: 0,
+        h1: token.priceChange1hPercent || 0,
+        h6: 0,
+        h24: token.priceChange24hPercent || 0
+      },
+      liquidity: { usd: token.liquidity || 0 },
+      pairCreatedAt: 0,
+      info: {
+        imageUrl: token.logoURI || '',
+        websites: extensions.website ? [extensions.website] : [],
+        socials
+      }
+    }];
+  }
+
+  async getHolderCount(address) {
+    const token = await this.request('/defi/token_overview', { address }, 'getHolderCount');
+    if (!Number.isFinite(token?.holder)) {
+      throw new MarketDataError(`birdeye has no holder count for ${address}`, 'not_found', { source: this.name });
+    }
+    return token.holder;
+  }
+
+  async getTokenPrice(address) {
+    const data = await this.request('/defi/price', { address }, 'getTokenPrice');
+    if (!data?.value) {
+      throw new MarketDataError(`birdeye has no price for ${address}`, 'not_found', { source: this.name });
+    }
+    return parseFloat(data.value);
+  }
+
+  async getTokenCandles(address, interval, limit) {
+    // Birdeye uses upper-case hour and day intervals
+    const type = interval.replace(/h$/, 'H').replace(/d$/, 'D');
+    const timeTo = Math.floor(Date.now() / 1000);
+    const timeFrom = timeTo - Math.ceil((CANDLE_INTERVALS[interval] * limit) / 1000);
+    const data = await this.request('/defi/ohlcv', { address, type, time_from: timeFrom, time_to: timeTo }, 'getTokenCandles');
+
+    return (data?.items || [])
+      .map(item => ({
+        time: item.unixTime * 1000,
+        open: parseFloat(item.o),
+        high: parseFloat(item.h),
+        low: parseFloat(item.l),
+        close: parseFloat(item.c),
+        volume: parseFloat(item.v) || 0
+      }))
+      .sort((a, b) => a.time - b.time)
+      .slice(-limit);
+  }
+
+  async getWalletHoldings(wallet) {
+    const data = await this.request('/v1/wallet/token_list', { wallet }, 'getWalletHoldings');
+
+    return (data?.items || [])
+      .filter(item => item && item.address)
+      .map(item => ({
+        address: item.address.toLowerCase(),
+        balance: parseFloat(item.uiAmount || 0),
+        value: parseFloat(item.valueUsd || 0),
+        name: item.name || 'Unknown',
+        symbol: item.symbol || 'Unknown',
+      }))
+      .sort((a, b) => b.value - a.value);
+  }
+}
@@ -0,0 +1,21 @@
+import { httpGet } from '../../utils/axios.js';
+import { MarketDataSource } from './source.js';
+
+/**
+ * DexScreener: token pairs and prices (no wallet data)
+ */
+export class DexScreenerSource extends MarketDataSource {
+  constructor(options = {}) {
+    super('dexscreener', 'DexScreener');
+    this.baseUrl = (options.baseUrl || 'https://api.dexscreener.com').replace(/\/$/, '');
+  }
+
+  async getTokenPairs(address) {
+    try {
+      const data = await httpGet(`${this.baseUrl}/latest/dex/tokens/${address}`, {}, { source: this.displayName });
+      return data?.pairs || [];
+    } catch (error) {
+      throw this.wrapError(error, 'getTokenPairs');
+    }
+  }
+}
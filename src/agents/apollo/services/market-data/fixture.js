@@ -0,0 +1,95 @@
+import fs from 'fs';
+import { MarketDataSource, MarketDataError } from './source.js';
+
+/**
+ * Local fixture file, for offline development and reproducible demos.
+ *
+ * Format:
+ * {
+ *   "tokens":  { "<mint>": { "pairs": [...], "priceUsd": 1.23, "candles": { "15m": [...] }, "holderCount": 120 } },
+ *   "wallets": { "<address>": { "holdings": [...], "traderStats": {...}, "swaps": [...] } },
+ *   "newPairs": [...]
+ * }
+ * The file is re-read whenever it changes on disk.
+ */
+export class FixtureSource extends MarketDataSource {
+  constructor(options = {}) {
+    super('fixture', 'Market data fixture');
+    this.path = options.path;
+    this.data = null;
+    this.loadedMtime = 0;
+  }
+
+  load() {
+    if (!this.path || !fs.existsSync(this.path)) {
+      throw new MarketDataError(`Market data fixture file not found: ${this.path}`, 'unsupported', { source: this.name });
+    }
+
+    const mtime = fs.statSync(this.path).mtimeMs;
+    if (!this.data || mtime !== this.loadedMtime) {
+      this.data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+      this.loadedMtime = mtime;
+    }
+    return this.data;
+  }
+
+  lookup(section, key, operation) {
+    const entry = this.load()[section]?.[key];
+    if (!entry) {
+      throw new MarketDataError(`fixture has no ${operation} data for ${key}`, 'not_found', { source: this.name });
+    }
+    return entry;
+  }
+
+  async getTokenPairs(address) {
+    return this.load().tokens?.[address]?.pairs || [];
+  }
+
+  async getTokenPrice(address) {
+    const token = this.lookup('tokens', address, 'getTokenPrice');
+    if (token.priceUsd !== undefined) {
+      return parseFloat(token.priceUsd);
+    }
+    return super.getTokenPrice(address);
+  }
+
+  async getTokenCandles(address, interval, limit) {
+    const candles = this.load().tokens?.[address]?.candles?.[interval] || [];
+    return candles.slice(-limit);
+  }
+
+  async getWalletHoldings(wallet) {
+    const holdings = this.lookup('wallets', wallet, 'getWalletHoldings').holdings || [];
+    return [...holdings].sort((a, b) => b.value - a.value);
+  }
+
+  async getTraderStats(wallet) {
+    const stats = this.lookup('wallets', wallet, 'getTraderStats').traderStats;
+    if (!stats) {
+      throw new MarketDataError(`fixture has no getTraderStats data for ${wallet}`, 'not_found', { source: this.name });
+    }
+    return stats;
+  }
+
+  async getWalletSwaps(wallet, { since = 0, limit = Infinity } = {}) {
+    const swaps = this.load().wallets?.[wallet]?.swaps || [];
+    return swaps
+      .filter(swap => swap.time >= since)
+      .sort((a, b) => b.time - a.time)
+      .slice(0, limit);
+  }
+
+  async getNewPairs({ since = 0 } = {}) {
+    return (this.load().newPairs || [])
+      .filter(pair => pair.pairCreatedAt >= since)
+      .sort((a, b) => b.pairCreatedAt - a.pairCreatedAt);
+  }
+
+  async getHolderCount(address) {
+    const { holderCount } = this.lookup('tokens', address, 'getHolderCount');
+    if (holderCount === undefined) {
+      throw new MarketDataError(`fixture has no getHolderCount data for ${address}`, 'not_found', { source: this.name });
+    }
+    return holderCount;
+  }
+}
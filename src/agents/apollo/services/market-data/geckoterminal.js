@@ -0,0 +1,141 @@
+import { httpGet } from '../../utils/axios.js';
+import { MarketDataSource, MarketDataError } from './source.js';
+
+// GeckoTerminal timeframe and aggregate for each candle interval
+const TIMEFRAMES = {
+  '1m': ['minute', 1],
+  '5m': ['minute', 5],
+  '15m': ['minute', 15],
+  '1h': ['hour', 1],
+  '4h': ['hour', 4],
+  '1d': ['day', 1]
+};
+
+// New pools come 20 to a page
+const MAX_NEW_POOL_PAGES = 3;
+
+// Relationship ids look like "solana_<address>"
+const relationshipAddress = (relationship) => relationship?.data?.id?.replace(/^solana_/, '') || null;
+
+/**
+ * Normalize a GeckoTerminal pool to the DexScreener pair shape
+ */
+const normalizePool = (pool, tokens) => {
+  const attributes = pool.attributes;
+  const base = tokens.get(relationshipAddress(pool.relationships?.base_token)) || {};
+  const quote = tokens.get(relationshipAddress(pool.relationships?.quote_token)) || {};
+  const txns = attributes.transactions?.h24 || {};
+
+  return {
+    chainId: 'solana',
+    dexId: pool.relationships?.dex?.data?.id || 'unknown',
+    pairAddress: attributes.address,
+    baseToken: { address: relationshipAddress(pool.relationships?.base_token), name: base.name, symbol: base.symbol },
+    quoteToken: { address: relationshipAddress(pool.relationships?.quote_token), name: quote.name, symbol: quote.symbol },
+    priceUsd: attributes.base_token_price_usd || '0',
+    priceNative: attributes.base_token_price_native_currency || null,
+    fdv: parseFloat(attributes.market_cap_usd || attributes.fdv_usd) || 0,
+    txns: { h24: { buys: txns.buys || 0, sells: txns.sells || 0 } },
+    volume: attributes.volume_usd || { m5: 0, h1: 0, h6: 0, h24: 0 },
+    priceChange: attributes.price_change_percentage || { m5: 0, h1: 0, h6: 0, h24: 0 },
+    liquidity: { usd: parseFloat(attributes.reserve_in_usd) || 0 },
+    pairCreatedAt: Date.parse(attributes.pool_created_at) || 0,
+    info: { imageUrl: '', websites: [], socials: [] }
+  };
+};
+
+/**
+ * GeckoTerminal: free OHLCV candles for a token's most liquid pool, newly
+ * created pools and holder counts
+ */
+export class GeckoTerminalSource extends MarketDataSource {
+  constructor(options = {}) {
+    super('geckoterminal', 'GeckoTerminal');
+    this.baseUrl = (options.baseUrl || 'https://api.geckoterminal.com/api/v2').replace(/\/$/, '');
+    this.pools = new Map(); // token address -> top pool address
+  }
+
+  async getTopPool(address) {
+    if (this.pools.has(address)) {
+      return this.pools.get(address);
+    }
+
+    const body = await httpGet(`${this.baseUrl}/networks/solana/tokens/${address}/pools`, {
+      params: { page: 1 }
+    }, { source: this.displayName });
+    const pool = body?.data?.[0]?.attributes?.address || null;
+    if (pool) {
+      this.pools.set(address, pool);
+    }
+    return pool;
+  }
+
+  async getTokenCandles(address, interval, limit) {
+    const [timeframe, aggregate] = TIMEFRAMES[interval] || TIMEFRAMES['15m'];
+
+    try {
+      const pool = await this.getTopPool(address);
+      if (!pool) return [];
+
+      const body = await httpGet(`${this.baseUrl}/networks/solana/pools/${pool}/ohlcv/${timeframe}`, {
+        params: { aggregate, limit, currency: 'usd', token: address }
+      }, { source: this.displayName });
+
+      // Rows are [timestamp (s), open, high, low, close, volume], newest first
+      return (body?.data?.attributes?.ohlcv_list || [])
+        .map(([time, open, high, low, close, volume]) => ({
+          time: time * 1000,
+          open: parseFloat(open),
+          high: parseFloat(high),
+          low: parseFloat(low),
+          close: parseFloat(close),
+          volume: parseFloat(volume) || 0
+        }))
+        .sort((a, b) => a.time - b.time);
+    } catch (error) {
+      if (error.response?.status === 404) return [];
+      throw this.wrapError(error, 'getTokenCandles');
+    }
+  }
+
+  async getNewPairs({ since = 0 } = {}) {
+    const pairs = [];
+    try {
+      for (let page = 1; page <= MAX_NEW_POOL_PAGES; page++) {
+        const body = await httpGet(`${this.baseUrl}/networks/solana/new_pools`, {
+          params: { page, include: 'base_token,quote_token,dex' }
+        }, { source: this.displayName });
+
+        const tokens = new Map((body?.included || [])
+          .filter(item => item.type === 'token')
+          .map(item => [item.attributes.address, item.attributes]));
+        const batch = (body?.data || []).map(pool => normalizePool(pool, tokens));
+        pairs.push(...batch.filter(pair => pair.pairCreatedAt >= since));
+
+        // Pools are newest first; stop once a page reaches past `since`
+        if (batch.length === 0 || batch.some(pair => pair.pairCreatedAt < since)) break;
+      }
+    } catch (error) {
+      throw this.wrapError(error, 'getNewPairs');
+    }
+    return pairs;
+  }
+
+  async getHolderCount(address) {
+    let body;
+    try {
+      body = await httpGet(`${this.baseUrl}/networks/solana/tokens/${address}/info`, {}, { source: this.displayName });
+    } catch (error) {
+      if (error.response?.status === 404) {
+        throw new MarketDataError(`geckoterminal has no holder count for ${address}`, 'not_found', { source: this.name });
+      }
+      throw this.wrapError(error, 'getHolderCount');
+    }
+
+    const count = body?.data?.attributes?.holders?.count;
+    if (!Number.isFinite(count)) {
+      throw new MarketDataError(`geckoterminal has no holder count for ${address}`, 'not_found', { source: this.name });
+    }
+    return count;
+  }
+}
@@ -0,0 +1,100 @@
+import { httpGet } from '../../utils/axios.js';
+import { MarketDataSource, MarketDataError } from './source.js';
+
+// Activity is paged; stop after this many pages even if `since` wasn't reached
+const MAX_ACTIVITY_PAGES = 20;
+const ACTIVITY_PAGE_SIZE = 50;
+
+/**
+ * gmgn.ai: wallet holdings, trader statistics and swap activity
+ */
+export class GmgnSource extends MarketDataSource {
+  constructor(options = {}) {
+    super('gmgn', 'gmgn.ai');
+    this.baseUrl = (options.baseUrl || 'https://gmgn.ai').replace(/\/$/, '');
+  }
+
+  async request(path, operation) {
+    let body;
+    try {
+      body = await httpGet(`${this.baseUrl}${path}`, {}, { source: this.displayName });
+    } catch (error) {
+      throw this.wrapError(error, operation);
+    }
+
+    if (!body || body.code !== 0) {
+      throw new MarketDataError(`gmgn ${operation} returned code ${body?.code}`, 'upstream_error', { source: this.name });
+    }
+    return body.data;
+  }
+
+  async getWalletHoldings(wallet) {
+    const data = await this.request(`/api/v1/wallet_holdings/sol/${wallet}`, 'getWalletHoldings');
+
+    return (data.holdings || [])
+      .filter(item => item && item.token && item.token.token_address)
+      .map(item => ({
+        address: item.token.token_address.toLowerCase(),
+        balance: parseFloat(item.balance) / (10 ** (item.token.decimals || 0)),
+        value: parseFloat(item.usd_value || 0),
+        name: item.token.name || 'Unknown',
+        symbol: item.token.symbol || 'Unknown',
+      }))
+      .sort((a, b) => b.value - a.value);
+  }
+
+  async getTraderStats(wallet) {
+    const data = await this.request(`/defi/quotation/v1/smartmoney/sol/walletNew/${wallet}`, 'getTraderStats');
+
+    return {
+      pnl7Day: data.pnl_7d,
+      pnl30Day: data.pnl_30d,
+      unrealizedPnL7Day: data.unrealized_pnl,
+      unrealizedPnL30Day: data.unrealized_pnl_30d,
+      realizedProfit7d: data.realized_profit_7d,
+      winrate: data.winrate,
+      solBalance: parseFloat(data.sol_balance),
+      buy7d: data.buy_7d,
+      buy30Day: data.buy_30d,
+      sell7d: data.sell_7d,
+      sell30Day: data.sell_30d,
+      token_sold_avg_profit: data.token_sold_avg_profit,
+      token_avg_cost: data.token_avg_cost
+    };
+  }
+
+  async getWalletSwaps(wallet, { since = 0, limit = Infinity } = {}) {
+    const swaps = [];
+    let cursor = '';
+
+    for (let page = 0; page < MAX_ACTIVITY_PAGES && swaps.length < limit; page++) {
+      const query = new URLSearchParams([['type', 'buy'], ['type', 'sell'], ['wallet', wallet], ['limit', String(ACTIVITY_PAGE_SIZE)]]);
+      if (cursor) query.set('cursor', cursor);
+      const data = await this.request(`/api/v1/wallet_activity/sol?${query}`, 'getWalletSwaps');
+
+      const activities = data.activities || [];
+      for (const activity of activities) {
+        const time = activity.timestamp * 1000;
+        if (time < since) return swaps;
+        if (!activity.token?.address || !['buy', 'sell'].includes(activity.event_type)) continue;
+
+        swaps.push({
+          signature: activity.tx_hash,
+          time,
+          tokenAddress: activity.token.address,
+          name: activity.token.name || 'Unknown',
+          symbol: activity.token.symbol || 'Unknown',
+          side: activity.event_type,
+          tokenAmount: parseFloat(activity.token_amount) || 0,
+          usdValue: parseFloat(activity.cost_usd) || 0,
+          priceUsd: parseFloat(activity.price_usd) || 0
+        });
+        if (swaps.length >= limit) break;
+      }
+
+      cursor = data.next;
+      if (!cursor || activities.length === 0) break;
+    }
+    return swaps;
+  }
+}
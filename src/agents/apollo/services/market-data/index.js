@@ -0,0 +1,168 @@
+import { ENV } from '../../../../config/env.js';
+import { UpstreamUnavailable } from '../../utils/axios.js';
+import { MarketDataSource, MarketDataError, CANDLE_INTERVALS } from './source.js';
+import { DexScreenerSource } from './dexscreener.js';
+import { GmgnSource } from './gmgn.js';
+import { BirdeyeSource } from './birdeye.js';
+import { GeckoTerminalSource } from './geckoterminal.js';
+import { FixtureSource } from './fixture.js';
+
+const SOURCES = {
+  dexscreener: () => new DexScreenerSource({ baseUrl: ENV.DEXSCREENER_API_URL }),
+  gmgn: () => new GmgnSource({ baseUrl: ENV.GMGN_API_URL }),
+  birdeye: () => new BirdeyeSource({ baseUrl: ENV.BIRDEYE_API_URL, apiKey: ENV.BIRDEYE_API_KEY }),
+  geckoterminal: () => new GeckoTerminalSource({ baseUrl: ENV.GECKOTERMINAL_API_URL }),
+  fixture: () => new FixtureSource({ path: ENV.MARKET_DATA_FIXTURE_PATH })
+};
+
+/**
+ * Market Data Service
+ *
+ * Runs each operation against the configured sources in MARKET_DATA_SOURCES
+ * order. A source that errors, is rate limited or has no data is skipped and
+ * the next one is tried; rate-limited sources sit out until their cooldown
+ * (Retry-After, or MARKET_DATA_COOLDOWN_MS) has passed. When every source
+ * that supports the operation is down, an UpstreamUnavailable naming them is
+ * thrown.
+ */
+class MarketDataService {
+  constructor() {
+    this.sources = null;
+    this.cooldowns = new Map(); // source name -> timestamp it may be used again
+  }
+
+  getSources() {
+    if (!this.sources) {
+      this.sources = ENV.MARKET_DATA_SOURCES
+        .map(name => {
+          if (!SOURCES[name]) {
+            console.error(`Unknown market data source "${name}" in MARKET_DATA_SOURCES, ignoring it`);
+            return null;
+          }
+          return SOURCES[name]();
+        })
+        .filter(Boolean);
+    }
+    return this.sources;
+  }
+
+  /**
+   * Run an operation with fallback across sources
+   * @param {String} operation - MarketDataSource method name
+   * @param {...any} args - Operation arguments
+   */
+  async call(operation, ...args) {
+    let lastError = null;
+    let emptyResult = null;
+    const failures = []; // sources that were down or rate limited
+
+    for (const source of this.getSources().filter(s => s.supports(operation))) {
+      const coolingUntil = this.cooldowns.get(source.name);
+      if (coolingUntil && coolingUntil > Date.now()) {
+        failures.push({ source, reason: 'rate_limited', retryAfterMs: coolingUntil - Date.now() });
+        continue;
+      }
+
+      try {
+        const result = await source[operation](...args);
+        if (Array.isArray(result) && result.length === 0) {
+          // Nothing here - another source may know about it
+          emptyResult = result;
+          continue;
+        }
+        return result;
+      } catch (error) {
+        const wrapped = source.wrapError(error, operation);
+
+        if (wrapped.code === 'rate_limited') {
+          this.cooldowns.set(source.name, Date.now() + (wrapped.retryAfterMs || ENV.MARKET_DATA_COOLDOWN_MS));
+        }
+        if (wrapped.code === 'upstream_error' || wrapped.code === 'rate_limited') {
+          console.error(`Market data source ${source.name} failed ${operation}, trying the next source:`, wrapped.message);
+          failures.push({
+            source,
+            reason: wrapped.upstream?.reason || (wrapped.code === 'rate_limited' ? 'rate_limited' : 'server_error'),
+            status: wrapped.upstream?.status || null,
+            retryAfterMs: wrapped.retryAfterMs
+          });
+        }
+        if (wrapped.code !== 'unsupported' || !lastError) {
+          lastError = wrapped;
+        }
+      }
+    }
+
+    if (emptyResult) return emptyResult;
+
+    if (failures.length > 0) {
+      // Every source that could answer is down - tell the caller which ones
+      const retryAfters = failures.map(f => f.retryAfterMs).filter(Boolean);
+      throw new UpstreamUnavailable({
+        source: failures.map(f => f.source.displayName),
+        reason: failures[failures.length - 1].reason,
+        status: failures[failures.length - 1].status,
+        retryAfterMs: retryAfters.length > 0 ? Math.min(...retryAfters) : null
+      });
+    }
+    throw lastError || new MarketDataError(`No market data source configured for ${operation}`, 'unsupported');
+  }
+
+  async getTokenPairs(address) {
+    return await this.call('getTokenPairs', address);
+  }
+
+  async getTokenPrice(address) {
+    return await this.call('getTokenPrice', address);
+  }
+
+  async getTokenCandles(address, interval, limit) {
+    return await this.call('getTokenCandles', address, interval, limit);
+  }
+
+  async getWalletHoldings(wallet) {
+    return await this.call('getWalletHoldings', wallet);
+  }
+
+  async getTraderStats(wallet) {
+    return await this.call('getTraderStats', wallet);
+  }
+
+  async getWalletSwaps(wallet, options = {}) {
+    return await this.call('getWalletSwaps', wallet, options);
+  }
+
+  async getNewPairs(options = {}) {
+    return await this.call('getNewPairs', options);
+  }
+
+  async getHolderCount(address) {
+    return await this.call('getHolderCount', address);
+  }
+
+  /**
+   * Configured sources in fallback order, with any active rate-limit cooldown
+   */
+  getStatus() {
+    return this.getSources().map(source => {
+      const coolingUntil = this.cooldowns.get(source.name);
+      return {
+        name: source.name,
+        rateLimitedUntil: coolingUntil && coolingUntil > Date.now() ? coolingUntil : null
+      };
+    });
+  }
+}
+
+/**
+ * Register an additional market data source
+ * Sources extend MarketDataSource and are enabled by listing their name in MARKET_DATA_SOURCES.
+ * @param {String} name - Source name
+ * @param {Function} factory - Returns a MarketDataSource instance
+ */
+export const registerMarketDataSource = (name, factory) => {
+  SOURCES[name] = factory;
+  marketData.sources = null;
+};
+
+export const marketData = new MarketDataService();
+export { MarketDataSource, MarketDataError, CANDLE_INTERVALS };
@@ -0,0 +1,164 @@
+import { UpstreamUnavailable } from '../../utils/axios.js';
+
+/**
+ * Error raised by a market data source.
+ * `code` is 'unsupported', 'rate_limited', 'not_found' or 'upstream_error'.
+ */
+export class MarketDataError extends Error {
+  constructor(message, code, options = {}) {
+    super(message);
+    this.name = 'MarketDataError';
+    this.code = code;
+    this.source = options.source || null;
+    this.retryAfterMs = options.retryAfterMs || null;
+    this.upstream = options.upstream || null;
+  }
+}
+
+/**
+ * Candle intervals supported by getTokenCandles, with their length in ms
+ */
+export const CANDLE_INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+/**
+ * Base class for market data sources.
+ *
+ * Sources override the operations they support; the rest throw an
+ * 'unsupported' error so the market data layer moves on to the next source.
+ *
+ * Pairs are normalized to the DexScreener pair shape the enhancers already use:
+ * { pairAddress, dexId, baseToken, quoteToken, priceUsd, priceNative, fdv,
+ *   txns: { h24: { buys, sells } }, volume: { m5, h1, h6, h24 },
+ *   priceChange: { m5, h1, h6, h24 }, liquidity: { usd }, pairCreatedAt, info }
+ */
+export class MarketDataSource {
+  constructor(name, displayName = name) {
+    this.name = name;
+    this.displayName = displayName;
+  }
+
+  /**
+   * All known trading pairs for a token, most relevant first
+   * @param {String} address - Token mint address
+   * @returns {Array} - Normalized pairs (empty when the token is unknown)
+   */
+  async getTokenPairs(address) {
+    throw this.unsupported('getTokenPairs');
+  }
+
+  /**
+   * Current USD price of a token
+   * @param {String} address - Token mint address
+   * @returns {Number}
+   */
+  async getTokenPrice(address) {
+    const pairs = await this.getTokenPairs(address);
+    const pair = pairs
+      .filter(p => p.baseToken?.address === address && parseFloat(p.priceUsd) > 0)
+      .sort((a, b) => (parseFloat(b.liquidity?.usd) || 0) - (parseFloat(a.liquidity?.usd) || 0))[0];
+
+    if (!pair) {
+      throw new MarketDataError(`${this.name} has no price for ${address}`, 'not_found', { source: this.name });
+    }
+    return parseFloat(pair.priceUsd);
+  }
+
+  /**
+   * OHLCV candles for a token, priced in USD
+   * @param {String} address - Token mint address
+   * @param {String} interval - One of CANDLE_INTERVALS
+   * @param {Number} limit - Maximum number of candles
+   * @returns {Array} - [{ time, open, high, low, close, volume }] oldest first, time in ms
+   *   (empty when the token is unknown)
+   */
+  async getTokenCandles(address, interval, limit) {
+    throw this.unsupported('getTokenCandles');
+  }
+
+  /**
+   * Token balances held by a wallet
+   * @param {String} wallet - Wallet address
+   * @returns {Array} - [{ address, balance, value, name, symbol }] sorted by USD value
+   */
+  async getWalletHoldings(wallet) {
+    throw this.unsupported('getWalletHoldings');
+  }
+
+  /**
+   * Trading statistics for a wallet
+   * @param {String} wallet - Wallet address
+   * @returns {Object} - { pnl7Day, pnl30Day, unrealizedPnL7Day, unrealizedPnL30Day, realizedProfit7d,
+   *   winrate, solBalance, buy7d, buy30Day, sell7d, sell30Day, token_sold_avg_profit, token_avg_cost }
+   */
+  async getTraderStats(wallet) {
+    throw this.unsupported('getTraderStats');
+  }
+
+  /**
+   * Swaps made by a wallet, newest first
+   * @param {String} wallet - Wallet address
+   * @param {Object} options - { since } only swaps at or after this time (ms), { limit } maximum number of swaps
+   * @returns {Array} - [{ signature, time, tokenAddress, name, symbol, side: 'buy'|'sell', tokenAmount, usdValue, priceUsd }]
+   *   with time in ms (empty when the wallet has no swaps)
+   */
+  async getWalletSwaps(wallet, options) {
+    throw this.unsupported('getWalletSwaps');
+  }
+
+  /**
+   * Recently created trading pairs, newest first
+   * @param {Object} options - { since } only pairs created at or after this time (ms)
+   * @returns {Array} - Normalized pairs with pairCreatedAt set
+   */
+  async getNewPairs(options) {
+    throw this.unsupported('getNewPairs');
+  }
+
+  /**
+   * Number of wallets holding a token
+   * @param {String} address - Token mint address
+   * @returns {Number}
+   */
+  async getHolderCount(address) {
+    throw this.unsupported('getHolderCount');
+  }
+
+  /**
+   * Whether this source implements an operation
+   * Prices are derived from pairs unless a source fetches them directly.
+   */
+  supports(operation) {
+    if (operation === 'getTokenPrice' && this.supports('getTokenPairs')) {
+      return true;
+    }
+    return this[operation] !== MarketDataSource.prototype[operation];
+  }
+
+  unsupported(operation) {
+    return new MarketDataError(`${this.name} does not support ${operation}`, 'unsupported', { source: this.name });
+  }
+
+  /**
+   * Convert an HTTP client error into a MarketDataError
+   */
+  wrapError(error, operation) {
+    if (error instanceof MarketDataError) return error;
+
+    if (error instanceof UpstreamUnavailable) {
+      const rateLimited = error.reason === 'rate_limited' || error.reason === 'budget_exhausted';
+      return new MarketDataError(`${this.name} ${operation} failed: ${error.message}`, rateLimited ? 'rate_limited' : 'upstream_error', {
+        source: this.name,
+        retryAfterMs: error.retryAfterMs,
+        upstream: error
+      });
+    }
+    return new MarketDataError(`${this.name} ${operation} failed: ${error.message}`, 'upstream_error', { source: this.name });
+  }
+}
@@ -0,0 +1,89 @@
+import fs from 'fs';
+
+/**
+ * Scripted stand-in for an LLM API, used by the `mock` provider so the agent
+ * can run and be tested with no external services. Replies are deterministic.
+ *
+ * Script format:
+ * {
+ *   "rules": [
+ *     { "task": "analysis", "match": "wallet", "response": "{\"type\":\"wallet\",\"address\":\"{{address}}\"}" },
+ *     { "match": "trending", "toolCalls": [{ "name": "get_market_trends", "arguments": {} }], "response": "Trending: {{tool_results}}" }
+ *   ],
+ *   "default": { "answer": "...", "analysis": "...", "vision": "..." }
+ * }
+ * The first rule for the task ('answer' when not set) whose `match` regex
+ * finds the last user message wins. With tools available, its `toolCalls` are
+ * made first and its `response` is given once their results are in.
+ * Placeholders: {{input}} (last user message), {{address}} (first Solana
+ * address in it) and {{tool_results}} (tool outputs since that message).
+ */
+
+const DEFAULT_SCRIPT = {
+  rules: [],
+  default: {
+    answer: 'This is a scripted reply from the mock provider.',
+    analysis: '{"type": "general", "confidence": 0}',
+    vision: 'The chart shows no clear trend.'
+  }
+};
+
+const fill = (template, values) => template.replace(/\{\{(\w+)\}\}/g, (placeholder, key) => values[key] ?? placeholder);
+
+// Fill placeholders in every string of a tool call's arguments
+const fillArguments = (value, values) => {
+  if (typeof value === 'string') return fill(value, values);
+  if (Array.isArray(value)) return value.map(item => fillArguments(item, values));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillArguments(item, values)]));
+  }
+  return value;
+};
+
+export class MockLLM {
+  /**
+   * @param {String} scriptPath - JSON script; the built-in defaults are used when it doesn't exist
+   */
+  constructor(scriptPath) {
+    const script = scriptPath && fs.existsSync(scriptPath)
+      ? JSON.parse(fs.readFileSync(scriptPath, 'utf8'))
+      : {};
+    this.rules = (script.rules || []).map(rule => ({ ...rule, pattern: new RegExp(rule.match || '', 'i') }));
+    this.defaults = { ...DEFAULT_SCRIPT.default, ...script.default };
+  }
+
+  /**
+   * Reply to a conversation
+   * @param {Array} messages - Internal format messages
+   * @param {String} task - 'answer', 'analysis' or 'vision'
+   * @param {Object} options - { tools, toolChoice } when tool calls are allowed
+   * @returns {Object} - { content, toolCalls }
+   */
+  complete(messages, task = 'answer', options = {}) {
+    const lastUser = messages.map(message => message.role).lastIndexOf('user');
+    const input = lastUser === -1 ? '' : String(messages[lastUser].content || '');
+    const toolResults = messages.slice(lastUser + 1).filter(message => message.role === 'tool');
+    const values = {
+      input,
+      address: input.match(/[1-9A-HJ-NP-Za-km-z]{32,44}/)?.[0] || '',
+      tool_results: toolResults.map(message => message.content).join('\n\n')
+    };
+
+    const rule = this.rules.find(r => (r.task || 'answer') === task && r.pattern.test(input));
+    const toolNames = new Set((options.tools || []).map(tool => tool.name));
+    const toolCalls = (rule?.toolCalls || []).filter(call => toolNames.has(call.name));
+
+    if (toolCalls.length > 0 && options.toolChoice !== 'none' && toolResults.length === 0) {
+      return {
+        content: '',
+        toolCalls: toolCalls.map((call, i) => ({
+          id: `mock_call_${messages.length}_${i}`,
+          name: call.name,
+          arguments: fillArguments(call.arguments || {}, values)
+        }))
+      };
+    }
+
+    return { content: fill(rule?.response ?? this.defaults[task] ?? '', values), toolCalls: [] };
+  }
+}
@@ -0,0 +1,221 @@
+import { ENV } from '../../../config/env.js';
+import { database } from './database.js';
+import { fetchSolanaPrice, fetchTokenMetadata } from './api.js';
+import { SwapError } from './swap.js';
+import { SOL_MINT } from '../constants/tokens.js';
+
+// Times a sell is recomputed when concurrent trades keep changing the position
+const SELL_ATTEMPTS = 5;
+
+/**
+ * Paper Trading Service
+ *
+ * Simulates swaps against the current DexScreener price instead of sending
+ * them on chain. Fills apply PAPER_SLIPPAGE_BPS against the trader and a
+ * PAPER_FEE_BPS fee, and every fill is written to the trade journal.
+ * Positions use average cost basis (in SOL, fees included).
+ */
+class PaperTradingService {
+  /**
+   * Current token price in SOL, preferring a SOL-quoted pair
+   * @param {String} tokenAddress - Token mint address
+   * @param {Object} metadata - Result of fetchTokenMetadata
+   */
+  async getPriceInSol(tokenAddress, metadata) {
+    const solPair = metadata.pairs.find(pair =>
+      pair.baseToken?.address === tokenAddress &&
+      pair.quoteToken?.address === SOL_MINT &&
+      parseFloat(pair.priceNative) > 0
+    );
+    if (solPair) {
+      return parseFloat(solPair.priceNative);
+    }
+
+    const solPriceUsd = await fetchSolanaPrice();
+    if (!metadata.priceUsd || !solPriceUsd) {
+      throw new SwapError('No price is available for this token, so the paper trade could not be filled.', 'no_price');
+    }
+    return metadata.priceUsd / solPriceUsd;
+  }
+
+  async getAccount() {
+    await database.ensurePaperAccount(ENV.PAPER_STARTING_SOL);
+    return await database.getPaperAccount();
+  }
+
+  /**
+   * Fill a simulated swap and record it in the journal
+   * Balances and positions are updated relative to what is stored, so
+   * concurrent trades can't overwrite each other or spend the same SOL twice.
+   * @param {Object} params - { action: 'buy'|'sell', tokenAddress, solAmount, tokenAmount, metadata }
+   * @returns {Object} - The recorded paper trade
+   */
+  async executeSwap({ action, tokenAddress, solAmount, tokenAmount, metadata }) {
+    if (!['buy', 'sell'].includes(action)) {
+      throw new SwapError('Please specify whether you want to buy or sell.', 'invalid_action');
+    }
+
+    const amount = action === 'buy' ? parseFloat(solAmount) : parseFloat(tokenAmount);
+    if (!amount || amount <= 0) {
+      throw new SwapError(`Please specify a positive ${action === 'buy' ? 'SOL' : 'token'} amount to swap.`, 'invalid_amount');
+    }
+
+    const token = metadata.pairs[0].baseToken;
+    await this.getAccount();
+    const priceSol = await this.getPriceInSol(tokenAddress, metadata);
+
+    const { trade, position } = action === 'buy'
+      ? await this.fillBuy(tokenAddress, token, amount, priceSol)
+      : await this.fillSell(tokenAddress, token, amount, priceSol);
+
+    const record = {
+      mode: 'paper',
+      action,
+      tokenAddress,
+      name: token.name,
+      symbol: token.symbol,
+      ...trade,
+      priceSol,
+      priceUsd: metadata.priceUsd || null,
+      slippageBps: ENV.PAPER_SLIPPAGE_BPS,
+      solBalance: (await database.getPaperAccount()).sol_balance,
+      positionAmount: position.amount
+    };
+    record.id = await database.recordPaperTrade(record);
+
+    return record;
+  }
+
+  /**
+   * Spend `amount` SOL on the token
+   */
+  async fillBuy(tokenAddress, token, amount, priceSol) {
+    if (!await database.debitPaperBalance(amount)) {
+      const account = await database.getPaperAccount();
+      throw new SwapError(`Insufficient paper balance: you have ${account.sol_balance.toFixed(4)} SOL.`, 'insufficient_balance');
+    }
+
+    const fillPrice = priceSol * (1 + ENV.PAPER_SLIPPAGE_BPS / 10000);
+    const feeSol = amount * (ENV.PAPER_FEE_BPS / 10000);
+    const tokensReceived = (amount - feeSol) / fillPrice;
+
+    const position = await database.addToPaperPosition(
+      { token_address: tokenAddress, name: token.name, symbol: token.symbol },
+      tokensReceived,
+      amount
+    );
+
+    return { position, trade: { solAmount: amount, tokenAmount: tokensReceived, fillPrice, feeSol, realizedPnl: 0 } };
+  }
+
+  /**
+   * Sell `amount` tokens for SOL. The cost basis sold depends on the whole
+   * position, so the write only lands if no other trade changed it since it
+   * was read; otherwise the sell is recomputed.
+   */
+  async fillSell(tokenAddress, token, amount, priceSol) {
+    for (let attempt = 0; attempt < SELL_ATTEMPTS; attempt++) {
+      const position = await database.getPaperPosition(tokenAddress);
+      const held = position?.amount || 0;
+      if (amount > held) {
+        throw new SwapError(`Insufficient paper position: you hold ${held} $${token.symbol}.`, 'insufficient_balance');
+      }
+
+      const fillPrice = priceSol * (1 - ENV.PAPER_SLIPPAGE_BPS / 10000);
+      const grossSol = amount * fillPrice;
+      const feeSol = grossSol * (ENV.PAPER_FEE_BPS / 10000);
+      const solReceived = grossSol - feeSol;
+      const costSold = position.cost_basis * (amount / position.amount);
+      const realizedPnl = solReceived - costSold;
+
+      const updated = {
+        amount: position.amount - amount,
+        cost_basis: position.cost_basis - costSold,
+        realized_pnl: position.realized_pnl + realizedPnl
+      };
+      if (updated.amount < 1e-9) {
+        // Closed out - drop floating point dust
+        updated.amount = 0;
+        updated.cost_basis = 0;
+      }
+
+      if (await database.replacePaperPosition(position, updated)) {
+        await database.creditPaperBalance(solReceived);
+        return {
+          position: { ...position, ...updated },
+          trade: { solAmount: solReceived, tokenAmount: amount, fillPrice, feeSol, realizedPnl }
+        };
+      }
+    }
+
+    throw new SwapError('Your paper position kept changing while the sell was filled. Please try again.', 'conflict');
+  }
+
+  /**
+   * Paper portfolio valued at current prices
+   * @returns {Object} - { solBalance, startingBalance, positions, equity, realizedPnl, unrealizedPnl, returnPct, trades }
+   */
+  async getPortfolio() {
+    const account = await this.getAccount();
+    const rows = await database.getPaperPositions();
+
+    const positions = await Promise.all(rows.filter(row => row.amount > 0).map(async (row) => {
+      let priceSol = null;
+      try {
+        const metadata = await fetchTokenMetadata(row.token_address);
+        if (metadata?.pairs?.[0]) {
+          priceSol = await this.getPriceInSol(row.token_address, metadata);
+        }
+      } catch (error) {
+        console.error(`Error pricing paper position ${row.token_address}:`, error);
+      }
+
+      const value = priceSol !== null ? row.amount * priceSol : null;
+      return {
+        tokenAddress: row.token_address,
+        name: row.name,
+        symbol: row.symbol,
+        amount: row.amount,
+        costBasis: row.cost_basis,
+        averageCost: row.cost_basis / row.amount,
+        priceSol,
+        value,
+        unrealizedPnl: value !== null ? value - row.cost_basis : null,
+        realizedPnl: row.realized_pnl
+      };
+    }));
+
+    // Positions without a current price are carried at cost
+    const positionsValue = positions.reduce((total, p) => total + (p.value ?? p.costBasis), 0);
+    const unrealizedPnl = positions.reduce((total, p) => total + (p.unrealizedPnl || 0), 0);
+    const realizedPnl = rows.reduce((total, row) => total + row.realized_pnl, 0);
+    const equity = account.sol_balance + positionsValue;
+
+    return {
+      solBalance: account.sol_balance,
+      startingBalance: account.starting_balance,
+      resetAt: account.reset_at,
+      positions,
+      equity,
+      realizedPnl,
+      unrealizedPnl,
+      returnPct: ((equity - account.starting_balance) / account.starting_balance) * 100,
+      trades: await database.getPaperTrades(10)
+    };
+  }
+
+  /**
+   * Clear the journal and restart with a fresh SOL balance
+   */
+  async resetPortfolio(startingBalance = ENV.PAPER_STARTING_SOL) {
+    const balance = parseFloat(startingBalance);
+    if (!balance || balance <= 0) {
+      throw new SwapError('The starting balance must be a positive SOL amount.', 'invalid_amount');
+    }
+
+    await database.resetPaperPortfolio(balance);
+    return await this.getPortfolio();
+  }
+}
+
+export const paperTrading = new PaperTradingService();
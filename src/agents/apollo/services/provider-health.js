@@ -0,0 +1,135 @@
+import { ENV } from '../../../config/env.js';
+
+const LATENCY_WINDOW = 50; // recent calls kept for latency stats
+
+/**
+ * Provider Health
+ *
+ * Latency and error stats per AI provider, and a circuit breaker for each:
+ * after AI_PROVIDER_FAILURE_THRESHOLD consecutive failures the circuit opens
+ * and the provider is skipped for AI_PROVIDER_COOLDOWN_MS. Then a single
+ * trial call is let through (half-open); success closes the circuit again,
+ * failure reopens it for another cooldown.
+ */
+class ProviderHealth {
+  constructor() {
+    this.providers = new Map(); // provider type -> state
+  }
+
+  getState(type) {
+    if (!this.providers.has(type)) {
+      this.providers.set(type, {
+        calls: 0,
+        failures: 0,
+        consecutiveFailures: 0,
+        latencies: [],
+        openUntil: 0,
+        trialInFlight: false,
+        timesOpened: 0,
+        lastError: null,
+        lastErrorAt: null,
+        lastSuccessAt: null
+      });
+    }
+    return this.providers.get(type);
+  }
+
+  /**
+   * Whether a call may go to the provider now. Once a cooldown is over this
+   * claims the single half-open trial, so it must be followed by
+   * recordSuccess, recordFailure or recordCancelled.
+   */
+  allowRequest(type) {
+    const state = this.getState(type);
+    if (!state.openUntil) return true;
+    if (Date.now() < state.openUntil || state.trialInFlight) return false;
+
+    state.trialInFlight = true;
+    return true;
+  }
+
+  /**
+   * Milliseconds until an open circuit lets a trial call through, null when closed
+   */
+  retryAfterMs(type) {
+    const { openUntil } = this.getState(type);
+    return openUntil ? Math.max(0, openUntil - Date.now()) : null;
+  }
+
+  recordSuccess(type, latencyMs) {
+    const state = this.getState(type);
+    state.calls++;
+    state.consecutiveFailures = 0;
+    state.openUntil = 0;
+    state.trialInFlight = false;
+    state.lastSuccessAt = Date.now();
+    this.addLatency(state, latencyMs);
+  }
+
+  /**
+   * A call the caller aborted says nothing about the provider; it only frees
+   * the half-open trial, if the call held it
+   */
+  recordCancelled(type) {
+    this.getState(type).trialInFlight = false;
+  }
+
+  recordFailure(type, error, latencyMs) {
+    const state = this.getState(type);
+    state.calls++;
+    state.failures++;
+    state.consecutiveFailures++;
+    state.lastError = error?.message || String(error);
+    state.lastErrorAt = Date.now();
+    this.addLatency(state, latencyMs);
+
+    if (state.trialInFlight || state.consecutiveFailures >= ENV.AI_PROVIDER_FAILURE_THRESHOLD) {
+      if (!state.trialInFlight) {
+        console.error(`AI provider ${type} failed ${state.consecutiveFailures} times in a row, skipping it for ${ENV.AI_PROVIDER_COOLDOWN_MS / 1000}s`);
+      }
+      state.openUntil = Date.now() + ENV.AI_PROVIDER_COOLDOWN_MS;
+      state.trialInFlight = false;
+      state.timesOpened++;
+    }
+  }
+
+  addLatency(state, latencyMs) {
+    state.latencies.push(latencyMs);
+    if (state.latencies.length > LATENCY_WINDOW) {
+      state.latencies.shift();
+    }
+  }
+
+  /**
+   * Stats for the given providers, in order
+   * @param {Array} types - Provider types
+   */
+  getStatus(types) {
+    return types.map(type => {
+      const state = this.getState(type);
+      const sorted = [...state.latencies].sort((a, b) => a - b);
+      let circuit = 'closed';
+      if (state.openUntil) {
+        circuit = Date.now() < state.openUntil ? 'open' : 'half_open';
+      }
+
+      return {
+        name: type,
+        circuit,
+        retryAfterMs: circuit === 'open' ? state.openUntil - Date.now() : null,
+        calls: state.calls,
+        failures: state.failures,
+        errorRate: state.calls > 0 ? state.failures / state.calls : 0,
+        consecutiveFailures: state.consecutiveFailures,
+        timesOpened: state.timesOpened,
+        avgLatencyMs: sorted.length > 0 ? Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length) : null,
+        p95LatencyMs: sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] : null,
+        lastError: state.lastError,
+        lastErrorAt: state.lastErrorAt,
+        lastSuccessAt: state.lastSuccessAt
+      };
+    });
+  }
+}
+
+export const providerHealth = new ProviderHealth();
@@ -2,6 +2,144 @@ import OpenAI from 'openai';
 import Anthropic from '@anthropic-ai/sdk';
 import { GoogleGenerativeAI } from '@google/generative-ai';
 import { ENV } from '../../../config/env.js';
+import { getModelSettings } from '../../../config/models.js';
+import { toOpenAIMessages, toAnthropicRequest, toGoogleContents } from '../utils/messages.js';
+import { MockLLM } from './mock-llm.js';
+import { providerHealth } from './provider-health.js';
+import { usageService, BudgetExceeded } from './usage.js';
+import { UpstreamUnavailable } from '../utils/axios.js';
+import { estimateTokens } from '../utils/usage.js';
+
+// Providers that run without a cloud API key
+const KEYLESS_PROVIDERS = ['local', 'mock'];
+
+const PROVIDER_NAMES = {
+  openai: 'OpenAI',
+  anthropic: 'Anthropic',
+  google: 'Google',
+  deepseek: 'DeepSeek',
+  grok: 'Grok',
+  local: 'Local model',
+  mock: 'Mock provider'
+};
+
+const NETWORK_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+const isNetworkError = (error) => !error.status &&
+  (NETWORK_ERROR_CODES.includes(error.code || error.cause?.code) || /connection|timed? ?out|fetch failed/i.test(error.message));
+
+// Reason for a failed call, in UpstreamUnavailable terms
+const failureReason = (error) => {
+  if (error.status === 429) return 'rate_limited';
+  if (isNetworkError(error)) return 'network_error';
+  return 'server_error';
+};
+
+/**
+ * Whether an error means the provider is down or overloaded (5xx, timeout,
+ * network error, 429), so the next provider should be tried. Anything else,
+ * such as a 4xx for a bad request, is the request's fault and is passed on.
+ */
+const isProviderFailure = (error) => {
+  if (error.status) {
+    return error.status === 408 || error.status === 429 || error.status >= 500;
+  }
+  return isNetworkError(error);
+};
+
+// Per-request SDK options: all three SDKs take the abort signal there
+const requestOptions = (signal) => (signal ? { signal } : undefined);
+
+// The mock answers instantly, so only check for an abort between its words
+function* mockWords(content, signal) {
+  for (const word of content.match(/\S+\s*/g) || []) {
+    signal?.throwIfAborted();
+    yield word;
+  }
+}
+
+const parseToolArguments = (value) => {
+  if (!value) return {};
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.error('Could not parse tool arguments:', value);
+    return {};
+  }
+};
+
+// Generation parameters in each API's naming; unset ones are left to the API default
+const openaiParams = (settings) => ({
+  model: settings.model,
+  ...(settings.temperature !== undefined && { temperature: settings.temperature }),
+  ...(settings.maxTokens !== undefined && { max_tokens: settings.maxTokens }),
+  ...(settings.topP !== undefined && { top_p: settings.topP })
+});
+
+// Anthropic requires max_tokens
+const anthropicParams = (settings) => ({
+  model: settings.model,
+  max_tokens: settings.maxTokens ?? 1024,
+  ...(settings.temperature !== undefined && { temperature: settings.temperature }),
+  ...(settings.topP !== undefined && { top_p: settings.topP })
+});
+
+const googleGenerationConfig = (settings) => ({
+  ...(settings.temperature !== undefined && { temperature: settings.temperature }),
+  ...(settings.maxTokens !== undefined && { maxOutputTokens: settings.maxTokens }),
+  ...(settings.topP !== undefined && { topP: settings.topP })
+});
+
+// Tool definitions and tool choice in each API's format
+const openaiToolParams = (tools, toolChoice) => ({
+  tools: tools.map(tool => ({
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+  })),
+  tool_choice: toolChoice === 'none' ? 'none' : 'auto'
+});
+
+const anthropicToolParams = (tools, toolChoice) => ({
+  tools: tools.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    input_schema: tool.parameters
+  })),
+  tool_choice: { type: toolChoice === 'none' ? 'none' : 'auto' }
+});
+
+const googleToolParams = (tools, toolChoice) => ({
+  tools: [{
+    functionDeclarations: tools.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }))
+  }],
+  toolConfig: {
+    functionCallingConfig: { mode: toolChoice === 'none' ? 'NONE' : 'AUTO' }
+  }
+});
+
+// Gemini doesn't assign call IDs, so generate them for the internal format
+const fromGoogleFunctionCalls = (functionCalls) => functionCalls.map((call, i) => ({
+  id: `call_${Date.now()}_${i}`,
+  name: call.name,
+  arguments: call.args || {}
+}));
+
+// Add the token counts an API reported to the caller's usage object, if it passed one.
+// Left untouched when the API reports nothing, so the caller can estimate instead.
+const addUsage = (usage, promptTokens, completionTokens) => {
+  if (!usage || (promptTokens === undefined && completionTokens === undefined)) return;
+  usage.promptTokens = (usage.promptTokens || 0) + (promptTokens || 0);
+  usage.completionTokens = (usage.completionTokens || 0) + (completionTokens || 0);
+};
+
+const addOpenAIUsage = (usage, reported) => addUsage(usage, reported?.prompt_tokens, reported?.completion_tokens);
+const addAnthropicUsage = (usage, reported) => addUsage(usage, reported?.input_tokens, reported?.output_tokens);
+const addGoogleUsage = (usage, reported) => addUsage(usage, reported?.promptTokenCount, reported?.candidatesTokenCount);
 
 class AIProvider {
   constructor(type, apiKey) {
@@ -28,84 +166,785 @@ class AIProvider {
           baseURL: 'https://api.x.ai/v1',
           apiKey: this.apiKey
         });
+      case 'local':
+        // Ollama, llama.cpp server and vLLM all serve the OpenAI chat completions API;
+        // they ignore the key but the client requires one
+        return new OpenAI({
+          baseURL: ENV.LOCAL_LLM_BASE_URL,
+          apiKey: this.apiKey || 'local'
+        });
+      case 'mock':
+        return new MockLLM(ENV.MOCK_LLM_SCRIPT);
       default:
         throw new Error(`Unsupported AI provider: ${this.type}`);
     }
   }
 
-  async generateResponse(messages) {
+  /**
+   * Model and generation parameters for a task (see src/config/models.js)
+   * @param {String} task - 'answer', 'analysis' or 'vision'
+   */
+  settings(task = 'answer') {
+    const settings = getModelSettings(this.type, task);
+    if (!settings) {
+      throw new Error(`No ${task} model configured for provider: ${this.type}`);
+    }
+    return settings;
+  }
+
+  /**
+   * Generate a complete response
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - { task, downgrade, usage, signal } model task ('answer' by default), whether to run it
+   *   on the cheaper analysis model instead, an object that receives { promptTokens, completionTokens }
+   *   and an AbortSignal that cancels the request
+   */
+  async generateResponse(messages, options = {}) {
+    const settings = this.settings(options.downgrade ? 'analysis' : options.task);
     switch (this.type) {
       case 'openai':
-        return this.openaiGenerate(messages);
+      case 'deepseek':
+      case 'grok':
+      case 'local':
+        return this.openaiCompatibleGenerate(messages, settings, options);
       case 'anthropic':
-        return this.anthropicGenerate(messages);
+        return this.anthropicGenerate(messages, settings, options);
       case 'google':
-        return this.googleGenerate(messages);
+        return this.googleGenerate(messages, settings, options);
+      case 'mock':
+        options.signal?.throwIfAborted();
+        return this.client.complete(messages, options.task).content;
+      default:
+        throw new Error(`Unsupported AI provider: ${this.type}`);
+    }
+  }
+
+  /**
+   * Stream a response token by token
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - { task, downgrade, usage, signal } as for generateResponse
+   * @returns {AsyncGenerator<String>} - Text chunks as they arrive
+   */
+  async *streamResponse(messages, options = {}) {
+    const settings = this.settings(options.downgrade ? 'analysis' : options.task);
+    switch (this.type) {
+      case 'openai':
       case 'deepseek':
-        return this.deepseekGenerate(messages);
       case 'grok':
-        return this.grokGenerate(messages);
+      case 'local':
+        yield* this.openaiCompatibleStream(messages, settings, options);
+        break;
+      case 'anthropic':
+        yield* this.anthropicStream(messages, settings, options);
+        break;
+      case 'google':
+        yield* this.googleStream(messages, settings, options);
+        break;
+      case 'mock':
+        // Word by word, so streaming clients see more than one chunk
+        yield* mockWords(this.client.complete(messages, options.task).content, options.signal);
+        break;
       default:
         throw new Error(`Unsupported AI provider: ${this.type}`);
     }
   }
 
-  async openaiGenerate(messages) {
+  async *openaiCompatibleStream(messages, settings, options = {}) {
+    const stream = await this.client.chat.completions.create({
+      ...openaiParams(settings),
+      messages: toOpenAIMessages(messages),
+      stream: true,
+      // Token counts arrive on a final chunk with no choices
+      stream_options: { include_usage: true }
+    }, requestOptions(options.signal));
+    for await (const chunk of stream) {
+      const text = chunk.choices[0]?.delta?.content;
+      if (text) yield text;
+      if (chunk.usage) addOpenAIUsage(options.usage, chunk.usage);
+    }
+  }
+
+  async *anthropicStream(messages, settings, options = {}) {
+    const { system, messages: turns } = toAnthropicRequest(messages);
+
+    const stream = await this.client.messages.create({
+      ...anthropicParams(settings),
+      system: system || undefined,
+      messages: turns,
+      stream: true
+    }, requestOptions(options.signal));
+    // Input tokens come with message_start, the output total with message_delta
+    const reported = {};
+    for await (const event of stream) {
+      if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        yield event.delta.text;
+      } else if (event.type === 'message_start') {
+        Object.assign(reported, event.message?.usage);
+      } else if (event.type === 'message_delta') {
+        Object.assign(reported, event.usage);
+      }
+    }
+    addAnthropicUsage(options.usage, reported);
+  }
+
+  async *googleStream(messages, settings, options = {}) {
+    const model = this.googleModel(settings);
+
+    const result = await model.generateContentStream({ contents: toGoogleContents(messages) }, requestOptions(options.signal));
+    // Each chunk carries the running totals
+    let reported = null;
+    for await (const chunk of result.stream) {
+      const text = chunk.text();
+      if (text) yield text;
+      reported = chunk.usageMetadata || reported;
+    }
+    addGoogleUsage(options.usage, reported);
+  }
+
+  googleModel(settings) {
+    return this.client.getGenerativeModel({ model: settings.model, generationConfig: googleGenerationConfig(settings) });
+  }
+
+  /**
+   * Describe an image with the provider's vision model
+   * @param {String} prompt - What to look for
+   * @param {String} pngBase64 - PNG image, base64 encoded
+   * @param {Object} options - { usage, signal } usage receives the token counts
+   * @returns {String|null} - The description, or null when the provider has no vision model
+   */
+  async analyzeImage(prompt, pngBase64, options = {}) {
+    const settings = getModelSettings(this.type, 'vision');
+    if (!settings) return null;
+
+    switch (this.type) {
+      case 'openai':
+      case 'deepseek':
+      case 'grok':
+      case 'local': {
+        const completion = await this.client.chat.completions.create({
+          ...openaiParams(settings),
+          messages: [{
+            role: 'user',
+            content: [
+              { type: 'text', text: prompt },
+              { type: 'image_url', image_url: { url: `data:image/png;base64,${pngBase64}` } }
+            ]
+          }]
+        }, requestOptions(options.signal));
+        addOpenAIUsage(options.usage, completion.usage);
+        return completion.choices[0].message.content;
+      }
+      case 'anthropic': {
+        const msg = await this.client.messages.create({
+          ...anthropicParams(settings),
+          messages: [{
+            role: 'user',
+            content: [
+              { type: 'image', source: { type: 'base64', media_type: 'image/png', data: pngBase64 } },
+              { type: 'text', text: prompt }
+            ]
+          }]
+        }, requestOptions(options.signal));
+        addAnthropicUsage(options.usage, msg.usage);
+        return msg.content.filter(block => block.type === 'text').map(block => block.text).join('');
+      }
+      case 'google': {
+        const result = await this.googleModel(settings).generateContent([
+          prompt,
+          { inlineData: { mimeType: 'image/png', data: pngBase64 } }
+        ], requestOptions(options.signal));
+        addGoogleUsage(options.usage, result.response.usageMetadata);
+        return result.response.text();
+      }
+      case 'mock':
+        options.signal?.throwIfAborted();
+        return this.client.complete([{ role: 'user', content: prompt }], 'vision').content;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Run a tool-calling loop: the model may call several tools in sequence
+   * before producing its final answer.
+   * @param {Array} messages - Chat messages
+   * @param {Array} tools - Tool definitions { name, description, parameters }
+   * @param {Object} options - { executeTool(call) => String, maxSteps, onToken(text), signal }, the rest is passed to each step.
+   *   With onToken every step is streamed and its text passed on as it arrives, steps separated by a blank line.
+   *   An aborted signal stops the loop before the next step or tool call.
+   * @returns {Object} - { content, toolCalls } where toolCalls lists every call made
+   */
+  async runToolLoop(messages, tools, options = {}) {
+    const { executeTool, maxSteps = 5, onToken, ...stepOptions } = options;
+    const { signal } = stepOptions;
+    const conversation = [...messages];
+    const toolCalls = [];
+    let streamed = false; // whether an earlier step streamed text
+    
+    const runStep = async (options) => {
+      signal?.throwIfAborted();
+      if (!onToken) {
+        return this.generateWithTools(conversation, tools, options);
+      }
+      const iterator = this.streamWithTools(conversation, tools, options);
+      let separated = !streamed;
+      let next;
+      while (!(next = await iterator.next()).done) {
+        if (!separated) {
+          onToken('\n\n');
+          separated = true;
+        }
+        onToken(next.value);
+        streamed = true;
+      }
+      return next.value;
+    };
+    
+    for (let step = 0; step < maxSteps; step++) {
+      const result = await runStep(stepOptions);
+      
+      if (result.toolCalls.length === 0) {
+        return { content: result.content, toolCalls };
+      }
+      
+      conversation.push({ role: 'assistant', content: result.content, toolCalls: result.toolCalls });
+      
+      for (const call of result.toolCalls) {
+        signal?.throwIfAborted();
+        const output = await executeTool(call);
+        toolCalls.push({ ...call, output });
+        conversation.push({ role: 'tool', toolCallId: call.id, name: call.name, content: output });
+      }
+    }
+    
+    // Out of steps - force a final answer from what has been gathered so far
+    const final = await runStep({ ...stepOptions, toolChoice: 'none' });
+    return { content: final.content, toolCalls };
+  }
+
+  /**
+   * Generate a single step that may contain tool calls
+   * @param {Object} options - { toolChoice, downgrade, usage, signal }
+   * @returns {Object} - { content, toolCalls: [{ id, name, arguments }] }
+   */
+  async generateWithTools(messages, tools, options = {}) {
+    const settings = this.settings(options.downgrade ? 'analysis' : 'answer');
+    switch (this.type) {
+      case 'openai':
+      case 'deepseek':
+      case 'grok':
+      case 'local':
+        return this.openaiCompatibleGenerateWithTools(messages, tools, settings, options);
+      case 'anthropic':
+        return this.anthropicGenerateWithTools(messages, tools, settings, options);
+      case 'google':
+        return this.googleGenerateWithTools(messages, tools, settings, options);
+      case 'mock':
+        options.signal?.throwIfAborted();
+        return this.client.complete(messages, 'answer', { tools, toolChoice: options.toolChoice });
+      default:
+        throw new Error(`Unsupported AI provider: ${this.type}`);
+    }
+  }
+
+  async openaiCompatibleGenerateWithTools(messages, tools, settings, options = {}) {
     const completion = await this.client.chat.completions.create({
-      messages,
-      model: "gpt-4-turbo-preview"
-    });
-    return completion.choices[0].message.content;
+      ...openaiParams(settings),
+      messages: toOpenAIMessages(messages),
+      ...openaiToolParams(tools, options.toolChoice)
+    }, requestOptions(options.signal));
+    
+    addOpenAIUsage(options.usage, completion.usage);
+    const message = completion.choices[0].message;
+    return {
+      content: message.content || '',
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: parseToolArguments(call.function.arguments)
+      }))
+    };
   }
 
-  async anthropicGenerate(messages) {
-    const systemMessage = messages.find(m => m.role === 'system')?.content || '';
-    const userMessage = messages.find(m => m.role === 'user')?.content || '';
+  async anthropicGenerateWithTools(messages, tools, settings, options = {}) {
+    const { system, messages: turns } = toAnthropicRequest(messages);
     
     const msg = await this.client.messages.create({
-      model: 'claude-3-sonnet-20240229',
-      max_tokens: 1024,
-      system: systemMessage,
-      messages: [{ role: 'user', content: userMessage }]
-    });
-    return msg.content[0].text;
+      ...anthropicParams(settings),
+      system: system || undefined,
+      messages: turns,
+      ...anthropicToolParams(tools, options.toolChoice)
+    }, requestOptions(options.signal));
+    
+    addAnthropicUsage(options.usage, msg.usage);
+    return {
+      content: msg.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      toolCalls: msg.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }))
+    };
   }
 
-  async googleGenerate(messages) {
-    const model = this.client.getGenerativeModel({ model: 'gemini-pro' });
-    const systemMessage = messages.find(m => m.role === 'system')?.content || '';
-    const userMessage = messages.find(m => m.role === 'user')?.content || '';
+  async googleGenerateWithTools(messages, tools, settings, options = {}) {
+    const model = this.googleModel(settings);
     
-    const result = await model.generateContent(
-      `${systemMessage}\n\nUser: ${userMessage}`
-    );
-    return result.response.text();
+    const result = await model.generateContent({
+      contents: toGoogleContents(messages),
+      ...googleToolParams(tools, options.toolChoice)
+    }, requestOptions(options.signal));
+    
+    addGoogleUsage(options.usage, result.response.usageMetadata);
+    const functionCalls = result.response.functionCalls() || [];
+    return {
+      content: functionCalls.length > 0 ? '' : result.response.text(),
+      toolCalls: fromGoogleFunctionCalls(functionCalls)
+    };
+  }
+
+  /**
+   * Stream a single step that may contain tool calls
+   * @param {Object} options - As for generateWithTools
+   * @returns {AsyncGenerator<String>} - Text chunks as they arrive; returns { content, toolCalls } like generateWithTools
+   */
+  async *streamWithTools(messages, tools, options = {}) {
+    const settings = this.settings(options.downgrade ? 'analysis' : 'answer');
+    switch (this.type) {
+      case 'openai':
+      case 'deepseek':
+      case 'grok':
+      case 'local':
+        return yield* this.openaiCompatibleStreamWithTools(messages, tools, settings, options);
+      case 'anthropic':
+        return yield* this.anthropicStreamWithTools(messages, tools, settings, options);
+      case 'google':
+        return yield* this.googleStreamWithTools(messages, tools, settings, options);
+      case 'mock': {
+        options.signal?.throwIfAborted();
+        const result = this.client.complete(messages, 'answer', { tools, toolChoice: options.toolChoice });
+        yield* mockWords(result.content, options.signal);
+        return result;
+      }
+      default:
+        throw new Error(`Unsupported AI provider: ${this.type}`);
+    }
+  }
+
+  async *openaiCompatibleStreamWithTools(messages, tools, settings, options = {}) {
+    const stream = await this.client.chat.completions.create({
+      ...openaiParams(settings),
+      messages: toOpenAIMessages(messages),
+      ...openaiToolParams(tools, options.toolChoice),
+      stream: true,
+      stream_options: { include_usage: true }
+    }, requestOptions(options.signal));
+
+    let content = '';
+    const calls = []; // tool calls arrive in pieces, keyed by index
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0]?.delta;
+      if (delta?.content) {
+        content += delta.content;
+        yield delta.content;
+      }
+      for (const piece of delta?.tool_calls || []) {
+        const call = calls[piece.index] || (calls[piece.index] = { id: '', name: '', arguments: '' });
+        call.id = piece.id || call.id;
+        call.name += piece.function?.name || '';
+        call.arguments += piece.function?.arguments || '';
+      }
+      if (chunk.usage) addOpenAIUsage(options.usage, chunk.usage);
+    }
+
+    return {
+      content,
+      toolCalls: calls.filter(Boolean).map(call => ({ id: call.id, name: call.name, arguments: parseToolArguments(call.arguments) }))
+    };
+  }
+
+  async *anthropicStreamWithTools(messages, tools, settings, options = {}) {
+    const { system, messages: turns } = toAnthropicRequest(messages);
+
+    const stream = await this.client.messages.create({
+      ...anthropicParams(settings),
+      system: system || undefined,
+      messages: turns,
+      ...anthropicToolParams(tools, options.toolChoice),
+      stream: true
+    }, requestOptions(options.signal));
+
+    let content = '';
+    const blocks = []; // tool_use blocks by index, their input arriving as JSON pieces
+    const reported = {};
+    for await (const event of stream) {
+      if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+        blocks[event.index] = { id: event.content_block.id, name: event.content_block.name, input: '' };
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        content += event.delta.text;
+        yield event.delta.text;
+      } else if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+        blocks[event.index].input += event.delta.partial_json;
+      } else if (event.type === 'message_start') {
+        Object.assign(reported, event.message?.usage);
+      } else if (event.type === 'message_delta') {
+        Object.assign(reported, event.usage);
+      }
+    }
+    addAnthropicUsage(options.usage, reported);
+
+    return {
+      content,
+      toolCalls: blocks.filter(Boolean).map(block => ({ id: block.id, name: block.name, arguments: parseToolArguments(block.input) }))
+    };
+  }
+
+  async *googleStreamWithTools(messages, tools, settings, options = {}) {
+    const result = await this.googleModel(settings).generateContentStream({
+      contents: toGoogleContents(messages),
+      ...googleToolParams(tools, options.toolChoice)
+    }, requestOptions(options.signal));
+
+    let content = '';
+    const functionCalls = [];
+    let reported = null;
+    for await (const chunk of result.stream) {
+      functionCalls.push(...(chunk.functionCalls() || []));
+      const text = chunk.text();
+      if (text) {
+        content += text;
+        yield text;
+      }
+      reported = chunk.usageMetadata || reported;
+    }
+    addGoogleUsage(options.usage, reported);
+
+    return { content, toolCalls: fromGoogleFunctionCalls(functionCalls) };
   }
 
-  async deepseekGenerate(messages) {
+  async openaiCompatibleGenerate(messages, settings, options = {}) {
     const completion = await this.client.chat.completions.create({
-      messages,
-      model: "deepseek-chat"
-    });
+      ...openaiParams(settings),
+      messages: toOpenAIMessages(messages)
+    }, requestOptions(options.signal));
+    addOpenAIUsage(options.usage, completion.usage);
     return completion.choices[0].message.content;
   }
 
-  async grokGenerate(messages) {
-    const completion = await this.client.chat.completions.create({
-      messages,
-      model: "grok-2-latest"
+  async anthropicGenerate(messages, settings, options = {}) {
+    const { system, messages: turns } = toAnthropicRequest(messages);
+    
+    const msg = await this.client.messages.create({
+      ...anthropicParams(settings),
+      system: system || undefined,
+      messages: turns
+    }, requestOptions(options.signal));
+    addAnthropicUsage(options.usage, msg.usage);
+    return msg.content.filter(block => block.type === 'text').map(block => block.text).join('');
+  }
+
+  async googleGenerate(messages, settings, options = {}) {
+    const result = await this.googleModel(settings).generateContent({ contents: toGoogleContents(messages) }, requestOptions(options.signal));
+    addGoogleUsage(options.usage, result.response.usageMetadata);
+    return result.response.text();
+  }
+}
+
+/**
+ * Provider Chain
+ *
+ * The providers in AI_PROVIDER then AI_FALLBACK_PROVIDERS order, behind the
+ * same interface as a single AIProvider. A call that fails because the
+ * provider is down (5xx, timeout, network error, 429) is retried on the next
+ * provider; a rejected request (4xx) is thrown as is. Providers whose circuit
+ * is open (see provider-health.js) are skipped. When every provider is down, an UpstreamUnavailable naming
+ * them is thrown.
+ *
+ * Every attempt is recorded by the usage service. Calls take two extra
+ * options for that: `purpose`, what the call is for (e.g. 'query_analysis'),
+ * and `trace`, an object carrying the `sessionId` the call is for that also
+ * receives the type of the provider that answered as `trace.provider`.
+ * Before each call the daily budgets are checked: over budget, calls run on
+ * the cheaper analysis model and skip vision ('downgrade'), or throw
+ * BudgetExceeded ('refuse').
+ */
+class ProviderChain {
+  constructor(providers) {
+    this.providers = providers;
+  }
+
+  // The primary provider; the OpenAI assistant path uses it directly
+  get type() {
+    return this.providers[0].type;
+  }
+
+  get client() {
+    return this.providers[0].client;
+  }
+
+  settings(task = 'answer') {
+    return this.providers[0].settings(task);
+  }
+
+  getTypes() {
+    return this.providers.map(provider => provider.type);
+  }
+
+  /**
+   * Whether calls for this session should run downgraded
+   * @throws {BudgetExceeded} - When a budget is used up and AI_BUDGET_ACTION is 'refuse'
+   */
+  async checkBudget(trace) {
+    const exceeded = await usageService.checkBudget(trace?.sessionId);
+    if (exceeded?.action === 'refuse') {
+      throw new BudgetExceeded(exceeded);
+    }
+    return Boolean(exceeded);
+  }
+
+  // Providers that have a model for the task, in order
+  candidates(task) {
+    return this.providers.filter(provider => getModelSettings(provider.type, task));
+  }
+
+  /**
+   * Record one attempt. Tokens are estimated from the prompt and output when the API didn't report them.
+   * @param {Object} request - { task, purpose, trace, prompt }
+   */
+  recordAttempt(provider, request, usage, { started, success, output }) {
+    const estimated = success && usage.promptTokens === undefined;
+    return usageService.record({
+      sessionId: request.trace?.sessionId,
+      provider: provider.type,
+      model: getModelSettings(provider.type, request.task)?.model,
+      task: request.task,
+      purpose: request.purpose || request.task,
+      promptTokens: estimated ? estimateTokens(request.prompt) : usage.promptTokens || 0,
+      completionTokens: estimated ? estimateTokens(output) : usage.completionTokens || 0,
+      estimated,
+      latencyMs: Date.now() - started,
+      success
     });
-    return completion.choices[0].message.content;
+  }
+
+  /**
+   * Run an operation on the first healthy provider that has a model for the task
+   * @param {String} operation - Name for logs
+   * @param {Object} request - { task, purpose, trace, prompt, signal } prompt is what was sent, for token estimates;
+   *   once signal is aborted the error is passed on without falling back or counting against the provider
+   * @param {Function} run - (provider, usage) => result
+   */
+  async call(operation, request, run) {
+    const failures = [];
+
+    for (const provider of this.candidates(request.task)) {
+      if (!providerHealth.allowRequest(provider.type)) {
+        failures.push({ provider, reason: 'circuit_open', retryAfterMs: providerHealth.retryAfterMs(provider.type) });
+        continue;
+      }
+
+      const usage = {};
+      const started = Date.now();
+      try {
+        const result = await run(provider, usage);
+        providerHealth.recordSuccess(provider.type, Date.now() - started);
+        await this.recordAttempt(provider, request, usage, { started, success: true, output: result });
+        if (request.trace) request.trace.provider = provider.type;
+        return result;
+      } catch (error) {
+        await this.recordAttempt(provider, request, usage, { started, success: false });
+        if (request.signal?.aborted) {
+          providerHealth.recordCancelled(provider.type);
+          throw error;
+        }
+        if (!isProviderFailure(error)) {
+          this.recordRejection(provider, error, started);
+          throw error;
+        }
+        providerHealth.recordFailure(provider.type, error, Date.now() - started);
+        console.error(`AI provider ${provider.type} failed ${operation}, trying the next provider:`, error.message);
+        failures.push({ provider, reason: failureReason(error) });
+      }
+    }
+
+    throw this.unavailable(operation, request.task, failures);
+  }
+
+  /**
+   * A provider that rejected the request answered, so it counts as up: the
+   * error is not held against it and a half-open circuit closes
+   */
+  recordRejection(provider, error, started) {
+    providerHealth.recordSuccess(provider.type, Date.now() - started);
+    console.error(`AI provider ${provider.type} rejected the request:`, error.message);
+  }
+
+  unavailable(operation, task, failures) {
+    if (failures.length === 0) {
+      return new Error(`No AI provider has a ${task} model for ${operation}`);
+    }
+    const retryAfters = failures.map(f => f.retryAfterMs).filter(ms => ms !== undefined && ms !== null);
+    return new UpstreamUnavailable({
+      source: failures.map(f => PROVIDER_NAMES[f.provider.type] || f.provider.type),
+      reason: failures[failures.length - 1].reason,
+      retryAfterMs: retryAfters.length > 0 ? Math.min(...retryAfters) : null
+    });
+  }
+
+  async generateResponse(messages, options = {}) {
+    const { trace, purpose, ...rest } = options;
+    const downgrade = await this.checkBudget(trace);
+    const task = downgrade ? 'analysis' : rest.task || 'answer';
+
+    return this.call('generateResponse', { task, purpose: purpose || rest.task || 'answer', trace, prompt: messages, signal: rest.signal },
+      (provider, usage) => provider.generateResponse(messages, { ...rest, downgrade, usage }));
+  }
+
+  async generateWithTools(messages, tools, options = {}) {
+    const { trace, purpose = 'answer', ...rest } = options;
+    const downgrade = await this.checkBudget(trace);
+    const task = downgrade ? 'analysis' : 'answer';
+
+    return this.call('generateWithTools', { task, purpose, trace, prompt: [messages, tools], signal: rest.signal },
+      (provider, usage) => provider.generateWithTools(messages, tools, { ...rest, downgrade, usage }));
+  }
+
+  // Every step goes through generateWithTools, so a provider failing mid-loop
+  // hands the conversation so far to the next one
+  async runToolLoop(messages, tools, options = {}) {
+    return AIProvider.prototype.runToolLoop.call(this, messages, tools, options);
+  }
+
+  /**
+   * @param {Object} options - { trace, purpose, signal }
+   * @returns {String|null} - null when no provider has a vision model, or over budget with AI_BUDGET_ACTION=downgrade
+   */
+  async analyzeImage(prompt, pngBase64, options = {}) {
+    const { trace, purpose = 'vision', signal } = options;
+    if (this.candidates('vision').length === 0 || await this.checkBudget(trace)) {
+      return null;
+    }
+    // Image tokens can't be estimated from the prompt; APIs with vision report them
+    return this.call('analyzeImage', { task: 'vision', purpose, trace, prompt, signal },
+      (provider, usage) => provider.analyzeImage(prompt, pngBase64, { usage, signal }));
+  }
+
+  async *streamResponse(messages, options = {}) {
+    const { trace, purpose, ...rest } = options;
+    const downgrade = await this.checkBudget(trace);
+    const task = downgrade ? 'analysis' : rest.task || 'answer';
+
+    yield* this.stream('streamResponse', { task, purpose: purpose || rest.task || 'answer', trace, prompt: messages, signal: rest.signal },
+      (provider, usage) => provider.streamResponse(messages, { ...rest, downgrade, usage }));
+  }
+
+  async *streamWithTools(messages, tools, options = {}) {
+    const { trace, purpose = 'answer', ...rest } = options;
+    const downgrade = await this.checkBudget(trace);
+    const task = downgrade ? 'analysis' : 'answer';
+
+    return yield* this.stream('streamWithTools', { task, purpose, trace, prompt: [messages, tools], signal: rest.signal },
+      (provider, usage) => provider.streamWithTools(messages, tools, { ...rest, downgrade, usage }));
+  }
+
+  /**
+   * Stream from the first healthy provider that has a model for the task.
+   * Falls back only until the first chunk arrives: once part of the answer
+   * has been streamed, an error is passed on instead.
+   * @param {Function} run - (provider, usage) => AsyncGenerator of text chunks
+   * @returns {*} - What the provider's generator returns
+   */
+  async *stream(operation, request, run) {
+    const failures = [];
+
+    for (const provider of this.candidates(request.task)) {
+      if (!providerHealth.allowRequest(provider.type)) {
+        failures.push({ provider, reason: 'circuit_open', retryAfterMs: providerHealth.retryAfterMs(provider.type) });
+        continue;
+      }
+
+      const usage = {};
+      const started = Date.now();
+      let output = null; // set once the first chunk arrives
+
+      try {
+        const iterator = run(provider, usage);
+        let next;
+        while (!(next = await iterator.next()).done) {
+          if (output === null) {
+            output = '';
+            providerHealth.recordSuccess(provider.type, Date.now() - started);
+            if (request.trace) request.trace.provider = provider.type;
+          }
+          output += next.value;
+          yield next.value;
+        }
+        if (output === null) {
+          providerHealth.recordSuccess(provider.type, Date.now() - started);
+          if (request.trace) request.trace.provider = provider.type;
+        }
+        await this.recordAttempt(provider, request, usage, { started, success: true, output: next.value ?? output ?? '' });
+        return next.value;
+      } catch (error) {
+        await this.recordAttempt(provider, request, usage, { started, success: false });
+        if (request.signal?.aborted) {
+          if (output === null) providerHealth.recordCancelled(provider.type);
+          throw error;
+        }
+        if (!isProviderFailure(error)) {
+          if (output === null) this.recordRejection(provider, error, started);
+          throw error;
+        }
+        providerHealth.recordFailure(provider.type, error, Date.now() - started);
+        if (output !== null) throw error;
+        console.error(`AI provider ${provider.type} failed ${operation}, trying the next provider:`, error.message);
+        failures.push({ provider, reason: failureReason(error) });
+      }
+    }
+
+    throw this.unavailable(operation, request.task, failures);
+  }
+
+  /**
+   * Stats and circuit state for each provider in the chain
+   */
+  getStatus() {
+    return providerHealth.getStatus(this.getTypes());
   }
 }
 
-export const createProvider = () => {
-  const provider = ENV.AI_PROVIDER || 'openai';
-  const apiKey = ENV[`${provider.toUpperCase()}_API_KEY`];
+// Misconfigured fallbacks are reported once, not on every createProvider call
+const reportedProviders = new Set();
+
+const createSingleProvider = (type) => {
+  const apiKey = ENV[`${type.toUpperCase()}_API_KEY`];
   
-  if (!apiKey) {
-    throw new Error(`Missing API key for provider: ${provider}`);
+  if (!apiKey && !KEYLESS_PROVIDERS.includes(type)) {
+    throw new Error(`Missing API key for provider: ${type}`);
   }
   
-  return new AIProvider(provider, apiKey);
-}; 
+  return new AIProvider(type, apiKey);
+};
+
+export const createProvider = () => {
+  const types = [...new Set([ENV.AI_PROVIDER || 'openai', ...ENV.AI_FALLBACK_PROVIDERS])];
+  const providers = [];
+  const errors = [];
+
+  for (const type of types) {
+    try {
+      providers.push(createSingleProvider(type));
+    } catch (error) {
+      errors.push(error);
+      if (!reportedProviders.has(type)) {
+        reportedProviders.add(type);
+        console.error(`Skipping AI provider ${type}:`, error.message);
+      }
+    }
+  }
+
+  if (providers.length === 0) {
+    throw errors[0];
+  }
+  return new ProviderChain(providers);
+};
+
+export { AIProvider, ProviderChain };
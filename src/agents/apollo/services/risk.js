@@ -0,0 +1,54 @@
+import { ENV } from '../../../config/env.js';
+import { fetchDexPaid } from './api.js';
+import { fetchTokenSafety } from './token-safety.js';
+import { RISK_FACTORS, scoreTokenRisk } from '../utils/risk.js';
+
+const parseWeights = (entries) => Object.fromEntries(
+  entries
+    .map(entry => entry.split('=').map(s => s.trim()))
+    .filter(([key, value]) => RISK_FACTORS[key] && !isNaN(parseFloat(value)))
+    .map(([key, value]) => [key, Math.max(0, parseFloat(value))])
+);
+
+const WEIGHTS = parseWeights(ENV.RISK_WEIGHTS);
+
+/**
+ * Risk model inputs from the on-chain safety checks; fields are left undefined
+ * when they couldn't be read so the model treats them as unknown
+ */
+const safetyInputs = (safety) => safety ? {
+  mintAuthority: safety.mint.mintAuthority,
+  freezeAuthority: safety.mint.freezeAuthority,
+  topHolderPct: safety.holders.topHolderPct,
+  top10HolderPct: safety.holders.top10HolderPct,
+  lpKind: safety.lp?.kind,
+  lpBurnedPct: safety.lp?.burnedPct,
+  lpDex: safety.lp?.dex
+} : {};
+
+/**
+ * Score a token's risk from its market metadata plus dex paid status and on-chain checks
+ * @param {String} address - Token mint address
+ * @param {Object} metadata - Result of fetchTokenMetadata
+ * @param {Object} options - { safety } from checkTokenSafety if already fetched, or { onChain: false } to skip the RPC reads
+ * @returns {Object} - See scoreTokenRisk
+ */
+export async function assessTokenRisk(address, metadata, options = {}) {
+  const onChain = options.onChain ?? ENV.RISK_ONCHAIN_CHECKS;
+  const [dexPaid, safety] = await Promise.all([
+    fetchDexPaid(address),
+    options.safety !== undefined || !onChain ? options.safety : fetchTokenSafety(address, { pairAddress: metadata.pairAddress })
+  ]);
+
+  return scoreTokenRisk({
+    marketCap: metadata.marketCap,
+    liquidityUsd: metadata.liquidityUsd,
+    volume24h: metadata.volume24h,
+    pairCreatedAt: metadata.pairCreatedAt,
+    buyerSellerRatio: metadata.buyerSellerRatio,
+    ghostPercent: metadata.ghostPercent,
+    socials: metadata.socials,
+    dexPaid,
+    ...safetyInputs(safety)
+  }, WEIGHTS);
+}
@@ -0,0 +1,228 @@
+import { ENV } from '../../../../config/env.js';
+import { database } from '../database.js';
+import { knowledgeManager } from '../knowledge.js';
+import { fetchTokenMetadata } from '../api.js';
+import { createProvider } from '../providers.js';
+import { JsonFileSource } from './json-file.js';
+import { RssSource } from './rss.js';
+import {
+  scoreText,
+  extractTokenMentions,
+  summarizePosts,
+  buyPressure,
+  combineSentiment,
+  sentimentLabel,
+  sentimentTrend
+} from '../../utils/sentiment.js';
+
+const SOURCES = {
+  json: () => new JsonFileSource({ path: ENV.SENTIMENT_JSON_PATH }),
+  rss: () => new RssSource({ feeds: ENV.SENTIMENT_RSS_FEEDS })
+};
+
+// Queries closer together than this reuse the series instead of adding a snapshot
+const SNAPSHOT_MIN_GAP_MS = 5 * 60 * 1000;
+const RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const LLM_BATCH_SIZE = 20;
+
+/**
+ * LLM scores for a batch of posts
+ * @returns {Array} - A score (-1 to 1) or null per post
+ */
+const scoreWithLLM = async (texts) => {
+  const provider = createProvider();
+  const response = await provider.generateResponse([
+    {
+      role: 'system',
+      content: 'You rate crypto social posts by their sentiment toward the token they mention. Reply with only a JSON array of numbers from -1 (very bearish) to 1 (very bullish), one per post, in order.'
+    },
+    { role: 'user', content: texts.map((text, i) => `${i + 1}. ${text}`).join('\n') }
+  ], { task: 'analysis', purpose: 'sentiment_scoring' });
+
+  const scores = JSON.parse(response.match(/\[[\s\S]*\]/)?.[0] || '[]');
+  return texts.map((_, i) => Number.isFinite(scores[i]) ? Math.max(-1, Math.min(1, scores[i])) : null);
+};
+
+/**
+ * Sentiment Service
+ *
+ * Ingests posts from the social sources in SENTIMENT_SOURCES, links them to
+ * the tokens they mention and scores them with the lexicon (and the LLM when
+ * SENTIMENT_LLM_SCORING is on). Token snapshots blend the recent social score
+ * with on-chain buy/sell pressure and are kept as a time series, so the trend
+ * shows whether sentiment is rising or falling.
+ */
+class SentimentService {
+  constructor() {
+    this.sources = null;
+    this.cursors = new Map(); // source name -> newest post time ingested
+  }
+
+  getSources() {
+    if (!this.sources) {
+      this.sources = ENV.SENTIMENT_SOURCES
+        .map(name => {
+          if (!SOURCES[name]) {
+            console.error(`Unknown sentiment source "${name}" in SENTIMENT_SOURCES, ignoring it`);
+            return null;
+          }
+          return SOURCES[name]();
+        })
+        .filter(Boolean);
+    }
+    return this.sources;
+  }
+
+  /**
+   * Uppercase symbol -> address for tokens in the knowledge base, null when two tokens share a symbol
+   */
+  async getKnownSymbols() {
+    const symbols = new Map();
+    for (const row of await database.getEntitiesByType(knowledgeManager.entityTypes.TOKEN)) {
+      const symbol = JSON.parse(row.metadata || '{}').symbol?.toUpperCase();
+      if (!symbol) continue;
+      symbols.set(symbol, symbols.has(symbol) && symbols.get(symbol) !== row.entity_value ? null : row.entity_value);
+    }
+    return symbols;
+  }
+
+  async scorePosts(posts) {
+    const scored = posts.map(post => ({ ...post, lexiconScore: scoreText(post.text), llmScore: null }));
+    if (!ENV.SENTIMENT_LLM_SCORING) return scored;
+
+    for (let i = 0; i < scored.length; i += LLM_BATCH_SIZE) {
+      const batch = scored.slice(i, i + LLM_BATCH_SIZE);
+      try {
+        const scores = await scoreWithLLM(batch.map(post => post.text));
+        batch.forEach((post, j) => { post.llmScore = scores[j]; });
+      } catch (error) {
+        console.error('Error scoring posts with the LLM, keeping lexicon scores:', error.message);
+      }
+    }
+    return scored;
+  }
+
+  /**
+   * Fetch new posts from every source, score them and store one row per mentioned token
+   * @returns {Object} - { fetched, stored }
+   */
+  async ingest() {
+    const symbols = await this.getKnownSymbols();
+    let fetched = 0;
+    let stored = 0;
+
+    for (const source of this.getSources()) {
+      try {
+        const since = this.cursors.get(source.name) ?? Date.now() - ENV.SENTIMENT_LOOKBACK_MS;
+        const posts = (await source.getPosts({ since }))
+          .map(post => ({
+            ...post,
+            source: source.name,
+            mentions: post.tokens?.length ? post.tokens : extractTokenMentions(post.text, symbols)
+          }))
+          .filter(post => post.mentions.length > 0);
+        fetched += posts.length;
+        if (posts.length === 0) continue;
+
+        const rows = (await this.scorePosts(posts))
+          .flatMap(post => post.mentions.map(tokenAddress => ({ ...post, tokenAddress })));
+        stored += await database.storeSocialPosts(rows);
+        this.cursors.set(source.name, Math.max(since, ...posts.map(post => post.time)));
+      } catch (error) {
+        console.error(`Error ingesting posts from ${source.name}:`, error);
+      }
+    }
+    return { fetched, stored };
+  }
+
+  /**
+   * Current sentiment for a token from recent posts and buy/sell pressure.
+   * Stored in the series unless the last snapshot is very recent.
+   * @returns {Object} - { address, name, symbol, time, social, posts, pressure, score, label, market }
+   */
+  async snapshot(address) {
+    const now = Date.now();
+    const [metadata, posts, latest] = await Promise.all([
+      fetchTokenMetadata(address),
+      database.getSocialPosts(address, now - ENV.SENTIMENT_SOCIAL_WINDOW_MS),
+      database.getSentimentSnapshots(address, now - SNAPSHOT_MIN_GAP_MS)
+    ]);
+
+    const social = summarizePosts(posts.map(post => post.llm_score ?? post.lexicon_score));
+    const pressure = buyPressure(metadata?.pairs?.[0]?.txns);
+    const score = combineSentiment(
+      { social: social.score, postCount: social.count, pressure: pressure?.pressure ?? null },
+      { socialWeight: ENV.SENTIMENT_SOCIAL_WEIGHT, minPosts: ENV.SENTIMENT_MIN_POSTS }
+    );
+
+    const snapshot = {
+      address,
+      name: metadata?.name || null,
+      symbol: metadata?.symbol || null,
+      time: now,
+      social,
+      posts: posts.map(post => ({
+        source: post.source,
+        author: post.author,
+        text: post.text,
+        url: post.url,
+        time: post.posted_at,
+        score: post.llm_score ?? post.lexicon_score
+      })),
+      pressure,
+      score,
+      label: sentimentLabel(score),
+      market: metadata?.pairs ? {
+        priceChange24h: metadata.priceChange24h,
+        volume24h: metadata.volume24h,
+        marketCap: metadata.marketCap
+      } : null
+    };
+
+    if (score !== null && latest.length === 0) {
+      await database.storeSentimentSnapshot(snapshot);
+    }
+    return snapshot;
+  }
+
+  /**
+   * Snapshot with the sentiment series and its trend
+   * @param {Object} options - { windowMs } how far back the trend looks (default SENTIMENT_TREND_WINDOW_MS)
+   */
+  async analyzeToken(address, options = {}) {
+    const { windowMs = ENV.SENTIMENT_TREND_WINDOW_MS } = options;
+    const snapshot = await this.snapshot(address);
+    const series = (await database.getSentimentSnapshots(address, Date.now() - windowMs))
+      .filter(row => row.score !== null)
+      .map(row => ({ time: row.timestamp, score: row.score, socialScore: row.social_score, postCount: row.post_count, buyPressure: row.buy_pressure }));
+
+    return { ...snapshot, windowMs, series, trend: sentimentTrend(series) };
+  }
+
+  /**
+   * Snapshot every watched token and the most discussed tokens
+   * @returns {Number} - Tokens snapshotted
+   */
+  async snapshotTrackedTokens() {
+    const watched = await database.getWatchedTokenAddresses();
+    const mentioned = await database.getMentionedTokenAddresses(Date.now() - ENV.SENTIMENT_SOCIAL_WINDOW_MS, ENV.SENTIMENT_MAX_TOKENS);
+    const addresses = [...new Set([...watched, ...mentioned])].slice(0, ENV.SENTIMENT_MAX_TOKENS);
+
+    let count = 0;
+    for (const address of addresses) {
+      try {
+        await this.snapshot(address);
+        count++;
+      } catch (error) {
+        console.error(`Error taking sentiment snapshot for ${address}:`, error);
+      }
+    }
+    return count;
+  }
+
+  async prune() {
+    await database.deleteSentimentDataBefore(Date.now() - RETENTION_MS);
+  }
+}
+
+export const sentimentService = new SentimentService();
@@ -0,0 +1,48 @@
+import fs from 'fs';
+import { SentimentSource } from './source.js';
+
+/**
+ * Local JSON file of posts, for offline development and for exports from
+ * other tools.
+ *
+ * Format:
+ * { "posts": [{ "id": "1", "text": "...", "author": "...", "url": "...", "time": 1760000000000, "tokens": ["<mint>"] }] }
+ * `time` may also be an ISO date, or be replaced by `minutesAgo` so demo files
+ * stay recent. The file is re-read whenever it changes on disk.
+ */
+export class JsonFileSource extends SentimentSource {
+  constructor(options = {}) {
+    super('json', 'Social posts file');
+    this.path = options.path;
+    this.posts = [];
+    this.loadedMtime = 0;
+  }
+
+  load() {
+    if (!this.path || !fs.existsSync(this.path)) {
+      return [];
+    }
+
+    const mtime = fs.statSync(this.path).mtimeMs;
+    if (mtime !== this.loadedMtime) {
+      const now = Date.now();
+      const data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+      this.posts = (data.posts || []).map((post, index) => ({
+        id: String(post.id ?? index),
+        text: post.text || '',
+        author: post.author || null,
+        url: post.url || null,
+        time: post.minutesAgo !== undefined
+          ? now - post.minutesAgo * 60 * 1000
+          : typeof post.time === 'number' ? post.time : Date.parse(post.time),
+        tokens: post.tokens || []
+      }));
+      this.loadedMtime = mtime;
+    }
+    return this.posts;
+  }
+
+  async getPosts({ since = 0 } = {}) {
+    return this.load().filter(post => post.time > since);
+  }
+}
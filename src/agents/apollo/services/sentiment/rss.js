@@ -0,0 +1,69 @@
+import fs from 'fs';
+import { httpGet } from '../../utils/axios.js';
+import { SentimentSource } from './source.js';
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", '#39': "'" };
+
+// Text of an XML element: CDATA unwrapped, common entities decoded and HTML tags stripped
+const textOf = (xml, tag) => {
+  const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+  if (!match) return '';
+  return match[1]
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&(amp|lt|gt|quot|apos|#39);/g, (_, name) => ENTITIES[name])
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Atom links keep the URL in an attribute
+const linkOf = (xml) => textOf(xml, 'link') || xml.match(/<link[^>]*href="([^"]+)"/i)?.[1] || null;
+
+/**
+ * Posts from RSS 2.0 <item> or Atom <entry> elements
+ */
+export const parseFeed = (xml) => {
+  const items = xml.match(/<item[\s>][\s\S]*?<\/item>|<entry[\s>][\s\S]*?<\/entry>/gi) || [];
+  return items.map(item => {
+    const title = textOf(item, 'title');
+    const body = textOf(item, 'description') || textOf(item, 'summary') || textOf(item, 'content');
+    const url = linkOf(item);
+    return {
+      id: textOf(item, 'guid') || textOf(item, 'id') || url || title,
+      text: [title, body].filter(Boolean).join('. '),
+      author: textOf(item, 'author') || textOf(item, 'dc:creator') || textOf(item, 'name') || null,
+      url,
+      time: Date.parse(textOf(item, 'pubDate') || textOf(item, 'published') || textOf(item, 'updated')),
+      tokens: []
+    };
+  }).filter(post => post.id && Number.isFinite(post.time));
+};
+
+/**
+ * RSS or Atom feeds, fetched over HTTP or read from local files
+ */
+export class RssSource extends SentimentSource {
+  constructor(options = {}) {
+    super('rss', 'RSS feeds');
+    this.feeds = options.feeds || [];
+  }
+
+  async readFeed(feed) {
+    if (/^https?:\/\//.test(feed)) {
+      return await httpGet(feed, { responseType: 'text' }, { source: feed });
+    }
+    return fs.existsSync(feed) ? fs.readFileSync(feed, 'utf8') : '';
+  }
+
+  async getPosts({ since = 0 } = {}) {
+    const posts = [];
+    for (const feed of this.feeds) {
+      try {
+        posts.push(...parseFeed(await this.readFeed(feed)).filter(post => post.time > since));
+      } catch (error) {
+        console.error(`Error reading RSS feed ${feed}:`, error.message);
+      }
+    }
+    return posts;
+  }
+}
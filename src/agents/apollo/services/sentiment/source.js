@@ -0,0 +1,24 @@
+/**
+ * Base class for social post sources feeding the sentiment service.
+ *
+ * Posts are normalized to:
+ * { id, text, author, url, time, tokens }
+ * where `time` is in ms and `tokens` optionally lists the token addresses the
+ * post is about. Without it, tokens are found from addresses and $cashtags in
+ * the text.
+ */
+export class SentimentSource {
+  constructor(name, displayName = name) {
+    this.name = name;
+    this.displayName = displayName;
+  }
+
+  /**
+   * Posts published after a time
+   * @param {Object} options - { since } only posts after this time (ms)
+   * @returns {Array} - Normalized posts
+   */
+  async getPosts(options = {}) {
+    throw new Error(`${this.name} does not implement getPosts`);
+  }
+}
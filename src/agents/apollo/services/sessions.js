@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+import { database } from './database.js';
+import { PERSONALITIES } from '../../../config/personalities.js';
+import { ENV } from '../../../config/env.js';
+import { stripInlineImages } from '../utils/formatters.js';
+
+// Messages kept in memory per session; only the last few are sent as context
+const MAX_HISTORY = 100;
+
+/**
+ * Session Manager for Apollo Agent
+ *
+ * Keeps each conversation (browser tab, CLI, API client) isolated with its own
+ * history, personality and provider thread. Sessions are persisted in the
+ * database so they can be listed and resumed later.
+ */
+class SessionManager {
+  constructor() {
+    this.sessions = new Map(); // sessionId -> loaded session
+    this.defaultSessionId = 'default';
+  }
+
+  /**
+   * Create a new session
+   * @param {Object} options - { id, name, personality }
+   * @returns {Object} - The session
+   */
+  async createSession(options = {}) {
+    const id = options.id || crypto.randomUUID();
+    const personality = options.personality || ENV.AI_PERSONALITY;
+
+    if (!PERSONALITIES[personality]) {
+      throw new Error(`Unknown personality: ${personality}`);
+    }
+
+    const name = options.name || `Session ${new Date().toLocaleString()}`;
+    const row = await database.createSession(id, name, personality);
+
+    return this.cache(this.fromRow(row, []));
+  }
+
+  /**
+   * Load a session (from cache or database)
+   * @param {String} id - Session ID
+   * @returns {Object|null} - The session, or null if it doesn't exist
+   */
+  async getSession(id) {
+    if (this.sessions.has(id)) {
+      return this.sessions.get(id);
+    }
+
+    const row = await database.getSession(id);
+    if (!row) return null;
+
+    return await this.load(row);
+  }
+
+  /**
+   * Load a session, creating it if it doesn't exist yet
+   * Safe to call concurrently for the same ID: the first insert wins and every caller gets that session.
+   * @param {String} id - Session ID (defaults to the shared default session)
+   * @param {Object} options - Options used when creating the session
+   */
+  async getOrCreateSession(id = this.defaultSessionId, options = {}) {
+    if (this.sessions.has(id)) {
+      return this.sessions.get(id);
+    }
+
+    const personality = options.personality || ENV.AI_PERSONALITY;
+    if (!PERSONALITIES[personality]) {
+      throw new Error(`Unknown personality: ${personality}`);
+    }
+
+    const name = options.name || `Session ${new Date().toLocaleString()}`;
+    const row = await database.getOrCreateSession(id, name, personality);
+    return await this.load(row);
+  }
+
+  /**
+   * Load a stored session's recent history into the cache
+   */
+  async load(row) {
+    const messages = await database.getSessionMessages(row.id, MAX_HISTORY);
+    return this.cache(this.fromRow(row, messages.map(m => ({ role: m.role, content: m.content }))));
+  }
+
+  /**
+   * Cache a loaded session, unless a concurrent load got there first
+   */
+  cache(session) {
+    if (!this.sessions.has(session.id)) {
+      this.sessions.set(session.id, session);
+    }
+    return this.sessions.get(session.id);
+  }
+
+  async listSessions(limit = 50) {
+    const rows = await database.listSessions(limit);
+    return rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      personality: row.personality,
+      messageCount: row.message_count,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  async getSessionMessages(id, limit = 100) {
+    return await database.getSessionMessages(id, limit);
+  }
+
+  async renameSession(id, name) {
+    const session = await this.getSession(id);
+    if (!session) return null;
+
+    await database.updateSession(id, { name });
+    session.name = name;
+    return session;
+  }
+
+  async setSessionPersonality(id, personality) {
+    if (!PERSONALITIES[personality]) {
+      throw new Error(`Unknown personality: ${personality}`);
+    }
+
+    const session = await this.getSession(id);
+    if (!session) return null;
+
+    await database.updateSession(id, { personality });
+    session.personality = personality;
+    return session;
+  }
+
+  async setThreadId(id, threadId) {
+    await database.updateSession(id, { threadId });
+    const session = this.sessions.get(id);
+    if (session) {
+      session.threadId = threadId;
+    }
+  }
+
+  async deleteSession(id) {
+    this.sessions.delete(id);
+    return await database.deleteSession(id);
+  }
+
+  /**
+   * Append a message to the session history
+   */
+  async addMessage(id, role, content) {
+    await database.storeSessionMessage(id, role, content);
+    const session = this.sessions.get(id);
+    if (session) {
+      session.history.push({ role, content });
+      session.history.splice(0, session.history.length - MAX_HISTORY);
+      session.updatedAt = Date.now();
+    }
+  }
+
+  /**
+   * Get the most recent messages for use as LLM context
+   * Inline chart images are stripped to keep the context small.
+   */
+  getContextHistory(session, limit = 10) {
+    return session.history.slice(-limit).map(message => ({
+      role: message.role,
+      content: stripInlineImages(message.content)
+    }));
+  }
+
+  fromRow(row, history) {
+    return {
+      id: row.id,
+      name: row.name,
+      personality: row.personality,
+      threadId: row.thread_id,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      history
+    };
+  }
+}
+
+export const sessionManager = new SessionManager();
@@ -0,0 +1,149 @@
+import { ENV } from '../../../config/env.js';
+import { database } from './database.js';
+import { knowledgeManager } from './knowledge.js';
+import { walletHistory } from './wallet-history.js';
+import { formatNumber } from '../utils/formatters.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const EVENT_PREFIX = 'smart_money_';
+
+// Bigger trades matter more to the knowledge graph
+const impactScore = (usdValue) => usdValue >= 50000 ? 7 : usdValue >= 5000 ? 5 : 3;
+
+/**
+ * Net buying and selling per token across the feed
+ * @returns {Array} - [{ tokenAddress, symbol, buyUsd, sellUsd, netUsd, buys, sells, wallets }] most bought first
+ */
+const aggregateFlows = (events) => {
+  const tokens = new Map();
+  for (const event of events) {
+    if (!tokens.has(event.tokenAddress)) {
+      tokens.set(event.tokenAddress, { tokenAddress: event.tokenAddress, symbol: event.symbol, buyUsd: 0, sellUsd: 0, buys: 0, sells: 0, wallets: new Set() });
+    }
+    const token = tokens.get(event.tokenAddress);
+    if (event.side === 'buy') {
+      token.buys++;
+      token.buyUsd += event.usdValue;
+    } else {
+      token.sells++;
+      token.sellUsd += event.usdValue;
+    }
+    token.wallets.add(event.label);
+  }
+  return [...tokens.values()]
+    .map(token => ({ ...token, netUsd: token.buyUsd - token.sellUsd, wallets: [...token.wallets] }))
+    .sort((a, b) => b.buyUsd - a.buyUsd);
+};
+
+/**
+ * Smart Money Service
+ *
+ * Tracks labelled wallets (whales, funds, known insiders) stored as `wallet`
+ * entities. Each poll syncs their swap history and records new buys and sells
+ * as `smart_money_buy` / `smart_money_sell` market events, which make up the
+ * smart-money feed.
+ */
+class SmartMoneyService {
+  constructor() {
+    // Newest swap time already turned into events, per wallet
+    this.cursors = new Map();
+    this.seeded = false;
+  }
+
+  /**
+   * Label the wallets listed in SMART_WALLETS that aren't tracked yet
+   */
+  async seedFromConfig() {
+    if (this.seeded) return;
+    this.seeded = true;
+
+    const tracked = new Set((await knowledgeManager.getSmartWallets()).map(w => w.address));
+    for (const entry of ENV.SMART_WALLETS) {
+      const [address, label, category] = entry.split(':').map(s => s.trim());
+      if (address && !tracked.has(address)) {
+        await knowledgeManager.labelWallet(address, { label, category: category || undefined });
+      }
+    }
+  }
+
+  /**
+   * Record a labelled wallet's new swaps as market events
+   * @returns {Number} - Events recorded
+   */
+  async pollWallet(wallet) {
+    const cursor = this.cursors.get(wallet.address) ?? Date.now() - ENV.SMART_MONEY_LOOKBACK_MS;
+    const { swaps } = await walletHistory.getSwaps(wallet.address);
+
+    // Swap times have second precision, so re-check the cursor's second; recorded events are skipped by id
+    let recorded = 0;
+    for (const swap of swaps.filter(s => s.time >= cursor && s.usdValue >= ENV.SMART_MONEY_MIN_USD)) {
+      const id = `${swap.signature}_${swap.tokenAddress}`;
+      const eventType = `${EVENT_PREFIX}${swap.side}`;
+      if (await knowledgeManager.getEntityByTypeAndValue(knowledgeManager.entityTypes.MARKET_EVENT, `${eventType}_${id}`)) {
+        continue;
+      }
+
+      const description = `${wallet.label} (${wallet.category}) ${swap.side === 'buy' ? 'bought' : 'sold'} $${formatNumber(swap.usdValue)} of $${swap.symbol}`;
+      await knowledgeManager.recordMarketEvent(eventType, swap.tokenAddress, description, impactScore(swap.usdValue), {
+        id,
+        wallet: wallet.address,
+        label: wallet.label,
+        category: wallet.category,
+        side: swap.side,
+        tokenAddress: swap.tokenAddress,
+        symbol: swap.symbol,
+        usdValue: swap.usdValue,
+        time: swap.time
+      });
+      recorded++;
+    }
+
+    this.cursors.set(wallet.address, swaps.reduce((latest, swap) => Math.max(latest, swap.time), cursor));
+    return recorded;
+  }
+
+  /**
+   * Poll every labelled wallet, one at a time to stay within the data source's request budget
+   * @returns {Object} - { wallets, recorded }
+   */
+  async poll() {
+    await this.seedFromConfig();
+    const wallets = await knowledgeManager.getSmartWallets();
+
+    let recorded = 0;
+    for (const wallet of wallets) {
+      try {
+        recorded += await this.pollWallet(wallet);
+      } catch (error) {
+        console.error(`Error polling smart-money wallet ${wallet.address}:`, error);
+      }
+    }
+    return { wallets: wallets.length, recorded };
+  }
+
+  /**
+   * Recent smart-money buys and sells
+   * @param {Object} options - { windowMs (default 1 hour), side: 'buy'|'sell' to filter }
+   * @returns {Object} - { since, events (newest first), tokens (see aggregateFlows), wallets }
+   */
+  async getFeed(options = {}) {
+    const { windowMs = HOUR_MS, side } = options;
+    const since = Date.now() - windowMs;
+
+    // Events are recorded after the swap happened, so their entities can't be older than the window
+    const rows = await database.getMarketEventEntities(EVENT_PREFIX, since);
+    const events = rows
+      .map(row => JSON.parse(row.metadata || '{}').details)
+      .filter(event => event && event.time >= since && (!side || event.side === side))
+      .sort((a, b) => b.time - a.time);
+
+    return {
+      since,
+      events,
+      tokens: aggregateFlows(events),
+      wallets: await knowledgeManager.getSmartWallets()
+    };
+  }
+}
+
+export const smartMoney = new SmartMoneyService();
@@ -0,0 +1,155 @@
+import { ENV } from '../../../config/env.js';
+import { httpPost } from '../utils/axios.js';
+
+/**
+ * Minimal Solana JSON-RPC client
+ * Works against mainnet, a private RPC provider or a local test validator.
+ */
+class SolanaRpcClient {
+  constructor(endpoint) {
+    this.endpoint = endpoint;
+    this.requestId = 0;
+  }
+
+  /**
+   * Send a JSON-RPC request
+   * @param {String} method - RPC method name
+   * @param {Array} params - RPC params
+   * @returns {*} - The `result` field of the response
+   */
+  async request(method, params = []) {
+    const body = await httpPost(this.endpoint, {
+      jsonrpc: '2.0',
+      id: ++this.requestId,
+      method,
+      params
+    }, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 30000
+    }, { source: 'The Solana RPC node' });
+
+    if (body.error) {
+      throw new Error(`RPC ${method} failed: ${body.error.message}`);
+    }
+    return body.result;
+  }
+
+  async getLatestBlockhash() {
+    const result = await this.request('getLatestBlockhash', [{ commitment: 'confirmed' }]);
+    return result.value;
+  }
+
+  async getBalance(address) {
+    const result = await this.request('getBalance', [address, { commitment: 'confirmed' }]);
+    return result.value;
+  }
+
+  /**
+   * Read an account's raw data
+   * @returns {Object|null} - { owner, lamports, data } with data as a Buffer, or null if the account doesn't exist
+   */
+  async getAccountInfo(address) {
+    const result = await this.request('getAccountInfo', [address, { encoding: 'base64', commitment: 'confirmed' }]);
+    if (!result?.value) {
+      return null;
+    }
+
+    return {
+      owner: result.value.owner,
+      lamports: result.value.lamports,
+      data: Buffer.from(result.value.data[0], 'base64')
+    };
+  }
+
+  /**
+   * Owners of token accounts, in the order given; null for accounts that don't exist
+   */
+  async getTokenAccountOwners(addresses) {
+    const result = await this.request('getMultipleAccounts', [addresses, { encoding: 'jsonParsed', commitment: 'confirmed' }]);
+    return result.value.map(account => account?.data?.parsed?.info?.owner || null);
+  }
+
+  async getTokenSupply(mint) {
+    const result = await this.request('getTokenSupply', [mint, { commitment: 'confirmed' }]);
+    return result.value;
+  }
+
+  async getTokenDecimals(mint) {
+    const result = await this.request('getTokenSupply', [mint]);
+    return result.value.decimals;
+  }
+
+  /**
+   * Read an SPL token mint account
+   * @returns {Object|null} - { supply, decimals, mintAuthority, freezeAuthority, programId }, or null if the mint doesn't exist
+   */
+  async getMintInfo(mint) {
+    const result = await this.request('getAccountInfo', [mint, { encoding: 'jsonParsed', commitment: 'confirmed' }]);
+    const parsed = result?.value?.data?.parsed;
+    if (!parsed || parsed.type !== 'mint') {
+      return null;
+    }
+
+    return {
+      supply: parsed.info.supply,
+      decimals: parsed.info.decimals,
+      mintAuthority: parsed.info.mintAuthority || null,
+      freezeAuthority: parsed.info.freezeAuthority || null,
+      programId: result.value.owner
+    };
+  }
+
+  /**
+   * The 20 largest token accounts of a mint
+   * @returns {Array} - [{ address, amount, uiAmount }] largest first
+   */
+  async getTokenLargestAccounts(mint) {
+    const result = await this.request('getTokenLargestAccounts', [mint, { commitment: 'confirmed' }]);
+    return result.value.map(account => ({
+      address: account.address,
+      amount: account.amount,
+      uiAmount: account.uiAmount
+    }));
+  }
+
+  /**
+   * Submit a signed transaction
+   * @param {String} base64Transaction - Signed transaction, base64 encoded
+   * @returns {String} - Transaction signature
+   */
+  async sendTransaction(base64Transaction) {
+    return await this.request('sendTransaction', [base64Transaction, {
+      encoding: 'base64',
+      preflightCommitment: 'confirmed'
+    }]);
+  }
+
+  async getSignatureStatus(signature) {
+    const result = await this.request('getSignatureStatuses', [[signature], { searchTransactionHistory: false }]);
+    return result.value[0];
+  }
+
+  /**
+   * Poll until a transaction is confirmed, fails or times out
+   * @returns {Object} - { confirmed, error }
+   */
+  async confirmTransaction(signature, timeoutMs = 60000) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (Date.now() < deadline) {
+      const status = await this.getSignatureStatus(signature);
+      if (status?.err) {
+        return { confirmed: false, error: JSON.stringify(status.err) };
+      }
+      if (status && ['confirmed', 'finalized'].includes(status.confirmationStatus)) {
+        return { confirmed: true, error: null };
+      }
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    return { confirmed: false, error: 'Timed out waiting for confirmation' };
+  }
+}
+
+export const solanaRpc = new SolanaRpcClient(ENV.SOLANA_RPC_URL);
+export { SolanaRpcClient };
@@ -0,0 +1,81 @@
+import { ENV } from '../../../config/env.js';
+import { httpGet, httpPost } from '../utils/axios.js';
+
+/**
+ * Jupiter-compatible aggregator client
+ *
+ * Any aggregator exposing the Jupiter v6 `/quote` and `/swap` endpoints works,
+ * including the local mock in swap-mocks.js.
+ */
+class JupiterAggregatorClient {
+  constructor(baseUrl) {
+    this.name = 'jupiter';
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  /**
+   * Get a swap quote
+   * @param {Object} params - { inputMint, outputMint, amount (base units), slippageBps }
+   * @returns {Object} - Normalized quote
+   */
+  async getQuote({ inputMint, outputMint, amount, slippageBps }) {
+    const quote = await httpGet(`${this.baseUrl}/quote`, {
+      params: { inputMint, outputMint, amount, slippageBps }
+    }, { source: 'The Jupiter swap API' });
+
+    return {
+      inputMint: quote.inputMint,
+      outputMint: quote.outputMint,
+      inAmount: quote.inAmount,
+      outAmount: quote.outAmount,
+      minOutAmount: quote.otherAmountThreshold,
+      slippageBps: quote.slippageBps,
+      priceImpactPct: parseFloat(quote.priceImpactPct || 0) * 100,
+      route: (quote.routePlan || []).map(step => step.swapInfo?.label).filter(Boolean),
+      raw: quote
+    };
+  }
+
+  /**
+   * Build an unsigned swap transaction for a quote
+   * @param {Object} quote - A quote returned by getQuote
+   * @param {String} userPublicKey - Wallet that will sign and pay fees
+   * @returns {Object} - { transaction (base64), lastValidBlockHeight }
+   */
+  async buildSwapTransaction(quote, userPublicKey) {
+    const swap = await httpPost(`${this.baseUrl}/swap`, {
+      quoteResponse: quote.raw,
+      userPublicKey,
+      wrapAndUnwrapSol: true,
+      dynamicComputeUnitLimit: true
+    }, {}, { source: 'The Jupiter swap API' });
+
+    return {
+      transaction: swap.swapTransaction,
+      lastValidBlockHeight: swap.lastValidBlockHeight
+    };
+  }
+}
+
+const AGGREGATORS = {
+  jupiter: JupiterAggregatorClient
+};
+
+/**
+ * Create the configured aggregator client
+ */
+export const createAggregatorClient = (name = ENV.SWAP_AGGREGATOR, baseUrl = ENV.SWAP_AGGREGATOR_URL) => {
+  const Client = AGGREGATORS[name];
+  if (!Client) {
+    throw new Error(`Unsupported swap aggregator: ${name}`);
+  }
+  return new Client(baseUrl);
+};
+
+/**
+ * Register an additional aggregator implementation
+ * Implementations must provide getQuote() and buildSwapTransaction().
+ */
+export const registerAggregator = (name, Client) => {
+  AGGREGATORS[name] = Client;
+};
@@ -0,0 +1,161 @@
+import express from 'express';
+import crypto from 'crypto';
+import { encodeBase58, decodeBase58 } from '../utils/base58.js';
+import { encodeShortVec, parseTransaction } from '../utils/solana-tx.js';
+
+/**
+ * Local stand-ins for the swap pipeline's external dependencies, so swaps can
+ * be exercised end to end without touching mainnet:
+ * - a Jupiter-compatible aggregator (/quote, /swap)
+ * - a JSON-RPC validator that verifies signatures and "confirms" transactions
+ */
+
+// SPKI DER prefix for a raw 32-byte ed25519 public key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+const MOCK_PROGRAM_ID = 'JUP6LkbZbjS1jKKwapdHNy74zcZ3tLUZoi5QNyVTaV4';
+
+/**
+ * Build an unsigned v0 transaction with the user as fee payer and a single
+ * swap instruction over both mints, carrying the input amount
+ */
+const buildMockTransaction = (userPublicKey, { inputMint, outputMint, inAmount }) => {
+  const amount = Buffer.alloc(8);
+  amount.writeBigUInt64LE(BigInt(inAmount));
+
+  const message = Buffer.concat([
+    Buffer.from([0x80]), // v0
+    Buffer.from([1, 0, 3]), // 1 required signature, 0 readonly signed, 3 readonly unsigned
+    encodeShortVec(4),
+    decodeBase58(userPublicKey),
+    decodeBase58(MOCK_PROGRAM_ID),
+    decodeBase58(inputMint),
+    decodeBase58(outputMint),
+    crypto.randomBytes(32), // recent blockhash
+    encodeShortVec(1), // one instruction
+    Buffer.from([1]), // program ID index
+    encodeShortVec(3),
+    Buffer.from([0, 2, 3]), // user and both mints
+    encodeShortVec(9),
+    Buffer.from([0]), // instruction discriminator
+    amount,
+    encodeShortVec(0) // no address table lookups
+  ]);
+
+  return Buffer.concat([encodeShortVec(1), Buffer.alloc(64), message]).toString('base64');
+};
+
+/**
+ * Create a mock aggregator app
+ * @param {Object} options - { rate: output units per input unit, priceImpactPct, route,
+ *   transactionInAmount: build transactions for this amount instead of the quoted one }
+ */
+export const createMockAggregator = (options = {}) => {
+  const { rate = 1000, priceImpactPct = 0.001, route = ['MockSwap'], transactionInAmount } = options;
+  const app = express();
+  app.use(express.json());
+
+  app.get('/quote', (req, res) => {
+    const { inputMint, outputMint, amount, slippageBps = 50 } = req.query;
+    if (!inputMint || !outputMint || !amount) {
+      return res.status(400).json({ error: 'inputMint, outputMint and amount are required' });
+    }
+
+    const outAmount = Math.floor(parseInt(amount) * rate);
+    const minOutAmount = Math.floor(outAmount * (1 - parseInt(slippageBps) / 10000));
+
+    res.json({
+      inputMint,
+      outputMint,
+      inAmount: amount,
+      outAmount: outAmount.toString(),
+      otherAmountThreshold: minOutAmount.toString(),
+      slippageBps: parseInt(slippageBps),
+      priceImpactPct: priceImpactPct.toString(),
+      routePlan: route.map(label => ({ swapInfo: { label }, percent: Math.floor(100 / route.length) }))
+    });
+  });
+
+  app.post('/swap', (req, res) => {
+    const { quoteResponse, userPublicKey } = req.body;
+    if (!quoteResponse || !userPublicKey) {
+      return res.status(400).json({ error: 'quoteResponse and userPublicKey are required' });
+    }
+
+    res.json({
+      swapTransaction: buildMockTransaction(userPublicKey, {
+        ...quoteResponse,
+        inAmount: transactionInAmount ?? quoteResponse.inAmount
+      }),
+      lastValidBlockHeight: 1000
+    });
+  });
+
+  return app;
+};
+
+/**
+ * Create a mock Solana JSON-RPC validator app
+ * @param {Object} options - { decimals: token decimals reported for every mint }
+ */
+export const createMockValidator = (options = {}) => {
+  const { decimals = 6 } = options;
+  const transactions = new Map(); // signature -> status
+  const app = express();
+  app.use(express.json());
+
+  const verifyTransaction = (base64Transaction) => {
+    const tx = parseTransaction(base64Transaction);
+    for (let i = 0; i < tx.numRequiredSignatures; i++) {
+      const publicKey = crypto.createPublicKey({
+        key: Buffer.concat([ED25519_SPKI_PREFIX, decodeBase58(tx.accountKeys[i])]),
+        format: 'der',
+        type: 'spki'
+      });
+      if (!crypto.verify(null, tx.message, publicKey, tx.signatures[i])) {
+        return null;
+      }
+    }
+    return encodeBase58(tx.signatures[0]);
+  };
+
+  const handlers = {
+    getLatestBlockhash: () => ({
+      context: { slot: 1 },
+      value: { blockhash: encodeBase58(crypto.randomBytes(32)), lastValidBlockHeight: 1000 }
+    }),
+    getBalance: () => ({ context: { slot: 1 }, value: 10 * 1e9 }),
+    getTokenSupply: () => ({
+      context: { slot: 1 },
+      value: { amount: '1000000000000000', decimals, uiAmount: 1e15 / (10 ** decimals) }
+    }),
+    sendTransaction: ([base64Transaction]) => {
+      const signature = verifyTransaction(base64Transaction);
+      if (!signature) {
+        throw new Error('Transaction signature verification failure');
+      }
+      transactions.set(signature, { slot: 1, confirmations: null, err: null, confirmationStatus: 'confirmed' });
+      return signature;
+    },
+    getSignatureStatuses: ([signatures]) => ({
+      context: { slot: 1 },
+      value: signatures.map(signature => transactions.get(signature) || null)
+    })
+  };
+
+  app.post('/', (req, res) => {
+    const { id, method, params = [] } = req.body;
+    const handler = handlers[method];
+
+    if (!handler) {
+      return res.json({ jsonrpc: '2.0', id, error: { code: -32601, message: `Method not found: ${method}` } });
+    }
+
+    try {
+      res.json({ jsonrpc: '2.0', id, result: handler(params) });
+    } catch (error) {
+      res.json({ jsonrpc: '2.0', id, error: { code: -32002, message: error.message } });
+    }
+  });
+
+  return app;
+};
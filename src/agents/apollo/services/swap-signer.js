@@ -0,0 +1,84 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { ENV } from '../../../config/env.js';
+import { encodeBase58 } from '../utils/base58.js';
+import { parseTransaction, applySignature } from '../utils/solana-tx.js';
+
+// PKCS#8 DER prefix for a raw 32-byte ed25519 seed
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+/**
+ * Signs transactions with a local keypair file (Solana CLI JSON format:
+ * a 64-byte array of secret seed followed by the public key)
+ */
+class LocalKeypairSigner {
+  constructor(keypairPath) {
+    this.type = 'local';
+    
+    const secret = Uint8Array.from(JSON.parse(fs.readFileSync(keypairPath, 'utf8')));
+    if (secret.length !== 64) {
+      throw new Error(`Invalid keypair file: ${keypairPath}`);
+    }
+    
+    this.privateKey = crypto.createPrivateKey({
+      key: Buffer.concat([ED25519_PKCS8_PREFIX, Buffer.from(secret.subarray(0, 32))]),
+      format: 'der',
+      type: 'pkcs8'
+    });
+    this.publicKey = encodeBase58(secret.subarray(32));
+  }
+
+  async getPublicKey() {
+    return this.publicKey;
+  }
+
+  /**
+   * Sign an unsigned transaction
+   * @param {String} base64Transaction - Transaction from the aggregator
+   * @returns {Object} - { signed: true, transaction (base64) }
+   */
+  async signTransaction(base64Transaction) {
+    const { message } = parseTransaction(base64Transaction);
+    const signature = crypto.sign(null, message, this.privateKey);
+    const signed = applySignature(base64Transaction, this.publicKey, signature);
+    return { signed: true, transaction: signed.toString('base64') };
+  }
+}
+
+/**
+ * Hands the unsigned transaction off to an external wallet (Phantom,
+ * Backpack, a hardware wallet...). The agent never holds the key; the
+ * client is responsible for signing and submitting.
+ */
+class ExternalWalletSigner {
+  constructor(walletAddress) {
+    this.type = 'external';
+    this.publicKey = walletAddress;
+  }
+
+  async getPublicKey() {
+    if (!this.publicKey) {
+      throw new Error('No wallet address configured for external signing (set SWAP_WALLET_ADDRESS)');
+    }
+    return this.publicKey;
+  }
+
+  async signTransaction(base64Transaction) {
+    return { signed: false, transaction: base64Transaction };
+  }
+}
+
+/**
+ * Create the configured signer
+ */
+export const createSigner = () => {
+  if (ENV.SWAP_SIGNER === 'local') {
+    if (!ENV.SWAP_KEYPAIR_PATH) {
+      throw new Error('SWAP_KEYPAIR_PATH is required for the local signer');
+    }
+    return new LocalKeypairSigner(ENV.SWAP_KEYPAIR_PATH);
+  }
+  return new ExternalWalletSigner(ENV.SWAP_WALLET_ADDRESS);
+};
+
+export { LocalKeypairSigner, ExternalWalletSigner };
@@ -0,0 +1,254 @@
+import crypto from 'crypto';
+import { ENV } from '../../../config/env.js';
+import { solanaRpc } from './solana-rpc.js';
+import { createAggregatorClient } from './swap-aggregator.js';
+import { createSigner } from './swap-signer.js';
+import { SOL_MINT } from '../constants/tokens.js';
+import { parseTransaction, decodeLookupTableAddresses, findSwapMismatch } from '../utils/solana-tx.js';
+
+export { SOL_MINT };
+const SOL_DECIMALS = 9;
+
+/**
+ * A swap request that was rejected or cannot proceed.
+ * The message is safe to show to the user.
+ */
+export class SwapError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'SwapError';
+    this.code = code;
+  }
+}
+
+/**
+ * Swap Service
+ *
+ * Pipeline: quote from the aggregator -> slippage and price impact checks ->
+ * unsigned transaction -> explicit user confirmation -> sign (local keypair)
+ * or hand off (external wallet) -> submit and confirm on chain.
+ * Nothing is signed or sent until confirmSwap() is called for the swap ID
+ * with the swap's confirmation token, which only the requester is given.
+ */
+class SwapService {
+  constructor() {
+    this.pendingSwaps = new Map(); // swapId -> swap
+    this.aggregator = null;
+    this.signer = null;
+    this.rpc = solanaRpc;
+  }
+
+  getAggregator() {
+    if (!this.aggregator) {
+      this.aggregator = createAggregatorClient();
+    }
+    return this.aggregator;
+  }
+
+  getSigner() {
+    if (!this.signer) {
+      this.signer = createSigner();
+    }
+    return this.signer;
+  }
+
+  /**
+   * Quote a swap and build its unsigned transaction
+   * @param {Object} params - { action: 'buy'|'sell', tokenAddress, solAmount, tokenAmount, slippageBps }
+   * @returns {Object} - The pending swap, awaiting confirmation, with its confirmToken
+   */
+  async prepareSwap({ action, tokenAddress, solAmount, tokenAmount, slippageBps = ENV.SWAP_SLIPPAGE_BPS }) {
+    this.pruneExpired();
+
+    if (!['buy', 'sell'].includes(action)) {
+      throw new SwapError('Please specify whether you want to buy or sell.', 'invalid_action');
+    }
+
+    const amount = action === 'buy' ? parseFloat(solAmount) : parseFloat(tokenAmount);
+    if (!amount || amount <= 0) {
+      throw new SwapError(`Please specify a positive ${action === 'buy' ? 'SOL' : 'token'} amount to swap.`, 'invalid_amount');
+    }
+
+    if (slippageBps > ENV.SWAP_MAX_SLIPPAGE_BPS) {
+      throw new SwapError(
+        `Requested slippage of ${(slippageBps / 100).toFixed(2)}% exceeds the maximum allowed ${(ENV.SWAP_MAX_SLIPPAGE_BPS / 100).toFixed(2)}%.`,
+        'slippage_too_high'
+      );
+    }
+
+    const tokenDecimals = await this.rpc.getTokenDecimals(tokenAddress);
+    const [inputMint, outputMint, inDecimals, outDecimals] = action === 'buy'
+      ? [SOL_MINT, tokenAddress, SOL_DECIMALS, tokenDecimals]
+      : [tokenAddress, SOL_MINT, tokenDecimals, SOL_DECIMALS];
+
+    const inAmount = Math.round(amount * (10 ** inDecimals)).toString();
+    const quote = await this.getAggregator().getQuote({ inputMint, outputMint, amount: inAmount, slippageBps });
+
+    if (quote.inputMint !== inputMint || quote.outputMint !== outputMint || quote.inAmount !== inAmount) {
+      throw new SwapError('The aggregator returned a quote for a different swap than requested. Please try again.', 'quote_mismatch');
+    }
+
+    if (quote.priceImpactPct > ENV.SWAP_MAX_PRICE_IMPACT_PCT) {
+      throw new SwapError(
+        `Price impact of ${quote.priceImpactPct.toFixed(2)}% exceeds the maximum allowed ${ENV.SWAP_MAX_PRICE_IMPACT_PCT}%. Try a smaller amount.`,
+        'price_impact_too_high'
+      );
+    }
+
+    const signer = this.getSigner();
+    const userPublicKey = await signer.getPublicKey();
+    const { transaction, lastValidBlockHeight } = await this.getAggregator().buildSwapTransaction(quote, userPublicKey);
+
+    // The transaction is never rebuilt, so checking it here covers what gets signed
+    const tx = parseTransaction(transaction);
+    const mismatch = findSwapMismatch(tx, await this.resolveAccountKeys(tx), {
+      wallet: userPublicKey,
+      inputMint,
+      outputMint,
+      inAmount
+    });
+    if (mismatch) {
+      throw new SwapError(`The aggregator's transaction does not match the quote (${mismatch}), so it was not offered for signing.`, 'transaction_mismatch');
+    }
+
+    const swap = {
+      id: crypto.randomBytes(16).toString('hex'),
+      confirmToken: crypto.randomBytes(32).toString('hex'),
+      status: 'awaiting_confirmation',
+      action,
+      tokenAddress,
+      wallet: userPublicKey,
+      signer: signer.type,
+      inputMint,
+      outputMint,
+      inAmount: parseInt(quote.inAmount) / (10 ** inDecimals),
+      outAmount: parseInt(quote.outAmount) / (10 ** outDecimals),
+      minOutAmount: parseInt(quote.minOutAmount) / (10 ** outDecimals),
+      slippageBps: quote.slippageBps,
+      priceImpactPct: quote.priceImpactPct,
+      route: quote.route,
+      aggregator: this.getAggregator().name,
+      transaction,
+      lastValidBlockHeight,
+      signature: null,
+      error: null,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + ENV.SWAP_QUOTE_TTL_MS
+    };
+
+    this.pendingSwaps.set(swap.id, swap);
+    return { ...this.describe(swap), confirmToken: swap.confirmToken };
+  }
+
+  /**
+   * Execute a swap the user has explicitly approved
+   * @param {String} swapId - ID returned by prepareSwap
+   * @param {String} confirmToken - Token returned by prepareSwap
+   * @returns {Object} - The swap with its final status
+   */
+  async confirmSwap(swapId, confirmToken) {
+    const swap = this.getAuthorizedSwap(swapId, confirmToken);
+
+    if (swap.status !== 'awaiting_confirmation') {
+      throw new SwapError(`Swap ${swapId} is already ${swap.status.replace(/_/g, ' ')}.`, 'invalid_status');
+    }
+    if (Date.now() > swap.expiresAt) {
+      swap.status = 'expired';
+      throw new SwapError(`The quote for swap ${swapId} has expired. Please request a new quote.`, 'expired');
+    }
+
+    swap.status = 'signing';
+    try {
+      const signed = await this.getSigner().signTransaction(swap.transaction);
+
+      if (!signed.signed) {
+        // External wallet: the client signs and submits the transaction itself
+        swap.status = 'awaiting_signature';
+        return { ...this.describe(swap), transaction: signed.transaction };
+      }
+
+      swap.signature = await this.rpc.sendTransaction(signed.transaction);
+      swap.status = 'submitted';
+
+      const result = await this.rpc.confirmTransaction(swap.signature);
+      swap.status = result.confirmed ? 'confirmed' : 'failed';
+      swap.error = result.error;
+    } catch (error) {
+      console.error(`Error executing swap ${swapId}:`, error);
+      swap.status = 'failed';
+      swap.error = error.message;
+    }
+
+    return this.describe(swap);
+  }
+
+  cancelSwap(swapId, confirmToken) {
+    const swap = this.getAuthorizedSwap(swapId, confirmToken);
+    if (swap.status !== 'awaiting_confirmation') {
+      throw new SwapError(`Swap ${swapId} is already ${swap.status.replace(/_/g, ' ')}.`, 'invalid_status');
+    }
+
+    swap.status = 'cancelled';
+    return this.describe(swap);
+  }
+
+  /**
+   * A transaction's account keys, including those it loads from address lookup tables
+   */
+  async resolveAccountKeys(tx) {
+    const keys = [...tx.accountKeys];
+    for (const lookup of tx.addressTableLookups) {
+      const table = await this.rpc.getAccountInfo(lookup.accountKey);
+      if (!table) {
+        throw new SwapError(`The swap transaction uses a missing address lookup table (${lookup.accountKey}).`, 'transaction_mismatch');
+      }
+      const addresses = decodeLookupTableAddresses(table.data);
+      keys.push(...[...lookup.writableIndexes, ...lookup.readonlyIndexes].map(index => addresses[index]));
+    }
+    return keys;
+  }
+
+  /**
+   * The swap, if the token is the one it was prepared with
+   */
+  getAuthorizedSwap(swapId, confirmToken) {
+    const swap = this.pendingSwaps.get(swapId);
+    if (!swap) {
+      throw new SwapError(`No pending swap with ID ${swapId}.`, 'not_found');
+    }
+
+    const expected = Buffer.from(swap.confirmToken);
+    const given = Buffer.from(String(confirmToken || ''));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw new SwapError(`Invalid confirmation token for swap ${swapId}.`, 'forbidden');
+    }
+    return swap;
+  }
+
+  getSwap(swapId) {
+    const swap = this.pendingSwaps.get(swapId);
+    return swap ? this.describe(swap) : null;
+  }
+
+  /**
+   * Drop swaps that finished or expired more than an hour ago
+   */
+  pruneExpired() {
+    const cutoff = Date.now() - (60 * 60 * 1000);
+    for (const [id, swap] of this.pendingSwaps) {
+      if (swap.expiresAt < cutoff) {
+        this.pendingSwaps.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Public view of a swap (without the raw transaction or confirmation token)
+   */
+  describe(swap) {
+    const { transaction, confirmToken, ...rest } = swap;
+    return rest;
+  }
+}
+
+export const swapService = new SwapService();
@@ -0,0 +1,126 @@
+import { database } from './database.js';
+import { knowledgeManager } from './knowledge.js';
+import { DEFAULT_TOKEN_CATEGORIES, OTHER_CATEGORY } from '../constants/token-categories.js';
+import { classifyToken, breakdownByCategory } from '../utils/token-categories.js';
+
+const ENTITY_PREFIX = 'token_category:';
+
+const toList = (value) => Array.isArray(value)
+  ? value.map(v => String(v).trim()).filter(Boolean)
+  : [];
+
+/**
+ * Token Category Registry
+ *
+ * Categories are `concept` entities (`token_category:<key>`) in the knowledge
+ * base, seeded from DEFAULT_TOKEN_CATEGORIES when none exist. Tokens assigned
+ * by hand keep their category in their `token` entity's metadata. Both are
+ * loaded once and reloaded after every edit.
+ */
+class TokenCategoryRegistry {
+  constructor() {
+    this.categories = null;
+    this.assignments = new Map();
+  }
+
+  async load() {
+    if (this.categories) return;
+
+    const concepts = await database.getEntitiesByType(knowledgeManager.entityTypes.CONCEPT);
+    let categories = concepts
+      .filter(row => row.entity_value.startsWith(ENTITY_PREFIX))
+      .map(row => JSON.parse(row.metadata || '{}'));
+
+    if (categories.length === 0) {
+      for (const category of DEFAULT_TOKEN_CATEGORIES) {
+        await database.storeEntity(knowledgeManager.entityTypes.CONCEPT, `${ENTITY_PREFIX}${category.key}`, category);
+      }
+      categories = DEFAULT_TOKEN_CATEGORIES;
+    }
+
+    const tokens = await database.getEntitiesByType(knowledgeManager.entityTypes.TOKEN);
+    this.assignments = new Map(tokens
+      .map(row => [row.entity_value.toLowerCase(), JSON.parse(row.metadata || '{}').category])
+      .filter(([, category]) => category));
+    this.categories = [...categories].sort((a, b) => (a.order ?? 100) - (b.order ?? 100));
+  }
+
+  async listCategories() {
+    await this.load();
+    return [...this.categories, OTHER_CATEGORY];
+  }
+
+  /**
+   * Create or replace a category
+   * @param {String} key - Lowercase identifier, e.g. 'ai'
+   * @param {Object} definition - { label, order, addresses, symbols, keywords }
+   */
+  async saveCategory(key, definition = {}) {
+    if (!/^[a-z0-9_-]+$/.test(key || '')) {
+      throw new Error('Category keys use lowercase letters, digits, _ and -');
+    }
+    if (key === OTHER_CATEGORY.key) {
+      throw new Error(`"${OTHER_CATEGORY.key}" is the fallback for unclassified tokens and can't be edited`);
+    }
+
+    const category = {
+      key,
+      label: definition.label || key,
+      order: Number.isFinite(definition.order) ? definition.order : 100,
+      addresses: toList(definition.addresses),
+      symbols: toList(definition.symbols),
+      keywords: toList(definition.keywords).map(k => k.toLowerCase())
+    };
+    await database.storeEntity(knowledgeManager.entityTypes.CONCEPT, `${ENTITY_PREFIX}${key}`, category);
+    this.categories = null;
+    return category;
+  }
+
+  /**
+   * @returns {Boolean} - Whether the category existed
+   */
+  async deleteCategory(key) {
+    const deleted = await database.deleteEntity(knowledgeManager.entityTypes.CONCEPT, `${ENTITY_PREFIX}${key}`);
+    this.categories = null;
+    return deleted;
+  }
+
+  /**
+   * Pin a token to a category, overriding the heuristics
+   * @param {String} address - Token mint address
+   * @param {String|null} key - Category key, or null to go back to the heuristics
+   */
+  async assignToken(address, key) {
+    await this.load();
+    if (key && !this.categories.some(c => c.key === key)) {
+      throw new Error(`Unknown category: ${key}`);
+    }
+
+    const existing = await knowledgeManager.getEntityByTypeAndValue(knowledgeManager.entityTypes.TOKEN, address);
+    const { category, ...metadata } = JSON.parse(existing?.metadata || '{}');
+    await database.storeEntity(knowledgeManager.entityTypes.TOKEN, address, key ? { ...metadata, category: key } : metadata);
+    this.categories = null;
+    return { address, category: key || null };
+  }
+
+  /**
+   * Category key for a token
+   * @param {Object} token - { address, name, symbol }
+   */
+  async classify(token) {
+    await this.load();
+    return classifyToken(token, this.categories, this.assignments);
+  }
+
+  /**
+   * Holdings value per category
+   * @param {Array} tokens - [{ address, name, symbol, value }]
+   * @returns {Array} - See breakdownByCategory
+   */
+  async breakdown(tokens) {
+    await this.load();
+    return breakdownByCategory(tokens, this.categories, this.assignments);
+  }
+}
+
+export const tokenCategories = new TokenCategoryRegistry();
@@ -0,0 +1,188 @@
+import { apiCache } from './cache.js';
+import { solanaRpc } from './solana-rpc.js';
+import { encodeBase58 } from '../utils/base58.js';
+import {
+  TOKEN_2022_PROGRAM_ID,
+  INCINERATOR_ADDRESS,
+  RAYDIUM_AMM_V4_PROGRAM_ID,
+  RAYDIUM_CPMM_PROGRAM_ID,
+  RAYDIUM_CLMM_PROGRAM_ID,
+  ORCA_WHIRLPOOL_PROGRAM_ID,
+  METEORA_DLMM_PROGRAM_ID,
+  PUMP_FUN_PROGRAM_ID
+} from '../constants/programs.js';
+
+// Authorities, holders and LP state move slowly compared to prices
+const SAFETY_TTL_MS = 5 * 60 * 1000;
+
+const readPublicKey = (data, offset) => encodeBase58(data.subarray(offset, offset + 32));
+const readU64 = (data, offset) => Number(data.readBigUInt64LE(offset));
+
+/**
+ * Pool account layouts we can read the LP mint and vaults from.
+ * `lpReserve` is the LP amount the pool accounts for; LP tokens burned with the
+ * token program reduce the mint supply but not this number.
+ */
+const POOL_LAYOUTS = {
+  [RAYDIUM_AMM_V4_PROGRAM_ID]: {
+    dex: 'Raydium AMM',
+    minLength: 752,
+    decode: (data) => ({
+      vaults: [readPublicKey(data, 336), readPublicKey(data, 368)],
+      lpMint: readPublicKey(data, 464),
+      lpReserve: readU64(data, 720)
+    })
+  },
+  [RAYDIUM_CPMM_PROGRAM_ID]: {
+    dex: 'Raydium CPMM',
+    minLength: 341,
+    decode: (data) => ({
+      vaults: [readPublicKey(data, 72), readPublicKey(data, 104)],
+      lpMint: readPublicKey(data, 136),
+      lpReserve: readU64(data, 333)
+    })
+  }
+};
+
+// Pools whose liquidity isn't represented by a fungible LP token
+const NON_LP_POOLS = {
+  [RAYDIUM_CLMM_PROGRAM_ID]: { dex: 'Raydium CLMM', kind: 'concentrated' },
+  [ORCA_WHIRLPOOL_PROGRAM_ID]: { dex: 'Orca Whirlpool', kind: 'concentrated' },
+  [METEORA_DLMM_PROGRAM_ID]: { dex: 'Meteora DLMM', kind: 'concentrated' },
+  [PUMP_FUN_PROGRAM_ID]: { dex: 'Pump.fun', kind: 'bonding_curve' }
+};
+
+/**
+ * Read a pool's LP state
+ * @returns {Object} - { pool, dex, kind: 'lp'|'concentrated'|'bonding_curve'|'unknown', lpMint, burnedPct, vaults }
+ */
+async function readLiquidityPool(pairAddress) {
+  const account = await solanaRpc.getAccountInfo(pairAddress);
+  if (!account) {
+    return { pool: pairAddress, dex: null, kind: 'unknown', lpMint: null, burnedPct: null, vaults: [] };
+  }
+
+  if (NON_LP_POOLS[account.owner]) {
+    return { pool: pairAddress, ...NON_LP_POOLS[account.owner], lpMint: null, burnedPct: null, vaults: [] };
+  }
+
+  const layout = POOL_LAYOUTS[account.owner];
+  if (!layout || account.data.length < layout.minLength) {
+    return { pool: pairAddress, dex: null, kind: 'unknown', lpMint: null, burnedPct: null, vaults: [] };
+  }
+
+  const { vaults, lpMint, lpReserve } = layout.decode(account.data);
+  const [supply, largest] = await Promise.all([
+    solanaRpc.getTokenSupply(lpMint),
+    solanaRpc.getTokenLargestAccounts(lpMint)
+  ]);
+
+  // LP tokens sent to the incinerator are as good as burned
+  const topAccounts = largest.slice(0, 5);
+  const owners = topAccounts.length > 0 ? await solanaRpc.getTokenAccountOwners(topAccounts.map(a => a.address)) : [];
+  const incinerated = topAccounts
+    .filter((_, i) => owners[i] === INCINERATOR_ADDRESS)
+    .reduce((sum, account) => sum + Number(account.amount), 0);
+
+  const outstanding = Number(supply.amount) - incinerated;
+  const minted = Math.max(lpReserve, Number(supply.amount));
+  const burnedPct = minted > 0 ? Math.min(100, Math.max(0, (1 - outstanding / minted) * 100)) : null;
+
+  return { pool: pairAddress, dex: layout.dex, kind: 'lp', lpMint, burnedPct, vaults };
+}
+
+/**
+ * Supply share of the largest holders, leaving out pool vaults and burned tokens
+ */
+async function readHolderConcentration(mint, supply, pool) {
+  const largest = (await solanaRpc.getTokenLargestAccounts(mint)).slice(0, 20);
+  const owners = largest.length > 0 ? await solanaRpc.getTokenAccountOwners(largest.map(a => a.address)) : [];
+
+  const excluded = new Set([...(pool?.vaults || [])]);
+  const holders = largest
+    .map((account, i) => ({ address: account.address, owner: owners[i], amount: Number(account.amount) }))
+    .filter(holder => !excluded.has(holder.address) &&
+      holder.owner !== pool?.pool &&
+      holder.owner !== INCINERATOR_ADDRESS)
+    .map(holder => ({ ...holder, pct: supply > 0 ? (holder.amount / supply) * 100 : 0 }));
+
+  const share = (list) => list.reduce((sum, holder) => sum + holder.pct, 0);
+  return {
+    topHolderPct: holders.length > 0 ? holders[0].pct : 0,
+    top10HolderPct: share(holders.slice(0, 10)),
+    excludedAccounts: largest.length - holders.length,
+    top: holders.slice(0, 5).map(({ address, owner, pct }) => ({ address, owner, pct }))
+  };
+}
+
+/**
+ * On-chain safety checks for a token: mint/freeze authority, holder
+ * concentration and whether its liquidity pool's LP tokens are burned
+ * @param {String} mint - Token mint address
+ * @param {Object} options - { pairAddress } of the token's main pool, for the LP check
+ * @returns {Object|null} - { checkedAt, mint, holders, lp }, or null if the address isn't a token mint
+ */
+export async function checkTokenSafety(mint, options = {}) {
+  const { pairAddress } = options;
+
+  return apiCache.wrap('tokenSafety', `${mint}:${pairAddress || ''}`, SAFETY_TTL_MS, async () => {
+    const mintInfo = await solanaRpc.getMintInfo(mint);
+    if (!mintInfo) {
+      return null;
+    }
+
+    // The LP check is best effort: an unknown pool layout shouldn't hide the other checks
+    let lp = null;
+    if (pairAddress) {
+      try {
+        lp = await readLiquidityPool(pairAddress);
+      } catch (error) {
+        console.error('Error reading liquidity pool state:', error);
+      }
+    }
+
+    const holders = await readHolderConcentration(mint, Number(mintInfo.supply), lp);
+
+    return {
+      checkedAt: Date.now(),
+      mint: {
+        address: mint,
+        programId: mintInfo.programId,
+        token2022: mintInfo.programId === TOKEN_2022_PROGRAM_ID,
+        decimals: mintInfo.decimals,
+        supply: mintInfo.supply,
+        mintAuthority: mintInfo.mintAuthority,
+        freezeAuthority: mintInfo.freezeAuthority
+      },
+      holders,
+      lp
+    };
+  });
+}
+
+/**
+ * checkTokenSafety that logs failures and returns null instead of throwing,
+ * for reports that should still render when the RPC node is down
+ */
+export async function fetchTokenSafety(mint, options = {}) {
+  try {
+    return await checkTokenSafety(mint, options);
+  } catch (error) {
+    console.error('Error checking token safety:', error);
+    return null;
+  }
+}
+
+/**
+ * Compact safety summary for knowledge entity metadata
+ */
+export const summarizeTokenSafety = (safety) => ({
+  checkedAt: safety.checkedAt,
+  mintAuthorityRevoked: !safety.mint.mintAuthority,
+  freezeAuthorityRevoked: !safety.mint.freezeAuthority,
+  token2022: safety.mint.token2022,
+  topHolderPct: Math.round(safety.holders.topHolderPct * 10) / 10,
+  top10HolderPct: Math.round(safety.holders.top10HolderPct * 10) / 10,
+  lpKind: safety.lp?.kind || null,
+  lpBurnedPct: safety.lp?.burnedPct ?? null
+});
@@ -0,0 +1,112 @@
+import { ENV } from '../../../config/env.js';
+import { estimateCost } from '../../../config/pricing.js';
+import { database } from './database.js';
+import { startOfUtcDay, startOfUtcDays, nextUtcDay, rollupUsageByDay } from '../utils/usage.js';
+
+/**
+ * A daily AI budget is used up and AI_BUDGET_ACTION is 'refuse'.
+ * The message is safe to show to the user.
+ */
+export class BudgetExceeded extends Error {
+  constructor({ scope, limitUsd }) {
+    const whose = scope === 'session' ? "This session's" : "Apollo's";
+    super(`${whose} daily AI budget of $${limitUsd.toFixed(2)} is used up. It resets at midnight UTC.`);
+    this.name = 'BudgetExceeded';
+    this.scope = scope;
+    this.limitUsd = limitUsd;
+  }
+}
+
+/**
+ * Usage Service
+ *
+ * Records every AI provider call (tokens, model, latency and estimated cost
+ * from src/config/pricing.js) in the llm_usage table, rolls usage up per UTC
+ * day and per session, and enforces the optional daily budgets:
+ * AI_DAILY_BUDGET_USD across everything and AI_SESSION_DAILY_BUDGET_USD per
+ * session. Budgets are checked before each call, so the call that crosses
+ * one still completes.
+ */
+class UsageService {
+  /**
+   * @param {Object} call - { sessionId, provider, model, task, purpose, promptTokens, completionTokens, estimated, latencyMs, success }
+   */
+  async record(call) {
+    try {
+      await database.recordLlmUsage({
+        ...call,
+        timestamp: Date.now(),
+        costUsd: estimateCost(call.provider, call.model, call.promptTokens, call.completionTokens)
+      });
+    } catch (error) {
+      console.error('Error recording AI usage:', error.message);
+    }
+  }
+
+  /**
+   * The daily budget a call for this session would go over, if any
+   * @param {String} sessionId - Session the call is for (null for background work)
+   * @returns {Object|null} - { scope: 'total' | 'session', limitUsd, spentUsd, action }
+   */
+  async checkBudget(sessionId = null) {
+    const limits = [
+      { scope: 'total', limitUsd: ENV.AI_DAILY_BUDGET_USD, sessionId: null },
+      { scope: 'session', limitUsd: sessionId ? ENV.AI_SESSION_DAILY_BUDGET_USD : null, sessionId }
+    ].filter(limit => limit.limitUsd);
+
+    for (const limit of limits) {
+      try {
+        const spentUsd = await database.getLlmCost(startOfUtcDay(), limit.sessionId);
+        if (spentUsd >= limit.limitUsd) {
+          return { scope: limit.scope, limitUsd: limit.limitUsd, spentUsd, action: ENV.AI_BUDGET_ACTION };
+        }
+      } catch (error) {
+        console.error('Error checking the AI budget:', error.message);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Today's spend against the daily budget
+   */
+  async getBudgetStatus() {
+    const spentUsd = await database.getLlmCost(startOfUtcDay());
+    return {
+      limitUsd: ENV.AI_DAILY_BUDGET_USD,
+      sessionLimitUsd: ENV.AI_SESSION_DAILY_BUDGET_USD,
+      action: ENV.AI_BUDGET_ACTION,
+      spentUsd,
+      exceeded: Boolean(ENV.AI_DAILY_BUDGET_USD) && spentUsd >= ENV.AI_DAILY_BUDGET_USD,
+      resetsAt: nextUtcDay()
+    };
+  }
+
+  /**
+   * Usage per UTC day, with a breakdown by model
+   * @param {Number} days - Days back, today included
+   * @param {String} sessionId - Only this session's calls (optional)
+   */
+  async getDailyUsage(days = 7, sessionId = null) {
+    return rollupUsageByDay(await database.getLlmUsageByDay(startOfUtcDays(days), sessionId));
+  }
+
+  /**
+   * Usage per session over the last days, most expensive first
+   */
+  async getSessionUsage(days = 1, limit = 20) {
+    const rows = await database.getLlmUsageBySession(startOfUtcDays(days), limit);
+    return rows.map(row => ({
+      sessionId: row.session_id,
+      name: row.session_name,
+      calls: row.calls,
+      failures: row.failures,
+      promptTokens: row.prompt_tokens,
+      completionTokens: row.completion_tokens,
+      costUsd: row.cost_usd,
+      lastCall: row.last_call
+    }));
+  }
+}
+
+export const usageService = new UsageService();
@@ -0,0 +1,62 @@
+import { ENV } from '../../../config/env.js';
+import { fetchTokenBalancesAndMetadata, fetchTraderDetails } from './api.js';
+import { walletHistory } from './wallet-history.js';
+import { replaySwaps } from '../utils/pnl.js';
+import { compareWalletPair, detectBotActivity, rankEarlyBuyers } from '../utils/wallet-compare.js';
+
+export const MAX_COMPARED_WALLETS = 5;
+
+/**
+ * Swaps, holdings and bot flags for one wallet. Holdings and trader stats are
+ * best effort; the swap history is required
+ */
+async function loadWallet(address) {
+  const [{ swaps }, holdings, traderDetails] = await Promise.all([
+    walletHistory.getSwaps(address),
+    fetchTokenBalancesAndMetadata(address).catch(() => []),
+    fetchTraderDetails(address).catch(() => null)
+  ]);
+
+  const { roundTrips } = replaySwaps(swaps);
+  return {
+    address,
+    swaps,
+    holdings,
+    swapCount: swaps.length,
+    tokensTraded: new Set(swaps.map(s => s.tokenAddress)).size,
+    activity: detectBotActivity(swaps, roundTrips, traderDetails?.traderType || null)
+  };
+}
+
+/**
+ * Compare wallets' holdings and entry timing, flagging probable copy-traders and bots
+ * @param {Array} addresses - 2 to MAX_COMPARED_WALLETS wallet addresses
+ * @param {Object} options - { tokenAddress } to also rank the wallets by when they bought that token
+ * @returns {Object} - { wallets, pairs, copyTraders, bots, earlyBuyers }
+ */
+export async function compareWallets(addresses, options = {}) {
+  const unique = [...new Set(addresses)];
+  if (unique.length < 2) {
+    throw new Error('At least two different wallet addresses are needed for a comparison');
+  }
+  if (unique.length > MAX_COMPARED_WALLETS) {
+    throw new Error(`At most ${MAX_COMPARED_WALLETS} wallets can be compared at once`);
+  }
+
+  const wallets = await Promise.all(unique.map(loadWallet));
+
+  const pairs = [];
+  for (let i = 0; i < wallets.length; i++) {
+    for (let j = i + 1; j < wallets.length; j++) {
+      pairs.push(compareWalletPair(wallets[i], wallets[j], { windowMs: ENV.COPY_TRADE_WINDOW_MS }));
+    }
+  }
+
+  return {
+    wallets: wallets.map(({ swaps, holdings, ...wallet }) => ({ ...wallet, holdings: holdings.length })),
+    pairs,
+    copyTraders: pairs.filter(pair => pair.copyTrade).map(pair => pair.copyTrade),
+    bots: wallets.filter(wallet => wallet.activity.bot).map(wallet => wallet.address),
+    earlyBuyers: options.tokenAddress ? rankEarlyBuyers(options.tokenAddress, wallets) : null
+  };
+}
@@ -0,0 +1,89 @@
+import { ENV } from '../../../config/env.js';
+import { database } from './database.js';
+import { fetchTokenMetadata } from './api.js';
+import { marketData } from './market-data/index.js';
+import { summarizeTrades } from '../utils/pnl.js';
+
+/**
+ * Wallet History Service
+ *
+ * Keeps a local copy of each analyzed wallet's swaps in SQLite. The first
+ * analysis fetches up to WALLET_HISTORY_MAX_SWAPS swaps; later ones only ask
+ * the market data sources for swaps since the newest stored one, and skip the
+ * fetch entirely within WALLET_HISTORY_REFRESH_MS of the last sync.
+ */
+class WalletHistoryService {
+  /**
+   * Fetch and store swaps made since the last sync
+   * @returns {Object} - { added, fetched, skipped } where skipped means the stored history was fresh
+   */
+  async sync(wallet) {
+    const state = await database.getWalletSyncState(wallet);
+    if (state && Date.now() - state.synced_at < ENV.WALLET_HISTORY_REFRESH_MS) {
+      return { added: 0, fetched: 0, skipped: true };
+    }
+
+    // Overlap the last stored second; swaps already stored are ignored
+    const since = state?.last_swap_at || 0;
+    const swaps = await marketData.getWalletSwaps(wallet, { since, limit: ENV.WALLET_HISTORY_MAX_SWAPS });
+    const added = await database.storeWalletSwaps(wallet, swaps);
+    const lastSwapAt = swaps.reduce((latest, swap) => Math.max(latest, swap.time), since);
+    await database.updateWalletSyncState(wallet, lastSwapAt);
+
+    return { added, fetched: swaps.length, skipped: false };
+  }
+
+  /**
+   * Current USD prices of the largest open positions
+   */
+  async priceOpenPositions(addresses) {
+    const prices = {};
+    await Promise.all(addresses.slice(0, ENV.WALLET_HISTORY_PRICED_POSITIONS).map(async (address) => {
+      try {
+        const metadata = await fetchTokenMetadata(address);
+        if (metadata?.priceUsd) {
+          prices[address] = metadata.priceUsd;
+        }
+      } catch (error) {
+        console.error(`Error pricing wallet position ${address}:`, error);
+      }
+    }));
+    return prices;
+  }
+
+  /**
+   * Sync a wallet and load its stored swaps
+   * @returns {Object} - { sync, swaps } with swaps oldest first
+   */
+  async getSwaps(wallet) {
+    const sync = await this.sync(wallet);
+    const swaps = (await database.getWalletSwaps(wallet)).map(row => ({
+      signature: row.signature,
+      time: row.timestamp,
+      tokenAddress: row.token_address,
+      symbol: row.symbol,
+      name: row.name,
+      side: row.side,
+      tokenAmount: row.token_amount,
+      usdValue: row.usd_value
+    }));
+    return { sync, swaps };
+  }
+
+  /**
+   * Reconstruct a wallet's trades from its swap history
+   * @param {String} wallet - Wallet address
+   * @returns {Object} - summarizeTrades result plus { wallet, sync }
+   */
+  async analyze(wallet) {
+    const { sync, swaps } = await this.getSwaps(wallet);
+
+    // Price open positions, largest cost basis first
+    const unpriced = summarizeTrades(swaps);
+    const prices = await this.priceOpenPositions(unpriced.openPositions.map(p => p.tokenAddress));
+
+    return { wallet, sync, ...summarizeTrades(swaps, prices) };
+  }
+}
+
+export const walletHistory = new WalletHistoryService();
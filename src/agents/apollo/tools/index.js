@@ -0,0 +1,288 @@
+import {
+  enhanceWalletQuery,
+  enhanceWalletCompareQuery,
+  enhanceTokenQuery,
+  enhanceMarketQuery,
+  enhanceSmartMoneyQuery,
+  enhanceLaunchQuery,
+  enhanceSentimentQuery,
+  enhanceSwapQuery
+} from '../enhancers/index.js';
+import { formatAlertList, formatWatchlist, describeCreatedAlert } from '../enhancers/alerts.js';
+import { database } from '../services/database.js';
+import { knowledgeManager } from '../services/knowledge.js';
+import { alertService } from '../services/alerts.js';
+import { MAX_COMPARED_WALLETS } from '../services/wallet-compare.js';
+
+const SOLANA_ADDRESS = {
+  type: 'string',
+  description: 'Solana base58 address (32-44 characters)'
+};
+
+/**
+ * Tools exposed to the model in the tool-calling loop.
+ *
+ * Each tool has a JSON schema for its arguments and an execute function that
+ * returns { content, data }. `content` is what the model (and the user, as a
+ * streamed section) sees; `data` is optional structured output.
+ * `queryType` maps the tool back to the legacy query types used for
+ * knowledge tagging. The context passed to execute carries the agent,
+ * sessionId, onSection and the request's abort signal.
+ */
+export const AGENT_TOOLS = [
+  {
+    name: 'analyze_wallet',
+    queryType: 'wallet',
+    description: 'Analyze a Solana wallet: portfolio value, win rate, 7-day PnL, holdings breakdown and top holdings.',
+    parameters: {
+      type: 'object',
+      properties: {
+        address: { ...SOLANA_ADDRESS, description: 'Solana wallet address' }
+      },
+      required: ['address']
+    },
+    execute: async ({ address }) => {
+      const result = await enhanceWalletQuery(address);
+      return { content: result.response, data: result.walletMetadata || null };
+    }
+  },
+  {
+    name: 'compare_wallets',
+    queryType: 'wallet_compare',
+    description: 'Compare 2-5 Solana wallets: shared holdings, overlap of traded tokens, entry timing on tokens both bought, probable copy-traders and bot-like wallets. Pass a token address too to rank the wallets by who bought that token first.',
+    parameters: {
+      type: 'object',
+      properties: {
+        addresses: { type: 'array', items: { ...SOLANA_ADDRESS, description: 'Solana wallet address' }, description: `2-${MAX_COMPARED_WALLETS} wallet addresses to compare` },
+        tokenAddress: { ...SOLANA_ADDRESS, description: 'Token mint address to rank early buyers of (optional)' }
+      },
+      required: ['addresses']
+    },
+    execute: async ({ addresses, tokenAddress }) => {
+      // The model doesn't always follow the schema: a string here would be spread into single characters
+      if (!Array.isArray(addresses) || addresses.length < 2 || addresses.length > MAX_COMPARED_WALLETS
+        || !addresses.every(address => typeof address === 'string')) {
+        return { content: `compare_wallets needs "addresses" to be an array of 2-${MAX_COMPARED_WALLETS} wallet address strings.`, data: null };
+      }
+      const result = await enhanceWalletCompareQuery([...addresses, typeof tokenAddress === 'string' ? tokenAddress : null].filter(Boolean).join(' '));
+      return { content: result.response, data: result.comparison || null };
+    }
+  },
+  {
+    name: 'analyze_token',
+    queryType: 'specific_token',
+    description: 'Detailed analysis of a Solana token: price, volume and liquidity ratios, age, price chart, technical indicators (RSI, MACD, EMA/SMA crossovers, Bollinger bands, VWAP, support/resistance), contract safety (mint/freeze authority, top holders, LP burn) and a 0-100 risk score.',
+    parameters: {
+      type: 'object',
+      properties: {
+        address: { ...SOLANA_ADDRESS, description: 'Token mint address' },
+        interval: { type: 'string', enum: ['1m', '5m', '15m', '1h', '4h', '1d'], description: 'Chart candle interval (optional)' }
+      },
+      required: ['address']
+    },
+    execute: async ({ address, interval }, context = {}) => {
+      const result = await enhanceTokenQuery(address, { onSection: context.onSection, interval, sessionId: context.sessionId, signal: context.signal });
+      if (result.tokenMetadata) {
+        await database.updateTokenInteraction(address, {
+          sentiment: 0.5 // Neutral sentiment by default
+        });
+        await knowledgeManager.recordTokenAnalysis(address, result.tokenMetadata);
+      }
+      return { content: result.response, data: result.tokenMetadata || null };
+    }
+  },
+  {
+    name: 'get_market_trends',
+    queryType: 'market',
+    description: 'Get the top trending Solana tokens in the last 24h with recent buy sizes, volume/mcap and liquidity/mcap ratios, token age, and how strongly their prices (and the user\'s watched tokens) are correlated.',
+    parameters: {
+      type: 'object',
+      properties: {
+        focus: { type: 'string', description: 'Optional aspect of the market the user cares about' }
+      },
+      required: []
+    },
+    execute: async ({ focus = '' } = {}, context = {}) => {
+      const content = await enhanceMarketQuery(focus, context.sessionId);
+      return { content, data: null };
+    }
+  },
+  {
+    name: 'get_smart_money_activity',
+    queryType: 'market',
+    description: 'What labelled smart-money wallets (whales, funds, known insiders) bought and sold recently: net flows per token and the latest trades.',
+    parameters: {
+      type: 'object',
+      properties: {
+        hours: { type: 'number', description: 'How far back to look, in hours (default 1)' }
+      },
+      required: []
+    },
+    execute: async ({ hours = 1 } = {}) => {
+      const content = await enhanceSmartMoneyQuery('', hours * 60 * 60 * 1000);
+      return { content, data: null };
+    }
+  },
+  {
+    name: 'get_new_launches',
+    queryType: 'market',
+    description: 'Newly created Solana pairs found by the discovery scanner, each with liquidity, market cap, holder count, a 0-100 risk score and whether it passed the launch filters (min liquidity, min holders, max risk).',
+    parameters: {
+      type: 'object',
+      properties: {
+        minutes: { type: 'number', description: 'How far back to look, in minutes (default 60)' },
+        passedOnly: { type: 'boolean', description: 'Only launches that passed the filters' }
+      },
+      required: []
+    },
+    execute: async ({ minutes = 60, passedOnly = false } = {}) => {
+      const content = await enhanceLaunchQuery('', minutes * 60 * 1000, { passedOnly });
+      return { content, data: null };
+    }
+  },
+  {
+    name: 'get_token_sentiment',
+    queryType: 'sentiment',
+    description: 'Get sentiment for a Solana token: a -1 to 1 score blending social posts and on-chain buy/sell pressure, whether it is rising or falling, and notable posts.',
+    parameters: {
+      type: 'object',
+      properties: {
+        address: { ...SOLANA_ADDRESS, description: 'Token mint address' }
+      },
+      required: ['address']
+    },
+    execute: async ({ address }) => {
+      const content = await enhanceSentimentQuery(address);
+      return { content, data: null };
+    }
+  },
+  {
+    name: 'prepare_swap',
+    queryType: 'swap',
+    description: 'Swap between SOL and a Solana token. In paper mode the swap is filled immediately as a simulated trade; in live mode it is quoted and prepared for the user to confirm, and nothing is executed until the user confirms. Use only when the user explicitly asks to buy or sell.',
+    parameters: {
+      type: 'object',
+      properties: {
+        address: { ...SOLANA_ADDRESS, description: 'Token mint address' },
+        action: { type: 'string', enum: ['buy', 'sell'], description: 'buy = SOL for token, sell = token for SOL' },
+        solAmount: { type: 'number', description: 'Amount of SOL to spend (buy)' },
+        tokenAmount: { type: 'number', description: 'Amount of tokens to sell (sell)' }
+      },
+      required: ['address', 'action']
+    },
+    execute: async (args) => {
+      // Live swaps are only quoted here - execution requires the user's explicit confirmation
+      const result = await enhanceSwapQuery(`${args.action} ${args.address}`, args);
+      return { content: result.response, data: result.pendingSwap || result.paperTrade };
+    }
+  },
+  {
+    name: 'create_price_alert',
+    queryType: 'alert',
+    description: 'Set a one-shot price alert on a Solana token for the current chat. The user is notified in this chat (and on the dashboard) when the threshold is crossed. For "drops 20%" use metric price_change, condition below, threshold 20.',
+    parameters: {
+      type: 'object',
+      properties: {
+        address: { ...SOLANA_ADDRESS, description: 'Token mint address' },
+        metric: { type: 'string', enum: ['price', 'price_change', 'liquidity', 'volume'], description: 'price (USD), price_change (% from the current price), liquidity (USD) or volume (24h USD)' },
+        condition: { type: 'string', enum: ['above', 'below'], description: 'Trigger when the metric goes above or below the threshold' },
+        threshold: { type: 'number', description: 'USD value, or a percentage for price_change' }
+      },
+      required: ['address', 'metric', 'condition', 'threshold']
+    },
+    execute: async ({ address, metric, condition, threshold }, context = {}) => {
+      const alert = await alertService.createAlert({ sessionId: context.sessionId, tokenAddress: address, metric, condition, threshold });
+      return { content: describeCreatedAlert(alert), data: alert };
+    }
+  },
+  {
+    name: 'list_price_alerts',
+    queryType: 'alert',
+    description: 'List the price alerts set in the current chat, with their status.',
+    parameters: {
+      type: 'object',
+      properties: {},
+      required: []
+    },
+    execute: async (args, context = {}) => {
+      const alerts = await alertService.listAlerts(context.sessionId);
+      return { content: formatAlertList(alerts), data: alerts };
+    }
+  },
+  {
+    name: 'cancel_price_alert',
+    queryType: 'alert',
+    description: 'Cancel an active price alert by its number.',
+    parameters: {
+      type: 'object',
+      properties: {
+        id: { type: 'number', description: 'Alert number, e.g. 3 for alert #3' }
+      },
+      required: ['id']
+    },
+    execute: async ({ id }, context = {}) => {
+      const alert = await alertService.cancelAlert(id, context.sessionId);
+      return { content: `Cancelled price alert #${alert.id}.`, data: alert };
+    }
+  },
+  {
+    name: 'update_watchlist',
+    queryType: 'alert',
+    description: 'Add a token to or remove it from the user\'s watchlist. Watched token prices are refreshed every minute.',
+    parameters: {
+      type: 'object',
+      properties: {
+        address: { ...SOLANA_ADDRESS, description: 'Token mint address' },
+        action: { type: 'string', enum: ['add', 'remove'] }
+      },
+      required: ['address', 'action']
+    },
+    execute: async ({ address, action }, context = {}) => {
+      if (action === 'remove') {
+        const removed = await alertService.unwatchToken(context.sessionId, address);
+        return { content: removed ? `Removed ${address} from the watchlist.` : `${address} is not on the watchlist.`, data: null };
+      }
+      const metadata = await alertService.watchToken(context.sessionId, address);
+      return { content: `Added ${metadata.name} ($${metadata.symbol}) to the watchlist.`, data: { tokenAddress: address, symbol: metadata.symbol } };
+    }
+  },
+  {
+    name: 'get_watchlist',
+    queryType: 'alert',
+    description: 'Show the user\'s watchlist with the latest prices and change since each token was added.',
+    parameters: {
+      type: 'object',
+      properties: {},
+      required: []
+    },
+    execute: async (args, context = {}) => {
+      const watchlist = await alertService.getWatchlist(context.sessionId);
+      return { content: formatWatchlist(watchlist), data: watchlist };
+    }
+  },
+  {
+    name: 'search_knowledge',
+    queryType: 'general',
+    description: 'Search the agent\'s memory: past conversations, known entities and recent market events.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What to search for' }
+      },
+      required: ['query']
+    },
+    execute: async ({ query }, context = {}) => {
+      const content = context.agent
+        ? await context.agent.retrieveRelevantKnowledge(query)
+        : '';
+      return { content: content || 'No relevant knowledge found.', data: null };
+    }
+  }
+];
+
+/**
+ * Get a tool definition by name
+ */
+export const getTool = (name) => {
+  return AGENT_TOOLS.find(tool => tool.name === name) || null;
+};
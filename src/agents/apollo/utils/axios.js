@@ -1,5 +1,6 @@
 import axios from 'axios';
 import https from 'https';
+import { ENV } from '../../../config/env.js';
 
 export const axiosInstance = axios.create({
   timeout: 30000,
@@ -20,18 +21,176 @@ export const axiosInstance = axios.create({
   }
 });
 
-export const fetchWithRetry = async (url, options = {}, retries = 3) => {
-  for (let i = 0; i < retries; i++) {
+const REASONS = {
+  rate_limited: 'rate limited',
+  budget_exhausted: 'request budget used up',
+  server_error: 'server error',
+  network_error: 'not responding',
+  circuit_open: 'failing repeatedly'
+};
+
+/**
+ * An upstream data source could not be reached after retries, is rate
+ * limiting us or its local request budget is used up.
+ * The message names the source and is safe to show to the user.
+ */
+export class UpstreamUnavailable extends Error {
+  constructor({ source, host, reason = 'server_error', status = null, retryAfterMs = null }) {
+    const names = [].concat(source || host);
+    const retry = retryAfterMs ? `in ${Math.ceil(retryAfterMs / 1000)} seconds` : 'shortly';
+    super(`${names.join(' and ')} ${names.length > 1 ? 'are' : 'is'} unavailable right now (${REASONS[reason] || reason}). Please try again ${retry}.`);
+    this.name = 'UpstreamUnavailable';
+    this.source = source || host;
+    this.host = host || null;
+    this.reason = reason;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+const hostStates = new Map(); // host -> { requests: [timestamps], blockedUntil }
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Requests allowed per window for a host, from HTTP_HOST_BUDGETS ("host=requests/seconds,...")
+ */
+const getBudget = (host) => {
+  const entry = ENV.HTTP_HOST_BUDGETS.find(budget => budget.startsWith(`${host}=`));
+  const [limit, seconds] = (entry ? entry.split('=')[1] : ENV.HTTP_DEFAULT_BUDGET).split('/').map(Number);
+  return { limit, windowMs: seconds * 1000 };
+};
+
+const getHostState = (host) => {
+  if (!hostStates.has(host)) {
+    hostStates.set(host, { requests: [], blockedUntil: 0 });
+  }
+  return hostStates.get(host);
+};
+
+/**
+ * Wait for a request slot for the host, or fail fast if the wait would be too long
+ */
+const acquireSlot = async (host, source, maxWaitMs) => {
+  const state = getHostState(host);
+
+  const blockedFor = state.blockedUntil - Date.now();
+  if (blockedFor > 0) {
+    if (blockedFor > maxWaitMs) {
+      throw new UpstreamUnavailable({ source, host, reason: 'rate_limited', status: 429, retryAfterMs: blockedFor });
+    }
+    await sleep(blockedFor);
+  }
+
+  const { limit, windowMs } = getBudget(host);
+  state.requests = state.requests.filter(time => time > Date.now() - windowMs);
+
+  if (state.requests.length >= limit) {
+    const waitMs = state.requests[0] + windowMs - Date.now();
+    if (waitMs > maxWaitMs) {
+      throw new UpstreamUnavailable({ source, host, reason: 'budget_exhausted', retryAfterMs: waitMs });
+    }
+    await sleep(waitMs);
+    return acquireSlot(host, source, maxWaitMs);
+  }
+
+  state.requests.push(Date.now());
+};
+
+/**
+ * Retry-After is either a number of seconds or an HTTP date
+ */
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Exponential backoff with full jitter
+const backoffDelay = (attempt) => {
+  return Math.random() * Math.min(ENV.HTTP_MAX_BACKOFF_MS, ENV.HTTP_BASE_BACKOFF_MS * (2 ** attempt));
+};
+
+/**
+ * Send a request through the shared per-host budgets.
+ *
+ * Network errors, 5xx and 429 responses are retried with jittered exponential
+ * backoff; 429s block the host until Retry-After has passed. When retries run
+ * out, or waiting for the host would take longer than maxWaitMs, an
+ * UpstreamUnavailable error is thrown. Other non-2xx responses throw an
+ * axios-style error with `response` set.
+ *
+ * @param {Object} config - axios request config (url, method, params, data, headers, timeout)
+ * @param {Object} options - { source: display name for errors, retries, maxWaitMs, instance, validateStatus }
+ * @returns {Object} - The axios response
+ */
+export const httpRequest = async (config, options = {}) => {
+  const {
+    source,
+    retries = ENV.HTTP_MAX_RETRIES,
+    maxWaitMs = ENV.HTTP_MAX_WAIT_MS,
+    instance = axios,
+    validateStatus = (status) => status >= 200 && status < 300
+  } = options;
+  const host = new URL(config.url).host;
+  const state = getHostState(host);
+  let failure = null;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0 && failure.reason !== 'rate_limited') {
+      await sleep(backoffDelay(attempt - 1));
+    }
+    await acquireSlot(host, source, maxWaitMs);
+
+    let response;
     try {
-      const response = await axiosInstance({
-        url,
-        ...options,
-        validateStatus: (status) => status < 500
-      });
-      return response.data;
+      response = await instance.request({ timeout: 15000, ...config, validateStatus: () => true });
     } catch (error) {
-      if (i === retries - 1) throw error;
-      await new Promise(r => setTimeout(r, 1000 * (i + 1)));
+      failure = { reason: 'network_error' };
+      continue;
+    }
+
+    if (response.status === 429) {
+      const retryAfterMs = parseRetryAfter(response.headers?.['retry-after']) ?? backoffDelay(attempt);
+      state.blockedUntil = Date.now() + retryAfterMs;
+      failure = { reason: 'rate_limited', status: 429, retryAfterMs };
+      continue;
+    }
+
+    if (response.status >= 500) {
+      failure = { reason: 'server_error', status: response.status };
+      continue;
     }
+
+    if (!validateStatus(response.status)) {
+      const error = new Error(`Request failed with status code ${response.status}`);
+      error.response = response;
+      throw error;
+    }
+
+    return response;
   }
-}; 
\ No newline at end of file
+
+  throw new UpstreamUnavailable({ source, host, ...failure });
+};
+
+export const httpGet = async (url, config = {}, options = {}) => {
+  const response = await httpRequest({ ...config, url, method: 'get' }, options);
+  return response.data;
+};
+
+export const httpPost = async (url, data, config = {}, options = {}) => {
+  const response = await httpRequest({ ...config, url, data, method: 'post' }, options);
+  return response.data;
+};
+
+export const fetchWithRetry = async (url, options = {}, retries = 3) => {
+  const response = await httpRequest({ url, ...options }, {
+    retries: retries - 1,
+    instance: axiosInstance,
+    validateStatus: (status) => status < 500
+  });
+  return response.data;
+};
@@ -0,0 +1,64 @@
+const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+const ALPHABET_MAP = Object.fromEntries([...ALPHABET].map((char, i) => [char, i]));
+
+/**
+ * Encode bytes as a base58 string (Bitcoin/Solana alphabet)
+ */
+export const encodeBase58 = (bytes) => {
+  const buffer = Buffer.from(bytes);
+  if (buffer.length === 0) return '';
+
+  const digits = [];
+  for (const byte of buffer) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+
+  // Leading zero bytes map to leading '1' characters
+  let result = '';
+  for (let i = 0; i < buffer.length && buffer[i] === 0; i++) {
+    result += ALPHABET[0];
+  }
+  for (let i = digits.length - 1; i >= 0; i--) {
+    result += ALPHABET[digits[i]];
+  }
+  return result;
+};
+
+/**
+ * Decode a base58 string into a Buffer
+ */
+export const decodeBase58 = (text) => {
+  if (!text) return Buffer.alloc(0);
+
+  const bytes = [];
+  for (const char of text) {
+    const value = ALPHABET_MAP[char];
+    if (value === undefined) {
+      throw new Error(`Invalid base58 character: ${char}`);
+    }
+    let carry = value;
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+
+  for (let i = 0; i < text.length && text[i] === ALPHABET[0]; i++) {
+    bytes.push(0);
+  }
+  return Buffer.from(bytes.reverse());
+};
@@ -0,0 +1,61 @@
+import { pearson } from './wallet-compare.js';
+
+/**
+ * Price correlation between tokens, from OHLCV candles.
+ *
+ * Tokens are compared on their candle-to-candle log returns at the timestamps
+ * both have candles for, so two tokens that merely trended up over the same
+ * period don't look correlated.
+ */
+
+// Fewer shared returns than this and the coefficient is mostly noise
+export const MIN_SHARED_RETURNS = 12;
+
+// Candle time -> log return from the previous candle
+const returnsByTime = (candles) => {
+  const returns = new Map();
+  for (let i = 1; i < candles.length; i++) {
+    const previous = candles[i - 1].close;
+    const close = candles[i].close;
+    if (previous > 0 && close > 0) {
+      returns.set(candles[i].time, Math.log(close / previous));
+    }
+  }
+  return returns;
+};
+
+const correlateReturns = (a, b) => {
+  const x = [];
+  const y = [];
+  for (const [time, value] of a) {
+    if (b.has(time)) {
+      x.push(value);
+      y.push(b.get(time));
+    }
+  }
+  if (x.length < MIN_SHARED_RETURNS) return null;
+
+  const coefficient = pearson(x, y);
+  return coefficient === null ? null : { coefficient, points: x.length };
+};
+
+/**
+ * Correlation of every pair of tokens
+ * @param {Array} series - [{ address, symbol, candles }] with candles oldest first
+ * @returns {Array} - [{ a, b, coefficient, points }] strongest (by absolute coefficient) first,
+ *   where a and b are the series entries without their candles; pairs with too little overlap are left out
+ */
+export const correlationPairs = (series) => {
+  const prepared = series.map(({ candles, ...token }) => ({ token, returns: returnsByTime(candles) }));
+  const pairs = [];
+
+  for (let i = 0; i < prepared.length; i++) {
+    for (let j = i + 1; j < prepared.length; j++) {
+      const result = correlateReturns(prepared[i].returns, prepared[j].returns);
+      if (result) {
+        pairs.push({ a: prepared[i].token, b: prepared[j].token, ...result });
+      }
+    }
+  }
+  return pairs.sort((p, q) => Math.abs(q.coefficient) - Math.abs(p.coefficient));
+};
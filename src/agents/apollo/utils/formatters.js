@@ -1,3 +1,7 @@
+import { rankRiskFactors } from './risk.js';
+import { SAME_TIME_MS } from './wallet-compare.js';
+import { ENV } from '../../../config/env.js';
+
 export const formatNumber = (num) => {
     if (!num) return '0.00';
     
@@ -14,4 +18,305 @@ export const formatNumber = (num) => {
   export const transformedTokenImageUrl = (image) => {
     if (!image) return '';
     return image.replace('http://10.128.13.101:3000', 'https://dd.dexscreener.com');
-  };
\ No newline at end of file
+  };
+
+  export const stripInlineImages = (text, placeholder = '[chart]') => {
+    if (!text) return '';
+    return text.replace(/<img[^>]*>/g, placeholder);
+  };
+
+  export const formatSol = (num) => {
+    const numValue = typeof num === 'string' ? parseFloat(num) : num;
+    if (!numValue || isNaN(numValue)) return '0';
+    if (Math.abs(numValue) >= 1) return numValue.toFixed(4);
+    return numValue.toPrecision(4);
+  };
+
+  export const formatTokenPrice = (num) => {
+    const numValue = typeof num === 'string' ? parseFloat(num) : num;
+    if (!numValue || isNaN(numValue)) return '0.00';
+    if (Math.abs(numValue) >= 1) return formatNumber(numValue);
+    return numValue.toPrecision(4);
+  };
+
+  const formatSignedSol = (num) => `${num >= 0 ? '+' : '-'}${formatSol(Math.abs(num))} SOL`;
+
+  export const formatPaperPortfolio = (portfolio) => {
+    const positions = portfolio.positions.length > 0
+      ? portfolio.positions.map(p => {
+          const value = p.value !== null ? `${formatSol(p.value)} SOL` : 'price unavailable';
+          const unrealized = p.unrealizedPnl !== null ? formatSignedSol(p.unrealizedPnl) : 'N/A';
+          return `- $${p.symbol}: ${formatNumber(p.amount)} @ ${formatSol(p.averageCost)} SOL avg - value ${value}, unrealized ${unrealized}`;
+        }).join('\n')
+      : '- No open positions';
+
+    const trades = portfolio.trades.length > 0
+      ? portfolio.trades.map(t => {
+          const pnl = t.action === 'sell' ? ` (realized ${formatSignedSol(t.realized_pnl)})` : '';
+          return `- ${new Date(t.timestamp).toLocaleString()}: ${t.action} ${formatNumber(t.token_amount)} $${t.symbol} for ${formatSol(t.sol_amount)} SOL${pnl}`;
+        }).join('\n')
+      : '- No trades yet';
+
+    return `Paper portfolio (simulated - no real funds):
+- Cash: ${formatSol(portfolio.solBalance)} SOL
+- Equity: ${formatSol(portfolio.equity)} SOL (${portfolio.returnPct >= 0 ? '+' : ''}${portfolio.returnPct.toFixed(2)}% since start of ${formatSol(portfolio.startingBalance)} SOL)
+- Realized PnL: ${formatSignedSol(portfolio.realizedPnl)}
+- Unrealized PnL: ${formatSignedSol(portfolio.unrealizedPnl)}
+
+Open positions:
+${positions}
+
+Recent trades:
+${trades}`;
+  };
+
+  const formatCrossover = (crossover) => crossover
+    ? ` - ${crossover.direction} crossover ${crossover.candlesAgo === 0 ? 'on the last candle' : `${crossover.candlesAgo} candle${crossover.candlesAgo > 1 ? 's' : ''} ago`}`
+    : '';
+
+  const formatPctFrom = (price, level) => `${price >= level ? '+' : ''}${(((price - level) / level) * 100).toFixed(2)}%`;
+
+  export const formatTechnicalIndicators = (analysis, interval) => {
+    const lines = [];
+
+    if (analysis.rsi !== null) {
+      const zone = analysis.rsi >= 70 ? 'overbought' : analysis.rsi <= 30 ? 'oversold' : 'neutral';
+      lines.push(`- RSI(14): ${analysis.rsi.toFixed(1)} (${zone})`);
+    }
+    if (analysis.macd) {
+      lines.push(`- MACD(12,26,9): histogram ${analysis.macd.histogram >= 0 ? 'positive' : 'negative'} (${analysis.macd.histogram.toPrecision(3)})${formatCrossover(analysis.macd.crossover)}`);
+    }
+    if (analysis.ema) {
+      lines.push(`- EMA9 $${formatTokenPrice(analysis.ema.fast)} ${analysis.ema.fast >= analysis.ema.slow ? 'above' : 'below'} EMA21 $${formatTokenPrice(analysis.ema.slow)}${formatCrossover(analysis.ema.crossover)}`);
+    }
+    if (analysis.sma) {
+      lines.push(`- SMA20 ${analysis.sma.fast >= analysis.sma.slow ? 'above' : 'below'} SMA50${formatCrossover(analysis.sma.crossover)}`);
+    }
+    if (analysis.bollinger) {
+      lines.push(`- Bollinger(20,2): price at ${(analysis.bollinger.percentB * 100).toFixed(0)}% of the band ($${formatTokenPrice(analysis.bollinger.lower)} - $${formatTokenPrice(analysis.bollinger.upper)}), bandwidth ${analysis.bollinger.bandwidth.toFixed(1)}%`);
+    }
+    if (analysis.vwap) {
+      lines.push(`- VWAP: $${formatTokenPrice(analysis.vwap)} (price ${formatPctFrom(analysis.price, analysis.vwap)})`);
+    }
+
+    const levels = (list) => list.map(l => `$${formatTokenPrice(l.price)} (${l.touches}x)`).join(', ') || 'none found';
+    lines.push(`- Support: ${levels(analysis.levels.support)}`);
+    lines.push(`- Resistance: ${levels(analysis.levels.resistance)}`);
+
+    const bullish = analysis.signals.filter(s => s.bias === 'bullish').length;
+    const bearish = analysis.signals.filter(s => s.bias === 'bearish').length;
+    lines.push(`- Overall: ${analysis.bias} (${bullish} bullish / ${bearish} bearish signals over ${analysis.candles} ${interval} candles)`);
+
+    return lines.join('\n');
+  };
+
+  export const formatRiskSummary = (risk) => `${risk.emoji} ${risk.level} RISK (${risk.score}/100)`;
+
+  export const formatRiskAssessment = (risk) => {
+    const known = rankRiskFactors(risk);
+    const unknown = risk.factors.filter(f => !f.known);
+
+    const lines = [`- ${formatRiskSummary(risk)}`];
+    known.forEach(f => lines.push(`- ${f.label}: ${f.score}/100 - ${f.detail}`));
+    if (unknown.length > 0) {
+      lines.push(`- Not checked: ${unknown.map(f => f.label).join(', ')} (score based on ${Math.round(risk.coverage * 100)}% of the model)`);
+    }
+    return lines.join('\n');
+  };
+
+  const shortAddress = (address) => `${address.slice(0, 4)}...${address.slice(-4)}`;
+
+  const formatLiquidityPool = (lp) => {
+    if (!lp || lp.kind === 'unknown') return '❔ LP: pool type not recognized, LP status unknown';
+    if (lp.kind === 'bonding_curve') return `✅ LP: still on the ${lp.dex} bonding curve, liquidity can't be pulled`;
+    if (lp.kind === 'concentrated') return `⚠️ LP: ${lp.dex} concentrated liquidity - positions are NFTs and can be withdrawn`;
+    if (lp.burnedPct === null) return `❔ LP: ${lp.dex} LP burn status unknown`;
+    const emoji = lp.burnedPct >= 95 ? '🔥' : '⚠️';
+    return `${emoji} LP: ${lp.burnedPct.toFixed(1)}% of ${lp.dex} LP tokens burned`;
+  };
+
+  export const formatContractSafety = (safety) => {
+    const { mint, holders, lp } = safety;
+    const lines = [
+      mint.mintAuthority
+        ? `⚠️ Mint authority: active (${shortAddress(mint.mintAuthority)}) - more tokens can be minted`
+        : '✅ Mint authority: revoked',
+      mint.freezeAuthority
+        ? `⚠️ Freeze authority: active (${shortAddress(mint.freezeAuthority)}) - holder accounts can be frozen`
+        : '✅ Freeze authority: revoked',
+      `${holders.top10HolderPct > 50 ? '⚠️' : '✅'} Top holders: top 10 hold ${holders.top10HolderPct.toFixed(1)}% of supply, largest ${holders.topHolderPct.toFixed(1)}%${holders.excludedAccounts > 0 ? ' (excluding pool and burn accounts)' : ''}`,
+      formatLiquidityPool(lp)
+    ];
+    if (mint.token2022) {
+      lines.push('❔ Token-2022 mint: check its extensions (transfer fees, hooks) before trading');
+    }
+    return lines.map(line => `- ${line}`).join('\n');
+  };
+
+  export const formatDuration = (ms) => {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = minutes / 60;
+    if (hours < 48) return `${hours.toFixed(1)}h`;
+    return `${(hours / 24).toFixed(1)}d`;
+  };
+
+  const formatSignedUsd = (num) => `${num >= 0 ? '+' : '-'}$${formatNumber(Math.abs(num))}`;
+
+  const formatRoundTrip = (trip) =>
+    `$${trip.symbol}: ${formatSignedUsd(trip.pnl)} (${trip.pnlPct >= 0 ? '+' : ''}${trip.pnlPct.toFixed(1)}%) held ${formatDuration(trip.closedAt - trip.openedAt)}`;
+
+  export const formatTradeHistory = (history) => {
+    if (history.swapCount === 0) {
+      return '- No swaps found for this wallet';
+    }
+
+    const lines = [
+      `- Realized PnL: ${formatSignedUsd(history.realizedPnl)}`,
+      `- Unrealized PnL: ${formatSignedUsd(history.unrealizedPnl)} on ${history.openPositions.length} open position${history.openPositions.length === 1 ? '' : 's'}`,
+      `- Closed trades: ${history.roundTrips}${history.winRate !== null ? `, ${(history.winRate * 100).toFixed(1)}% profitable` : ''}`,
+      `- Average hold time: ${history.averageHoldMs !== null ? formatDuration(history.averageHoldMs) : 'N/A'}`
+    ];
+    if (history.bestTrades.length > 0) {
+      lines.push(`- Best trades: ${history.bestTrades.map(formatRoundTrip).join('; ')}`);
+    }
+    if (history.worstTrades.length > 0) {
+      lines.push(`- Worst trades: ${history.worstTrades.map(formatRoundTrip).join('; ')}`);
+    }
+    history.openPositions.slice(0, 5).forEach(p => {
+      const pnl = p.unrealizedPnl !== null ? `, unrealized ${formatSignedUsd(p.unrealizedPnl)}` : ', price unavailable';
+      lines.push(`- Open: ${formatNumber(p.amount)} $${p.symbol} @ $${formatTokenPrice(p.averageCost)} avg${pnl}`);
+    });
+    if (history.unmatchedSellUsd > 0) {
+      lines.push(`- $${formatNumber(history.unmatchedSellUsd)} of sells had no recorded buy (airdrops, transfers or older history) and are left out of PnL`);
+    }
+    return lines.join('\n');
+  };
+
+  // Entry lags are often seconds apart, too fine for formatDuration
+  const formatLag = (ms) => Math.abs(ms) < 60000 ? `${Math.round(Math.abs(ms) / 1000)}s` : formatDuration(Math.abs(ms));
+
+  const formatWalletPair = (pair) => {
+    const [a, b] = pair.wallets.map(shortAddress);
+    const lines = [
+      `${a} vs ${b}:`,
+      `- Shared holdings: ${pair.sharedHoldings.length > 0 ? pair.sharedHoldings.map(h => `$${h.symbol}`).join(', ') : 'none'}`,
+      `- Traded token overlap: ${(pair.tradedOverlap * 100).toFixed(1)}% (${pair.sharedEntries} tokens bought by both)`,
+      `- Hourly buy correlation: ${pair.entryCorrelation !== null ? pair.entryCorrelation.toFixed(2) : 'N/A'}`
+    ];
+    pair.entries.slice(0, 5).forEach(e => {
+      const timing = Math.abs(e.lagMs) <= SAME_TIME_MS ? 'same time' : `${e.lagMs > 0 ? b : a} ${formatLag(e.lagMs)} later`;
+      lines.push(`- $${e.symbol}: ${timing}`);
+    });
+    if (pair.copyTrade) {
+      const { leader, follower, followRate, medianLagMs } = pair.copyTrade;
+      lines.push(`- ⚠️ Probable copy-trader: ${shortAddress(follower)} follows ${shortAddress(leader)} on ${(followRate * 100).toFixed(0)}% of shared entries, median lag ${formatLag(medianLagMs)}`);
+    }
+    if (pair.sharedEntries > 0 && pair.sameTimeEntries / pair.sharedEntries >= 0.5) {
+      lines.push(`- ⚠️ ${pair.sameTimeEntries} of ${pair.sharedEntries} shared entries within seconds of each other - possibly one operator`);
+    }
+    return lines.join('\n');
+  };
+
+  export const formatWalletComparison = (comparison) => {
+    const lines = comparison.wallets.map(w => {
+      const bot = w.activity.bot ? ` 🤖 likely bot (${w.activity.reasons.join(', ')})` : '';
+      return `- ${shortAddress(w.address)}: ${w.swapCount} swaps across ${w.tokensTraded} tokens, ${w.holdings} holdings${bot}`;
+    });
+
+    if (comparison.earlyBuyers) {
+      lines.push('', 'Entry order for the token:');
+      if (comparison.earlyBuyers.length === 0) {
+        lines.push('- None of these wallets bought it');
+      }
+      comparison.earlyBuyers.forEach((buyer, i) => {
+        const after = i === 0 ? 'first' : `${formatLag(buyer.afterFirstMs)} after the first`;
+        lines.push(`${i + 1}. ${shortAddress(buyer.address)} - ${new Date(buyer.time).toISOString()} (${after}), $${formatNumber(buyer.usdValue)}`);
+      });
+    }
+
+    comparison.pairs.forEach(pair => lines.push('', formatWalletPair(pair)));
+    return lines.join('\n');
+  };
+
+  export const formatSmartMoneyFeed = (feed) => {
+    if (feed.wallets.length === 0) {
+      return '- No smart-money wallets are labelled yet';
+    }
+    if (feed.events.length === 0) {
+      return `- No trades from the ${feed.wallets.length} tracked wallets in this window`;
+    }
+
+    const lines = feed.tokens.slice(0, 8).map(t =>
+      `- $${t.symbol} (${t.tokenAddress}): bought $${formatNumber(t.buyUsd)} in ${t.buys} buys, sold $${formatNumber(t.sellUsd)} in ${t.sells} sells, by ${t.wallets.join(', ')}`
+    );
+    lines.push('', 'Latest trades:');
+    feed.events.slice(0, 10).forEach(e => {
+      lines.push(`- ${new Date(e.time).toISOString().slice(11, 16)} UTC ${e.label} (${e.category}) ${e.side === 'buy' ? 'bought' : 'sold'} $${formatNumber(e.usdValue)} of $${e.symbol}`);
+    });
+    return lines.join('\n');
+  };
+
+  export const formatLaunches = (result) => {
+    if (result.launches.length === 0) {
+      return result.passed + result.failed > 0
+        ? `- None of the ${result.failed} new pairs in this window passed the filters`
+        : `- No new pairs have been recorded in this window${ENV.DISCOVERY_ENABLED ? '' : ' (the pair discovery scanner is off, set DISCOVERY_ENABLED=true to run it)'}`;
+    }
+
+    return result.launches.slice(0, 10).map(launch => {
+      const holders = launch.holders !== null ? `${launch.holders} holders` : 'holders unknown';
+      const verdict = launch.passed ? '✅ passed' : `❌ ${launch.failed.join(', ')}`;
+      return `- $${launch.symbol} (${launch.tokenAddress}) on ${launch.dex}, ${formatDuration(Date.now() - launch.pairCreatedAt)} old: ` +
+        `$${formatNumber(launch.liquidityUsd)} liquidity, $${formatNumber(launch.marketCap)} mcap, ${holders}, risk ${launch.riskScore}/100 (${launch.riskLevel}) ${verdict}`;
+    }).join('\n');
+  };
+
+  const correlationLine = (pair) => {
+    const sign = pair.coefficient > 0 ? '+' : '';
+    const direction = pair.coefficient > 0 ? 'move together' : 'move opposite';
+    const label = (token) => `$${token.symbol}${token.watched ? ' (watched)' : ''}`;
+    return `- ${label(pair.a)} / ${label(pair.b)}: ${sign}${pair.coefficient.toFixed(2)}, ${direction} (${pair.points} candles)`;
+  };
+
+  export const formatCorrelations = (result, minCoefficient) => {
+    if (result.pairs.length === 0) {
+      return `- Not enough overlapping price history to compare (${result.analyzed} tokens with candles)`;
+    }
+    if (result.strongest.length === 0) {
+      return `- No pair of the ${result.analyzed} tokens is strongly correlated (|r| < ${minCoefficient}); the closest is:\n${correlationLine(result.pairs[0])}`;
+    }
+    return result.strongest.map(correlationLine).join('\n');
+  };
+
+  const formatScore = (score) => score === null || score === undefined ? 'N/A' : `${score >= 0 ? '+' : ''}${score.toFixed(2)}`;
+
+  export const formatSentiment = (result) => {
+    const { social, pressure, trend, market } = result;
+    const trendText = trend.direction === 'unknown'
+      ? `not enough history yet (${trend.points} snapshot${trend.points === 1 ? '' : 's'})`
+      : `${trend.direction} (${formatScore(trend.change)} over ${trend.points} snapshots)`;
+
+    const lines = [
+      `Sentiment for ${result.name || result.address} ($${result.symbol || '?'}): ${result.label} (${formatScore(result.score)})`,
+      `- Trend (last ${formatDuration(result.windowMs)}): ${trendText}`,
+      social.count > 0
+        ? `- Social: ${social.count} posts, ${social.positive} positive / ${social.negative} negative, average ${formatScore(social.score)}`
+        : '- Social: no recent posts',
+      pressure
+        ? `- Buy/sell pressure (${pressure.window === 'h1' ? 'last hour' : 'last 24h'}): ${pressure.buys} buys / ${pressure.sells} sells (${formatScore(pressure.pressure)})`
+        : '- Buy/sell pressure: no recent trades'
+    ];
+    if (market) {
+      lines.push(`- Market: 24h price change ${market.priceChange24h.toFixed(2)}%, volume $${formatNumber(market.volume24h)}, market cap $${formatNumber(market.marketCap)}`);
+    }
+
+    const notable = [...result.posts]
+      .sort((a, b) => Math.abs(b.score) - Math.abs(a.score))
+      .slice(0, 3);
+    if (notable.length > 0) {
+      lines.push('- Notable posts:');
+      lines.push(...notable.map(post => `  - ${post.author || post.source}: "${post.text.length > 140 ? `${post.text.slice(0, 137)}...` : post.text}" (${formatScore(post.score)})`));
+    }
+    return lines.join('\n');
+  };
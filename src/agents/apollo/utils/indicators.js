@@ -0,0 +1,243 @@
+/**
+ * Technical indicators computed from OHLCV candles.
+ *
+ * Series functions return an array aligned with their input, with null where
+ * there is not yet enough data. Candles are { time, open, high, low, close,
+ * volume }, oldest first.
+ */
+
+export const sma = (values, period) => values.map((_, i) => {
+  if (i < period - 1) return null;
+  let sum = 0;
+  for (let j = i - period + 1; j <= i; j++) sum += values[j];
+  return sum / period;
+});
+
+// Seeded with the SMA of the first `period` values
+export const ema = (values, period) => {
+  const result = new Array(values.length).fill(null);
+  if (values.length < period) return result;
+
+  const k = 2 / (period + 1);
+  result[period - 1] = values.slice(0, period).reduce((sum, v) => sum + v, 0) / period;
+  for (let i = period; i < values.length; i++) {
+    result[i] = values[i] * k + result[i - 1] * (1 - k);
+  }
+  return result;
+};
+
+/**
+ * Relative Strength Index with Wilder's smoothing
+ */
+export const rsi = (closes, period = 14) => {
+  const result = new Array(closes.length).fill(null);
+  if (closes.length <= period) return result;
+
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = closes[i] - closes[i - 1];
+    gain += Math.max(change, 0);
+    loss += Math.max(-change, 0);
+  }
+  gain /= period;
+  loss /= period;
+
+  const value = () => (loss === 0 ? (gain === 0 ? 50 : 100) : 100 - 100 / (1 + gain / loss));
+  result[period] = value();
+  for (let i = period + 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    gain = (gain * (period - 1) + Math.max(change, 0)) / period;
+    loss = (loss * (period - 1) + Math.max(-change, 0)) / period;
+    result[i] = value();
+  }
+  return result;
+};
+
+/**
+ * MACD line (fast EMA - slow EMA), its signal EMA and the histogram
+ */
+export const macd = (closes, fast = 12, slow = 26, signalPeriod = 9) => {
+  const fastEma = ema(closes, fast);
+  const slowEma = ema(closes, slow);
+  const line = closes.map((_, i) => (fastEma[i] === null || slowEma[i] === null ? null : fastEma[i] - slowEma[i]));
+
+  // The signal line starts once the MACD line has values
+  const start = line.findIndex(v => v !== null);
+  const signal = new Array(closes.length).fill(null);
+  if (start !== -1) {
+    ema(line.slice(start), signalPeriod).forEach((v, i) => { signal[start + i] = v; });
+  }
+  const histogram = line.map((v, i) => (v === null || signal[i] === null ? null : v - signal[i]));
+
+  return { macd: line, signal, histogram };
+};
+
+/**
+ * Bollinger bands: SMA +/- `multiplier` population standard deviations
+ */
+export const bollinger = (closes, period = 20, multiplier = 2) => {
+  const middle = sma(closes, period);
+  const upper = [];
+  const lower = [];
+  middle.forEach((mean, i) => {
+    if (mean === null) {
+      upper.push(null);
+      lower.push(null);
+      return;
+    }
+    const window = closes.slice(i - period + 1, i + 1);
+    const deviation = Math.sqrt(window.reduce((sum, v) => sum + (v - mean) ** 2, 0) / period);
+    upper.push(mean + multiplier * deviation);
+    lower.push(mean - multiplier * deviation);
+  });
+  return { middle, upper, lower };
+};
+
+/**
+ * Volume-weighted average price over the candles, using the typical price
+ */
+export const vwap = (candles) => {
+  let priceVolume = 0;
+  let volume = 0;
+  return candles.map(candle => {
+    priceVolume += ((candle.high + candle.low + candle.close) / 3) * candle.volume;
+    volume += candle.volume;
+    return volume > 0 ? priceVolume / volume : null;
+  });
+};
+
+/**
+ * Support and resistance levels from swing highs and lows.
+ * Pivots within `tolerance` (fraction of price) of each other are merged
+ * into one level; levels touched more often rank first.
+ * @returns {Object} - { support: [{ price, touches }], resistance: [{ price, touches }] }
+ */
+export const supportResistance = (candles, { window = 3, tolerance = 0.005, maxLevels = 3 } = {}) => {
+  const pivots = [];
+  for (let i = window; i < candles.length - window; i++) {
+    const neighbours = [...candles.slice(i - window, i), ...candles.slice(i + 1, i + window + 1)];
+    if (neighbours.every(c => c.high <= candles[i].high)) pivots.push(candles[i].high);
+    if (neighbours.every(c => c.low >= candles[i].low)) pivots.push(candles[i].low);
+  }
+
+  const levels = [];
+  for (const price of pivots.sort((a, b) => a - b)) {
+    const level = levels[levels.length - 1];
+    if (level && Math.abs(price - level.price) <= level.price * tolerance) {
+      level.price = (level.price * level.touches + price) / (level.touches + 1);
+      level.touches++;
+    } else {
+      levels.push({ price, touches: 1 });
+    }
+  }
+
+  const close = candles[candles.length - 1]?.close ?? 0;
+  const rank = (a, b) => b.touches - a.touches || Math.abs(a.price - close) - Math.abs(b.price - close);
+  return {
+    support: levels.filter(l => l.price < close).sort(rank).slice(0, maxLevels),
+    resistance: levels.filter(l => l.price > close).sort(rank).slice(0, maxLevels)
+  };
+};
+
+const last = (series) => series[series.length - 1] ?? null;
+
+/**
+ * How many candles ago `fast` last crossed `slow` within `lookback` candles
+ * @returns {Object|null} - { direction: 'bullish'|'bearish', candlesAgo }
+ */
+export const findCrossover = (fast, slow, lookback = 3) => {
+  for (let i = fast.length - 1; i >= Math.max(1, fast.length - lookback); i--) {
+    if ([fast[i], slow[i], fast[i - 1], slow[i - 1]].some(v => v === null)) return null;
+    if (fast[i - 1] <= slow[i - 1] && fast[i] > slow[i]) return { direction: 'bullish', candlesAgo: fast.length - 1 - i };
+    if (fast[i - 1] >= slow[i - 1] && fast[i] < slow[i]) return { direction: 'bearish', candlesAgo: fast.length - 1 - i };
+  }
+  return null;
+};
+
+/**
+ * Compute every indicator for the latest candle and summarize the signals
+ * @param {Array} candles - OHLCV candles, oldest first
+ * @returns {Object|null} - Latest indicator values, crossovers, levels and an overall bias
+ */
+export const analyzeCandles = (candles) => {
+  if (!candles || candles.length < 2) return null;
+
+  const closes = candles.map(c => c.close);
+  const price = last(closes);
+  const signals = [];
+
+  const rsiValue = last(rsi(closes, 14));
+  if (rsiValue !== null) {
+    if (rsiValue >= 70) signals.push({ indicator: 'RSI', bias: 'bearish', reason: 'overbought' });
+    else if (rsiValue <= 30) signals.push({ indicator: 'RSI', bias: 'bullish', reason: 'oversold' });
+  }
+
+  const macdSeries = macd(closes);
+  const macdCross = findCrossover(macdSeries.macd, macdSeries.signal);
+  const histogram = last(macdSeries.histogram);
+  if (macdCross) {
+    signals.push({ indicator: 'MACD', bias: macdCross.direction, reason: `${macdCross.direction} crossover` });
+  } else if (histogram !== null) {
+    signals.push({ indicator: 'MACD', bias: histogram > 0 ? 'bullish' : 'bearish', reason: `histogram ${histogram > 0 ? 'positive' : 'negative'}` });
+  }
+
+  const emaFast = ema(closes, 9);
+  const emaSlow = ema(closes, 21);
+  const emaCross = findCrossover(emaFast, emaSlow);
+  if (emaCross) {
+    signals.push({ indicator: 'EMA', bias: emaCross.direction, reason: `EMA9/EMA21 ${emaCross.direction} crossover` });
+  } else if (last(emaSlow) !== null) {
+    signals.push({ indicator: 'EMA', bias: last(emaFast) > last(emaSlow) ? 'bullish' : 'bearish', reason: `EMA9 ${last(emaFast) > last(emaSlow) ? 'above' : 'below'} EMA21` });
+  }
+
+  const smaFast = sma(closes, 20);
+  const smaSlow = sma(closes, 50);
+  const smaCross = findCrossover(smaFast, smaSlow);
+  if (smaCross) {
+    signals.push({ indicator: 'SMA', bias: smaCross.direction, reason: smaCross.direction === 'bullish' ? 'golden cross (SMA20/SMA50)' : 'death cross (SMA20/SMA50)' });
+  }
+
+  const bands = bollinger(closes);
+  let bollingerValue = null;
+  if (last(bands.middle) !== null) {
+    const upper = last(bands.upper);
+    const lower = last(bands.lower);
+    bollingerValue = {
+      upper,
+      middle: last(bands.middle),
+      lower,
+      percentB: upper > lower ? (price - lower) / (upper - lower) : 0.5,
+      bandwidth: last(bands.middle) > 0 ? ((upper - lower) / last(bands.middle)) * 100 : 0
+    };
+    if (price > upper) signals.push({ indicator: 'Bollinger', bias: 'bearish', reason: 'above the upper band' });
+    else if (price < lower) signals.push({ indicator: 'Bollinger', bias: 'bullish', reason: 'below the lower band' });
+  }
+
+  const vwapValue = last(vwap(candles));
+  if (vwapValue) {
+    signals.push({ indicator: 'VWAP', bias: price >= vwapValue ? 'bullish' : 'bearish', reason: `price ${price >= vwapValue ? 'above' : 'below'} VWAP` });
+  }
+
+  const score = signals.reduce((sum, s) => sum + (s.bias === 'bullish' ? 1 : s.bias === 'bearish' ? -1 : 0), 0);
+
+  return {
+    price,
+    candles: candles.length,
+    rsi: rsiValue,
+    macd: histogram === null ? null : {
+      value: last(macdSeries.macd),
+      signal: last(macdSeries.signal),
+      histogram,
+      crossover: macdCross
+    },
+    ema: last(emaSlow) === null ? null : { fast: last(emaFast), slow: last(emaSlow), crossover: emaCross },
+    sma: last(smaFast) === null ? null : { fast: last(smaFast), slow: last(smaSlow), crossover: smaCross },
+    bollinger: bollingerValue,
+    vwap: vwapValue,
+    levels: supportResistance(candles),
+    signals,
+    score,
+    bias: score >= 2 ? 'bullish' : score <= -2 ? 'bearish' : 'neutral'
+  };
+};
@@ -0,0 +1,155 @@
+/*
+ * Chat messages use one internal format across providers:
+ * - { role: 'system' | 'user' | 'assistant', content }
+ * - { role: 'assistant', content, toolCalls: [{ id, name, arguments }] }
+ * - { role: 'tool', toolCallId, name, content }
+ *
+ * normalizeMessages() cleans a conversation up the same way for every
+ * provider; the to*() helpers then translate it to each wire format.
+ */
+
+const isToolTurn = (message) => message.role === 'tool' || (message.role === 'assistant' && message.toolCalls?.length > 0);
+
+/**
+ * Normalize a conversation before it is sent to any provider:
+ * - every system message is folded into one system prompt, wherever it appeared
+ * - content is a string; plain turns with no content are dropped
+ * - the conversation starts with a user turn (a history window cut mid-exchange
+ *   can start with an answer or tool result whose question is gone)
+ * - with no user turn at all (e.g. a lone system prompt) the system prompt becomes
+ *   the user turn, since every API needs one
+ * Consecutive turns from the same role are kept; adapters merge them if their API needs it.
+ * @param {Array} messages - Internal format messages
+ * @returns {Object} - { system, messages } with no system messages left in `messages`
+ */
+export const normalizeMessages = (messages) => {
+  const system = messages
+    .filter(message => message.role === 'system' && message.content)
+    .map(message => String(message.content))
+    .join('\n\n');
+
+  const turns = messages
+    .filter(message => message.role !== 'system')
+    .map(message => ({ ...message, content: message.content === null || message.content === undefined ? '' : String(message.content) }))
+    .filter(message => message.content.trim() !== '' || isToolTurn(message));
+
+  const firstUser = turns.findIndex(message => message.role === 'user');
+  if (firstUser !== -1) {
+    return { system, messages: turns.slice(firstUser) };
+  }
+  if (!system) {
+    throw new Error('Cannot send a conversation with no user or system message');
+  }
+  return { system: '', messages: [{ role: 'user', content: system }] };
+};
+
+/**
+ * OpenAI chat completions (also DeepSeek and Grok)
+ */
+export const toOpenAIMessages = (messages) => {
+  const { system, messages: turns } = normalizeMessages(messages);
+
+  return [
+    ...(system ? [{ role: 'system', content: system }] : []),
+    ...turns.map(message => {
+      if (message.role === 'tool') {
+        return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+      }
+      if (message.role === 'assistant' && message.toolCalls?.length) {
+        return {
+          role: 'assistant',
+          content: message.content || null,
+          tool_calls: message.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+          }))
+        };
+      }
+      return { role: message.role, content: message.content };
+    })
+  ];
+};
+
+/**
+ * Anthropic messages API: the system prompt is a separate parameter and roles must alternate
+ * @returns {Object} - { system, messages }
+ */
+export const toAnthropicRequest = (messages) => {
+  const { system, messages: turns } = normalizeMessages(messages);
+  const result = [];
+
+  for (const message of turns) {
+    let converted;
+
+    if (message.role === 'tool') {
+      converted = {
+        role: 'user',
+        content: [{ type: 'tool_result', tool_use_id: message.toolCallId, content: message.content }]
+      };
+    } else if (message.role === 'assistant' && message.toolCalls?.length) {
+      converted = {
+        role: 'assistant',
+        content: [
+          ...(message.content ? [{ type: 'text', text: message.content }] : []),
+          ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments }))
+        ]
+      };
+    } else {
+      converted = { role: message.role, content: [{ type: 'text', text: message.content }] };
+    }
+
+    // Merge consecutive messages from the same role
+    const previous = result[result.length - 1];
+    if (previous && previous.role === converted.role) {
+      previous.content.push(...converted.content);
+    } else {
+      result.push(converted);
+    }
+  }
+
+  return { system, messages: result };
+};
+
+/**
+ * Google Gemini contents: assistant turns are 'model', tool results are 'function' and roles must alternate
+ */
+export const toGoogleContents = (messages) => {
+  const { system, messages: turns } = normalizeMessages(messages);
+  const contents = [];
+
+  for (const message of turns) {
+    let converted;
+
+    if (message.role === 'tool') {
+      converted = {
+        role: 'function',
+        parts: [{ functionResponse: { name: message.name, response: { content: message.content } } }]
+      };
+    } else if (message.role === 'assistant') {
+      converted = {
+        role: 'model',
+        parts: [
+          ...(message.content ? [{ text: message.content }] : []),
+          ...(message.toolCalls || []).map(call => ({ functionCall: { name: call.name, args: call.arguments } }))
+        ]
+      };
+    } else {
+      converted = { role: 'user', parts: [{ text: message.content }] };
+    }
+
+    const previous = contents[contents.length - 1];
+    if (previous && previous.role === converted.role) {
+      previous.parts.push(...converted.parts);
+    } else {
+      contents.push(converted);
+    }
+  }
+
+  // gemini-pro has no system instruction, so prepend it to the first user turn
+  if (system && contents[0]) {
+    contents[0].parts.unshift({ text: system });
+  }
+
+  return contents;
+};
@@ -0,0 +1,144 @@
+/**
+ * Trade reconstruction from a wallet's swap history.
+ *
+ * Positions use average cost basis in USD. A position is closed when a sell
+ * brings it (near) back to zero; each open-to-close cycle is one round trip.
+ * Sells of tokens with no recorded buy (airdrops, transfers in, buys older
+ * than the history) have no cost basis and are counted separately instead of
+ * as profit.
+ */
+
+// Leftover below this share of the position's peak counts as closed
+const DUST_RATIO = 1e-4;
+
+const newPosition = (swap) => ({
+  tokenAddress: swap.tokenAddress,
+  symbol: swap.symbol,
+  name: swap.name,
+  buys: 0,
+  sells: 0,
+  boughtUsd: 0,
+  soldUsd: 0,
+  amount: 0,
+  costBasis: 0,
+  realizedPnl: 0,
+  unmatchedSellUsd: 0,
+  entries: [],
+  exits: [],
+  round: null // the open round trip
+});
+
+/**
+ * Replay swaps into per-token positions and closed round trips
+ * @param {Array} swaps - [{ time, tokenAddress, symbol, name, side, tokenAmount, usdValue }] oldest first
+ * @returns {Object} - { positions: Map(tokenAddress -> position), roundTrips: [{ tokenAddress, symbol, openedAt, closedAt, costUsd, pnl, pnlPct }] }
+ */
+export const replaySwaps = (swaps) => {
+  const positions = new Map();
+  const roundTrips = [];
+
+  for (const swap of swaps) {
+    if (!(swap.tokenAmount > 0) || !(swap.usdValue >= 0)) continue;
+
+    if (!positions.has(swap.tokenAddress)) {
+      positions.set(swap.tokenAddress, newPosition(swap));
+    }
+    const position = positions.get(swap.tokenAddress);
+    const fill = { time: swap.time, amount: swap.tokenAmount, usd: swap.usdValue, price: swap.usdValue / swap.tokenAmount };
+
+    if (swap.side === 'buy') {
+      if (!position.round) {
+        position.round = { openedAt: swap.time, costUsd: 0, pnl: 0, peak: 0 };
+      }
+      position.buys++;
+      position.boughtUsd += swap.usdValue;
+      position.amount += swap.tokenAmount;
+      position.costBasis += swap.usdValue;
+      position.round.costUsd += swap.usdValue;
+      position.round.peak = Math.max(position.round.peak, position.amount);
+      position.entries.push(fill);
+      continue;
+    }
+
+    position.sells++;
+    position.soldUsd += swap.usdValue;
+    position.exits.push(fill);
+
+    const matched = Math.min(swap.tokenAmount, position.amount);
+    position.unmatchedSellUsd += swap.usdValue * ((swap.tokenAmount - matched) / swap.tokenAmount);
+    if (matched <= 0) continue;
+
+    const proceeds = swap.usdValue * (matched / swap.tokenAmount);
+    const costSold = position.costBasis * (matched / position.amount);
+    const pnl = proceeds - costSold;
+    position.realizedPnl += pnl;
+    position.amount -= matched;
+    position.costBasis -= costSold;
+    position.round.pnl += pnl;
+
+    if (position.amount <= position.round.peak * DUST_RATIO) {
+      position.amount = 0;
+      position.costBasis = 0;
+      roundTrips.push({
+        tokenAddress: position.tokenAddress,
+        symbol: position.symbol,
+        openedAt: position.round.openedAt,
+        closedAt: swap.time,
+        costUsd: position.round.costUsd,
+        pnl: position.round.pnl,
+        pnlPct: position.round.costUsd > 0 ? (position.round.pnl / position.round.costUsd) * 100 : 0
+      });
+      position.round = null;
+    }
+  }
+
+  return { positions, roundTrips };
+};
+
+/**
+ * Summarize a wallet's trading from its swap history
+ * @param {Array} swaps - Swaps oldest first, see replaySwaps
+ * @param {Object} pricesUsd - Current USD price by token address, for open positions
+ * @returns {Object} - { swapCount, firstSwapAt, lastSwapAt, realizedPnl, unrealizedPnl, totalPnl, winRate,
+ *   averageHoldMs, roundTrips, bestTrades, worstTrades, openPositions, tokens, unmatchedSellUsd }
+ */
+export const summarizeTrades = (swaps, pricesUsd = {}) => {
+  const { positions, roundTrips } = replaySwaps(swaps);
+
+  const tokens = [...positions.values()].map(({ round, ...position }) => {
+    const priceUsd = pricesUsd[position.tokenAddress] ?? null;
+    const open = position.amount > 0;
+    const value = open && priceUsd !== null ? position.amount * priceUsd : null;
+    return {
+      ...position,
+      openedAt: round?.openedAt || null,
+      averageCost: open ? position.costBasis / position.amount : null,
+      priceUsd,
+      value,
+      unrealizedPnl: value !== null ? value - position.costBasis : null
+    };
+  });
+
+  const realizedPnl = tokens.reduce((sum, t) => sum + t.realizedPnl, 0);
+  const unrealizedPnl = tokens.reduce((sum, t) => sum + (t.unrealizedPnl || 0), 0);
+  const wins = roundTrips.filter(trip => trip.pnl > 0).length;
+  const holdTimes = roundTrips.map(trip => trip.closedAt - trip.openedAt);
+  const byPnl = [...roundTrips].sort((a, b) => b.pnl - a.pnl);
+
+  return {
+    swapCount: swaps.length,
+    firstSwapAt: swaps[0]?.time ?? null,
+    lastSwapAt: swaps[swaps.length - 1]?.time ?? null,
+    realizedPnl,
+    unrealizedPnl,
+    totalPnl: realizedPnl + unrealizedPnl,
+    winRate: roundTrips.length > 0 ? wins / roundTrips.length : null,
+    averageHoldMs: holdTimes.length > 0 ? holdTimes.reduce((sum, ms) => sum + ms, 0) / holdTimes.length : null,
+    roundTrips: roundTrips.length,
+    bestTrades: byPnl.filter(trip => trip.pnl > 0).slice(0, 3),
+    worstTrades: byPnl.filter(trip => trip.pnl < 0).reverse().slice(0, 3),
+    openPositions: tokens.filter(t => t.amount > 0).sort((a, b) => (b.value ?? b.costBasis) - (a.value ?? a.costBasis)),
+    tokens,
+    unmatchedSellUsd: tokens.reduce((sum, t) => sum + t.unmatchedSellUsd, 0)
+  };
+};
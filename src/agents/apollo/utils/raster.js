@@ -0,0 +1,165 @@
+import zlib from 'zlib';
+
+// 3x5 bitmap font, one string of 15 bits (row by row) per glyph
+const FONT = {
+  '0': '111101101101111', '1': '010110010010111', '2': '111001111100111', '3': '111001111001111',
+  '4': '101101111001001', '5': '111100111001111', '6': '111100111101111', '7': '111001001001001',
+  '8': '111101111101111', '9': '111101111001111',
+  'A': '010101111101101', 'B': '110101110101110', 'C': '011100100100011', 'D': '110101101101110',
+  'E': '111100110100111', 'F': '111100110100100', 'G': '011100101101011', 'H': '101101111101101',
+  'I': '111010010010111', 'J': '001001001101010', 'K': '101101110101101', 'L': '100100100100111',
+  'M': '101111111101101', 'N': '110101101101101', 'O': '010101101101010', 'P': '110101110100100',
+  'Q': '010101101110011', 'R': '110101110101101', 'S': '011100010001110', 'T': '111010010010010',
+  'U': '101101101101111', 'V': '101101101101010', 'W': '101101111111101', 'X': '101101010101101',
+  'Y': '101101010010010', 'Z': '111001010100111',
+  '.': '000000000000010', ',': '000000000010100', '$': '011110010011110', '-': '000000111000000',
+  '+': '000010111010000', '%': '101001010100101', ':': '000010000010000', '/': '001001010100100',
+  '(': '001010010010001', ')': '100010010010100', ' ': '000000000000000'
+};
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+const parseColor = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+};
+
+/**
+ * Minimal RGB raster with PNG output, enough to draw charts server-side
+ * without a browser or native image libraries
+ */
+export class Raster {
+  constructor(width, height, background = '#000000') {
+    this.width = Math.round(width);
+    this.height = Math.round(height);
+    this.pixels = Buffer.alloc(this.width * this.height * 3);
+    this.fillRect(0, 0, this.width, this.height, background);
+  }
+
+  setPixel(x, y, [r, g, b]) {
+    x = Math.round(x);
+    y = Math.round(y);
+    if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+    const offset = (y * this.width + x) * 3;
+    this.pixels[offset] = r;
+    this.pixels[offset + 1] = g;
+    this.pixels[offset + 2] = b;
+  }
+
+  fillRect(x, y, width, height, color) {
+    const rgb = parseColor(color);
+    const x0 = Math.max(0, Math.round(x));
+    const y0 = Math.max(0, Math.round(y));
+    const x1 = Math.min(this.width, Math.round(x + width));
+    const y1 = Math.min(this.height, Math.round(y + height));
+    for (let py = y0; py < y1; py++) {
+      for (let px = x0; px < x1; px++) {
+        this.setPixel(px, py, rgb);
+      }
+    }
+  }
+
+  /**
+   * Draw a line (Bresenham), `thickness` pixels wide
+   */
+  line(x0, y0, x1, y1, color, thickness = 1) {
+    const rgb = parseColor(color);
+    x0 = Math.round(x0); y0 = Math.round(y0);
+    x1 = Math.round(x1); y1 = Math.round(y1);
+    const dx = Math.abs(x1 - x0);
+    const dy = -Math.abs(y1 - y0);
+    const sx = x0 < x1 ? 1 : -1;
+    const sy = y0 < y1 ? 1 : -1;
+    let error = dx + dy;
+
+    while (true) {
+      for (let t = 0; t < thickness; t++) {
+        // Thicken across the line's minor axis
+        if (dx >= -dy) this.setPixel(x0, y0 + t, rgb);
+        else this.setPixel(x0 + t, y0, rgb);
+      }
+      if (x0 === x1 && y0 === y1) break;
+      const e2 = 2 * error;
+      if (e2 >= dy) { error += dy; x0 += sx; }
+      if (e2 <= dx) { error += dx; y0 += sy; }
+    }
+  }
+
+  /**
+   * Width in pixels of text drawn at the given scale
+   */
+  static textWidth(text, scale = 1) {
+    return text.length > 0 ? text.length * 4 * scale - scale : 0;
+  }
+
+  /**
+   * Draw text with the built-in 3x5 font; (x, y) is the top-left corner
+   */
+  text(x, y, text, color, scale = 1) {
+    const rgb = parseColor(color);
+    let cursor = Math.round(x);
+    for (const char of text.toUpperCase()) {
+      const glyph = FONT[char] || FONT[' '];
+      for (let i = 0; i < 15; i++) {
+        if (glyph[i] === '1') {
+          for (let sy = 0; sy < scale; sy++) {
+            for (let sx = 0; sx < scale; sx++) {
+              this.setPixel(cursor + (i % 3) * scale + sx, Math.round(y) + Math.floor(i / 3) * scale + sy, rgb);
+            }
+          }
+        }
+      }
+      cursor += 4 * scale;
+    }
+  }
+
+  /**
+   * Encode as a PNG (8-bit RGB, unfiltered scanlines)
+   * @returns {Buffer}
+   */
+  toPNG() {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(this.width, 0);
+    header.writeUInt32BE(this.height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // color type: RGB
+    // compression, filter and interlace methods are all 0
+
+    const rowLength = this.width * 3;
+    const scanlines = Buffer.alloc((rowLength + 1) * this.height);
+    for (let y = 0; y < this.height; y++) {
+      scanlines[y * (rowLength + 1)] = 0;
+      this.pixels.copy(scanlines, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+    }
+
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      pngChunk('IHDR', header),
+      pngChunk('IDAT', zlib.deflateSync(scanlines)),
+      pngChunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+}
@@ -1,24 +1,201 @@
-export const getRiskDescription = (marketCap) => {
-    if (marketCap < 100000) {
-      return "Extremely low market cap indicates very high risk";
-    } else if (marketCap < 1000000) {
-      return "Low market cap indicates higher risk";
+/**
+ * Composite token risk model.
+ *
+ * Each factor scores 0 (safe) to 100 (risky) and carries a weight. Factors
+ * without data are reported as unknown and left out, so the overall score
+ * is the weighted average of the factors we could actually check.
+ */
+
+export const RISK_FACTORS = {
+  liquidity: { label: 'Liquidity depth', weight: 20 },
+  marketCap: { label: 'Market cap', weight: 10 },
+  age: { label: 'Pair age', weight: 15 },
+  imbalance: { label: 'Buy/sell imbalance', weight: 10 },
+  activity: { label: 'Trading activity', weight: 5 },
+  holders: { label: 'Holder concentration', weight: 15 },
+  authorities: { label: 'Mint/freeze authority', weight: 15 },
+  lpBurn: { label: 'LP burn', weight: 10 },
+  dexPaid: { label: 'DexScreener profile', weight: 5 },
+  socials: { label: 'Social presence', weight: 5 }
+};
+
+export const RISK_LEVELS = [
+  { min: 75, level: 'EXTREME', emoji: '🚨' },
+  { min: 55, level: 'HIGH', emoji: '⚠️' },
+  { min: 35, level: 'MODERATE', emoji: '📊' },
+  { min: 0, level: 'LOW', emoji: '✅' }
+];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Linear interpolation through [value, risk] points sorted by value, clamped at both ends
+const scale = (value, points) => {
+  if (value <= points[0][0]) return points[0][1];
+  for (let i = 1; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    if (value <= x1) {
+      const [x0, y0] = points[i - 1];
+      return y0 + ((value - x0) / (x1 - x0)) * (y1 - y0);
     }
-    return "Market cap above $1M indicates standard market risks";
-  };
-  
-  export const getLiquidityEmoji = (ratio) => {
-    return ratio > 15 ? "✅" : "⚠️";
-  };
-  
-  export const getLiquidityDescription = (ratio) => {
-    return ratio > 15 ? "Strong liquidity" : "Low liquidity";
-  };
-  
-  export const getVolumeEmoji = (ratio) => {
-    return ratio > 10 ? "✅" : "⚠️";
+  }
+  return points[points.length - 1][1];
+};
+
+const logScale = (value, points) => scale(Math.log10(Math.max(value, 1)), points.map(([x, y]) => [Math.log10(x), y]));
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const usd = (value) => `$${value >= 1e6 ? `${(value / 1e6).toFixed(2)}M` : value >= 1e3 ? `${(value / 1e3).toFixed(1)}K` : value.toFixed(0)}`;
+
+const formatAge = (hours) => hours < 48 ? `${Math.floor(hours)} hours` : `${Math.floor(hours / 24)} days`;
+
+// Factor scorers take the risk inputs and return { score, detail }, or null when the data is missing
+const SCORERS = {
+  liquidity: ({ liquidityUsd, marketCap }) => {
+    if (!isNumber(liquidityUsd)) return null;
+    const depth = logScale(liquidityUsd, [[1e4, 100], [5e4, 70], [2.5e5, 40], [1e6, 15], [5e6, 0]]);
+    if (!isNumber(marketCap) || marketCap <= 0) {
+      return { score: depth, detail: `${usd(liquidityUsd)} of liquidity` };
+    }
+    const ratio = liquidityUsd / marketCap;
+    const score = depth * 0.6 + scale(ratio, [[0.02, 90], [0.05, 60], [0.1, 30], [0.2, 0]]) * 0.4;
+    return { score, detail: `${usd(liquidityUsd)} of liquidity, ${(ratio * 100).toFixed(1)}% of market cap` };
+  },
+
+  marketCap: ({ marketCap }) => {
+    if (!isNumber(marketCap) || marketCap <= 0) return null;
+    return {
+      score: logScale(marketCap, [[1e5, 90], [1e6, 55], [1e7, 25], [1e8, 5]]),
+      detail: `${usd(marketCap)} market cap`
+    };
+  },
+
+  age: ({ pairCreatedAt, now }) => {
+    if (!isNumber(pairCreatedAt) || pairCreatedAt <= 0) return null;
+    const hours = Math.max(0, (now - pairCreatedAt) / HOUR_MS);
+    return {
+      score: scale(hours, [[1, 100], [24, 75], [24 * 7, 45], [24 * 30, 20], [24 * 180, 0]]),
+      detail: `trading for ${formatAge(hours)}`
+    };
+  },
+
+  imbalance: ({ buyerSellerRatio, ghostPercent }) => {
+    if (!isNumber(buyerSellerRatio) || buyerSellerRatio <= 0) return null;
+    // Lopsided buying suggests bots or wash trading, lopsided selling an exit
+    const ghost = scale(ghostPercent || 0, [[0, 0], [20, 50], [44, 100]]);
+    const selling = scale(buyerSellerRatio, [[20, 80], [35, 40], [45, 0]]);
+    const detail = ghost >= selling && ghostPercent > 0
+      ? `${buyerSellerRatio.toFixed(0)}% of 24h trades are buys (${ghostPercent.toFixed(0)}% ghost buys)`
+      : `${buyerSellerRatio.toFixed(0)}% of 24h trades are buys`;
+    return { score: Math.max(ghost, selling), detail };
+  },
+
+  activity: ({ volume24h, marketCap }) => {
+    if (!isNumber(volume24h) || !isNumber(marketCap) || marketCap <= 0) return null;
+    const ratio = volume24h / marketCap;
+    return {
+      score: scale(ratio, [[0.01, 90], [0.05, 50], [0.1, 20], [0.3, 0]]),
+      detail: `24h volume is ${(ratio * 100).toFixed(1)}% of market cap`
+    };
+  },
+
+  holders: ({ topHolderPct, top10HolderPct }) => {
+    if (!isNumber(top10HolderPct)) return null;
+    const score = Math.max(
+      scale(top10HolderPct, [[20, 0], [35, 30], [50, 60], [70, 90], [90, 100]]),
+      isNumber(topHolderPct) ? scale(topHolderPct, [[5, 0], [15, 50], [30, 100]]) : 0
+    );
+    const top = isNumber(topHolderPct) ? `, largest ${topHolderPct.toFixed(1)}%` : '';
+    return { score, detail: `top 10 accounts hold ${top10HolderPct.toFixed(1)}% of supply${top}` };
+  },
+
+  authorities: ({ mintAuthority, freezeAuthority }) => {
+    // undefined means the mint account couldn't be read; null means revoked
+    if (mintAuthority === undefined || freezeAuthority === undefined) return null;
+    const active = [mintAuthority && 'mint', freezeAuthority && 'freeze'].filter(Boolean);
+    return {
+      score: Math.max(mintAuthority ? 100 : 0, freezeAuthority ? 70 : 0),
+      detail: active.length > 0
+        ? `${active.join(' and ')} authority still active`
+        : 'mint and freeze authority revoked'
+    };
+  },
+
+  lpBurn: ({ lpKind, lpBurnedPct, lpDex }) => {
+    if (lpKind === 'bonding_curve') {
+      return { score: 0, detail: `liquidity is held by the ${lpDex || 'launchpad'} bonding curve` };
+    }
+    if (lpKind === 'concentrated') {
+      return { score: 50, detail: `${lpDex || 'concentrated liquidity'} pool - LP positions can be withdrawn` };
+    }
+    if (lpKind !== 'lp' || !isNumber(lpBurnedPct)) return null;
+    return {
+      score: scale(lpBurnedPct, [[0, 100], [50, 70], [90, 30], [99, 0]]),
+      detail: `${lpBurnedPct.toFixed(1)}% of ${lpDex || 'pool'} LP tokens burned`
+    };
+  },
+
+  dexPaid: ({ dexPaid }) => {
+    if (typeof dexPaid !== 'boolean') return null;
+    return {
+      score: dexPaid ? 0 : 60,
+      detail: dexPaid ? 'DexScreener profile paid' : 'no paid DexScreener profile'
+    };
+  },
+
+  socials: ({ socials }) => {
+    if (!Array.isArray(socials)) return null;
+    const types = [...new Set(socials.map(s => s.type))];
+    return {
+      score: scale(types.length, [[0, 100], [1, 50], [2, 20], [3, 0]]),
+      detail: types.length > 0 ? `links: ${types.join(', ')}` : 'no website or social links'
+    };
+  }
+};
+
+export const getRiskLevel = (score) => RISK_LEVELS.find(l => score >= l.min);
+
+/**
+ * Known factors ordered by how much they add to the score
+ * @param {Object} risk - Result of scoreTokenRisk
+ * @param {Number} minScore - Leave out factors scoring below this
+ */
+export const rankRiskFactors = (risk, minScore = 0) => risk.factors
+  .filter(f => f.known && f.weight > 0 && f.score >= minScore)
+  .sort((a, b) => b.score * b.weight - a.score * a.weight);
+
+/**
+ * Score a token's risk from market, trading and on-chain data
+ * @param {Object} inputs - { marketCap, liquidityUsd, volume24h, pairCreatedAt, buyerSellerRatio, ghostPercent,
+ *   socials, dexPaid, mintAuthority, freezeAuthority, topHolderPct, top10HolderPct, lpKind, lpBurnedPct, lpDex };
+ *   missing fields are unknown
+ * @param {Object} weights - Optional weight overrides by factor key
+ * @returns {Object} - { score, level, emoji, coverage, factors: [{ key, label, weight, score, detail, known }] }
+ */
+export const scoreTokenRisk = (inputs, weights = {}) => {
+  const context = { now: Date.now(), ...inputs };
+  const factors = Object.entries(RISK_FACTORS).map(([key, factor]) => {
+    const weight = weights[key] ?? factor.weight;
+    const result = SCORERS[key](context);
+    return result
+      ? { key, label: factor.label, weight, score: Math.round(result.score), detail: result.detail, known: true }
+      : { key, label: factor.label, weight, score: null, detail: 'unknown', known: false };
+  });
+
+  const known = factors.filter(f => f.known && f.weight > 0);
+  const knownWeight = known.reduce((sum, f) => sum + f.weight, 0);
+  const totalWeight = factors.reduce((sum, f) => sum + f.weight, 0);
+  // With nothing to go on, assume the worst
+  const score = knownWeight > 0
+    ? Math.round(known.reduce((sum, f) => sum + f.score * f.weight, 0) / knownWeight)
+    : 100;
+  const { level, emoji } = getRiskLevel(score);
+
+  return {
+    score,
+    level,
+    emoji,
+    coverage: totalWeight > 0 ? knownWeight / totalWeight : 0,
+    factors
   };
-  
-  export const getVolumeDescription = (ratio) => {
-    return ratio > 10 ? "Normal trading volume" : "Low trading volume";
-  };
\ No newline at end of file
+};
@@ -0,0 +1,167 @@
+/**
+ * Sentiment scoring for social posts and on-chain trading, and the trend of a
+ * token's sentiment over time. Scores run from -1 (bearish) to 1 (bullish).
+ */
+
+// Word weights, including crypto slang. Emoji are matched as single tokens
+const LEXICON = {
+  bullish: 2, moon: 2, mooning: 2, lfg: 2, wagmi: 2, gem: 1.5, breakout: 1.5, ath: 1.5,
+  pump: 1, pumping: 1.5, send: 1, sending: 1.5, ape: 1, aping: 1.5, buy: 1, buying: 1,
+  bought: 0.5, accumulate: 1.5, accumulating: 1.5, undervalued: 1.5, strong: 1, green: 1,
+  profit: 1, gains: 1.5, gain: 1, growth: 1, hodl: 1, hold: 0.5, holding: 0.5, based: 1,
+  great: 1.5, good: 1, excellent: 2, love: 1.5, up: 0.5, rally: 1.5, rallying: 1.5,
+  bearish: -2, dump: -1.5, dumping: -2, dumped: -1.5, rug: -3, rugged: -3, rugpull: -3,
+  scam: -3, honeypot: -3, rekt: -2, ngmi: -2, sell: -1, selling: -1, sold: -0.5,
+  crash: -2, crashing: -2, crashed: -2, red: -1, exit: -1, jeet: -1, jeets: -1,
+  dead: -2, bleed: -1.5, bleeding: -1.5, weak: -1, overvalued: -1.5, fud: -1, avoid: -2,
+  warning: -1.5, hack: -3, hacked: -3, exploit: -3, drained: -2.5, loss: -1.5, losses: -1.5,
+  bad: -1.5, terrible: -2, poor: -1, down: -0.5, drop: -1, dropping: -1, falling: -1,
+  '🚀': 1.5, '🔥': 1, '💎': 1, '📈': 1, '🐂': 1, '🌙': 1,
+  '📉': -1, '💀': -1.5, '🩸': -1, '🐻': -1, '🤡': -1, '⚠': -1.5
+};
+
+const NEGATIONS = new Set(['not', 'no', 'never', "don't", 'dont', "isn't", 'isnt', "ain't", 'aint', "can't", 'cant', "won't", 'wont']);
+const INTENSIFIERS = new Set(['very', 'super', 'extremely', 'so', 'mega', 'hugely']);
+
+// Words after a negation that are flipped
+const NEGATION_SPAN = 2;
+
+// Squashes the summed weights into -1..1; higher means more words are needed for a strong score
+const NORMALIZATION_ALPHA = 15;
+
+// Change in the fitted score over the window that counts as rising or falling
+export const TREND_THRESHOLD = 0.1;
+
+const words = (text = '') => text.toLowerCase().match(/[a-z0-9']+|\p{Extended_Pictographic}/gu) || [];
+
+const clamp = (value) => Math.max(-1, Math.min(1, value));
+
+/**
+ * Lexicon score for a piece of text, with negation ("not bullish") and
+ * intensifiers ("very bullish")
+ * @returns {Number} - -1 to 1, 0 when no sentiment words are found
+ */
+export const scoreText = (text) => {
+  let sum = 0;
+  let negateFor = 0;
+  let boost = 1;
+
+  for (const word of words(text)) {
+    if (NEGATIONS.has(word)) {
+      negateFor = NEGATION_SPAN;
+      continue;
+    }
+    if (INTENSIFIERS.has(word)) {
+      boost = 1.5;
+      continue;
+    }
+
+    const weight = LEXICON[word];
+    if (weight !== undefined) {
+      sum += weight * boost * (negateFor > 0 ? -0.75 : 1);
+    }
+    boost = 1;
+    negateFor = Math.max(0, negateFor - 1);
+  }
+
+  return sum === 0 ? 0 : clamp(sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA));
+};
+
+/**
+ * Tokens a post is about: Solana addresses in the text and $cashtags of known symbols
+ * @param {String} text - Post text
+ * @param {Map} symbols - Uppercase symbol -> token address, or null when the symbol is ambiguous
+ * @returns {Array} - Token addresses
+ */
+export const extractTokenMentions = (text = '', symbols = new Map()) => {
+  const mentions = new Set(text.match(/\b[1-9A-HJ-NP-Za-km-z]{32,44}\b/g) || []);
+  for (const [, symbol] of text.matchAll(/\$([A-Za-z][A-Za-z0-9]{1,9})\b/g)) {
+    const address = symbols.get(symbol.toUpperCase());
+    if (address) mentions.add(address);
+  }
+  return [...mentions];
+};
+
+/**
+ * Average of post scores with a positive/negative split
+ * @param {Array} scores - Post scores
+ * @returns {Object} - { score (null without posts), count, positive, negative, neutral }
+ */
+export const summarizePosts = (scores) => {
+  const positive = scores.filter(score => score > 0.05).length;
+  const negative = scores.filter(score => score < -0.05).length;
+  return {
+    score: scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null,
+    count: scores.length,
+    positive,
+    negative,
+    neutral: scores.length - positive - negative
+  };
+};
+
+/**
+ * Buy/sell pressure from a pair's transaction counts, over the last hour when
+ * there were trades then, otherwise the last 24h
+ * @returns {Object|null} - { pressure (-1 all sells to 1 all buys), buys, sells, window }
+ */
+export const buyPressure = (txns) => {
+  for (const window of ['h1', 'h24']) {
+    const buys = parseInt(txns?.[window]?.buys) || 0;
+    const sells = parseInt(txns?.[window]?.sells) || 0;
+    if (buys + sells > 0) {
+      return { pressure: (buys - sells) / (buys + sells), buys, sells, window };
+    }
+  }
+  return null;
+};
+
+/**
+ * Blend social and on-chain sentiment. Social sentiment only counts with
+ * enough posts; either side is used alone when the other is missing
+ * @param {Object} inputs - { social, postCount, pressure }
+ * @param {Object} options - { socialWeight (0-1), minPosts }
+ * @returns {Number|null}
+ */
+export const combineSentiment = ({ social, postCount, pressure }, { socialWeight, minPosts }) => {
+  const hasSocial = social !== null && postCount >= minPosts;
+  const hasPressure = pressure !== null && pressure !== undefined;
+  if (hasSocial && hasPressure) return socialWeight * social + (1 - socialWeight) * pressure;
+  if (hasSocial) return social;
+  if (hasPressure) return pressure;
+  return null;
+};
+
+export const sentimentLabel = (score) => {
+  if (score === null || score === undefined) return 'unknown';
+  if (score >= 0.2) return 'bullish';
+  if (score <= -0.2) return 'bearish';
+  return 'neutral';
+};
+
+/**
+ * Direction of a sentiment series from a least-squares fit
+ * @param {Array} series - [{ time, score }] oldest first
+ * @returns {Object} - { direction ('rising', 'falling', 'flat' or 'unknown'), change (fitted change over the series), points }
+ */
+export const sentimentTrend = (series) => {
+  if (series.length < 2) {
+    return { direction: 'unknown', change: null, points: series.length };
+  }
+
+  const n = series.length;
+  const meanTime = series.reduce((sum, p) => sum + p.time, 0) / n;
+  const meanScore = series.reduce((sum, p) => sum + p.score, 0) / n;
+  let cov = 0;
+  let varTime = 0;
+  for (const point of series) {
+    cov += (point.time - meanTime) * (point.score - meanScore);
+    varTime += (point.time - meanTime) ** 2;
+  }
+  if (varTime === 0) {
+    return { direction: 'unknown', change: null, points: n };
+  }
+
+  const change = (cov / varTime) * (series[n - 1].time - series[0].time);
+  const direction = change >= TREND_THRESHOLD ? 'rising' : change <= -TREND_THRESHOLD ? 'falling' : 'flat';
+  return { direction, change, points: n };
+};
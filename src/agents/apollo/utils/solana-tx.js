@@ -0,0 +1,194 @@
+import { encodeBase58 } from './base58.js';
+
+/**
+ * Minimal Solana transaction wire-format helpers.
+ * Enough to inspect and sign legacy and v0 transactions built by an
+ * aggregator, without pulling in the full web3 SDK.
+ */
+
+const SIGNATURE_LENGTH = 64;
+const PUBLIC_KEY_LENGTH = 32;
+
+export const decodeShortVec = (buffer, offset = 0) => {
+  let value = 0;
+  let length = 0;
+  while (true) {
+    const byte = buffer[offset + length];
+    value |= (byte & 0x7f) << (7 * length);
+    length++;
+    if ((byte & 0x80) === 0) break;
+  }
+  return { value, length };
+};
+
+export const encodeShortVec = (value) => {
+  const bytes = [];
+  let remaining = value;
+  while (true) {
+    let byte = remaining & 0x7f;
+    remaining >>= 7;
+    if (remaining === 0) {
+      bytes.push(byte);
+      break;
+    }
+    byte |= 0x80;
+    bytes.push(byte);
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Parse a serialized transaction
+ * @param {Buffer|String} serialized - Raw bytes or base64 string
+ * @returns {Object} - { signatures, message, version, numRequiredSignatures, accountKeys, recentBlockhash }
+ */
+export const parseTransaction = (serialized) => {
+  const buffer = typeof serialized === 'string' ? Buffer.from(serialized, 'base64') : Buffer.from(serialized);
+
+  const signatureCount = decodeShortVec(buffer, 0);
+  let offset = signatureCount.length;
+  const signatures = [];
+  for (let i = 0; i < signatureCount.value; i++) {
+    signatures.push(buffer.subarray(offset, offset + SIGNATURE_LENGTH));
+    offset += SIGNATURE_LENGTH;
+  }
+
+  const message = buffer.subarray(offset);
+  let cursor = 0;
+  let version = 'legacy';
+  if (message[0] & 0x80) {
+    version = message[0] & 0x7f;
+    cursor++;
+  }
+
+  const numRequiredSignatures = message[cursor];
+  cursor += 3; // header: required signatures, readonly signed, readonly unsigned
+
+  const keyCount = decodeShortVec(message, cursor);
+  cursor += keyCount.length;
+  const accountKeys = [];
+  for (let i = 0; i < keyCount.value; i++) {
+    accountKeys.push(encodeBase58(message.subarray(cursor, cursor + PUBLIC_KEY_LENGTH)));
+    cursor += PUBLIC_KEY_LENGTH;
+  }
+
+  const recentBlockhash = encodeBase58(message.subarray(cursor, cursor + PUBLIC_KEY_LENGTH));
+  cursor += PUBLIC_KEY_LENGTH;
+
+  const readBytes = () => {
+    const length = decodeShortVec(message, cursor);
+    cursor += length.length;
+    const bytes = message.subarray(cursor, cursor + length.value);
+    cursor += length.value;
+    return bytes;
+  };
+
+  const instructionCount = decodeShortVec(message, cursor);
+  cursor += instructionCount.length;
+  const instructions = [];
+  for (let i = 0; i < instructionCount.value; i++) {
+    const programIdIndex = message[cursor++];
+    const accounts = [...readBytes()];
+    instructions.push({ programIdIndex, accounts, data: readBytes() });
+  }
+
+  // v0 transactions can load further accounts from address lookup tables
+  const addressTableLookups = [];
+  if (version !== 'legacy') {
+    const lookupCount = decodeShortVec(message, cursor);
+    cursor += lookupCount.length;
+    for (let i = 0; i < lookupCount.value; i++) {
+      const accountKey = encodeBase58(message.subarray(cursor, cursor + PUBLIC_KEY_LENGTH));
+      cursor += PUBLIC_KEY_LENGTH;
+      const writableIndexes = [...readBytes()];
+      addressTableLookups.push({ accountKey, writableIndexes, readonlyIndexes: [...readBytes()] });
+    }
+  }
+
+  return {
+    signatures,
+    message,
+    version,
+    numRequiredSignatures,
+    accountKeys,
+    recentBlockhash,
+    instructions,
+    addressTableLookups
+  };
+};
+
+/**
+ * Addresses stored in an address lookup table account (after its 56-byte header)
+ * @param {Buffer} data - The lookup table account's data
+ */
+export const decodeLookupTableAddresses = (data) => {
+  const addresses = [];
+  for (let offset = 56; offset + PUBLIC_KEY_LENGTH <= data.length; offset += PUBLIC_KEY_LENGTH) {
+    addresses.push(encodeBase58(data.subarray(offset, offset + PUBLIC_KEY_LENGTH)));
+  }
+  return addresses;
+};
+
+/**
+ * Check that a swap transaction does what its quote says before it is signed:
+ * the wallet is the fee payer and only signer, both mints are among the
+ * accounts and an instruction carries the quoted input amount (u64, little endian)
+ * @param {Object} tx - From parseTransaction
+ * @param {Array} accountKeys - Static keys plus those loaded from lookup tables
+ * @param {Object} expected - { wallet, inputMint, outputMint, inAmount (base units) }
+ * @returns {String|null} - What doesn't match, or null
+ */
+export const findSwapMismatch = (tx, accountKeys, { wallet, inputMint, outputMint, inAmount }) => {
+  if (tx.accountKeys[0] !== wallet || tx.numRequiredSignatures !== 1) {
+    return `the transaction must be paid for and signed by ${wallet} alone`;
+  }
+
+  for (const mint of [inputMint, outputMint]) {
+    if (!accountKeys.includes(mint)) {
+      return `the transaction does not use the quoted mint ${mint}`;
+    }
+  }
+
+  const amount = Buffer.alloc(8);
+  amount.writeBigUInt64LE(BigInt(inAmount));
+  if (!tx.instructions.some(instruction => instruction.data.includes(amount))) {
+    return `no instruction swaps the quoted amount of ${inAmount}`;
+  }
+
+  return null;
+};
+
+/**
+ * Serialize signatures and a message into a transaction
+ */
+export const serializeTransaction = (signatures, message) => {
+  return Buffer.concat([encodeShortVec(signatures.length), ...signatures, message]);
+};
+
+/**
+ * Insert a signature for the given signer into a serialized transaction
+ * @param {Buffer|String} serialized - Raw bytes or base64 string
+ * @param {String} publicKey - Base58 signer public key
+ * @param {Buffer} signature - 64-byte ed25519 signature of the message
+ * @returns {Buffer} - The signed transaction
+ */
+export const applySignature = (serialized, publicKey, signature) => {
+  const tx = parseTransaction(serialized);
+  const signerIndex = tx.accountKeys.indexOf(publicKey);
+
+  if (signerIndex === -1 || signerIndex >= tx.numRequiredSignatures) {
+    throw new Error(`${publicKey} is not a required signer of this transaction`);
+  }
+
+  const signatures = tx.signatures.map(sig => Buffer.from(sig));
+  signatures[signerIndex] = Buffer.from(signature);
+  return serializeTransaction(signatures, tx.message);
+};
+
+/**
+ * The transaction ID is the base58 of the first (fee payer) signature
+ */
+export const getTransactionId = (serialized) => {
+  const tx = parseTransaction(serialized);
+  return tx.signatures.length > 0 ? encodeBase58(tx.signatures[0]) : null;
+};
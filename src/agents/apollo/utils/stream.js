@@ -0,0 +1,53 @@
+/**
+ * Creates a push-based event channel that can be consumed as an async iterator.
+ * Producers call push() from callbacks; consumers use `for await...of`.
+ */
+export const createEventChannel = () => {
+  const queue = [];
+  const waiting = [];
+  let closed = false;
+
+  const push = (event) => {
+    if (closed) return;
+    if (waiting.length > 0) {
+      waiting.shift()({ value: event, done: false });
+    } else {
+      queue.push(event);
+    }
+  };
+
+  const end = () => {
+    closed = true;
+    while (waiting.length > 0) {
+      waiting.shift()({ value: undefined, done: true });
+    }
+  };
+
+  const iterator = {
+    next() {
+      if (queue.length > 0) {
+        return Promise.resolve({ value: queue.shift(), done: false });
+      }
+      if (closed) {
+        return Promise.resolve({ value: undefined, done: true });
+      }
+      return new Promise(resolve => waiting.push(resolve));
+    },
+    return() {
+      end();
+      return Promise.resolve({ value: undefined, done: true });
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    }
+  };
+
+  return { push, end, iterator };
+};
+
+/**
+ * Formats an event for a Server-Sent Events response
+ */
+export const formatSSE = (eventName, data) => {
+  return `event: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`;
+};
@@ -0,0 +1,59 @@
+import { OTHER_CATEGORY } from '../constants/token-categories.js';
+
+/**
+ * Token classification into sectors (AI, meme, stable, LST...).
+ *
+ * Addresses are compared case-insensitively because some sources (gmgn
+ * holdings) return them lowercased.
+ */
+
+// Whole lowercase words, splitting camelCase and digits so "ai16z" gives "ai" but "Thai" doesn't
+const tokenWords = (text = '') => text
+  .replace(/([a-z])([A-Z])/g, '$1 $2')
+  .toLowerCase()
+  .split(/[^a-z]+/)
+  .filter(Boolean);
+
+/**
+ * Category key for a token
+ * @param {Object} token - { address, name, symbol }
+ * @param {Array} categories - [{ key, order, addresses, symbols, keywords }]
+ * @param {Map} assignments - Lowercased token address -> category key, set by hand
+ * @returns {String} - Category key, or 'other'
+ */
+export const classifyToken = (token, categories, assignments = new Map()) => {
+  const address = token.address?.toLowerCase();
+  const known = new Set(categories.map(c => c.key));
+  const ordered = [...categories].sort((a, b) => (a.order ?? 100) - (b.order ?? 100));
+
+  const assigned = assignments.get(address);
+  if (assigned && known.has(assigned)) return assigned;
+
+  const byAddress = ordered.find(c => (c.addresses || []).some(a => a.toLowerCase() === address));
+  if (byAddress) return byAddress.key;
+
+  const symbol = token.symbol?.toUpperCase();
+  const bySymbol = ordered.find(c => (c.symbols || []).some(s => s.toUpperCase() === symbol));
+  if (bySymbol) return bySymbol.key;
+
+  const words = new Set([...tokenWords(token.name), ...tokenWords(token.symbol)]);
+  const byKeyword = ordered.find(c => (c.keywords || []).some(k => words.has(k.toLowerCase())));
+  return byKeyword ? byKeyword.key : OTHER_CATEGORY.key;
+};
+
+/**
+ * Sum token values by category
+ * @param {Array} tokens - [{ address, name, symbol, value }]
+ * @returns {Array} - [{ key, label, value, count }] in category order, 'other' last, empty categories left out
+ */
+export const breakdownByCategory = (tokens, categories, assignments = new Map()) => {
+  const ordered = [...categories].sort((a, b) => (a.order ?? 100) - (b.order ?? 100));
+  const buckets = new Map([...ordered, OTHER_CATEGORY].map(c => [c.key, { key: c.key, label: c.label, value: 0, count: 0 }]));
+
+  for (const token of tokens) {
+    const bucket = buckets.get(classifyToken(token, categories, assignments));
+    bucket.value += token.value || 0;
+    bucket.count++;
+  }
+  return [...buckets.values()].filter(bucket => bucket.count > 0);
+};
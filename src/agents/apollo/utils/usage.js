@@ -0,0 +1,57 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Rough token count for text or chat messages (about 4 characters per
+ * token), for APIs and local servers that don't report usage
+ */
+export const estimateTokens = (value) => {
+  if (value === null || value === undefined) return 0;
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return Math.ceil(text.length / 4);
+};
+
+/**
+ * Start of the UTC day containing a time; daily budgets and rollups use UTC days
+ */
+export const startOfUtcDay = (time = Date.now()) => Math.floor(time / DAY_MS) * DAY_MS;
+
+export const nextUtcDay = (time = Date.now()) => startOfUtcDay(time) + DAY_MS;
+
+/**
+ * Start of a window of whole UTC days, today included
+ */
+export const startOfUtcDays = (days, time = Date.now()) => startOfUtcDay(time) - (days - 1) * DAY_MS;
+
+/**
+ * Roll usage rows grouped by day, provider and model up into one entry per day
+ * @param {Array} rows - From database.getLlmUsageByDay
+ * @returns {Array} - [{ day, calls, failures, estimatedCalls, promptTokens, completionTokens, costUsd, models }], newest first
+ */
+export const rollupUsageByDay = (rows) => {
+  const days = new Map();
+
+  for (const row of rows) {
+    if (!days.has(row.day)) {
+      days.set(row.day, { day: row.day, calls: 0, failures: 0, estimatedCalls: 0, promptTokens: 0, completionTokens: 0, costUsd: 0, models: [] });
+    }
+    const day = days.get(row.day);
+    const model = {
+      provider: row.provider,
+      model: row.model,
+      calls: row.calls,
+      failures: row.failures,
+      estimatedCalls: row.estimated_calls,
+      promptTokens: row.prompt_tokens,
+      completionTokens: row.completion_tokens,
+      costUsd: row.cost_usd,
+      avgLatencyMs: row.avg_latency_ms === null ? null : Math.round(row.avg_latency_ms)
+    };
+
+    day.models.push(model);
+    for (const key of ['calls', 'failures', 'estimatedCalls', 'promptTokens', 'completionTokens', 'costUsd']) {
+      day[key] += model[key];
+    }
+  }
+
+  return [...days.values()].sort((a, b) => b.day.localeCompare(a.day));
+};
@@ -0,0 +1,190 @@
+/**
+ * Wallet comparison from swap histories.
+ *
+ * Entries are a wallet's first buy of each token. Two wallets that keep
+ * entering the same tokens shortly after one another are likely copy-trading;
+ * wallets that enter within seconds of each other are more likely one operator
+ * (or one bot) split across addresses.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Entries this close together count as simultaneous rather than one following the other
+export const SAME_TIME_MS = 10 * 1000;
+// Shared entries needed before calling anyone a copy-trader
+export const MIN_SHARED_ENTRIES = 3;
+// Share of shared entries that must follow the leader's within the copy window
+export const COPY_FOLLOW_RATE = 0.6;
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+/**
+ * Pearson correlation of two equal-length series, or null if either is flat
+ */
+export const pearson = (x, y) => {
+  const n = x.length;
+  if (n < 2) return null;
+  const meanX = x.reduce((sum, v) => sum + v, 0) / n;
+  const meanY = y.reduce((sum, v) => sum + v, 0) / n;
+  let cov = 0, varX = 0, varY = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (x[i] - meanX) * (y[i] - meanY);
+    varX += (x[i] - meanX) ** 2;
+    varY += (y[i] - meanY) ** 2;
+  }
+  return varX > 0 && varY > 0 ? cov / Math.sqrt(varX * varY) : null;
+};
+
+/**
+ * A wallet's first buy of each token
+ * @param {Array} swaps - Swaps oldest first
+ * @returns {Map} - tokenAddress -> { tokenAddress, symbol, time, usdValue }
+ */
+export const firstEntries = (swaps) => {
+  const entries = new Map();
+  for (const swap of swaps) {
+    if (swap.side === 'buy' && !entries.has(swap.tokenAddress)) {
+      entries.set(swap.tokenAddress, { tokenAddress: swap.tokenAddress, symbol: swap.symbol, time: swap.time, usdValue: swap.usdValue });
+    }
+  }
+  return entries;
+};
+
+// Hourly buy counts over the window both wallets were active in
+const hourlyBuyCorrelation = (a, b) => {
+  const buyTimes = (swaps) => swaps.filter(s => s.side === 'buy').map(s => s.time);
+  const timesA = buyTimes(a);
+  const timesB = buyTimes(b);
+  if (timesA.length === 0 || timesB.length === 0) return null;
+
+  const start = Math.max(timesA[0], timesB[0]);
+  const end = Math.min(timesA[timesA.length - 1], timesB[timesB.length - 1]);
+  if (end <= start) return null;
+
+  const buckets = Math.floor((end - start) / HOUR_MS) + 1;
+  const bucketize = (times) => {
+    const counts = new Array(buckets).fill(0);
+    for (const time of times) {
+      if (time >= start && time <= end) counts[Math.floor((time - start) / HOUR_MS)]++;
+    }
+    return counts;
+  };
+  return pearson(bucketize(timesA), bucketize(timesB));
+};
+
+/**
+ * Compare two wallets' holdings and entry timing
+ * @param {Object} a - { address, swaps (oldest first), holdings: [{ address, symbol, value }] }
+ * @param {Object} b - Same shape as a
+ * @param {Object} options - { windowMs } within which a later entry counts as following
+ * @returns {Object} - { wallets, sharedHoldings, tradedOverlap, sharedEntries, entries, sameTimeEntries,
+ *   entryCorrelation, copyTrade: { leader, follower, followRate, medianLagMs } | null }
+ */
+export const compareWalletPair = (a, b, options = {}) => {
+  const { windowMs = 10 * 60 * 1000 } = options;
+
+  // gmgn lowercases holding addresses, so match them case-insensitively
+  const holdingsB = new Map(b.holdings.map(h => [h.address.toLowerCase(), h]));
+  const sharedHoldings = a.holdings
+    .filter(h => holdingsB.has(h.address.toLowerCase()))
+    .map(h => ({ address: h.address, symbol: h.symbol, valueA: h.value, valueB: holdingsB.get(h.address.toLowerCase()).value }));
+
+  const entriesA = firstEntries(a.swaps);
+  const entriesB = firstEntries(b.swaps);
+  const tradedA = new Set(a.swaps.map(s => s.tokenAddress));
+  const tradedB = new Set(b.swaps.map(s => s.tokenAddress));
+  const tradedUnion = new Set([...tradedA, ...tradedB]);
+  const tradedShared = [...tradedA].filter(t => tradedB.has(t)).length;
+
+  // Positive lag: b entered after a
+  const entries = [...entriesA.values()]
+    .filter(entry => entriesB.has(entry.tokenAddress))
+    .map(entry => ({
+      tokenAddress: entry.tokenAddress,
+      symbol: entry.symbol,
+      entryA: entry.time,
+      entryB: entriesB.get(entry.tokenAddress).time,
+      lagMs: entriesB.get(entry.tokenAddress).time - entry.time
+    }))
+    .sort((x, y) => Math.min(x.entryA, x.entryB) - Math.min(y.entryA, y.entryB));
+
+  const sameTime = entries.filter(e => Math.abs(e.lagMs) <= SAME_TIME_MS);
+  const bFollows = entries.filter(e => e.lagMs > SAME_TIME_MS && e.lagMs <= windowMs);
+  const aFollows = entries.filter(e => -e.lagMs > SAME_TIME_MS && -e.lagMs <= windowMs);
+
+  let copyTrade = null;
+  if (entries.length >= MIN_SHARED_ENTRIES) {
+    const [follows, leader, follower, sign] = bFollows.length >= aFollows.length
+      ? [bFollows, a.address, b.address, 1]
+      : [aFollows, b.address, a.address, -1];
+    const followRate = follows.length / entries.length;
+    if (followRate >= COPY_FOLLOW_RATE) {
+      copyTrade = { leader, follower, followRate, medianLagMs: median(follows.map(e => e.lagMs * sign)) };
+    }
+  }
+
+  return {
+    wallets: [a.address, b.address],
+    sharedHoldings,
+    tradedOverlap: tradedUnion.size > 0 ? tradedShared / tradedUnion.size : 0,
+    sharedEntries: entries.length,
+    entries,
+    sameTimeEntries: sameTime.length,
+    entryCorrelation: hourlyBuyCorrelation(a.swaps, b.swaps),
+    copyTrade
+  };
+};
+
+/**
+ * Flag bot-like trading
+ * @param {Array} swaps - Swaps oldest first
+ * @param {Object} roundTrips - Closed round trips from replaySwaps, for hold times
+ * @param {String|null} traderType - 'Bot' from fetchTraderDetails (over 700 buys in 7 days)
+ * @returns {Object} - { bot, reasons: [String], swapsPerDay, medianHoldMs }
+ */
+export const detectBotActivity = (swaps, roundTrips = [], traderType = null) => {
+  const reasons = [];
+  if (traderType === 'Bot') {
+    reasons.push('over 700 buys in the last 7 days');
+  }
+
+  const span = swaps.length > 1 ? swaps[swaps.length - 1].time - swaps[0].time : 0;
+  const swapsPerDay = span > 0 ? swaps.length / Math.max(span / DAY_MS, 1) : null;
+  if (swapsPerDay !== null && swapsPerDay > 100) {
+    reasons.push(`${Math.round(swapsPerDay)} swaps per day`);
+  }
+
+  const medianHoldMs = median(roundTrips.map(trip => trip.closedAt - trip.openedAt));
+  if (roundTrips.length >= 10 && medianHoldMs < 60 * 1000) {
+    reasons.push(`median hold of ${Math.round(medianHoldMs / 1000)}s over ${roundTrips.length} trades`);
+  }
+
+  return { bot: reasons.length > 0, reasons, swapsPerDay, medianHoldMs };
+};
+
+/**
+ * Order wallets by when they first bought a token
+ * @param {String} tokenAddress - Token mint address
+ * @param {Array} wallets - [{ address, swaps }]
+ * @returns {Array} - [{ address, time, usdValue, afterFirstMs }] earliest first; wallets that never bought are left out
+ */
+export const rankEarlyBuyers = (tokenAddress, wallets) => {
+  const buyers = wallets
+    .map(wallet => ({ address: wallet.address, entry: firstEntries(wallet.swaps).get(tokenAddress) }))
+    .filter(buyer => buyer.entry)
+    .sort((x, y) => x.entry.time - y.entry.time);
+
+  const first = buyers[0]?.entry.time;
+  return buyers.map(({ address, entry }) => ({
+    address,
+    time: entry.time,
+    usdValue: entry.usdValue,
+    afterFirstMs: entry.time - first
+  }));
+};
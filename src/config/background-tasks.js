@@ -55,16 +55,34 @@ export const BACKGROUND_TASK_CONFIG = {
   sentimentAnalysis: {
     interval: 15 * 60 * 1000, // 15 minutes
     enabled: true,
-    description: 'Analyze sentiment trends from conversations',
+    description: 'Ingest social posts and record token sentiment snapshots',
     priority: 'medium',
     category: 'analysis'
   },
 
-  // Token price monitoring - tracks token prices
+  // Token price monitoring - checks price alerts and watchlists
   tokenPriceMonitoring: {
     interval: 1 * 60 * 1000, // 1 minute
-    enabled: false, // Disabled by default to avoid API rate limits
-    description: 'Monitor token prices and alert on significant changes',
+    enabled: true, // Only calls the API for tokens with active alerts or on a watchlist
+    description: 'Monitor watched token prices and trigger price alerts',
+    priority: 'medium',
+    category: 'monitoring'
+  },
+
+  // Smart-money tracking - records labelled wallets' buys and sells as market events
+  smartMoneyTracking: {
+    interval: 2 * 60 * 1000, // 2 minutes
+    enabled: true, // Only calls the API when wallets are labelled as smart money
+    description: 'Poll smart-money wallets and record their trades',
+    priority: 'medium',
+    category: 'monitoring'
+  },
+
+  // Pair discovery - scores newly created pairs against the discovery filters
+  pairDiscovery: {
+    interval: 1 * 60 * 1000, // 1 minute
+    enabled: false, // Will be overridden by ENV.DISCOVERY_ENABLED
+    description: 'Discover new pairs and score them against the launch filters',
     priority: 'medium',
     category: 'monitoring'
   },
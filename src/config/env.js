@@ -5,11 +5,129 @@ dotenv.config();
 export const ENV = {
   AI_PROVIDER: process.env.AI_PROVIDER || 'openai',
   AI_PERSONALITY: process.env.AI_PERSONALITY || 'apollo',
+  // Providers tried in order when AI_PROVIDER fails, e.g. "openai,local"
+  AI_FALLBACK_PROVIDERS: (process.env.AI_FALLBACK_PROVIDERS || '').split(',').map(s => s.trim()).filter(Boolean),
+  AI_PROVIDER_FAILURE_THRESHOLD: parseInt(process.env.AI_PROVIDER_FAILURE_THRESHOLD || '3', 10), // Consecutive failures before a provider is skipped
+  AI_PROVIDER_COOLDOWN_MS: parseInt(process.env.AI_PROVIDER_COOLDOWN_MS || '60000', 10),
+  AI_PRICES_CONFIG: process.env.AI_PRICES_CONFIG, // JSON file of USD prices per million tokens, merged over src/config/pricing.js
+  AI_DAILY_BUDGET_USD: process.env.AI_DAILY_BUDGET_USD ? parseFloat(process.env.AI_DAILY_BUDGET_USD) : null, // Estimated spend per UTC day, all sessions
+  AI_SESSION_DAILY_BUDGET_USD: process.env.AI_SESSION_DAILY_BUDGET_USD ? parseFloat(process.env.AI_SESSION_DAILY_BUDGET_USD) : null,
+  AI_BUDGET_ACTION: process.env.AI_BUDGET_ACTION || 'downgrade', // Over budget: 'downgrade' to the analysis model or 'refuse'
+  AI_MODELS_CONFIG: process.env.AI_MODELS_CONFIG, // JSON file of models and parameters per provider and task
+  AI_ANSWER_MODEL: process.env.AI_ANSWER_MODEL,
+  AI_ANALYSIS_MODEL: process.env.AI_ANALYSIS_MODEL, // Query classification and other short structured calls
+  AI_VISION_MODEL: process.env.AI_VISION_MODEL, // Chart reading
+  AI_TEMPERATURE: process.env.AI_TEMPERATURE ? parseFloat(process.env.AI_TEMPERATURE) : undefined,
+  AI_MAX_TOKENS: process.env.AI_MAX_TOKENS ? parseInt(process.env.AI_MAX_TOKENS, 10) : undefined,
+  AI_TOP_P: process.env.AI_TOP_P ? parseFloat(process.env.AI_TOP_P) : undefined,
   OPENAI_API_KEY: process.env.OPENAI_API_KEY,
   ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY,
   GOOGLE_API_KEY: process.env.GOOGLE_API_KEY,
   GROK_API_KEY: process.env.GROK_API_KEY,
   DEEPSEEK_API_KEY: process.env.DEEPSEEK_API_KEY,
+  LOCAL_LLM_BASE_URL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1', // OpenAI-compatible server for AI_PROVIDER=local
+  LOCAL_API_KEY: process.env.LOCAL_API_KEY, // Only if the local server checks one
+  MOCK_LLM_SCRIPT: process.env.MOCK_LLM_SCRIPT || './fixtures/mock-llm.json', // Scripted replies for AI_PROVIDER=mock
+  DB_PATH: process.env.DB_PATH || './apollo_memory.db', // SQLite file for memory, sessions, journals and usage
+  
+  // Agent mode: 'tools' lets the model call enhancers as tools, 'router' uses the legacy query router
+  AGENT_MODE: process.env.AGENT_MODE || 'tools',
+  
+  // Market data sources, tried in order with fallback: dexscreener, gmgn, birdeye, fixture
+  MARKET_DATA_SOURCES: (process.env.MARKET_DATA_SOURCES || 'dexscreener,gmgn,geckoterminal,birdeye').split(',').map(s => s.trim()).filter(Boolean),
+  MARKET_DATA_COOLDOWN_MS: parseInt(process.env.MARKET_DATA_COOLDOWN_MS || '60000', 10),
+  MARKET_DATA_FIXTURE_PATH: process.env.MARKET_DATA_FIXTURE_PATH || './fixtures/market-data.json',
+  DEXSCREENER_API_URL: process.env.DEXSCREENER_API_URL || 'https://api.dexscreener.com',
+  GMGN_API_URL: process.env.GMGN_API_URL || 'https://gmgn.ai',
+  BIRDEYE_API_URL: process.env.BIRDEYE_API_URL || 'https://public-api.birdeye.so',
+  BIRDEYE_API_KEY: process.env.BIRDEYE_API_KEY,
+  GECKOTERMINAL_API_URL: process.env.GECKOTERMINAL_API_URL || 'https://api.geckoterminal.com/api/v2',
+  
+  // Upstream HTTP client: request budgets per host ("host=requests/seconds"), retries and backoff
+  HTTP_HOST_BUDGETS: (process.env.HTTP_HOST_BUDGETS || 'api.dexscreener.com=300/60,gmgn.ai=60/60,public-api.birdeye.so=60/60,api.geckoterminal.com=30/60,quote-api.jup.ag=60/60,api.mainnet-beta.solana.com=100/10').split(',').map(s => s.trim()).filter(Boolean),
+  HTTP_DEFAULT_BUDGET: process.env.HTTP_DEFAULT_BUDGET || '120/60',
+  HTTP_MAX_RETRIES: parseInt(process.env.HTTP_MAX_RETRIES || '3', 10),
+  HTTP_BASE_BACKOFF_MS: parseInt(process.env.HTTP_BASE_BACKOFF_MS || '500', 10),
+  HTTP_MAX_BACKOFF_MS: parseInt(process.env.HTTP_MAX_BACKOFF_MS || '8000', 10),
+  HTTP_MAX_WAIT_MS: parseInt(process.env.HTTP_MAX_WAIT_MS || '5000', 10), // Longer waits for a budget or Retry-After fail fast
+  
+  // API response cache
+  API_CACHE_ENABLED: process.env.API_CACHE_ENABLED !== 'false',
+  API_CACHE_PERSIST: process.env.API_CACHE_PERSIST === 'true', // Also keep entries in SQLite across restarts
+  API_CACHE_MAX_ENTRIES: parseInt(process.env.API_CACHE_MAX_ENTRIES || '1000', 10),
+  API_CACHE_PRICE_TTL_MS: parseInt(process.env.API_CACHE_PRICE_TTL_MS || '30000', 10),
+  API_CACHE_TOKEN_TTL_MS: parseInt(process.env.API_CACHE_TOKEN_TTL_MS || '60000', 10),
+  API_CACHE_WALLET_TTL_MS: parseInt(process.env.API_CACHE_WALLET_TTL_MS || '120000', 10),
+  
+  // Token charts rendered from OHLCV candles
+  CHART_INTERVAL: process.env.CHART_INTERVAL || '15m', // 1m, 5m, 15m, 1h, 4h or 1d
+  CHART_CANDLES: parseInt(process.env.CHART_CANDLES || '96', 10),
+  CHART_MA_PERIODS: (process.env.CHART_MA_PERIODS || '7,25').split(',').map(s => parseInt(s, 10)).filter(n => n > 1),
+
+  // Price correlation across the trending and watched tokens in market answers
+  CORRELATION_INTERVAL: process.env.CORRELATION_INTERVAL || '1h', // 1m, 5m, 15m, 1h, 4h or 1d
+  CORRELATION_CANDLES: parseInt(process.env.CORRELATION_CANDLES || '48', 10),
+  CORRELATION_MAX_TOKENS: parseInt(process.env.CORRELATION_MAX_TOKENS || '15', 10),
+  CORRELATION_MIN_COEFFICIENT: parseFloat(process.env.CORRELATION_MIN_COEFFICIENT || '0.7'), // Weaker pairs aren't stored or reported as correlated
+  CORRELATION_TOP_PAIRS: parseInt(process.env.CORRELATION_TOP_PAIRS || '5', 10),
+
+  // Wallet swap history kept in SQLite for trade reconstruction
+  WALLET_HISTORY_MAX_SWAPS: parseInt(process.env.WALLET_HISTORY_MAX_SWAPS || '500', 10), // Swaps fetched for a wallet's first analysis
+  WALLET_HISTORY_REFRESH_MS: parseInt(process.env.WALLET_HISTORY_REFRESH_MS || '120000', 10), // Reuse the stored history for this long
+  WALLET_HISTORY_PRICED_POSITIONS: parseInt(process.env.WALLET_HISTORY_PRICED_POSITIONS || '10', 10), // Open positions priced for unrealized PnL
+  COPY_TRADE_WINDOW_MS: parseInt(process.env.COPY_TRADE_WINDOW_MS || '600000', 10), // Entry lag that counts as following another wallet
+
+  // Smart-money wallets: "address:label:category" entries seeded as labelled wallet entities
+  SMART_WALLETS: (process.env.SMART_WALLETS || '').split(',').map(s => s.trim()).filter(Boolean),
+  SMART_MONEY_MIN_USD: parseFloat(process.env.SMART_MONEY_MIN_USD || '500'), // Smaller swaps are left out of the feed
+  SMART_MONEY_LOOKBACK_MS: parseInt(process.env.SMART_MONEY_LOOKBACK_MS || '3600000', 10), // Backfill on startup
+
+  // New pair discovery: launches that pass these filters are flagged as candidates
+  DISCOVERY_ENABLED: process.env.DISCOVERY_ENABLED === 'true', // Scans every minute whether or not anyone reads the launches
+  DISCOVERY_MIN_LIQUIDITY_USD: parseFloat(process.env.DISCOVERY_MIN_LIQUIDITY_USD || '5000'), // Pairs below this are skipped until they grow
+  DISCOVERY_MAX_AGE_MS: parseInt(process.env.DISCOVERY_MAX_AGE_MS || '3600000', 10), // Older pairs aren't new launches
+  DISCOVERY_MIN_HOLDERS: parseInt(process.env.DISCOVERY_MIN_HOLDERS || '50', 10),
+  DISCOVERY_MAX_RISK_SCORE: parseInt(process.env.DISCOVERY_MAX_RISK_SCORE || '70', 10),
+  DISCOVERY_MAX_CANDIDATES: parseInt(process.env.DISCOVERY_MAX_CANDIDATES || '10', 10), // Pairs evaluated per scan (each costs RPC and API calls)
+
+  // Token sentiment from social posts and buy/sell pressure
+  SENTIMENT_SOURCES: (process.env.SENTIMENT_SOURCES || '').split(',').map(s => s.trim()).filter(Boolean), // json, rss
+  SENTIMENT_JSON_PATH: process.env.SENTIMENT_JSON_PATH || './fixtures/social-posts.json',
+  SENTIMENT_RSS_FEEDS: (process.env.SENTIMENT_RSS_FEEDS || '').split(',').map(s => s.trim()).filter(Boolean), // URLs or local files
+  SENTIMENT_LOOKBACK_MS: parseInt(process.env.SENTIMENT_LOOKBACK_MS || '86400000', 10), // Backfill on startup
+  SENTIMENT_LLM_SCORING: process.env.SENTIMENT_LLM_SCORING === 'true', // Score posts with AI_PROVIDER as well as the lexicon
+  SENTIMENT_SOCIAL_WINDOW_MS: parseInt(process.env.SENTIMENT_SOCIAL_WINDOW_MS || '21600000', 10), // Posts that count toward the current score
+  SENTIMENT_SOCIAL_WEIGHT: parseFloat(process.env.SENTIMENT_SOCIAL_WEIGHT || '0.6'), // Share of social vs buy/sell pressure in the score
+  SENTIMENT_MIN_POSTS: parseInt(process.env.SENTIMENT_MIN_POSTS || '3', 10), // Fewer posts and the score is buy/sell pressure alone
+  SENTIMENT_TREND_WINDOW_MS: parseInt(process.env.SENTIMENT_TREND_WINDOW_MS || '86400000', 10),
+  SENTIMENT_MAX_TOKENS: parseInt(process.env.SENTIMENT_MAX_TOKENS || '20', 10), // Tokens snapshotted per background run
+
+  // Token risk score: factor weight overrides, e.g. "holders=25,socials=0"
+  RISK_WEIGHTS: (process.env.RISK_WEIGHTS || '').split(',').map(s => s.trim()).filter(Boolean),
+  RISK_ONCHAIN_CHECKS: process.env.RISK_ONCHAIN_CHECKS !== 'false', // Contract safety checks over RPC: authorities, top holders, LP burn
+  
+  // Solana RPC endpoint (mainnet, private provider or local test validator)
+  SOLANA_RPC_URL: process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
+  
+  // Swap execution: 'paper' simulates fills into the paper trade journal, 'live' quotes and executes real swaps
+  SWAP_MODE: process.env.SWAP_MODE || 'paper',
+  PAPER_STARTING_SOL: parseFloat(process.env.PAPER_STARTING_SOL || '10'),
+  PAPER_SLIPPAGE_BPS: parseInt(process.env.PAPER_SLIPPAGE_BPS || '50', 10),
+  PAPER_FEE_BPS: parseInt(process.env.PAPER_FEE_BPS || '25', 10),
+  
+  // Live swap execution
+  SWAP_AGGREGATOR: process.env.SWAP_AGGREGATOR || 'jupiter',
+  SWAP_AGGREGATOR_URL: process.env.SWAP_AGGREGATOR_URL || 'https://quote-api.jup.ag/v6',
+  SWAP_SIGNER: process.env.SWAP_SIGNER || 'external', // 'external' (wallet handoff) or 'local' (keypair file)
+  SWAP_KEYPAIR_PATH: process.env.SWAP_KEYPAIR_PATH || '',
+  SWAP_WALLET_ADDRESS: process.env.SWAP_WALLET_ADDRESS || '',
+  SWAP_SLIPPAGE_BPS: parseInt(process.env.SWAP_SLIPPAGE_BPS || '100', 10),
+  SWAP_MAX_SLIPPAGE_BPS: parseInt(process.env.SWAP_MAX_SLIPPAGE_BPS || '500', 10),
+  SWAP_MAX_PRICE_IMPACT_PCT: parseFloat(process.env.SWAP_MAX_PRICE_IMPACT_PCT || '5'),
+  SWAP_QUOTE_TTL_MS: parseInt(process.env.SWAP_QUOTE_TTL_MS || '60000', 10),
+  
+  // Price alerts: triggered alerts are also POSTed here as JSON when set
+  ALERT_WEBHOOK_URL: process.env.ALERT_WEBHOOK_URL || '',
   
   // HIVE Mind Configuration
   ENABLE_HIVE: process.env.ENABLE_HIVE === 'true',
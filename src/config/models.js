@@ -0,0 +1,121 @@
+import fs from 'fs';
+import { ENV } from './env.js';
+
+/**
+ * Model Configuration
+ *
+ * Which model each provider uses for each task, and the generation
+ * parameters it runs with:
+ * - answer: the main answer, tool-calling loop and OpenAI assistant
+ * - analysis: short structured work such as analyzeQuery classification and post scoring
+ * - vision: reading chart images (null when the provider has no vision model)
+ *
+ * Settings are merged in this order, later ones winning:
+ * 1. DEFAULT_MODELS below
+ * 2. The JSON file at AI_MODELS_CONFIG, same shape as DEFAULT_MODELS; a task
+ *    may be a model name or { model, temperature, maxTokens, topP }
+ * 3. AI_ANSWER_MODEL / AI_ANALYSIS_MODEL / AI_VISION_MODEL for the provider in
+ *    AI_PROVIDER, and AI_TEMPERATURE / AI_MAX_TOKENS / AI_TOP_P for its answers
+ */
+
+export const MODEL_TASKS = ['answer', 'analysis', 'vision'];
+
+export const DEFAULT_MODELS = {
+  openai: {
+    answer: { model: 'gpt-4-turbo-preview' },
+    analysis: { model: 'gpt-4o-mini', temperature: 0 },
+    vision: { model: 'gpt-4o-mini', maxTokens: 300 }
+  },
+  anthropic: {
+    answer: { model: 'claude-3-sonnet-20240229', maxTokens: 1024 },
+    analysis: { model: 'claude-3-haiku-20240307', maxTokens: 512, temperature: 0 },
+    vision: { model: 'claude-3-sonnet-20240229', maxTokens: 300 }
+  },
+  google: {
+    answer: { model: 'gemini-pro' },
+    analysis: { model: 'gemini-pro', temperature: 0 },
+    vision: { model: 'gemini-pro-vision', maxTokens: 300 }
+  },
+  deepseek: {
+    answer: { model: 'deepseek-chat' },
+    analysis: { model: 'deepseek-chat', temperature: 0 },
+    vision: null
+  },
+  grok: {
+    answer: { model: 'grok-2-latest' },
+    analysis: { model: 'grok-2-latest', temperature: 0 },
+    vision: { model: 'grok-2-latest', maxTokens: 300 }
+  },
+  // Model names as the local server knows them (these are Ollama tags)
+  local: {
+    answer: { model: 'llama3.1' },
+    analysis: { model: 'llama3.1', temperature: 0 },
+    vision: null
+  },
+  // Scripted replies, the model name is only a label
+  mock: {
+    answer: { model: 'mock' },
+    analysis: { model: 'mock' },
+    vision: { model: 'mock' }
+  }
+};
+
+const TASK_MODEL_ENV = {
+  answer: 'AI_ANSWER_MODEL',
+  analysis: 'AI_ANALYSIS_MODEL',
+  vision: 'AI_VISION_MODEL'
+};
+
+const asSettings = (value) => typeof value === 'string' ? { model: value } : value;
+
+let fileConfig = null;
+
+const loadFileConfig = () => {
+  if (fileConfig) return fileConfig;
+
+  fileConfig = {};
+  if (ENV.AI_MODELS_CONFIG) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(ENV.AI_MODELS_CONFIG, 'utf8'));
+    } catch (error) {
+      console.error(`Could not read AI_MODELS_CONFIG ${ENV.AI_MODELS_CONFIG}, using the default models:`, error.message);
+    }
+  }
+  return fileConfig;
+};
+
+/**
+ * Model and generation parameters for a provider and task
+ * @param {String} provider - Provider type, e.g. 'anthropic'
+ * @param {String} task - One of MODEL_TASKS
+ * @returns {Object|null} - { model, temperature, maxTokens, topP } (unset parameters left undefined),
+ *   or null when the provider has no model for the task
+ */
+export function getModelSettings(provider, task = 'answer') {
+  if (!MODEL_TASKS.includes(task)) {
+    throw new Error(`Unknown model task: ${task}`);
+  }
+
+  const fromFile = loadFileConfig()[provider]?.[task];
+  let settings = fromFile === null ? null : {
+    ...asSettings(DEFAULT_MODELS[provider]?.[task] || {}),
+    ...asSettings(fromFile || {})
+  };
+
+  if (provider === ENV.AI_PROVIDER) {
+    const model = ENV[TASK_MODEL_ENV[task]];
+    if (model) {
+      settings = { ...(settings || {}), model };
+    }
+    if (settings && task === 'answer') {
+      settings = {
+        ...settings,
+        ...(ENV.AI_TEMPERATURE !== undefined && { temperature: ENV.AI_TEMPERATURE }),
+        ...(ENV.AI_MAX_TOKENS !== undefined && { maxTokens: ENV.AI_MAX_TOKENS }),
+        ...(ENV.AI_TOP_P !== undefined && { topP: ENV.AI_TOP_P })
+      };
+    }
+  }
+
+  return settings?.model ? settings : null;
+}
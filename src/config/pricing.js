@@ -0,0 +1,58 @@
+import fs from 'fs';
+import { ENV } from './env.js';
+
+/**
+ * AI Pricing
+ *
+ * Prices used to estimate what each provider call costs, in USD per million
+ * prompt (input) and completion (output) tokens. Keys are model names, or a
+ * provider type to price every model of that provider (local and mock are
+ * free). The JSON file at AI_PRICES_CONFIG has the same shape and is merged
+ * over these defaults, so new models or changed prices need no code change:
+ * { "gpt-4o": { "input": 2.5, "output": 10 } }
+ */
+
+export const DEFAULT_PRICES = {
+  'gpt-4-turbo-preview': { input: 10, output: 30 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'claude-3-sonnet-20240229': { input: 3, output: 15 },
+  'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+  'claude-3-5-sonnet-latest': { input: 3, output: 15 },
+  'claude-3-5-haiku-latest': { input: 0.8, output: 4 },
+  'gemini-pro': { input: 0.5, output: 1.5 },
+  'gemini-pro-vision': { input: 0.5, output: 1.5 },
+  'deepseek-chat': { input: 0.27, output: 1.1 },
+  'grok-2-latest': { input: 2, output: 10 },
+  local: { input: 0, output: 0 },
+  mock: { input: 0, output: 0 }
+};
+
+let prices = null;
+
+const loadPrices = () => {
+  if (prices) return prices;
+
+  prices = { ...DEFAULT_PRICES };
+  if (ENV.AI_PRICES_CONFIG) {
+    try {
+      Object.assign(prices, JSON.parse(fs.readFileSync(ENV.AI_PRICES_CONFIG, 'utf8')));
+    } catch (error) {
+      console.error(`Could not read AI_PRICES_CONFIG ${ENV.AI_PRICES_CONFIG}, using the default prices:`, error.message);
+    }
+  }
+  return prices;
+};
+
+/**
+ * Estimated cost of a call in USD
+ * @param {String} provider - Provider type
+ * @param {String} model - Model name
+ * @returns {Number|null} - null when the model has no price
+ */
+export function estimateCost(provider, model, promptTokens, completionTokens) {
+  const table = loadPrices();
+  const price = table[model] || table[provider];
+  if (!price) return null;
+  return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+}
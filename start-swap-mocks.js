@@ -0,0 +1,31 @@
+import dotenv from 'dotenv';
+import { createMockAggregator, createMockValidator } from './src/agents/apollo/services/swap-mocks.js';
+
+// Load environment variables
+dotenv.config();
+
+const aggregatorPort = parseInt(process.env.MOCK_AGGREGATOR_PORT || '8090', 10);
+const validatorPort = parseInt(process.env.MOCK_VALIDATOR_PORT || '8899', 10);
+
+console.log('🔁 Starting swap test stand-ins 🔁');
+console.log('=================================');
+
+const aggregator = createMockAggregator().listen(aggregatorPort, () => {
+  console.log(`Mock aggregator: http://localhost:${aggregatorPort}`);
+});
+
+const validator = createMockValidator().listen(validatorPort, () => {
+  console.log(`Mock validator RPC: http://localhost:${validatorPort}`);
+});
+
+console.log('\nPoint the agent at them with:');
+console.log(`SWAP_AGGREGATOR_URL=http://localhost:${aggregatorPort}`);
+console.log(`SOLANA_RPC_URL=http://localhost:${validatorPort}`);
+
+// Handle graceful shutdown
+process.on('SIGINT', () => {
+  console.log('\nShutting down swap stand-ins...');
+  aggregator.close();
+  validator.close();
+  process.exit(0);
+});
@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const SOL = 'So11111111111111111111111111111111111111112';
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const UNPRICED = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apollo-alerts-'));
+
+// A market data fixture with SOL at $150, USDC at $1 and a token with no price
+const pair = (address, symbol, priceUsd) => ({
+  baseToken: { address, name: symbol, symbol },
+  quoteToken: { address: USDC, symbol: 'USDC' },
+  priceUsd,
+  txns: { h24: { buys: 10, sells: 10 } },
+  volume: { m5: 0, h1: 0, h6: 0, h24: 1000 },
+  priceChange: { m5: 0, h1: 0, h6: 0, h24: 0 },
+  liquidity: { usd: 50000 }
+});
+fs.writeFileSync(path.join(dir, 'market-data.json'), JSON.stringify({
+  tokens: {
+    [SOL]: { pairs: [pair(SOL, 'SOL', '150')] },
+    [USDC]: { pairs: [pair(USDC, 'USDC', '1')] },
+    [UNPRICED]: { pairs: [pair(UNPRICED, 'NOPE', '0')] }
+  }
+}));
+
+// ENV is read once on import, so configure it before loading the service
+Object.assign(process.env, {
+  DB_PATH: path.join(dir, 'apollo_memory.db'),
+  MARKET_DATA_SOURCES: 'fixture',
+  MARKET_DATA_FIXTURE_PATH: path.join(dir, 'market-data.json'),
+  API_CACHE_ENABLED: 'false',
+  ALERT_WEBHOOK_URL: ''
+});
+
+const { database } = await import('../src/agents/apollo/services/database.js');
+const { alertService } = await import('../src/agents/apollo/services/alerts.js');
+
+await database.initialize();
+
+test.after(async () => {
+  await database.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const storeAlert = (alert) => database.createPriceAlert({ sessionId: 'alerts-test', symbol: null, ...alert });
+
+test('a failure on one token does not stop the other tokens being checked', async (t) => {
+  const failing = await storeAlert({ tokenAddress: SOL, metric: 'price', condition: 'above', threshold: 100, baseline: 90 });
+  const passing = await storeAlert({ tokenAddress: USDC, metric: 'price', condition: 'below', threshold: 2, baseline: 1 });
+
+  const triggerAlert = alertService.triggerAlert.bind(alertService);
+  t.mock.method(alertService, 'triggerAlert', async (alert, ...args) => {
+    if (alert.id === failing.id) throw new Error('SQLITE_BUSY: database is locked');
+    return triggerAlert(alert, ...args);
+  });
+
+  const result = await alertService.checkAlerts();
+
+  assert.equal(result.triggered, 1);
+  assert.equal((await database.getPriceAlert(passing.id)).status, 'triggered');
+  assert.equal((await database.getPriceAlert(failing.id)).status, 'active');
+  await database.setPriceAlertStatus(failing.id, 'cancelled');
+});
+
+test('price_change alerts with no baseline price are skipped', async () => {
+  const alert = await storeAlert({ tokenAddress: SOL, metric: 'price_change', condition: 'above', threshold: 10, baseline: 0 });
+
+  const result = await alertService.checkAlerts();
+
+  assert.equal(result.triggered, 0);
+  assert.equal((await database.getPriceAlert(alert.id)).status, 'active');
+  await database.setPriceAlertStatus(alert.id, 'cancelled');
+});
+
+test('a price_change alert is refused for a token with no price', async () => {
+  await assert.rejects(
+    alertService.createAlert({ sessionId: 'alerts-test', tokenAddress: UNPRICED, metric: 'price_change', condition: 'below', threshold: 20 }),
+    { code: 'no_price' }
+  );
+
+  const alert = await alertService.createAlert({ sessionId: 'alerts-test', tokenAddress: SOL, metric: 'price_change', condition: 'below', threshold: 20 });
+  assert.equal(alert.baseline, 150);
+  assert.equal(alert.threshold, -20);
+});
+
+test('an alert can only be cancelled by the session that owns it', async () => {
+  const alert = await storeAlert({ tokenAddress: SOL, metric: 'price', condition: 'above', threshold: 1000, baseline: 150 });
+
+  await assert.rejects(alertService.cancelAlert(alert.id, 'someone-else'), { code: 'not_found' });
+  await assert.rejects(alertService.cancelAlert(alert.id), { code: 'not_found' });
+  assert.equal((await database.getPriceAlert(alert.id)).status, 'active');
+
+  assert.equal((await alertService.cancelAlert(alert.id, 'alerts-test')).status, 'cancelled');
+});
@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+// ENV is read once on import, so configure it before loading the client
+Object.assign(process.env, {
+  HTTP_MAX_RETRIES: '2',
+  HTTP_BASE_BACKOFF_MS: '1',
+  HTTP_MAX_BACKOFF_MS: '5',
+  HTTP_MAX_WAIT_MS: '1000',
+  HTTP_HOST_BUDGETS: 'budget.test=2/60',
+  HTTP_DEFAULT_BUDGET: '100/60'
+});
+
+const { httpRequest, UpstreamUnavailable } = await import('../src/agents/apollo/utils/axios.js');
+
+// An axios stand-in answering with the given responses in turn; an Error is thrown as a network error
+const fakeAxios = (...responses) => {
+  const instance = {
+    calls: 0,
+    async request() {
+      const response = responses[Math.min(instance.calls++, responses.length - 1)];
+      if (response instanceof Error) throw response;
+      return { headers: {}, data: null, ...response };
+    }
+  };
+  return instance;
+};
+
+// Hosts keep their rate-limit state for the whole process, so each test uses its own
+const get = (host, instance) => httpRequest({ url: `https://${host}/path` }, { source: 'Test API', instance });
+
+test('a 429 with a short Retry-After is retried after it', async () => {
+  const instance = fakeAxios({ status: 429, headers: { 'retry-after': '0' } }, { status: 200, data: 'ok' });
+
+  assert.equal((await get('retry-short.test', instance)).data, 'ok');
+  assert.equal(instance.calls, 2);
+});
+
+test('a Retry-After longer than HTTP_MAX_WAIT_MS fails fast and blocks the host', async () => {
+  const instance = fakeAxios({ status: 429, headers: { 'retry-after': '120' } });
+
+  await assert.rejects(get('retry-long.test', instance), (error) => {
+    assert.ok(error instanceof UpstreamUnavailable);
+    assert.equal(error.reason, 'rate_limited');
+    assert.equal(error.status, 429);
+    assert.ok(error.retryAfterMs > 119000 && error.retryAfterMs <= 120000);
+    assert.equal(error.message, 'Test API is unavailable right now (rate limited). Please try again in 120 seconds.');
+    return true;
+  });
+  assert.equal(instance.calls, 1);
+
+  // Later requests to the host fail without being sent
+  await assert.rejects(get('retry-long.test', instance), { reason: 'rate_limited' });
+  assert.equal(instance.calls, 1);
+});
+
+test('Retry-After can be an HTTP date', async () => {
+  const instance = fakeAxios({ status: 429, headers: { 'retry-after': new Date(Date.now() + 90000).toUTCString() } });
+
+  await assert.rejects(get('retry-date.test', instance), (error) => {
+    assert.ok(error.retryAfterMs > 88000 && error.retryAfterMs <= 90000);
+    return true;
+  });
+});
+
+test('5xx responses and network errors are retried', async () => {
+  const instance = fakeAxios({ status: 503 }, new Error('socket hang up'), { status: 200, data: 'ok' });
+
+  assert.equal((await get('flaky.test', instance)).data, 'ok');
+  assert.equal(instance.calls, 3);
+});
+
+test('retries that run out throw UpstreamUnavailable with the last failure', async () => {
+  const down = fakeAxios({ status: 502 });
+  await assert.rejects(get('down.test', down), { name: 'UpstreamUnavailable', reason: 'server_error', status: 502 });
+  assert.equal(down.calls, 3);
+
+  await assert.rejects(get('offline.test', fakeAxios(new Error('ECONNREFUSED'))), { reason: 'network_error' });
+});
+
+test('other error statuses are thrown at once with the response', async () => {
+  const instance = fakeAxios({ status: 404, data: { error: 'not found' } });
+
+  await assert.rejects(get('missing.test', instance), (error) => {
+    assert.ok(!(error instanceof UpstreamUnavailable));
+    assert.equal(error.response.status, 404);
+    return true;
+  });
+  assert.equal(instance.calls, 1);
+});
+
+test('a used-up host budget fails fast when the wait would be too long', async () => {
+  const instance = fakeAxios({ status: 200 });
+  await get('budget.test', instance);
+  await get('budget.test', instance);
+
+  await assert.rejects(get('budget.test', instance), (error) => {
+    assert.equal(error.reason, 'budget_exhausted');
+    assert.ok(error.retryAfterMs > 59000 && error.retryAfterMs <= 60000);
+    return true;
+  });
+  assert.equal(instance.calls, 2);
+});
@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { sma, ema, rsi, macd, bollinger, vwap, findCrossover, analyzeCandles } from '../src/agents/apollo/utils/indicators.js';
+
+const round = (value, digits = 2) => (value === null ? null : Number(value.toFixed(digits)));
+const roundAll = (series, digits) => series.map(value => round(value, digits));
+
+// Reference series from the StockCharts ChartSchool EMA and RSI worksheets
+const EMA_CLOSES = [22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29, 22.15, 22.39, 22.38, 22.61, 23.36, 24.05, 23.75, 23.83, 23.95, 23.63];
+const RSI_CLOSES = [44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89, 46.03, 45.61, 46.28, 46.28, 46.00, 46.03, 46.41, 46.22, 45.64];
+
+// 100 + 10 sin(i / 4) + i / 2, to two decimals
+const WAVE = [100, 102.97, 105.79, 108.32, 110.41, 111.99, 112.97, 113.34, 113.09, 112.28, 110.98, 109.32, 107.41, 105.42, 103.49, 101.78, 100.43, 99.55, 99.22, 99.51, 100.41, 101.91, 103.94, 106.42, 109.21, 112.17, 115.15, 118, 120.57, 122.73, 124.38, 125.45, 125.89, 125.73, 124.98, 123.75, 122.12, 120.24, 118.25, 116.3];
+
+const candle = (close, volume = 1) => ({ time: 0, open: close, high: close, low: close, close, volume });
+
+test('sma averages each window and is null until the first full window', () => {
+  assert.deepEqual(sma([1, 2, 3, 4, 5, 6], 3), [null, null, 2, 3, 4, 5]);
+  assert.deepEqual(roundAll(sma(EMA_CLOSES, 10)).slice(9, 12), [22.22, 22.21, 22.23]);
+});
+
+test('ema is seeded with the sma and smoothed with 2 / (period + 1)', () => {
+  const series = ema(EMA_CLOSES, 10);
+  assert.deepEqual(series.slice(0, 9), new Array(9).fill(null));
+  assert.deepEqual(roundAll(series.slice(9)), [22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34]);
+});
+
+test('ema of too short a series is all null', () => {
+  assert.deepEqual(ema([1, 2], 3), [null, null]);
+});
+
+test('rsi uses Wilder smoothing', () => {
+  const series = rsi(RSI_CLOSES, 14);
+  assert.deepEqual(series.slice(0, 14), new Array(14).fill(null));
+  assert.deepEqual(roundAll(series.slice(14)), [70.46, 66.25, 66.48, 69.35, 66.29, 57.92]);
+});
+
+test('rsi is 100 with no losses and 50 with no movement', () => {
+  assert.equal(rsi([1, 2, 3, 4], 3)[3], 100);
+  assert.equal(rsi([5, 5, 5, 5], 3)[3], 50);
+});
+
+test('macd of a straight line is the gap between the two ema lags', () => {
+  // A 12 period ema of a line with slope 1 lags 5.5 behind it, a 26 period one 12.5
+  const closes = Array.from({ length: 40 }, (_, i) => 100 + i);
+  const { macd: line, signal, histogram } = macd(closes);
+
+  assert.equal(line[24], null);
+  assert.equal(round(line[25], 6), 7);
+  assert.equal(signal[32], null);
+  assert.equal(round(signal[33], 6), 7);
+  assert.equal(Math.abs(round(histogram[39], 6)), 0);
+});
+
+test('macd, signal and histogram of a wave', () => {
+  const { macd: line, signal, histogram } = macd(WAVE);
+  assert.equal(round(line[39], 4), 3.2603);
+  assert.equal(round(signal[39], 4), 3.688);
+  assert.equal(round(histogram[39], 4), -0.4276);
+});
+
+test('bollinger bands are the sma plus and minus population standard deviations', () => {
+  const { middle, upper, lower } = bollinger([1, 2, 3, 4, 5], 5, 2);
+  assert.deepEqual(middle, [null, null, null, null, 3]);
+  assert.equal(round(upper[4], 6), round(3 + 2 * Math.SQRT2, 6));
+  assert.equal(round(lower[4], 6), round(3 - 2 * Math.SQRT2, 6));
+  assert.equal(upper[3], null);
+});
+
+test('vwap weights the typical price by volume', () => {
+  const candles = [
+    { high: 12, low: 8, close: 10, volume: 100 },
+    { high: 22, low: 18, close: 20, volume: 300 }
+  ];
+  assert.deepEqual(vwap(candles), [10, 17.5]);
+});
+
+test('findCrossover reports the direction and how long ago', () => {
+  assert.deepEqual(findCrossover([1, 2, 4, 5], [3, 3, 3, 3]), { direction: 'bullish', candlesAgo: 1 });
+  assert.deepEqual(findCrossover([5, 4, 2, 1], [3, 3, 3, 3]), { direction: 'bearish', candlesAgo: 1 });
+  assert.equal(findCrossover([4, 5, 6, 7], [3, 3, 3, 3]), null);
+});
+
+test('analyzeCandles scores an accelerating rise as bullish despite an overbought rsi', () => {
+  const analysis = analyzeCandles(Array.from({ length: 60 }, (_, i) => candle(100 + i * i / 20)));
+
+  assert.equal(analysis.price, 274.05);
+  assert.equal(analysis.rsi, 100);
+  assert.deepEqual(analysis.signals.map(s => [s.indicator, s.bias]), [
+    ['RSI', 'bearish'],
+    ['MACD', 'bullish'],
+    ['EMA', 'bullish'],
+    ['VWAP', 'bullish']
+  ]);
+  assert.equal(analysis.bias, 'bullish');
+});
+
+test('analyzeCandles needs at least two candles', () => {
+  assert.equal(analyzeCandles([candle(1)]), null);
+  assert.equal(analyzeCandles([]), null);
+});
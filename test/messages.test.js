@@ -0,0 +1,145 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeMessages, toOpenAIMessages, toAnthropicRequest, toGoogleContents } from '../src/agents/apollo/utils/messages.js';
+
+// A history window cut mid-exchange, a second system message and a tool round
+const conversation = [
+  { role: 'system', content: 'You are Apollo.' },
+  { role: 'assistant', content: 'An answer whose question was cut off.' },
+  { role: 'user', content: 'What is trending?' },
+  { role: 'assistant', content: 'BONK and WIF.' },
+  { role: 'system', content: 'Keep answers short.' },
+  { role: 'user', content: 'Compare them.' },
+  { role: 'user', content: '' },
+  {
+    role: 'assistant',
+    content: '',
+    toolCalls: [
+      { id: 'call_1', name: 'get_token', arguments: { address: 'bonk' } },
+      { id: 'call_2', name: 'get_token', arguments: { address: 'wif' } }
+    ]
+  },
+  { role: 'tool', toolCallId: 'call_1', name: 'get_token', content: 'BONK data' },
+  { role: 'tool', toolCallId: 'call_2', name: 'get_token', content: 'WIF data' }
+];
+
+const assertAlternates = (roles) => {
+  roles.slice(1).forEach((role, i) => assert.notEqual(role, roles[i], `roles repeat at ${i + 1}: ${roles.join(', ')}`));
+};
+
+test('normalizeMessages folds every system message into one prompt', () => {
+  const { system, messages } = normalizeMessages(conversation);
+  assert.equal(system, 'You are Apollo.\n\nKeep answers short.');
+  assert.ok(messages.every(message => message.role !== 'system'));
+});
+
+test('normalizeMessages starts at the first user turn and drops empty turns', () => {
+  const { messages } = normalizeMessages(conversation);
+  assert.equal(messages[0].content, 'What is trending?');
+  assert.deepEqual(messages.map(message => message.role), ['user', 'assistant', 'user', 'assistant', 'tool', 'tool']);
+});
+
+test('normalizeMessages keeps tool call turns with no text', () => {
+  const { messages } = normalizeMessages(conversation);
+  const toolTurn = messages.find(message => message.toolCalls);
+  assert.equal(toolTurn.content, '');
+  assert.equal(toolTurn.toolCalls.length, 2);
+});
+
+test('normalizeMessages turns a lone system prompt into the user turn', () => {
+  assert.deepEqual(normalizeMessages([{ role: 'system', content: 'Classify this.' }]), {
+    system: '',
+    messages: [{ role: 'user', content: 'Classify this.' }]
+  });
+  // Answers with no question left are dropped the same way
+  const { messages } = normalizeMessages([
+    { role: 'system', content: 'Classify this.' },
+    { role: 'assistant', content: 'Orphaned answer.' }
+  ]);
+  assert.deepEqual(messages, [{ role: 'user', content: 'Classify this.' }]);
+});
+
+test('normalizeMessages refuses an empty conversation', () => {
+  assert.throws(() => normalizeMessages([{ role: 'assistant', content: 'Hi' }]), /no user or system message/);
+});
+
+test('toOpenAIMessages sends the system prompt first and links tool results to their calls', () => {
+  const messages = toOpenAIMessages(conversation);
+
+  assert.deepEqual(messages[0], { role: 'system', content: 'You are Apollo.\n\nKeep answers short.' });
+  assert.equal(messages.filter(message => message.role === 'system').length, 1);
+  assert.equal(messages[1].role, 'user');
+
+  const call = messages.find(message => message.tool_calls);
+  assert.equal(call.content, null);
+  assert.deepEqual(call.tool_calls[0], {
+    id: 'call_1',
+    type: 'function',
+    function: { name: 'get_token', arguments: '{"address":"bonk"}' }
+  });
+  assert.deepEqual(messages.slice(-2), [
+    { role: 'tool', tool_call_id: 'call_1', content: 'BONK data' },
+    { role: 'tool', tool_call_id: 'call_2', content: 'WIF data' }
+  ]);
+});
+
+test('toAnthropicRequest separates the system prompt and alternates roles', () => {
+  const { system, messages } = toAnthropicRequest(conversation);
+
+  assert.equal(system, 'You are Apollo.\n\nKeep answers short.');
+  assert.equal(messages[0].role, 'user');
+  assertAlternates(messages.map(message => message.role));
+
+  const toolUse = messages.find(message => message.content.some(block => block.type === 'tool_use'));
+  assert.deepEqual(toolUse.content, [
+    { type: 'tool_use', id: 'call_1', name: 'get_token', input: { address: 'bonk' } },
+    { type: 'tool_use', id: 'call_2', name: 'get_token', input: { address: 'wif' } }
+  ]);
+  // Both results go back in one user turn
+  assert.deepEqual(messages[messages.length - 1], {
+    role: 'user',
+    content: [
+      { type: 'tool_result', tool_use_id: 'call_1', content: 'BONK data' },
+      { type: 'tool_result', tool_use_id: 'call_2', content: 'WIF data' }
+    ]
+  });
+});
+
+test('toAnthropicRequest merges consecutive user turns', () => {
+  const { messages } = toAnthropicRequest([
+    { role: 'user', content: 'First' },
+    { role: 'user', content: 'Second' }
+  ]);
+  assert.deepEqual(messages, [{
+    role: 'user',
+    content: [{ type: 'text', text: 'First' }, { type: 'text', text: 'Second' }]
+  }]);
+});
+
+test('toGoogleContents maps roles, alternates them and prepends the system prompt', () => {
+  const contents = toGoogleContents(conversation);
+
+  assert.deepEqual(contents.map(content => content.role), ['user', 'model', 'user', 'model', 'function']);
+  assert.deepEqual(contents[0].parts, [
+    { text: 'You are Apollo.\n\nKeep answers short.' },
+    { text: 'What is trending?' }
+  ]);
+  assert.deepEqual(contents[3].parts, [
+    { functionCall: { name: 'get_token', args: { address: 'bonk' } } },
+    { functionCall: { name: 'get_token', args: { address: 'wif' } } }
+  ]);
+  assert.deepEqual(contents[4].parts, [
+    { functionResponse: { name: 'get_token', response: { content: 'BONK data' } } },
+    { functionResponse: { name: 'get_token', response: { content: 'WIF data' } } }
+  ]);
+});
+
+test('every converter sends a lone system prompt as a user turn', () => {
+  const prompt = [{ role: 'system', content: 'Classify this.' }];
+  assert.deepEqual(toOpenAIMessages(prompt), [{ role: 'user', content: 'Classify this.' }]);
+  assert.deepEqual(toAnthropicRequest(prompt), {
+    system: '',
+    messages: [{ role: 'user', content: [{ type: 'text', text: 'Classify this.' }] }]
+  });
+  assert.deepEqual(toGoogleContents(prompt), [{ role: 'user', parts: [{ text: 'Classify this.' }] }]);
+});
@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+/*
+ * A full message through ApolloAgent with AI_PROVIDER=mock: the scripted
+ * model in fixtures/mock-llm.json picks tools, the tools read the market data
+ * fixture and the answer streams back with no API key or network access.
+ */
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apollo-test-'));
+
+// ENV is read once on import, so configure it before loading the agent
+Object.assign(process.env, {
+  AI_PROVIDER: 'mock',
+  AI_FALLBACK_PROVIDERS: '',
+  AGENT_MODE: 'tools',
+  MOCK_LLM_SCRIPT: './fixtures/mock-llm.json',
+  MARKET_DATA_SOURCES: 'fixture',
+  MARKET_DATA_FIXTURE_PATH: './fixtures/market-data.json',
+  DB_PATH: path.join(dir, 'apollo_memory.db'),
+  ENABLE_HIVE: 'false'
+});
+
+const { ApolloAgent } = await import('../src/agents/apollo/ApolloAgent.js');
+const { database } = await import('../src/agents/apollo/services/database.js');
+const { knowledgeManager } = await import('../src/agents/apollo/services/knowledge.js');
+
+const agent = new ApolloAgent();
+
+// Everything initialize() does except starting the background tasks, which poll live APIs
+await database.initialize();
+await knowledgeManager.initialize();
+agent.initialized = true;
+
+test.after(async () => {
+  await database.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const collect = async (content, sessionId, options) => {
+  const events = [];
+  for await (const event of agent.streamMessage(content, sessionId, options)) {
+    events.push(event);
+    options?.onEvent?.(event);
+  }
+  return events;
+};
+
+test('a plain message gets the scripted reply, streamed token by token', async () => {
+  const events = await collect('Hello there', 'mock-general');
+  const done = events.find(event => event.type === 'done');
+
+  assert.equal(events.filter(event => event.type === 'error').length, 0);
+  assert.ok(done.response.startsWith('This is a scripted reply from the mock provider.'));
+  assert.equal(done.provider, 'mock');
+
+  const streamed = events.filter(event => event.type === 'token').map(event => event.content).join('');
+  assert.ok(events.filter(event => event.type === 'token').length > 1);
+  assert.equal(streamed, done.response);
+});
+
+test('a market question calls get_market_trends and answers from the fixture', async () => {
+  const events = await collect("What's trending on Solana?", 'mock-market');
+  const done = events.find(event => event.type === 'done');
+
+  assert.equal(events.filter(event => event.type === 'error').length, 0);
+  assert.ok(done.response.includes("Here is what's trending on Solana:"));
+  assert.ok(events.some(event => event.type === 'section' && event.section === 'market'));
+});
+
+test('the exchange is kept in the session history', async () => {
+  const { sessionManager } = await import('../src/agents/apollo/services/sessions.js');
+  const session = await sessionManager.getOrCreateSession('mock-general');
+
+  assert.deepEqual(session.history.map(message => message.role), ['user', 'assistant']);
+  assert.equal(session.history[0].content, 'Hello there');
+});
+
+test('a client that disconnects stops the answer and nothing is stored', async () => {
+  const controller = new AbortController();
+  const events = await collect('Hello there', 'mock-aborted', {
+    signal: controller.signal,
+    onEvent: (event) => event.type === 'token' && controller.abort()
+  });
+
+  // Tokens already queued still arrive, the rest of the reply is never generated
+  const streamed = events.filter(event => event.type === 'token').map(event => event.content).join('');
+  assert.ok(!streamed.startsWith('This is a scripted reply from the mock provider.'));
+  assert.ok(!events.some(event => event.type === 'done' || event.type === 'error'));
+
+  const { sessionManager } = await import('../src/agents/apollo/services/sessions.js');
+  assert.deepEqual((await sessionManager.getOrCreateSession('mock-aborted')).history, []);
+});
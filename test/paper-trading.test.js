@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apollo-paper-'));
+
+// ENV is read once on import, so configure it before loading the service
+Object.assign(process.env, {
+  DB_PATH: path.join(dir, 'apollo_memory.db'),
+  PAPER_STARTING_SOL: '10',
+  PAPER_SLIPPAGE_BPS: '0',
+  PAPER_FEE_BPS: '0'
+});
+
+const { database } = await import('../src/agents/apollo/services/database.js');
+const { paperTrading } = await import('../src/agents/apollo/services/paper-trading.js');
+const { SOL_MINT } = await import('../src/agents/apollo/constants/tokens.js');
+
+const TOKEN = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+
+// Token metadata as fetchTokenMetadata returns it, priced at 0.001 SOL through a SOL pair
+const metadata = {
+  priceUsd: 0.15,
+  pairs: [{
+    baseToken: { address: TOKEN, name: 'Bonk', symbol: 'BONK' },
+    quoteToken: { address: SOL_MINT },
+    priceNative: '0.001'
+  }]
+};
+
+await database.initialize();
+
+test.beforeEach(async () => {
+  await database.resetPaperPortfolio(10);
+});
+
+test.after(async () => {
+  await database.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const trade = (action, amount) => paperTrading.executeSwap({
+  action,
+  tokenAddress: TOKEN,
+  metadata,
+  ...(action === 'buy' ? { solAmount: amount } : { tokenAmount: amount })
+});
+
+test('a buy and a partial sell move the balance, position and realized PnL', async () => {
+  const buy = await trade('buy', 2);
+  assert.equal(buy.tokenAmount, 2000);
+  assert.equal(buy.solBalance, 8);
+  assert.equal(buy.positionAmount, 2000);
+
+  const sell = await trade('sell', 500);
+  assert.equal(sell.solAmount, 0.5);
+  assert.equal(sell.realizedPnl, 0);
+  assert.equal(sell.solBalance, 8.5);
+  assert.equal(sell.positionAmount, 1500);
+
+  const position = await database.getPaperPosition(TOKEN);
+  assert.equal(position.cost_basis, 1.5);
+});
+
+test('concurrent buys cannot spend the same SOL twice', async () => {
+  const results = await Promise.allSettled([1, 2, 3, 4, 5].map(() => trade('buy', 3)));
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 3);
+  assert.ok(results.filter(result => result.status === 'rejected').every(result => result.reason.code === 'insufficient_balance'));
+  assert.equal((await database.getPaperAccount()).sol_balance, 1);
+  assert.equal((await database.getPaperPosition(TOKEN)).amount, 9000);
+});
+
+test('concurrent sells cannot sell the same tokens twice', async () => {
+  await trade('buy', 4);
+  const results = await Promise.allSettled([1, 2, 3].map(() => trade('sell', 1500)));
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, 2);
+  const position = await database.getPaperPosition(TOKEN);
+  assert.equal(position.amount, 1000);
+  assert.equal(position.cost_basis, 1);
+  assert.equal((await database.getPaperAccount()).sol_balance, 9);
+});
+
+test('selling the whole position closes it', async () => {
+  await trade('buy', 1);
+  const sell = await trade('sell', 1000);
+
+  assert.equal(sell.positionAmount, 0);
+  assert.equal((await database.getPaperPosition(TOKEN)).cost_basis, 0);
+  await assert.rejects(trade('sell', 1), { code: 'insufficient_balance' });
+});
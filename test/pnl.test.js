@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { replaySwaps, summarizeTrades } from '../src/agents/apollo/utils/pnl.js';
+
+const swap = (time, tokenAddress, side, tokenAmount, usdValue) => ({ time, tokenAddress, symbol: tokenAddress, name: tokenAddress, side, tokenAmount, usdValue });
+
+// A: two buys averaged to $2, sold at a profit then at a loss; B: one winning round trip;
+// C: still open; D: sold without a recorded buy
+const HISTORY = [
+  swap(1000, 'A', 'buy', 100, 100),
+  swap(2000, 'A', 'buy', 100, 300),
+  swap(3000, 'A', 'sell', 50, 150),
+  swap(4000, 'A', 'sell', 150, 150),
+  swap(5000, 'B', 'buy', 10, 50),
+  swap(6000, 'B', 'sell', 10, 100),
+  swap(7000, 'C', 'buy', 1000, 20),
+  swap(8000, 'D', 'sell', 5, 10)
+];
+
+test('sells realize PnL against the average cost basis', () => {
+  const { positions } = replaySwaps(HISTORY.slice(0, 3));
+  const a = positions.get('A');
+
+  assert.equal(a.realizedPnl, 50);
+  assert.equal(a.amount, 150);
+  assert.equal(a.costBasis, 300);
+  assert.equal(a.buys, 2);
+  assert.equal(a.sells, 1);
+});
+
+test('a position sold back to zero closes one round trip over all its buys and sells', () => {
+  const { positions, roundTrips } = replaySwaps(HISTORY.slice(0, 4));
+
+  assert.equal(positions.get('A').amount, 0);
+  assert.deepEqual(roundTrips, [{ tokenAddress: 'A', symbol: 'A', openedAt: 1000, closedAt: 4000, costUsd: 400, pnl: -100, pnlPct: -25 }]);
+});
+
+test('a leftover below the dust ratio counts as closed', () => {
+  const { positions, roundTrips } = replaySwaps([swap(1, 'A', 'buy', 100, 100), swap(2, 'A', 'sell', 99.999, 120)]);
+
+  assert.equal(positions.get('A').amount, 0);
+  assert.equal(roundTrips.length, 1);
+});
+
+test('sells beyond the recorded buys have no cost basis and are not counted as profit', () => {
+  const { positions } = replaySwaps([swap(1, 'A', 'buy', 10, 10), swap(2, 'A', 'sell', 20, 40)]);
+  const a = positions.get('A');
+
+  assert.equal(a.realizedPnl, 10);
+  assert.equal(a.unmatchedSellUsd, 20);
+});
+
+test('swaps with no amount or a negative value are ignored', () => {
+  const { positions } = replaySwaps([swap(1, 'A', 'buy', 0, 10), swap(2, 'B', 'buy', 10, -1)]);
+  assert.equal(positions.size, 0);
+});
+
+test('summarizeTrades totals realized and unrealized PnL, win rate and hold time', () => {
+  const summary = summarizeTrades(HISTORY, { C: 0.05 });
+
+  assert.equal(summary.swapCount, 8);
+  assert.equal(summary.firstSwapAt, 1000);
+  assert.equal(summary.lastSwapAt, 8000);
+  assert.equal(summary.realizedPnl, -50);
+  assert.equal(summary.unrealizedPnl, 30);
+  assert.equal(summary.totalPnl, -20);
+  assert.equal(summary.winRate, 0.5);
+  assert.equal(summary.averageHoldMs, 2000);
+  assert.equal(summary.roundTrips, 2);
+  assert.deepEqual(summary.bestTrades.map(trip => trip.tokenAddress), ['B']);
+  assert.deepEqual(summary.worstTrades.map(trip => trip.tokenAddress), ['A']);
+  assert.equal(summary.unmatchedSellUsd, 10);
+
+  assert.equal(summary.openPositions.length, 1);
+  const [c] = summary.openPositions;
+  assert.equal(c.tokenAddress, 'C');
+  assert.equal(c.averageCost, 0.02);
+  assert.equal(c.value, 50);
+  assert.equal(c.openedAt, 7000);
+});
+
+test('open positions without a price have no value or unrealized PnL', () => {
+  const summary = summarizeTrades([swap(1, 'A', 'buy', 10, 10)]);
+
+  assert.equal(summary.openPositions[0].value, null);
+  assert.equal(summary.openPositions[0].unrealizedPnl, null);
+  assert.equal(summary.unrealizedPnl, 0);
+  assert.equal(summary.winRate, null);
+  assert.equal(summary.averageHoldMs, null);
+});
@@ -0,0 +1,253 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { AIProvider } from '../src/agents/apollo/services/providers.js';
+
+/*
+ * Contract every provider adapter must pass: given the same internal
+ * conversation, each sends a request its API accepts (one system prompt,
+ * a user turn first, alternating roles where required, tool results tied to
+ * their calls) and hands back text, tool calls and token usage in the
+ * internal format.
+ */
+
+const SYSTEM = 'You are Apollo.';
+const TOOLS = [{ name: 'get_token', description: 'Token data', parameters: { type: 'object', properties: { address: { type: 'string' } } } }];
+
+const conversation = [
+  { role: 'system', content: SYSTEM },
+  { role: 'assistant', content: 'An answer whose question was cut off.' },
+  { role: 'user', content: 'What is trending?' },
+  { role: 'assistant', content: 'BONK and WIF.' },
+  { role: 'user', content: 'Compare them.' },
+  { role: 'assistant', content: '', toolCalls: [{ id: 'call_1', name: 'get_token', arguments: { address: 'bonk' } }] },
+  { role: 'tool', toolCallId: 'call_1', name: 'get_token', content: 'BONK data' }
+];
+
+const async = async function* (items) {
+  yield* items;
+};
+
+// Fake clients record each request and answer with "ok" (and a tool call when tools are offered)
+const openaiClient = (requests) => ({
+  chat: {
+    completions: {
+      create: async (body) => {
+        requests.push(body);
+        if (body.stream && body.tools) {
+          return async([
+            { choices: [{ delta: { content: 'o' } }] },
+            { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_2', function: { name: 'get_token', arguments: '{"addr' } }] } }] },
+            { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'ess":"wif"}' } }] } }] },
+            { choices: [], usage: { prompt_tokens: 12, completion_tokens: 2 } }
+          ]);
+        }
+        if (body.stream) {
+          return async([
+            { choices: [{ delta: { content: 'o' } }] },
+            { choices: [{ delta: { content: 'k' } }] },
+            { choices: [], usage: { prompt_tokens: 12, completion_tokens: 2 } }
+          ]);
+        }
+        return {
+          choices: [{
+            message: {
+              content: body.tools ? null : 'ok',
+              tool_calls: body.tools ? [{ id: 'call_2', type: 'function', function: { name: 'get_token', arguments: '{"address":"wif"}' } }] : undefined
+            }
+          }],
+          usage: { prompt_tokens: 12, completion_tokens: 2 }
+        };
+      }
+    }
+  }
+});
+
+const anthropicClient = (requests) => ({
+  messages: {
+    create: async (body) => {
+      requests.push(body);
+      if (body.stream && body.tools) {
+        return async([
+          { type: 'message_start', message: { usage: { input_tokens: 12, output_tokens: 0 } } },
+          { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+          { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'o' } },
+          { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'call_2', name: 'get_token', input: {} } },
+          { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"addr' } },
+          { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: 'ess":"wif"}' } },
+          { type: 'message_delta', usage: { output_tokens: 2 } }
+        ]);
+      }
+      if (body.stream) {
+        return async([
+          { type: 'message_start', message: { usage: { input_tokens: 12, output_tokens: 0 } } },
+          { type: 'content_block_delta', delta: { type: 'text_delta', text: 'o' } },
+          { type: 'content_block_delta', delta: { type: 'text_delta', text: 'k' } },
+          { type: 'message_delta', usage: { output_tokens: 2 } }
+        ]);
+      }
+      return {
+        content: body.tools
+          ? [{ type: 'tool_use', id: 'call_2', name: 'get_token', input: { address: 'wif' } }]
+          : [{ type: 'text', text: 'ok' }],
+        usage: { input_tokens: 12, output_tokens: 2 }
+      };
+    }
+  }
+});
+
+const googleClient = (requests) => ({
+  getGenerativeModel: () => ({
+    generateContent: async (request) => {
+      requests.push(request);
+      return {
+        response: {
+          text: () => 'ok',
+          functionCalls: () => request.tools ? [{ name: 'get_token', args: { address: 'wif' } }] : undefined,
+          usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 2 }
+        }
+      };
+    },
+    generateContentStream: async (request) => {
+      requests.push(request);
+      const chunk = (text, functionCalls, candidatesTokenCount) => ({
+        text: () => text,
+        functionCalls: () => functionCalls,
+        usageMetadata: { promptTokenCount: 12, candidatesTokenCount }
+      });
+      return {
+        stream: async(request.tools
+          ? [chunk('o', undefined, 1), chunk('', [{ name: 'get_token', args: { address: 'wif' } }], 2)]
+          : [chunk('o', undefined, 1), chunk('k', undefined, 2)])
+      };
+    }
+  })
+});
+
+// Each API's request, checked against the contract
+const checkOpenAIRequest = (body) => {
+  const { messages } = body;
+  assert.deepEqual(messages[0], { role: 'system', content: SYSTEM });
+  assert.equal(messages.filter(message => message.role === 'system').length, 1);
+  assert.equal(messages[1].role, 'user');
+
+  const callIds = new Set();
+  for (const message of messages) {
+    (message.tool_calls || []).forEach(call => callIds.add(call.id));
+    if (message.role === 'tool') {
+      assert.ok(callIds.has(message.tool_call_id), `tool result ${message.tool_call_id} has no call`);
+    }
+  }
+  return messages.map(message => message.content || '').join(' ');
+};
+
+const checkAnthropicRequest = (body) => {
+  assert.equal(body.system, SYSTEM);
+  assert.equal(body.messages[0].role, 'user');
+
+  const callIds = new Set();
+  body.messages.forEach((message, i) => {
+    assert.ok(['user', 'assistant'].includes(message.role));
+    if (i > 0) assert.notEqual(message.role, body.messages[i - 1].role, 'roles must alternate');
+    for (const block of message.content) {
+      if (block.type === 'tool_use') callIds.add(block.id);
+      if (block.type === 'tool_result') assert.ok(callIds.has(block.tool_use_id), `tool result ${block.tool_use_id} has no call`);
+    }
+  });
+  return body.messages.flatMap(message => message.content.map(block => block.text || block.content || '')).join(' ');
+};
+
+const checkGoogleRequest = (request) => {
+  const { contents } = request;
+  assert.equal(contents[0].role, 'user');
+  assert.deepEqual(contents[0].parts[0], { text: SYSTEM });
+
+  const callNames = new Set();
+  contents.forEach((content, i) => {
+    if (i > 0) assert.notEqual(content.role, contents[i - 1].role, 'roles must alternate');
+    for (const part of content.parts) {
+      if (part.functionCall) callNames.add(part.functionCall.name);
+      if (part.functionResponse) assert.ok(callNames.has(part.functionResponse.name), `${part.functionResponse.name} result has no call`);
+    }
+  });
+  return contents.flatMap(content => content.parts.map(part => part.text || part.functionResponse?.response.content || '')).join(' ');
+};
+
+const ADAPTERS = [
+  ['openai', openaiClient, checkOpenAIRequest],
+  ['deepseek', openaiClient, checkOpenAIRequest],
+  ['grok', openaiClient, checkOpenAIRequest],
+  ['local', openaiClient, checkOpenAIRequest],
+  ['anthropic', anthropicClient, checkAnthropicRequest],
+  ['google', googleClient, checkGoogleRequest]
+];
+
+const createAdapter = (type, fakeClient) => {
+  const requests = [];
+  const provider = new AIProvider(type, 'test-key');
+  provider.client = fakeClient(requests);
+  return { provider, requests };
+};
+
+for (const [type, fakeClient, checkRequest] of ADAPTERS) {
+  test(`${type} adapter: generateResponse sends the whole conversation`, async () => {
+    const { provider, requests } = createAdapter(type, fakeClient);
+    const usage = {};
+
+    assert.equal(await provider.generateResponse(conversation, { usage }), 'ok');
+    assert.equal(requests.length, 1);
+    const text = checkRequest(requests[0]);
+    for (const turn of ['What is trending?', 'BONK and WIF.', 'Compare them.', 'BONK data']) {
+      assert.ok(text.includes(turn), `"${turn}" was not sent`);
+    }
+    // An answer whose question is gone is not sent
+    assert.ok(!text.includes('cut off'));
+    assert.deepEqual(usage, { promptTokens: 12, completionTokens: 2 });
+  });
+
+  test(`${type} adapter: generateWithTools returns tool calls in the internal format`, async () => {
+    const { provider, requests } = createAdapter(type, fakeClient);
+    const usage = {};
+
+    const result = await provider.generateWithTools(conversation, TOOLS, { usage });
+    checkRequest(requests[0]);
+    assert.equal(result.content, '');
+    assert.equal(result.toolCalls.length, 1);
+    assert.equal(result.toolCalls[0].name, 'get_token');
+    assert.deepEqual(result.toolCalls[0].arguments, { address: 'wif' });
+    assert.ok(result.toolCalls[0].id);
+    assert.deepEqual(usage, { promptTokens: 12, completionTokens: 2 });
+  });
+
+  test(`${type} adapter: streamWithTools yields text and returns tool calls in the internal format`, async () => {
+    const { provider, requests } = createAdapter(type, fakeClient);
+    const usage = {};
+
+    const iterator = provider.streamWithTools(conversation, TOOLS, { usage });
+    const chunks = [];
+    let next;
+    while (!(next = await iterator.next()).done) {
+      chunks.push(next.value);
+    }
+    checkRequest(requests[0]);
+    assert.deepEqual(chunks, ['o']);
+    assert.equal(next.value.content, 'o');
+    assert.equal(next.value.toolCalls.length, 1);
+    assert.equal(next.value.toolCalls[0].name, 'get_token');
+    assert.deepEqual(next.value.toolCalls[0].arguments, { address: 'wif' });
+    assert.ok(next.value.toolCalls[0].id);
+    assert.deepEqual(usage, { promptTokens: 12, completionTokens: 2 });
+  });
+
+  test(`${type} adapter: streamResponse yields text chunks and reports usage`, async () => {
+    const { provider, requests } = createAdapter(type, fakeClient);
+    const usage = {};
+
+    const chunks = [];
+    for await (const chunk of provider.streamResponse(conversation, { usage })) {
+      chunks.push(chunk);
+    }
+    checkRequest(requests[0]);
+    assert.deepEqual(chunks, ['o', 'k']);
+    assert.deepEqual(usage, { promptTokens: 12, completionTokens: 2 });
+  });
+}
@@ -0,0 +1,164 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apollo-chain-'));
+
+// ENV is read once on import, so configure it before loading the chain
+Object.assign(process.env, {
+  DB_PATH: path.join(dir, 'apollo_memory.db'),
+  AI_PROVIDER_FAILURE_THRESHOLD: '3',
+  AI_DAILY_BUDGET_USD: '',
+  AI_SESSION_DAILY_BUDGET_USD: ''
+});
+
+const { ProviderChain } = await import('../src/agents/apollo/services/providers.js');
+const { providerHealth } = await import('../src/agents/apollo/services/provider-health.js');
+const { database } = await import('../src/agents/apollo/services/database.js');
+const { UpstreamUnavailable } = await import('../src/agents/apollo/utils/axios.js');
+
+await database.initialize();
+
+test.beforeEach(() => {
+  providerHealth.providers.clear();
+});
+
+test.after(async () => {
+  await database.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const apiError = (status, message = `${status} error`) => Object.assign(new Error(message), { status });
+const networkError = () => Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:443'), { code: 'ECONNREFUSED' });
+
+// Providers that fail with the given error, or answer with their name
+const fakeProvider = (type, error = null) => {
+  const provider = {
+    type,
+    calls: 0,
+    async generateResponse() {
+      provider.calls++;
+      if (error) throw error;
+      return `${type} answer`;
+    },
+    async *streamResponse() {
+      provider.calls++;
+      if (error) throw error;
+      yield `${type} `;
+      yield 'answer';
+    }
+  };
+  return provider;
+};
+
+const consecutiveFailures = (type) => providerHealth.getStatus([type])[0].consecutiveFailures;
+
+for (const [name, error] of [
+  ['a 500', apiError(500)],
+  ['a 503', apiError(503)],
+  ['a 429', apiError(429)],
+  ['a 408', apiError(408)],
+  ['a network error', networkError()],
+  ['a timeout', new Error('Request timed out.')]
+]) {
+  test(`${name} falls back to the next provider and counts as a failure`, async () => {
+    const primary = fakeProvider('openai', error);
+    const fallback = fakeProvider('anthropic');
+    const chain = new ProviderChain([primary, fallback]);
+    const trace = {};
+
+    assert.equal(await chain.generateResponse([{ role: 'user', content: 'gm' }], { trace }), 'anthropic answer');
+    assert.equal(trace.provider, 'anthropic');
+    assert.equal(consecutiveFailures('openai'), 1);
+  });
+}
+
+for (const status of [400, 401, 404, 413, 422]) {
+  test(`a ${status} is thrown without trying the next provider or counting a failure`, async () => {
+    const primary = fakeProvider('openai', apiError(status, 'Invalid request'));
+    const fallback = fakeProvider('anthropic');
+    const chain = new ProviderChain([primary, fallback]);
+
+    await assert.rejects(chain.generateResponse([{ role: 'user', content: 'gm' }]), { status, message: 'Invalid request' });
+    assert.equal(fallback.calls, 0);
+    assert.equal(consecutiveFailures('openai'), 0);
+  });
+}
+
+test('an error that is not an API error is thrown as is', async () => {
+  const chain = new ProviderChain([fakeProvider('openai', new TypeError('messages is not iterable')), fakeProvider('anthropic')]);
+  await assert.rejects(chain.generateResponse([]), TypeError);
+});
+
+test('rejected requests never open the circuit', async () => {
+  const primary = fakeProvider('openai', apiError(400));
+  const chain = new ProviderChain([primary, fakeProvider('anthropic')]);
+
+  for (let i = 0; i < 5; i++) {
+    await assert.rejects(chain.generateResponse([{ role: 'user', content: 'gm' }]), { status: 400 });
+  }
+  assert.equal(primary.calls, 5);
+  assert.equal(providerHealth.getStatus(['openai'])[0].circuit, 'closed');
+});
+
+test('every provider down throws UpstreamUnavailable', async () => {
+  const chain = new ProviderChain([fakeProvider('openai', apiError(500)), fakeProvider('anthropic', apiError(429))]);
+  await assert.rejects(chain.generateResponse([{ role: 'user', content: 'gm' }]), (error) => {
+    assert.ok(error instanceof UpstreamUnavailable);
+    assert.equal(error.reason, 'rate_limited');
+    return true;
+  });
+});
+
+test('streams fall back on a 5xx but not on a 4xx', async () => {
+  const collect = async (chain) => {
+    let text = '';
+    for await (const chunk of chain.streamResponse([{ role: 'user', content: 'gm' }])) text += chunk;
+    return text;
+  };
+
+  assert.equal(await collect(new ProviderChain([fakeProvider('openai', apiError(502)), fakeProvider('anthropic')])), 'anthropic answer');
+
+  const fallback = fakeProvider('anthropic');
+  await assert.rejects(collect(new ProviderChain([fakeProvider('openai', apiError(400)), fallback])), { status: 400 });
+  assert.equal(fallback.calls, 0);
+});
+
+test('an aborted request is thrown as is, without falling back or counting a failure', async () => {
+  const controller = new AbortController();
+  const primary = fakeProvider('openai');
+  primary.generateResponse = async () => {
+    primary.calls++;
+    controller.abort();
+    throw Object.assign(new Error('Request was aborted.'), { name: 'AbortError' });
+  };
+  const fallback = fakeProvider('anthropic');
+  const chain = new ProviderChain([primary, fallback]);
+
+  await assert.rejects(chain.generateResponse([{ role: 'user', content: 'gm' }], { signal: controller.signal }), { name: 'AbortError' });
+  assert.equal(fallback.calls, 0);
+  assert.equal(providerHealth.getStatus(['openai'])[0].failures, 0);
+});
+
+test('an aborted tool loop makes no further tool calls', async () => {
+  const controller = new AbortController();
+  const provider = {
+    type: 'openai',
+    async generateWithTools() {
+      return { content: '', toolCalls: [{ id: '1', name: 'a', arguments: {} }, { id: '2', name: 'b', arguments: {} }] };
+    }
+  };
+  const executed = [];
+
+  await assert.rejects(new ProviderChain([provider]).runToolLoop([{ role: 'user', content: 'gm' }], [], {
+    signal: controller.signal,
+    executeTool: async (call) => {
+      executed.push(call.name);
+      controller.abort();
+      return 'done';
+    }
+  }), { name: 'AbortError' });
+  assert.deepEqual(executed, ['a']);
+});
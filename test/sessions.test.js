@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apollo-sessions-'));
+
+// ENV is read once on import, so point the database at a throwaway file first
+process.env.DB_PATH = path.join(dir, 'apollo_memory.db');
+
+const { database } = await import('../src/agents/apollo/services/database.js');
+const { sessionManager } = await import('../src/agents/apollo/services/sessions.js');
+
+await database.initialize();
+
+test.after(async () => {
+  await database.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('concurrent getOrCreateSession calls for a new ID share one session', async () => {
+  const sessions = await Promise.all([
+    sessionManager.getOrCreateSession('tab-1', { name: 'First' }),
+    sessionManager.getOrCreateSession('tab-1', { name: 'Second' }),
+    sessionManager.getOrCreateSession('tab-1')
+  ]);
+
+  assert.ok(sessions.every(session => session === sessions[0]));
+  assert.equal(sessions[0].name, 'First');
+  assert.equal((await sessionManager.listSessions()).filter(session => session.id === 'tab-1').length, 1);
+});
+
+test('getOrCreateSession resumes a stored session after a restart', async () => {
+  await sessionManager.getOrCreateSession('tab-2');
+  await sessionManager.addMessage('tab-2', 'user', 'gm');
+  sessionManager.sessions.clear();
+
+  const session = await sessionManager.getOrCreateSession('tab-2');
+  assert.deepEqual(session.history, [{ role: 'user', content: 'gm' }]);
+});
+
+test('the in-memory history keeps only the most recent messages', async () => {
+  const session = await sessionManager.getOrCreateSession('tab-3');
+  for (let i = 0; i < 120; i++) {
+    await sessionManager.addMessage('tab-3', i % 2 ? 'assistant' : 'user', `message ${i}`);
+  }
+
+  assert.equal(session.history.length, 100);
+  assert.equal(session.history[0].content, 'message 20');
+  assert.equal(session.history[99].content, 'message 119');
+  // The database still has all of them
+  assert.equal((await sessionManager.getSessionMessages('tab-3', 200)).length, 120);
+});
@@ -0,0 +1,158 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createMockAggregator, createMockValidator } from '../src/agents/apollo/services/swap-mocks.js';
+
+/*
+ * The live swap pipeline (quote -> confirm -> sign -> submit -> confirm on
+ * chain) against the local aggregator and validator stand-ins, signing with a
+ * throwaway keypair.
+ */
+
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+
+const listen = (app) => new Promise(resolve => {
+  const server = app.listen(0, '127.0.0.1', () => resolve(server));
+});
+const urlOf = (server) => `http://127.0.0.1:${server.address().port}`;
+
+// A Solana CLI keypair file: the 32-byte seed followed by the public key
+const writeKeypair = (file) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  const seed = privateKey.export({ format: 'der', type: 'pkcs8' }).subarray(-32);
+  const raw = publicKey.export({ format: 'der', type: 'spki' }).subarray(-32);
+  fs.writeFileSync(file, JSON.stringify([...seed, ...raw]));
+};
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apollo-swap-'));
+const servers = {
+  aggregator: await listen(createMockAggregator()),
+  validator: await listen(createMockValidator()),
+  highImpact: await listen(createMockAggregator({ priceImpactPct: 0.2 })),
+  tampered: await listen(createMockAggregator({ transactionInAmount: '1' }))
+};
+writeKeypair(path.join(dir, 'keypair.json'));
+
+// ENV is read once on import, so configure it before loading the swap service
+Object.assign(process.env, {
+  SWAP_AGGREGATOR: 'jupiter',
+  SWAP_AGGREGATOR_URL: urlOf(servers.aggregator),
+  SOLANA_RPC_URL: urlOf(servers.validator),
+  SWAP_SIGNER: 'local',
+  SWAP_KEYPAIR_PATH: path.join(dir, 'keypair.json'),
+  SWAP_MAX_SLIPPAGE_BPS: '500',
+  SWAP_MAX_PRICE_IMPACT_PCT: '5',
+  SWAP_QUOTE_TTL_MS: '60000'
+});
+
+const { swapService, SOL_MINT } = await import('../src/agents/apollo/services/swap.js');
+const { createAggregatorClient } = await import('../src/agents/apollo/services/swap-aggregator.js');
+
+test.after(() => {
+  Object.values(servers).forEach(server => server.close());
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Quote through another mock aggregator for one test
+const withAggregator = async (server, run) => {
+  const previous = swapService.aggregator;
+  swapService.aggregator = createAggregatorClient('jupiter', urlOf(server));
+  try {
+    return await run();
+  } finally {
+    swapService.aggregator = previous;
+  }
+};
+
+const buy = (params = {}) => swapService.prepareSwap({ action: 'buy', tokenAddress: USDC, solAmount: 0.5, ...params });
+
+test('a quoted buy is confirmed, signed, submitted and confirmed on chain', async () => {
+  const quote = await buy();
+
+  assert.equal(quote.status, 'awaiting_confirmation');
+  assert.equal(quote.inputMint, SOL_MINT);
+  assert.equal(quote.outputMint, USDC);
+  assert.equal(quote.inAmount, 0.5);
+  assert.equal(quote.outAmount, 0.5 * 1e9 * 1000 / 1e6);
+  assert.equal(quote.route[0], 'MockSwap');
+  assert.equal(quote.id.length, 32);
+  assert.equal(quote.confirmToken.length, 64);
+  assert.equal(swapService.getSwap(quote.id).confirmToken, undefined);
+
+  const result = await swapService.confirmSwap(quote.id, quote.confirmToken);
+  assert.equal(result.status, 'confirmed');
+  assert.equal(result.error, null);
+  assert.ok(result.signature);
+});
+
+test('a swap is only executed once', async () => {
+  const quote = await buy();
+  await swapService.confirmSwap(quote.id, quote.confirmToken);
+
+  await assert.rejects(swapService.confirmSwap(quote.id, quote.confirmToken), { code: 'invalid_status' });
+});
+
+test('a swap cannot be confirmed or cancelled without its token', async () => {
+  const quote = await buy();
+
+  await assert.rejects(swapService.confirmSwap(quote.id, 'not-the-token'), { code: 'forbidden' });
+  assert.throws(() => swapService.cancelSwap(quote.id), { code: 'forbidden' });
+  await assert.rejects(swapService.confirmSwap('unknown', quote.confirmToken), { code: 'not_found' });
+  assert.equal(swapService.getSwap(quote.id).status, 'awaiting_confirmation');
+});
+
+test('a cancelled swap cannot be confirmed', async () => {
+  const quote = await buy();
+
+  assert.equal(swapService.cancelSwap(quote.id, quote.confirmToken).status, 'cancelled');
+  await assert.rejects(swapService.confirmSwap(quote.id, quote.confirmToken), { code: 'invalid_status' });
+});
+
+test('an expired quote is refused and never signed', async (t) => {
+  const quote = await buy();
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 60001 });
+  await assert.rejects(swapService.confirmSwap(quote.id, quote.confirmToken), { code: 'expired' });
+  t.mock.timers.reset();
+
+  const swap = swapService.getSwap(quote.id);
+  assert.equal(swap.status, 'expired');
+  assert.equal(swap.signature, null);
+});
+
+test('slippage above SWAP_MAX_SLIPPAGE_BPS is refused before quoting', async () => {
+  await assert.rejects(buy({ slippageBps: 1000 }), { code: 'slippage_too_high', message: /10\.00% exceeds the maximum allowed 5\.00%/ });
+  assert.ok(await buy({ slippageBps: 500 }));
+});
+
+test('a quote with price impact above SWAP_MAX_PRICE_IMPACT_PCT is refused', async () => {
+  await withAggregator(servers.highImpact, async () => {
+    await assert.rejects(buy(), { code: 'price_impact_too_high', message: /20\.00% exceeds the maximum allowed 5%/ });
+  });
+});
+
+test('a transaction that does not match the quote is never offered for signing', async () => {
+  await withAggregator(servers.tampered, async () => {
+    await assert.rejects(buy(), { code: 'transaction_mismatch' });
+  });
+});
+
+test('a swap whose signing fails is marked failed', async () => {
+  const quote = await buy();
+  const signer = swapService.getSigner();
+  const signTransaction = signer.signTransaction;
+  signer.signTransaction = async () => {
+    throw new Error('Hardware wallet disconnected');
+  };
+
+  try {
+    const result = await swapService.confirmSwap(quote.id, quote.confirmToken);
+    assert.equal(result.status, 'failed');
+    assert.equal(result.error, 'Hardware wallet disconnected');
+  } finally {
+    signer.signTransaction = signTransaction;
+  }
+});
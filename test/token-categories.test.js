@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyToken, breakdownByCategory } from '../src/agents/apollo/utils/token-categories.js';
+import { DEFAULT_TOKEN_CATEGORIES } from '../src/agents/apollo/constants/token-categories.js';
+
+const USDC = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v';
+const BONK = 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263';
+const UNKNOWN = 'So11111111111111111111111111111111111111112';
+
+const classify = (token, assignments) => classifyToken({ address: UNKNOWN, ...token }, DEFAULT_TOKEN_CATEGORIES, assignments);
+
+test('tokens are matched by address, case-insensitively', () => {
+  assert.equal(classify({ address: USDC, name: 'Anything', symbol: 'X' }), 'stable');
+  assert.equal(classify({ address: BONK.toLowerCase(), name: 'Anything', symbol: 'X' }), 'meme');
+});
+
+test('then by exact symbol', () => {
+  assert.equal(classify({ name: 'Jito Staked SOL', symbol: 'jitoSOL' }), 'lst');
+  assert.equal(classify({ name: 'Jupiter', symbol: 'JUP' }), 'defi');
+});
+
+test('then by whole words in the name or symbol', () => {
+  assert.equal(classify({ name: 'Agent Smith', symbol: 'SMITH' }), 'ai');
+  assert.equal(classify({ name: 'Moon Frog', symbol: 'MFROG' }), 'meme');
+  assert.equal(classify({ name: 'Dog Wif Hat', symbol: 'DWH' }), 'meme');
+});
+
+test('keywords split camelCase and digits, so "ai16z" is AI but "Thai" is not', () => {
+  assert.equal(classify({ name: 'ai16z', symbol: 'AISIXTEEN' }), 'ai');
+  assert.equal(classify({ name: 'ChatAI', symbol: 'CHAT' }), 'ai');
+  assert.equal(classify({ name: 'Thai Baht', symbol: 'THB' }), 'other');
+  assert.equal(classify({ name: 'Said', symbol: 'SAID' }), 'other');
+});
+
+test('categories are tried in order', () => {
+  // "staked" (lst, order 20) and "dog" (meme, order 60) both match
+  assert.equal(classify({ name: 'Staked Dog', symbol: 'SDOG' }), 'lst');
+});
+
+test('a hand assignment wins, unless its category no longer exists', () => {
+  assert.equal(classify({ address: USDC, name: 'USD Coin', symbol: 'USDC' }, new Map([[USDC.toLowerCase(), 'meme']])), 'meme');
+  assert.equal(classify({ address: USDC, name: 'USD Coin', symbol: 'USDC' }, new Map([[USDC.toLowerCase(), 'deleted']])), 'stable');
+});
+
+test('unmatched tokens fall into other', () => {
+  assert.equal(classify({ name: 'Wrapped SOL', symbol: 'SOL' }), 'other');
+  assert.equal(classify({}), 'other');
+});
+
+test('breakdownByCategory sums values in category order with other last', () => {
+  const breakdown = breakdownByCategory([
+    { address: BONK, name: 'Bonk', symbol: 'BONK', value: 10 },
+    { address: UNKNOWN, name: 'Wrapped SOL', symbol: 'SOL', value: 100 },
+    { address: USDC, name: 'USD Coin', symbol: 'USDC', value: 50 },
+    { address: UNKNOWN, name: 'Popcat', symbol: 'POPCAT' }
+  ], DEFAULT_TOKEN_CATEGORIES);
+
+  assert.deepEqual(breakdown, [
+    { key: 'stable', label: 'Stablecoins', value: 50, count: 1 },
+    { key: 'meme', label: 'Memecoins', value: 10, count: 2 },
+    { key: 'other', label: 'Other Tokens', value: 100, count: 1 }
+  ]);
+});
@@ -0,0 +1,109 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apollo-usage-'));
+
+// ENV is read once on import, so configure it before loading the services
+Object.assign(process.env, {
+  DB_PATH: path.join(dir, 'apollo_memory.db'),
+  AI_DAILY_BUDGET_USD: '1',
+  AI_SESSION_DAILY_BUDGET_USD: '0.5',
+  AI_BUDGET_ACTION: 'downgrade',
+  AI_PRICES_CONFIG: ''
+});
+
+const { ENV } = await import('../src/config/env.js');
+const { database } = await import('../src/agents/apollo/services/database.js');
+const { usageService, BudgetExceeded } = await import('../src/agents/apollo/services/usage.js');
+const { ProviderChain } = await import('../src/agents/apollo/services/providers.js');
+
+await database.initialize();
+
+test.after(async () => {
+  await database.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// gpt-4o input is $2.50 per million tokens, so each call costs $0.25
+const spend = (sessionId) => usageService.record({
+  sessionId, provider: 'openai', model: 'gpt-4o', task: 'answer', purpose: 'answer',
+  promptTokens: 100000, completionTokens: 0, estimated: false, latencyMs: 10, success: true
+});
+
+// A provider that reports which model task it was asked for
+const fakeProvider = () => {
+  const provider = {
+    type: 'openai',
+    requests: [],
+    async generateResponse(messages, options) {
+      provider.requests.push(options);
+      return 'answer';
+    }
+  };
+  return provider;
+};
+
+test('calls are priced and no budget applies while under both limits', async () => {
+  await spend('under');
+
+  assert.equal(await database.getLlmCost(0, 'under'), 0.25);
+  assert.equal(await usageService.checkBudget('under'), null);
+});
+
+test('spend before today does not count', async () => {
+  await database.recordLlmUsage({
+    timestamp: Date.now() - 2 * 24 * 60 * 60 * 1000, sessionId: 'yesterday', provider: 'openai', model: 'gpt-4o',
+    task: 'answer', promptTokens: 0, completionTokens: 0, costUsd: 5, latencyMs: 0, success: true
+  });
+
+  assert.equal(await usageService.checkBudget('yesterday'), null);
+});
+
+test('a session at its daily limit is over budget, other sessions are not', async () => {
+  await spend('heavy');
+  await spend('heavy');
+
+  assert.deepEqual(await usageService.checkBudget('heavy'), { scope: 'session', limitUsd: 0.5, spentUsd: 0.5, action: 'downgrade' });
+  assert.equal(await usageService.checkBudget('light'), null);
+  // Background work has no session budget
+  assert.equal(await usageService.checkBudget(null), null);
+});
+
+test('over budget, the chain downgrades the call to the analysis model', async () => {
+  const provider = fakeProvider();
+  const chain = new ProviderChain([provider]);
+
+  await chain.generateResponse([{ role: 'user', content: 'gm' }], { trace: { sessionId: 'heavy' } });
+  await chain.generateResponse([{ role: 'user', content: 'gm' }], { trace: { sessionId: 'light' } });
+
+  assert.deepEqual(provider.requests.map(options => options.downgrade), [true, false]);
+});
+
+test('with AI_BUDGET_ACTION=refuse the call is never made', async (t) => {
+  t.after(() => { ENV.AI_BUDGET_ACTION = 'downgrade'; });
+  ENV.AI_BUDGET_ACTION = 'refuse';
+  const provider = fakeProvider();
+
+  await assert.rejects(new ProviderChain([provider]).generateResponse([{ role: 'user', content: 'gm' }], { trace: { sessionId: 'heavy' } }), (error) => {
+    assert.ok(error instanceof BudgetExceeded);
+    assert.equal(error.scope, 'session');
+    assert.equal(error.message, "This session's daily AI budget of $0.50 is used up. It resets at midnight UTC.");
+    return true;
+  });
+  assert.equal(provider.requests.length, 0);
+});
+
+test('the total budget applies to every session once it is used up', async () => {
+  // 0.25 + 0.5 so far, plus 0.25 (and a fraction of a cent for the chain's calls above)
+  await spend(null);
+
+  assert.equal((await usageService.checkBudget('light')).scope, 'total');
+  assert.equal((await usageService.checkBudget(null)).scope, 'total');
+
+  const status = await usageService.getBudgetStatus();
+  assert.equal(Number(status.spentUsd.toFixed(2)), 1);
+  assert.equal(status.exceeded, true);
+});